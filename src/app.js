@@ -2,11 +2,19 @@ import express from "express";
 import cors from "cors";
 import cookieParser from "cookie-parser";
 import { listEvents } from "./controllers/BetfairController/EventListController.js";
-import { login } from "./controllers/BetfairController/AuthController.js";
+import { login, certLogin, logout, keepAlive } from "./controllers/BetfairController/AuthController.js";
 import { listMarketCatalogue } from "./controllers/BetfairController/MarketCatalogue.js";
-import { startBot, stopBot, getBotStatus } from "./controllers/BetfairController/StreamController.js";
+import { startBot, stopBot, stopAllBots, getBotStatus, getBotOrders, getBotAudit, setBotSelection, getMarketSnapshot, watchMarkets, unwatchMarkets, listWatchedMarkets, getMatchState } from "./controllers/BetfairController/StreamController.js";
+import { listStrategies } from "./controllers/BetfairController/StrategyController.js";
 import { placeOrder } from "./controllers/BetfairController/PlaceOrderController.js";
+import { cancelOrder, replaceOrder, updateOrder } from "./controllers/BetfairController/ManageOrderController.js";
 import { listClearedOrdersSummary } from "./controllers/BetfairController/summaryController.js";
+import { listCurrentOrders, getExposure } from "./controllers/BetfairController/CurrentOrdersController.js";
+import { getLedger, exportLedger, reconcileLedger } from "./controllers/BetfairController/LedgerController.js";
+import { getRisk, setRiskLimits, setKillSwitch } from "./controllers/BetfairController/RiskController.js";
+import { register, loginUser, logoutUser, getMe } from "./controllers/BetfairController/UserController.js";
+import { streamLive } from "./controllers/BetfairController/LiveController.js";
+import { requireUser, requireAdmin, attachBetfairSession } from "./middleware/auth.js";
 
 const app = express();
 
@@ -46,15 +54,49 @@ app.get("/health", (req, res) => {
     .json({ status: "okay", timestamp: new Date().toISOString() });
 });
 
+// App accounts - everything below needs a logged-in user
+app.post("/auth/register", register);
+app.post("/auth/login", loginUser);
+app.post("/auth/logout", logoutUser);
+
+app.use(requireUser, attachBetfairSession);
+
+app.get("/auth/me", getMe);
+
 app.post("/login", login);
+app.post("/login/cert", requireAdmin, certLogin);
+app.post("/logout", logout);
+app.post("/keep-alive", keepAlive);
 
 app.post("/events", listEvents);
 
 app.post("/market-catalogue", listMarketCatalogue);
 app.post("/bot/start", startBot);
 app.post("/bot/stop", stopBot);
+app.post("/bot/stop-all", requireAdmin, stopAllBots);
 app.get("/bot/status", getBotStatus);
+app.get("/bot/orders", getBotOrders);
+app.post("/bot/selection", setBotSelection);
+app.get("/bot/audit", getBotAudit);
+app.get("/markets/watch", listWatchedMarkets);
+app.post("/markets/watch", watchMarkets);
+app.delete("/markets/watch", unwatchMarkets);
+app.get("/markets/:marketId/snapshot", getMarketSnapshot);
+app.get("/markets/:marketId/match-state", getMatchState);
+app.get("/strategies", listStrategies);
 app.post("/place-order", placeOrder);
+app.post("/cancel-order", cancelOrder);
+app.post("/replace-order", replaceOrder);
+app.post("/update-order", updateOrder);
 app.post("/api/betfair/summary", listClearedOrdersSummary);
+app.post("/api/betfair/current-orders", listCurrentOrders);
+app.get("/exposure", getExposure);
+app.get("/ledger", getLedger);
+app.get("/ledger/export", exportLedger);
+app.post("/ledger/reconcile", reconcileLedger);
+app.get("/risk", getRisk);
+app.post("/risk/limits", requireAdmin, setRiskLimits);
+app.post("/risk/kill-switch", requireAdmin, setKillSwitch);
+app.get("/live", streamLive);
 
 export default app;
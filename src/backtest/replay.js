@@ -0,0 +1,169 @@
+import fs from "fs";
+import readline from "readline";
+import zlib from "zlib";
+import { createStreamFramer } from "../stream/streamFraming.js";
+import { createMarketProcessor } from "../stream/marketProcessor.js";
+import { createStrategy, validateStrategy, DEFAULT_STRATEGY } from "../strategies/index.js";
+import { roundMoney } from "../utils/lineMarket.js";
+
+/**
+ * Historical stream replay and backtesting
+ *
+ * Feeds recorded stream files (see stream/streamRecorder.js) or Betfair
+ * historical-data files - both are `mcm` JSON lines - through the same
+ * framer, market processor and strategy code as a live worker. Time is
+ * simulated from each message's publish time (`pt`), and every bet goes to
+ * the paper matcher, so nothing is sent to Betfair.
+ *
+ * Betfair historical files are distributed as .bz2 - decompress them first.
+ * Plain and .gz files are read directly.
+ */
+
+const QUIET_LOGGER = {
+  log() {},
+  error() {},
+};
+
+/**
+ * Read a stream file line by line (.gz aware)
+ */
+export function readStreamLines(filePath) {
+  let input = fs.createReadStream(filePath);
+  if (filePath.endsWith(".gz")) {
+    input = input.pipe(zlib.createGunzip());
+  }
+  return readline.createInterface({ input, crlfDelay: Infinity });
+}
+
+/**
+ * Replay stream lines through the strategy and report every bet it would have placed
+ * @param {Object} options
+ * @param {AsyncIterable<string>|Iterable<string>} options.lines - Raw stream lines
+ * @param {string} [options.marketId] - Market to trade (defaults to the first market in the data)
+ * @param {string} [options.strategy] - Strategy name
+ * @param {Object} [options.params] - Strategy parameters
+ * @param {number} [options.size] - Stake per bet
+ * @param {number} [options.result] - Final line result; otherwise the last traded line is used as an estimate
+ * @param {Object} [options.logger] - Defaults to silent
+ * @returns {Promise<Object>} Backtest report
+ */
+export async function runBacktest({
+  lines,
+  marketId = null,
+  strategy = DEFAULT_STRATEGY,
+  params = {},
+  size = 1,
+  result = null,
+  logger = QUIET_LOGGER,
+}) {
+  const validation = validateStrategy(strategy, params);
+  if (validation.errors.length > 0) {
+    throw new Error(`Invalid strategy parameters: ${validation.errors.join("; ")}`);
+  }
+
+  // Simulated clock - advanced by each message's publish time
+  let clock = 0;
+  let firstPublishTime = null;
+  let messageCount = 0;
+  let processor = null;
+
+  const framer = createStreamFramer();
+
+  function getProcessor(id) {
+    if (!processor) {
+      processor = createMarketProcessor({
+        marketId: id,
+        size,
+        mode: "paper",
+        strategy: createStrategy(strategy, validation.params),
+        now: () => clock,
+        logger,
+      });
+    }
+    return processor;
+  }
+
+  for await (const line of lines) {
+    for (const message of framer.push(line + "\r\n")) {
+      if (message.op !== "mcm" || !message.mc) continue;
+      messageCount++;
+
+      if (message.pt) {
+        clock = message.pt;
+        if (firstPublishTime === null) firstPublishTime = message.pt;
+      }
+
+      for (const market of message.mc) {
+        if (marketId && market.id !== marketId) continue;
+        getProcessor(marketId || market.id).handleMarketChange(market, message.pt);
+      }
+    }
+
+    if (processor && !processor.isActive()) break;
+  }
+
+  if (!processor) {
+    throw new Error(marketId ? `No data for market ${marketId} in stream` : "No market data in stream");
+  }
+
+  // Let in-flight bet promises settle before reporting
+  await new Promise((resolve) => setImmediate(resolve));
+
+  const { paperMatcher, marketCache } = processor;
+
+  if (result !== null && result !== undefined) {
+    paperMatcher.settle(Number(result), { estimated: false, now: clock });
+  } else if (!paperMatcher.getReport().settlement) {
+    const runner = marketCache.getMarketSnapshot(processor.marketId)?.runners[0];
+    const mark = runner ? paperMatcher.markPrice(processor.marketId, runner.selectionId) : null;
+    if (mark !== null) {
+      paperMatcher.settle(mark, { estimated: true, now: clock });
+    }
+  }
+
+  const report = paperMatcher.getReport();
+  const bets = report.bets.map((bet) => ({
+    time: bet.placedDate,
+    selectionId: bet.selectionId,
+    side: bet.side,
+    price: bet.price,
+    size: bet.size,
+    sizeMatched: bet.sizeMatched,
+    averagePriceMatched: bet.averagePriceMatched,
+    status: bet.status,
+    reason: bet.reason,
+    oldPrice: bet.oldPrice,
+    newPrice: bet.newPrice,
+    profit: bet.profit,
+  }));
+
+  const matched = bets.filter((b) => b.sizeMatched > 0);
+
+  return {
+    marketId: processor.marketId,
+    strategy,
+    params: validation.params,
+    size,
+    messages: messageCount,
+    from: firstPublishTime ? new Date(firstPublishTime).toISOString() : null,
+    to: clock ? new Date(clock).toISOString() : null,
+    balls: processor.getBallCount(),
+    settlement: report.settlement,
+    bets,
+    summary: {
+      bets: bets.length,
+      matchedBets: matched.length,
+      won: matched.filter((b) => b.profit > 0).length,
+      lost: matched.filter((b) => b.profit < 0).length,
+      turnover: roundMoney(matched.reduce((sum, b) => sum + b.sizeMatched, 0)),
+      pnl: report.pnl.settled,
+    },
+  };
+}
+
+/**
+ * Convenience wrapper: backtest a file on disk
+ */
+export function runBacktestFile(filePath, options = {}) {
+  return runBacktest({ ...options, lines: readStreamLines(filePath) });
+}
@@ -0,0 +1,62 @@
+import fs from "fs";
+import { parseArgs } from "util";
+import { runBacktestFile } from "./replay.js";
+
+/**
+ * Backtest CLI
+ *
+ *   npm run backtest -- --file recordings/1.234-....jsonl [--market 1.234] \
+ *     [--strategy lineMovement] [--params '{"upThreshold":4}'] [--size 2] \
+ *     [--result 152] [--out report.json]
+ */
+
+const { values } = parseArgs({
+  options: {
+    file: { type: "string" },
+    market: { type: "string" },
+    strategy: { type: "string" },
+    params: { type: "string" },
+    size: { type: "string" },
+    result: { type: "string" },
+    out: { type: "string" },
+  },
+});
+
+if (!values.file) {
+  console.error("Usage: npm run backtest -- --file <stream file> [--market <id>] [--strategy <name>] [--params <json>] [--size <n>] [--result <line>] [--out <report.json>]");
+  process.exit(1);
+}
+
+try {
+  const report = await runBacktestFile(values.file, {
+    marketId: values.market,
+    strategy: values.strategy,
+    params: values.params ? JSON.parse(values.params) : {},
+    size: values.size ? parseFloat(values.size) : 1,
+    result: values.result !== undefined ? parseFloat(values.result) : null,
+  });
+
+  if (values.out) {
+    fs.writeFileSync(values.out, JSON.stringify(report, null, 2));
+  }
+
+  console.log(`Market ${report.marketId} | ${report.strategy} | ${report.messages} messages | ${report.balls} balls | ${report.from} -> ${report.to}`);
+  console.table(
+    report.bets.map((bet) => ({
+      time: bet.time,
+      side: bet.side,
+      price: bet.price,
+      matched: bet.sizeMatched,
+      profit: bet.profit,
+      reason: bet.reason,
+    }))
+  );
+  const settledAgainst = report.settlement
+    ? `${report.settlement.result}${report.settlement.estimated ? " (estimated from last traded line)" : ""}`
+    : "n/a";
+  console.log(`Settled against line result: ${settledAgainst}`);
+  console.log(`Bets: ${report.summary.bets} | Matched: ${report.summary.matchedBets} | Won: ${report.summary.won} | Lost: ${report.summary.lost} | P&L: ${report.summary.pnl}`);
+} catch (err) {
+  console.error(`Backtest failed: ${err.message}`);
+  process.exit(1);
+}
@@ -1,7 +1,16 @@
-import { betfairIdentityInstance } from "../../utils/axiosInstance.js";
-
-const LOGIN_URL = "/api/login";
+import { CertLoginError, loadClientCertificate, loginInteractive } from "../../utils/identityService.js";
+import { getSessionManager } from "../../service/sessionManager.js";
+import { getUserStore } from "../../service/userStore.js";
+import { isAdmin } from "../../middleware/auth.js";
+import { marketsOnSession, updateOwnerSession } from "./StreamController.js";
+import { readSessionToken } from "../../utils/requestInput.js";
 
+/**
+ * POST /login
+ * Betfair interactive login. The admin's session becomes the managed one (kept
+ * alive and handed to running bots); anyone else's is stored on their account
+ * and handed to their own bots.
+ */
 export async function login(req, res) {
   const { username, password } = req.body;
   const appKey = process.env.BETFAIR_APP_KEY;
@@ -11,18 +20,19 @@ export async function login(req, res) {
   }
 
   try {
-    const body = new URLSearchParams();
-    body.append("username", username);
-    body.append("password", password);
+    const data = await loginInteractive(appKey, username, password);
 
-    const response = await betfairIdentityInstance.post(LOGIN_URL, body, {
-      headers: {
-        "X-Application": appKey
+    if (data.status === "SUCCESS" && data.token) {
+      if (isAdmin(req.user)) {
+        getSessionManager().setSession(data.token, { source: "login", loginMethod: "interactive" });
+      } else {
+        getUserStore().setBetfairSession(req.user.id, data.token);
+        updateOwnerSession(req.user.id, data.token);
       }
-    });
-    
+    }
+
     // Return only the Betfair login response
-    res.json(response.data);
+    res.json(data);
 
   } catch (err) {
     const errorData = err.response?.data || { error: err.message };
@@ -30,3 +40,101 @@ export async function login(req, res) {
   }
 }
 
+/**
+ * POST /login/cert
+ * Non-interactive certificate login with BETFAIR_USERNAME / BETFAIR_PASSWORD and the
+ * configured client certificate. The session becomes the managed one (kept alive and
+ * handed to running bots) and is returned for the frontend to use. Admin only.
+ */
+export async function certLogin(req, res) {
+  const sessionManager = getSessionManager();
+
+  try {
+    if (!loadClientCertificate()) {
+      return res.status(400).json({
+        error: "No client certificate configured - set BETFAIR_CERT_FILE and BETFAIR_KEY_FILE (or BETFAIR_CERT and BETFAIR_KEY)",
+      });
+    }
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
+  if (!sessionManager.hasCredentials()) {
+    return res.status(400).json({ error: "BETFAIR_APP_KEY, BETFAIR_USERNAME and BETFAIR_PASSWORD must be set for certificate login" });
+  }
+
+  try {
+    const sessionToken = await sessionManager.login({ source: "login" });
+    res.json({ loginStatus: "SUCCESS", sessionToken, session: sessionManager.getSession() });
+  } catch (err) {
+    if (err instanceof CertLoginError) {
+      return res.status(401).json({ error: err.message, loginStatus: err.loginStatus });
+    }
+    const errorData = err.response?.data || { error: err.message };
+    res.status(err.response?.status || 500).json(errorData);
+  }
+}
+
+/**
+ * POST /keep-alive
+ * Extends the session in the headers, or the caller's stored one (the managed session for the admin)
+ */
+export async function keepAlive(req, res) {
+  const appKey = process.env.BETFAIR_APP_KEY;
+
+  if (!appKey) {
+    return res.status(400).json({ error: "BETFAIR_APP_KEY environment variable not set" });
+  }
+
+  const sessionToken = readSessionToken(req);
+  if (!sessionToken) {
+    return res.status(401).json({ error: "No Betfair session to keep alive" });
+  }
+
+  try {
+    const data = await getSessionManager().keepAlive(sessionToken);
+    res.status(data.status === "SUCCESS" ? 200 : 401).json(data);
+  } catch (err) {
+    const errorData = err.response?.data || { error: err.message };
+    res.status(err.response?.status || 500).json(errorData);
+  }
+}
+
+/**
+ * POST /logout
+ * Ends the session in the headers, or the caller's stored one (the managed session for the admin)
+ * Refused while a bot or watch still streams on it.
+ */
+export async function logout(req, res) {
+  const appKey = process.env.BETFAIR_APP_KEY;
+
+  if (!appKey) {
+    return res.status(400).json({ error: "BETFAIR_APP_KEY environment variable not set" });
+  }
+
+  const sessionToken = readSessionToken(req);
+  if (!sessionToken) {
+    return res.status(401).json({ error: "No Betfair session to log out" });
+  }
+
+  // Bots and watches would carry on with a dead token
+  const markets = marketsOnSession(sessionToken);
+  if (markets.length > 0) {
+    return res.status(409).json({
+      error: "Bots or watches are running on this Betfair session - stop them before logging out",
+      markets,
+    });
+  }
+
+  try {
+    const data = await getSessionManager().logout(sessionToken);
+    // A stored session that was just ended is of no use any more
+    if (data.status === "SUCCESS" && !isAdmin(req.user) && getUserStore().getBetfairSession(req.user.id) === sessionToken) {
+      getUserStore().setBetfairSession(req.user.id, null);
+    }
+    res.status(data.status === "SUCCESS" ? 200 : 401).json(data);
+  } catch (err) {
+    const errorData = err.response?.data || { error: err.message };
+    res.status(err.response?.status || 500).json(errorData);
+  }
+}
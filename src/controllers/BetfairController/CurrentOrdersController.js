@@ -0,0 +1,125 @@
+import { listAllCurrentOrders } from "../../utils/bettingService.js";
+import { computeExposure, emptyMarketExposure } from "../../service/exposure.js";
+import { roundMoney } from "../../utils/lineMarket.js";
+import { listRunningBots } from "./StreamController.js";
+import { parseIdList, readSessionToken } from "../../utils/requestInput.js";
+
+const ORDER_PROJECTIONS = ["ALL", "EXECUTABLE", "EXECUTION_COMPLETE"];
+
+/**
+ * POST /api/betfair/current-orders
+ *
+ * Proxies Betfair listCurrentOrders (all pages) for orders that are not settled yet.
+ * Request body (all optional):
+ * {
+ *   "marketIds": ["1.234"], "betIds": ["..."],
+ *   "orderProjection": "ALL" | "EXECUTABLE" | "EXECUTION_COMPLETE",
+ *   "from": "2026-01-18T00:00:00.000Z", "to": "..."   // placed date range
+ * }
+ */
+export async function listCurrentOrders(req, res) {
+  const appKey = process.env.BETFAIR_APP_KEY;
+  const sessionToken = readSessionToken(req);
+
+  if (!appKey) {
+    return res.status(400).json({ error: "BETFAIR_APP_KEY environment variable not set" });
+  }
+
+  if (!sessionToken) {
+    return res.status(401).json({
+      error: "Betfair session token missing in X-Authentication or Authorization header",
+    });
+  }
+
+  const body = req.body || {};
+  const { orderProjection = "ALL", from, to } = body;
+
+  const filter = {};
+  for (const key of ["marketIds", "betIds"]) {
+    const list = parseIdList(body[key]);
+    if (list === null) {
+      return res.status(400).json({ error: `\`${key}\` must be a non-empty array of ids` });
+    }
+    if (list) filter[key] = list;
+  }
+
+  if (!ORDER_PROJECTIONS.includes(orderProjection)) {
+    return res.status(400).json({ error: `\`orderProjection\` must be one of: ${ORDER_PROJECTIONS.join(", ")}` });
+  }
+  filter.orderProjection = orderProjection;
+
+  for (const [name, value] of [["from", from], ["to", to]]) {
+    if (value && Number.isNaN(Date.parse(value))) {
+      return res.status(400).json({ error: `\`${name}\` must be an ISO date` });
+    }
+  }
+  if (from || to) {
+    filter.placedDateRange = { ...(from ? { from } : {}), ...(to ? { to } : {}) };
+  }
+
+  try {
+    const currentOrders = await listAllCurrentOrders(appKey, sessionToken, filter);
+    res.json({ count: currentOrders.length, currentOrders });
+  } catch (err) {
+    const errorData = err.response?.data || { error: err.message };
+    res.status(err.response?.status || 500).json(errorData);
+  }
+}
+
+/**
+ * GET /exposure?marketIds=1.234,1.567
+ *
+ * Open exposure per market from listCurrentOrders: matched back / lay stakes,
+ * unmatched size and worst-case liability per selection (see service/exposure.js).
+ * Markets with a running bot are always listed, with the bot attached, so the
+ * UI can show what each bot has at risk. Paper bots have no Betfair orders -
+ * their simulated position is in /bot/status.
+ */
+export async function getExposure(req, res) {
+  const appKey = process.env.BETFAIR_APP_KEY;
+  const sessionToken = readSessionToken(req);
+
+  if (!appKey) {
+    return res.status(400).json({ error: "BETFAIR_APP_KEY environment variable not set" });
+  }
+
+  if (!sessionToken) {
+    return res.status(401).json({
+      error: "Betfair session token missing in X-Authentication or Authorization header",
+    });
+  }
+
+  const marketIds = req.query?.marketIds
+    ? String(req.query.marketIds).split(",").map((id) => id.trim()).filter(Boolean)
+    : null;
+
+  try {
+    const orders = await listAllCurrentOrders(appKey, sessionToken, marketIds ? { marketIds } : {});
+    const exposure = computeExposure(orders);
+
+    // Running bots without any orders yet still get a (zero) row
+    const bots = new Map(listRunningBots(req.user).map(({ marketId, ...bot }) => [marketId, bot]));
+    const seen = new Set(exposure.map((market) => market.marketId));
+    for (const marketId of bots.keys()) {
+      if (!seen.has(marketId) && (!marketIds || marketIds.includes(marketId))) {
+        exposure.push(emptyMarketExposure(marketId));
+      }
+    }
+
+    const markets = exposure.map((market) => ({ ...market, bot: bots.get(market.marketId) || null }));
+    const sum = (key) => roundMoney(markets.reduce((total, market) => total + market.totals[key], 0));
+
+    res.json({
+      markets,
+      totals: {
+        liability: sum("liability"),
+        liabilityIfMatched: sum("liabilityIfMatched"),
+        unmatched: sum("unmatched"),
+      },
+      updatedAt: new Date().toISOString(),
+    });
+  } catch (err) {
+    const errorData = err.response?.data || { error: err.message };
+    res.status(err.response?.status || 500).json(errorData);
+  }
+}
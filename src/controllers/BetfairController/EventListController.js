@@ -1,4 +1,5 @@
 import { betfairApiRequest } from "../../utils/axiosInstance.js";
+import { readSessionToken } from "../../utils/requestInput.js";
 
 const LIST_EVENTS_ENDPOINT = "/exchange/betting/rest/v1.0/listEvents/";
 
@@ -19,10 +20,7 @@ function buildDateRangeUtc() {
 // Proxies Betfair listEvents for cricket (eventTypeIds ["4"]) using caller's session token
 export async function listEvents(req, res) {
 	const appKey = process.env.BETFAIR_APP_KEY;
-	const sessionToken =
-		req.header("X-Authentication") ||
-		req.header("x-authentication") ||
-		(req.header("Authorization") || "").replace(/Bearer\s+/i, "").trim();
+	const sessionToken = readSessionToken(req);
 
 	if (!appKey) {
 		return res.status(400).json({ error: "BETFAIR_APP_KEY environment variable not set" });
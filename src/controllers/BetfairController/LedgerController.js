@@ -0,0 +1,182 @@
+import { getBetLedger, ledgerToCsv } from "../../service/betLedger.js";
+import { listAllClearedOrders } from "../../utils/bettingService.js";
+import { getUserStore } from "../../service/userStore.js";
+import { isAdmin } from "../../middleware/auth.js";
+import { readSessionToken } from "../../utils/requestInput.js";
+
+const LEDGER_SOURCES = ["bot", "manual"];
+
+/**
+ * Parse ledger filters from the query string
+ * @returns {{ filter?: Object, error?: string }}
+ */
+function parseLedgerFilter(query = {}) {
+  const { marketId, botId, source, from, to, settled, betIds, limit } = query;
+
+  if (source && !LEDGER_SOURCES.includes(source)) {
+    return { error: `source must be one of: ${LEDGER_SOURCES.join(", ")}` };
+  }
+  for (const [name, value] of [["from", from], ["to", to]]) {
+    if (value && Number.isNaN(Date.parse(value))) {
+      return { error: `${name} must be an ISO date` };
+    }
+  }
+  if (settled !== undefined && !["true", "false"].includes(settled)) {
+    return { error: "settled must be true or false" };
+  }
+  const parsedLimit = limit !== undefined ? parseInt(limit, 10) : undefined;
+  if (limit !== undefined && !(parsedLimit > 0)) {
+    return { error: "limit must be a positive integer" };
+  }
+
+  return {
+    filter: {
+      marketId,
+      botId,
+      source,
+      from,
+      to,
+      settled: settled === undefined ? undefined : settled === "true",
+      betIds: betIds ? String(betIds).split(",").map((id) => id.trim()).filter(Boolean) : undefined,
+      limit: parsedLimit,
+    },
+  };
+}
+
+/**
+ * Only the caller's own entries - the admin sees everyone's
+ */
+function ownedFilter(user, filter) {
+  return isAdmin(user) ? filter : { ...filter, ownerId: user?.id ?? null };
+}
+
+/**
+ * Entry placed on the caller's Betfair account
+ * The admin's account is the managed session, shared with other admins and
+ * with entries written before accounts (no owner)
+ */
+function onCallersAccount(user, entry) {
+  if (!isAdmin(user)) return Boolean(user) && entry.ownerId === user.id;
+  return !entry.ownerId || isAdmin(getUserStore().getUser(entry.ownerId));
+}
+
+/**
+ * Get Ledger Controller
+ * GET /ledger?marketId=&botId=&source=&from=&to=&settled=&betIds=&limit=
+ * Every order sent to Betfair, with its response and (once reconciled) cleared outcome
+ * Users see their own orders, the admin sees everyone's.
+ */
+export function getLedger(req, res) {
+  const { filter, error } = parseLedgerFilter(req.query);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    const entries = getBetLedger().query(ownedFilter(req.user, filter));
+    return res.status(200).json({ count: entries.length, entries });
+  } catch (err) {
+    return res.status(500).json({ error: "Failed to read bet ledger", details: err.message });
+  }
+}
+
+/**
+ * Export Ledger Controller
+ * GET /ledger/export - same filters as /ledger, as a CSV download
+ */
+export function exportLedger(req, res) {
+  const { filter, error } = parseLedgerFilter(req.query);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    const entries = getBetLedger().query(ownedFilter(req.user, filter));
+    const fileName = `bet-ledger-${new Date().toISOString().slice(0, 10)}.csv`;
+    res.setHeader("Content-Type", "text/csv; charset=utf-8");
+    res.setHeader("Content-Disposition", `attachment; filename="${fileName}"`);
+    return res.status(200).send(ledgerToCsv(entries));
+  } catch (err) {
+    return res.status(500).json({ error: "Failed to export bet ledger", details: err.message });
+  }
+}
+
+/**
+ * Reconcile Ledger Controller
+ * POST /ledger/reconcile { from?, to? }
+ *
+ * Pulls settled bets from Betfair listClearedOrders and attaches the outcome
+ * (WON/LOST, profit, commission) to the matching ledger entries. `from`
+ * defaults to the oldest unsettled ledger entry, `to` to now. Only entries
+ * placed on the caller's Betfair account are touched, as the cleared orders
+ * come from that account.
+ */
+export async function reconcileLedger(req, res) {
+  const appKey = process.env.BETFAIR_APP_KEY;
+  const sessionToken = readSessionToken(req);
+
+  if (!appKey) {
+    return res.status(400).json({ error: "BETFAIR_APP_KEY environment variable not set" });
+  }
+
+  if (!sessionToken) {
+    return res.status(401).json({
+      error: "Betfair session token missing in X-Authentication or Authorization header",
+    });
+  }
+
+  const { from, to } = req.body || {};
+  for (const [name, value] of [["from", from], ["to", to]]) {
+    if (value && Number.isNaN(Date.parse(value))) {
+      return res.status(400).json({ error: `${name} must be an ISO date` });
+    }
+  }
+
+  const ledger = getBetLedger();
+  const ownEntries = (filter) => ledger.query(filter).filter((entry) => entry.betId && onCallersAccount(req.user, entry));
+  const pending = ownEntries({ settled: false });
+
+  const rangeFrom = from || pending[0]?.placedAt;
+  if (!rangeFrom) {
+    return res.status(200).json({ checked: 0, reconciled: 0, unsettled: 0, notInLedger: 0 });
+  }
+
+  try {
+    const clearedOrders = await listAllClearedOrders(appKey, sessionToken, {
+      betStatus: "SETTLED",
+      settledDateRange: {
+        from: rangeFrom,
+        to: to || new Date().toISOString(),
+      },
+      includeItemDescription: false,
+    });
+
+    const entriesByBetId = new Map(ownEntries().map((entry) => [String(entry.betId), entry]));
+    let reconciled = 0;
+    let notInLedger = 0;
+
+    for (const cleared of clearedOrders) {
+      const entry = entriesByBetId.get(String(cleared.betId));
+      if (!entry) {
+        notInLedger++;
+        continue;
+      }
+      // Already reconciled with the same result
+      if (entry.outcome && entry.outcome.betOutcome === cleared.betOutcome && entry.outcome.profit === cleared.profit) {
+        continue;
+      }
+      ledger.recordOutcome(cleared);
+      reconciled++;
+    }
+
+    return res.status(200).json({
+      checked: clearedOrders.length,
+      reconciled,
+      unsettled: ownEntries({ settled: false }).length,
+      notInLedger,
+    });
+  } catch (err) {
+    const errorData = err.response?.data || { error: err.message };
+    return res.status(err.response?.status || 500).json(errorData);
+  }
+}
@@ -0,0 +1,65 @@
+import { getEventHub } from "../../service/eventHub.js";
+import { isAdmin } from "../../middleware/auth.js";
+
+export const DEFAULT_HEARTBEAT_MS = 15000;
+
+/**
+ * Whether a user may receive an event - their own bots and orders, the markets
+ * they watch, app-wide events, and everything for the admin
+ */
+function canReceive(user, event) {
+  if (isAdmin(user)) return true;
+  if (event.audience) return event.audience.includes(user?.id);
+  return event.ownerId === null || event.ownerId === user?.id;
+}
+
+/**
+ * Send an event - who else it was for stays on the server
+ */
+function writeEvent(res, { audience, ...event }) {
+  res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+}
+
+/**
+ * GET /live
+ * Server-Sent Events: prices, balls, bets, risk rejections and bot state changes
+ * as they happen. Query: marketIds=1.1,1.2 to subscribe to some markets only
+ * (default: every market). Each message's event name is the event type and its
+ * data the JSON event { id, type, marketId, ownerId, at, data }. A reconnecting
+ * EventSource sends Last-Event-ID and gets the events it missed first.
+ */
+export function streamLive(req, res) {
+  const marketIds = req.query?.marketIds
+    ? String(req.query.marketIds).split(",").map((id) => id.trim()).filter(Boolean)
+    : null;
+  const lastEventId = parseInt(req.header("Last-Event-ID"), 10) || 0;
+  const filter = { marketIds, accept: (event) => canReceive(req.user, event) };
+  const hub = getEventHub();
+
+  res.status(200).set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    // Stops nginx from buffering the stream
+    "X-Accel-Buffering": "no",
+  });
+  res.flushHeaders();
+
+  res.write(`event: ready\ndata: ${JSON.stringify({ marketIds })}\n\n`);
+  if (lastEventId) {
+    for (const event of hub.getHistory({ afterId: lastEventId, ...filter })) {
+      writeEvent(res, event);
+    }
+  }
+
+  const unsubscribe = hub.subscribe((event) => writeEvent(res, event), filter);
+
+  // Comment lines keep proxies from closing an idle connection
+  const heartbeat = setInterval(() => res.write(": ping\n\n"), Number(process.env.LIVE_HEARTBEAT_MS) || DEFAULT_HEARTBEAT_MS);
+  heartbeat.unref?.();
+
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+}
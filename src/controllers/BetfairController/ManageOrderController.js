@@ -0,0 +1,157 @@
+import { cancelBetOrders, replaceBetOrders, updateBetOrders } from "../../utils/bettingService.js";
+import { RiskLimitError } from "../../service/riskManager.js";
+import { readSessionToken } from "../../utils/requestInput.js";
+
+const PERSISTENCE_TYPES = ["LAPSE", "PERSIST", "MARKET_ON_CLOSE"];
+
+/**
+ * App key and session token of the request, or send the error response
+ * @returns {Object|null} { appKey, sessionToken }
+ */
+function requireCredentials(req, res) {
+	const appKey = process.env.BETFAIR_APP_KEY;
+	const sessionToken = readSessionToken(req);
+
+	if (!appKey) {
+		res.status(400).json({ error: "BETFAIR_APP_KEY environment variable not set" });
+		return null;
+	}
+
+	if (!sessionToken) {
+		res.status(401).json({ error: "Betfair session token missing in X-Authentication or Authorization header" });
+		return null;
+	}
+
+	return { appKey, sessionToken };
+}
+
+function isBetId(value) {
+	return (typeof value === "string" && value.trim() !== "") || (typeof value === "number" && Number.isFinite(value));
+}
+
+/**
+ * Send Betfair's answer, or its error with the upstream status
+ */
+async function respond(res, call) {
+	try {
+		res.json(await call());
+	} catch (err) {
+		if (err instanceof RiskLimitError) {
+			return res.status(403).json({ error: err.message, marketId: err.marketId, reasons: err.reasons });
+		}
+		const errorData = err.response?.data || { error: err.message };
+		res.status(err.response?.status || 500).json(errorData);
+	}
+}
+
+/**
+ * Cancel Order Controller
+ * Cancels unmatched orders on a market - all of them when no instructions are given
+ * Body: { marketId, instructions?: [{ betId, sizeReduction? }] }
+ */
+export async function cancelOrder(req, res) {
+	const credentials = requireCredentials(req, res);
+	if (!credentials) return;
+
+	const { marketId, instructions } = req.body || {};
+
+	if (!marketId) {
+		return res.status(400).json({ error: "marketId is required in request body" });
+	}
+
+	if (instructions !== undefined && (!Array.isArray(instructions) || instructions.length === 0)) {
+		return res.status(400).json({ error: "instructions must be an array with at least one instruction when given" });
+	}
+
+	// Validate each instruction
+	for (const instruction of instructions || []) {
+		if (!isBetId(instruction?.betId)) {
+			return res.status(400).json({ error: "betId is required in each instruction" });
+		}
+		if (instruction.sizeReduction !== undefined && !(typeof instruction.sizeReduction === "number" && instruction.sizeReduction > 0)) {
+			return res.status(400).json({ error: "sizeReduction must be a positive number" });
+		}
+	}
+
+	await respond(res, async () => {
+		const responseData = await cancelBetOrders(marketId, credentials.appKey, credentials.sessionToken, instructions);
+		console.log(`Cancel sent for market ${marketId}, ${instructions ? `${instructions.length} bet(s)` : "all unmatched bets"}`);
+		return responseData;
+	});
+}
+
+/**
+ * Replace Order Controller
+ * Moves unmatched orders to a new price (Betfair cancels and re-places the remaining size)
+ * Body: { marketId, instructions: [{ betId, newPrice }], reason? }
+ */
+export async function replaceOrder(req, res) {
+	const credentials = requireCredentials(req, res);
+	if (!credentials) return;
+
+	const { marketId, instructions, reason } = req.body || {};
+
+	if (!marketId) {
+		return res.status(400).json({ error: "marketId is required in request body" });
+	}
+
+	if (!instructions || !Array.isArray(instructions) || instructions.length === 0) {
+		return res.status(400).json({ error: "instructions array is required with at least one instruction" });
+	}
+
+	// Validate each instruction
+	for (const instruction of instructions) {
+		if (!isBetId(instruction?.betId)) {
+			return res.status(400).json({ error: "betId is required in each instruction" });
+		}
+		if (typeof instruction.newPrice !== "number") {
+			return res.status(400).json({ error: "newPrice must be a number" });
+		}
+	}
+
+	await respond(res, async () => {
+		const responseData = await replaceBetOrders(marketId, credentials.appKey, credentials.sessionToken, instructions, {
+			source: "manual",
+			ownerId: req.user?.id || null,
+			reason: typeof reason === "string" ? reason : null,
+		});
+		console.log(`Replace sent for market ${marketId}, bet ${instructions[0].betId} to price ${instructions[0].newPrice}`);
+		return responseData;
+	});
+}
+
+/**
+ * Update Order Controller
+ * Changes the persistence type of unmatched orders
+ * Body: { marketId, instructions: [{ betId, newPersistenceType }] }
+ */
+export async function updateOrder(req, res) {
+	const credentials = requireCredentials(req, res);
+	if (!credentials) return;
+
+	const { marketId, instructions } = req.body || {};
+
+	if (!marketId) {
+		return res.status(400).json({ error: "marketId is required in request body" });
+	}
+
+	if (!instructions || !Array.isArray(instructions) || instructions.length === 0) {
+		return res.status(400).json({ error: "instructions array is required with at least one instruction" });
+	}
+
+	// Validate each instruction
+	for (const instruction of instructions) {
+		if (!isBetId(instruction?.betId)) {
+			return res.status(400).json({ error: "betId is required in each instruction" });
+		}
+		if (!PERSISTENCE_TYPES.includes(instruction.newPersistenceType)) {
+			return res.status(400).json({ error: `newPersistenceType must be one of: ${PERSISTENCE_TYPES.join(", ")}` });
+		}
+	}
+
+	await respond(res, async () => {
+		const responseData = await updateBetOrders(marketId, credentials.appKey, credentials.sessionToken, instructions);
+		console.log(`Update sent for market ${marketId}, bet ${instructions[0].betId} to ${instructions[0].newPersistenceType}`);
+		return responseData;
+	});
+}
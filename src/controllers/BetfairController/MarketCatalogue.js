@@ -1,13 +1,11 @@
 import { betfairApiRequest } from "../../utils/axiosInstance.js";
+import { readSessionToken } from "../../utils/requestInput.js";
 
 const LIST_MARKET_CATALOGUE_ENDPOINT = "/exchange/betting/rest/v1.0/listMarketCatalogue/";
 
 export async function listMarketCatalogue(req, res) {
 	const appKey = process.env.BETFAIR_APP_KEY;
-	const sessionToken =
-		req.header("X-Authentication") ||
-		req.header("x-authentication") ||
-		(req.header("Authorization") || "").replace(/Bearer\s+/i, "").trim();
+	const sessionToken = readSessionToken(req);
 
 	if (!appKey) {
 		return res.status(400).json({ error: "BETFAIR_APP_KEY environment variable not set" });
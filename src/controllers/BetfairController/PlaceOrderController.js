@@ -1,4 +1,42 @@
 import { placeBetOrder } from "../../utils/bettingService.js";
+import { BOT_MODES, placePaperOrder } from "./StreamController.js";
+import { getRiskManager, RiskLimitError } from "../../service/riskManager.js";
+import { getEventHub } from "../../service/eventHub.js";
+import { readSessionToken } from "../../utils/requestInput.js";
+
+/**
+ * Push a manual order's outcome to live clients - one betPlaced / betFailed per instruction,
+ * or riskRejected for the whole order
+ */
+function publishOrder(req, marketId, mode, instructions, { result = null, error = null, reasons = null } = {}) {
+	const hub = getEventHub();
+	const ownerId = req.user?.id || null;
+	const bets = instructions.map((inst, index) => ({
+		selectionId: inst.selectionId,
+		side: inst.side,
+		price: inst.limitOrder.price,
+		size: inst.size || 1,
+		mode,
+		betId: result?.instructionReports?.[index]?.betId || null,
+	}));
+
+	if (reasons) {
+		hub.publish("riskRejected", { marketId, ownerId, data: { source: "manual", bets, reasons } });
+		return;
+	}
+	bets.forEach((bet, index) => {
+		const report = result?.instructionReports?.[index];
+		if (report?.status === "SUCCESS") {
+			hub.publish("betPlaced", { marketId, ownerId, data: { source: "manual", bet, sizeMatched: report.sizeMatched || 0 } });
+		} else {
+			hub.publish("betFailed", {
+				marketId,
+				ownerId,
+				data: { source: "manual", bet, error: error || report?.errorCode || result?.errorCode || "Placement failed" },
+			});
+		}
+	});
+}
 
 /**
  * Place Order Controller
@@ -6,10 +44,7 @@ import { placeBetOrder } from "../../utils/bettingService.js";
  */
 export async function placeOrder(req, res) {
 	const appKey = process.env.BETFAIR_APP_KEY;
-	const sessionToken =
-		req.header("X-Authentication") ||
-		req.header("x-authentication") ||
-		(req.header("Authorization") || "").replace(/Bearer\s+/i, "").trim();
+	const sessionToken = readSessionToken(req);
 
 	if (!appKey) {
 		return res.status(400).json({ error: "BETFAIR_APP_KEY environment variable not set" });
@@ -19,7 +54,7 @@ export async function placeOrder(req, res) {
 		return res.status(401).json({ error: "Betfair session token missing in X-Authentication or Authorization header" });
 	}
 
-	const { marketId, instructions } = req.body;
+	const { marketId, instructions, mode = "live", reason } = req.body;
 
 	if (!marketId) {
 		return res.status(400).json({ error: "marketId is required in request body" });
@@ -29,6 +64,10 @@ export async function placeOrder(req, res) {
 		return res.status(400).json({ error: "instructions array is required with at least one instruction" });
 	}
 
+	if (!BOT_MODES.includes(mode)) {
+		return res.status(400).json({ error: `mode must be one of: ${BOT_MODES.join(", ")}` });
+	}
+
 	// Validate each instruction
 	for (const instruction of instructions) {
 		if (!instruction.selectionId) {
@@ -45,13 +84,43 @@ export async function placeOrder(req, res) {
 		}
 	}
 
+	// Halted by POST /bot/stop-all or the kill switch - paper orders included
+	const halt = getRiskManager().getKillSwitch();
+	if (halt.active) {
+		return res.status(403).json({ error: "Trading is halted - clear it with POST /risk/kill-switch first", marketId, halt });
+	}
+
+	if (mode === "paper") {
+		// Simulated fill against the running stream's prices - nothing is sent to Betfair
+		try {
+			const responseData = await placePaperOrder(marketId, instructions, req.user);
+			if (!responseData) {
+				return res.status(409).json({ error: "Paper orders need a running bot streaming this market", marketId });
+			}
+			publishOrder(req, marketId, "paper", instructions, { result: responseData });
+			console.log(`Paper bet placed for market ${marketId}, price ${instructions[0].limitOrder.price} and selectionId ${instructions[0].selectionId} side ${instructions[0].side}`);
+			return res.json(responseData);
+		} catch (err) {
+			return res.status(500).json({ error: err.message });
+		}
+	}
+
 	try {
-		const responseData = await placeBetOrder(marketId, appKey, sessionToken, instructions);
+		const responseData = await placeBetOrder(marketId, appKey, sessionToken, instructions, {
+			source: "manual",
+			ownerId: req.user?.id || null,
+			reason: typeof reason === "string" ? reason : null,
+		});
 		console.log(`Bet placed for market ${marketId}, price ${instructions[0].limitOrder.price} and selectionId ${instructions[0].selectionId} side ${instructions[0].side}`);
 		console.log(responseData);
+		publishOrder(req, marketId, "live", instructions, { result: responseData.result, error: responseData.error });
 
 		res.json(responseData);
 	} catch (err) {
+		if (err instanceof RiskLimitError) {
+			publishOrder(req, marketId, "live", instructions, { reasons: err.reasons });
+			return res.status(403).json({ error: err.message, marketId, reasons: err.reasons });
+		}
 		const errorData = err.response?.data || { error: err.message };
 		res.status(err.response?.status || 500).json(errorData);
 	}
@@ -0,0 +1,98 @@
+import { getRiskManager, RISK_LIMITS } from "../../service/riskManager.js";
+import { listAllClearedOrders } from "../../utils/bettingService.js";
+import { requestedBy } from "./StreamController.js";
+import { getEventHub } from "../../service/eventHub.js";
+import { readSessionToken } from "../../utils/requestInput.js";
+
+/**
+ * GET /risk
+ *
+ * Limits, kill switch and the latest risk events (rejections, changes).
+ * With a session token, today's settled P&L of the caller's account is fetched too.
+ */
+export async function getRisk(req, res) {
+  const appKey = process.env.BETFAIR_APP_KEY;
+  const sessionToken = readSessionToken(req);
+  const limit = parseInt(req.query?.limit, 10) || 50;
+
+  try {
+    const riskManager = getRiskManager();
+    let dailyPnlError = null;
+    if (appKey && sessionToken) {
+      try {
+        await riskManager.getDailyPnl({
+          account: req.user?.id ?? null,
+          listClearedOrders: (filter) => listAllClearedOrders(appKey, sessionToken, filter),
+        });
+      } catch (err) {
+        dailyPnlError = err.response?.data || err.message;
+      }
+    }
+
+    return res.status(200).json({
+      ...riskManager.getStatus({ account: req.user?.id ?? null }),
+      ...(dailyPnlError ? { dailyPnlError } : {}),
+      events: riskManager.getEvents({ limit }),
+    });
+  } catch (err) {
+    return res.status(500).json({ error: "Failed to read risk state", details: err.message });
+  }
+}
+
+/**
+ * POST /risk/limits
+ * Body: any of { maxStakePerBet, maxBetsPerMarket, maxLiabilityPerMarket, maxDailyLoss },
+ * each a positive number or null to stop checking it
+ */
+export function setRiskLimits(req, res) {
+  const body = req.body || {};
+  const update = {};
+
+  for (const [name, value] of Object.entries(body)) {
+    if (!RISK_LIMITS.includes(name)) {
+      return res.status(400).json({ error: `Unknown limit '${name}'. Limits: ${RISK_LIMITS.join(", ")}` });
+    }
+    if (value !== null && !(typeof value === "number" && value > 0)) {
+      return res.status(400).json({ error: `${name} must be a positive number or null` });
+    }
+    if (name === "maxBetsPerMarket" && value !== null && !Number.isInteger(value)) {
+      return res.status(400).json({ error: "maxBetsPerMarket must be a whole number" });
+    }
+    update[name] = value;
+  }
+
+  if (Object.keys(update).length === 0) {
+    return res.status(400).json({ error: `Provide at least one of: ${RISK_LIMITS.join(", ")}` });
+  }
+
+  try {
+    const limits = getRiskManager().setLimits(update);
+    return res.status(200).json({ limits });
+  } catch (err) {
+    return res.status(500).json({ error: "Failed to save risk limits", details: err.message });
+  }
+}
+
+/**
+ * POST /risk/kill-switch
+ * Body: { active: true | false, reason?, triggeredBy? }
+ * While active every order is rejected before it reaches Betfair and no bot can
+ * start. Turning it off also clears the halt set by POST /bot/stop-all.
+ */
+export function setKillSwitch(req, res) {
+  const { active, reason } = req.body || {};
+
+  if (typeof active !== "boolean") {
+    return res.status(400).json({ error: "active must be true or false" });
+  }
+
+  try {
+    const killSwitch = getRiskManager().setKillSwitch(active, typeof reason === "string" && reason.trim() ? reason.trim() : null, {
+      triggeredBy: requestedBy(req),
+    });
+    getEventHub().publish("killSwitch", { data: killSwitch });
+    return res.status(200).json({ killSwitch });
+  } catch (err) {
+    return res.status(500).json({ error: "Failed to change the kill switch", details: err.message });
+  }
+}
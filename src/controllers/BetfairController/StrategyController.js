@@ -0,0 +1,9 @@
+import { listStrategies as listAvailableStrategies } from "../../strategies/index.js";
+
+/**
+ * List Strategies Controller
+ * Returns the built-in strategies with their default parameters
+ */
+export function listStrategies(req, res) {
+  return res.status(200).json({ strategies: listAvailableStrategies() });
+}
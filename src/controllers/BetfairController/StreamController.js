@@ -1,56 +1,563 @@
-import { Worker } from "worker_threads";
-import { fileURLToPath } from "url";
-import { dirname, join } from "path";
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
+import { DEFAULT_STRATEGY, validateStrategy } from "../../strategies/index.js";
+import { getRecordingPath } from "../../stream/streamRecorder.js";
+import { getBotStore, BOT_STATES } from "../../service/botStore.js";
+import { betfairApiRequest } from "../../utils/axiosInstance.js";
+import { cancelBetOrders } from "../../utils/bettingService.js";
+import { getRiskManager } from "../../service/riskManager.js";
+import { getSessionManager } from "../../service/sessionManager.js";
+import { getUserStore } from "../../service/userStore.js";
+import { getEventHub } from "../../service/eventHub.js";
+import { getStreamManager } from "../../service/streamManager.js";
+import { isAdmin, betfairSessionFor } from "../../middleware/auth.js";
+import { readSessionToken } from "../../utils/requestInput.js";
 
 /**
  * In-memory state for active workers
- * Map<marketId, { worker: Worker, config: { size, upThreshold, downThreshold } }>
+ * Map<marketId, { worker: market channel (see openMarketStream), ownerId, config: { size, strategy, params, ... }, stream: { state, reconnectCount, ... } }>
  */
 const activeWorkers = new Map();
 
 /**
- * Factory function to create and manage a stream worker
+ * Watch-only streams (no strategy, never bet), shared by everyone watching the market
+ * Map<marketId, { worker, watch: true, ownerId, watchers: Set<userId>, sessionToken, stream, startedAt }>
+ * ownerId is the watcher whose Betfair session (and stream connection) the watch uses.
+ */
+const watchedMarkets = new Map();
+
+/**
+ * Watches still connecting - Map<marketId, Promise<entry>>
+ */
+const pendingWatches = new Map();
+
+const LIST_MARKET_BOOK_ENDPOINT = "/exchange/betting/rest/v1.0/listMarketBook/";
+
+/**
+ * Bot execution modes - "paper" routes bets to the worker's simulated matcher
+ */
+export const BOT_MODES = ["live", "paper"];
+
+/**
+ * Worker messages pushed to live clients (GET /live) as they arrive
+ */
+const LIVE_MESSAGES = [
+  "priceUpdate",
+  "ballCompleted",
+  "ballLines",
+  "status",
+  "connection",
+  "reconnecting",
+  "reconnected",
+  "orderUpdate",
+  "paperUpdate",
+  "betPlaced",
+  "betFailed",
+  "riskRejected",
+  "marketClosed",
+];
+
+/**
+ * Worker messages a watch publishes to every subscriber of the market - market
+ * data only, as the account's orders and bets on the connection are its owner's
+ */
+const WATCH_MESSAGES = [
+  "priceUpdate",
+  "ballCompleted",
+  "ballLines",
+  "status",
+  "connection",
+  "reconnecting",
+  "reconnected",
+  "marketClosed",
+];
+
+/**
+ * Request/reply over worker messages
+ * Posts { type, requestId, ...payload } and waits for { type: "reply", requestId }
  */
-function createStreamWorker(marketId, appKey, sessionToken, size = 1, upThreshold = 5, downThreshold = 3) {
+let requestSequence = 0;
+function requestFromWorker(worker, type, payload = {}, timeoutMs = 5000) {
   return new Promise((resolve, reject) => {
-    const workerPath = join(__dirname, "../../workers/StreamWorker.js");
-    const worker = new Worker(workerPath, {
-      workerData: { marketId, appKey, sessionToken, size, upThreshold, downThreshold },
-    });
+    const requestId = ++requestSequence;
 
-    const handlers = {
-      connected: () => resolve(worker),
-      error: (data) => {
-        worker.terminate();
-        reject(new Error(data.error || "Worker failed to start"));
-      },
-    };
+    const timer = setTimeout(() => {
+      worker.off("message", onMessage);
+      reject(new Error(`Worker did not answer '${type}' within ${timeoutMs}ms`));
+    }, timeoutMs);
 
-    // Set up initial message handlers
-    worker.on("message", (msg) => {
-      const handler = handlers[msg.type];
-      if (handler) {
-        handler(msg.data);
-        // Remove handler after first use
-        delete handlers[msg.type];
+    function onMessage(msg) {
+      if (msg.type !== "reply" || msg.requestId !== requestId) return;
+      clearTimeout(timer);
+      worker.off("message", onMessage);
+      if (msg.error) {
+        reject(new Error(msg.error));
+      } else {
+        resolve(msg.result);
       }
-    });
+    }
 
-    worker.on("error", (err) => {
-      reject(err);
-    });
+    worker.on("message", onMessage);
+    worker.postMessage({ type, requestId, ...payload });
+  });
+}
+
+/**
+ * Stream reconnection budget (read per call - env is loaded after imports)
+ */
+function getReconnectConfig() {
+  return {
+    maxRetries: parseInt(process.env.STREAM_RECONNECT_MAX_RETRIES, 10) || 10,
+    baseDelayMs: parseInt(process.env.STREAM_RECONNECT_BASE_DELAY_MS, 10) || 1000,
+    maxDelayMs: parseInt(process.env.STREAM_RECONNECT_MAX_DELAY_MS, 10) || 30000,
+  };
+}
+
+/**
+ * Stream endpoint (read per call - env is loaded after imports)
+ * Points at Betfair unless overridden, e.g. for the local stub (npm run stub)
+ */
+function getStreamConfig() {
+  return {
+    host: process.env.BETFAIR_STREAM_HOST || "stream-api.betfair.com",
+    port: parseInt(process.env.BETFAIR_STREAM_PORT, 10) || 443,
+    tls: process.env.BETFAIR_STREAM_TLS !== "false",
+    rejectUnauthorized: process.env.BETFAIR_STREAM_REJECT_UNAUTHORIZED !== "false",
+  };
+}
+
+/**
+ * Stream a market on its owner's shared connection (see service/streamManager.js)
+ * Resolves with the market's channel once the connection is up - it has the worker
+ * surface used here: postMessage, terminate and message / error / exit events.
+ * @param {Object} options - { botId, size, mode, strategy: { name, params } | null, disabledSelections, cancelUnmatchedAfterMs, recordingPath }
+ */
+function openMarketStream(marketId, appKey, sessionToken, ownerId, { botId = null, size = 1, mode = "live", strategy, disabledSelections = [], cancelUnmatchedAfterMs = null, recordingPath = null }) {
+  return getStreamManager().openMarket({
+    key: connectionKeyFor(ownerId),
+    appKey,
+    sessionToken,
+    stream: getStreamConfig(),
+    reconnect: getReconnectConfig(),
+    market: { marketId, ownerId, botId, size, mode, strategy, disabledSelections, cancelUnmatchedAfterMs, recordingPath },
+  });
+}
+
+/**
+ * Hand a renewed session token to a running worker and to its saved definition
+ * (so a restore after a restart uses it too)
+ */
+function pushSession(marketId, entry, sessionToken) {
+  if (!sessionToken || entry.sessionToken === sessionToken) return;
+  entry.sessionToken = sessionToken;
+  entry.worker.postMessage({ type: "updateSession", sessionToken });
+  // Watches are not saved, so there is no definition to update
+  if (entry.watch) return;
+  try {
+    getBotStore().updateBotConfig(marketId, { session: { token: sessionToken } });
+  } catch (err) {
+    console.error(`[Stream Controller] Failed to save the new session for market ${marketId}:`, err.message);
+  }
+}
+
+/**
+ * Bots of the admin (and older bots without an owner) run on the managed session,
+ * everyone else's on the Betfair session stored on their account
+ */
+function followsManagedSession(ownerId) {
+  return !ownerId || isAdmin(getUserStore().getUser(ownerId));
+}
+
+/**
+ * Stream connection a bot or watch shares - one per Betfair account
+ */
+function connectionKeyFor(ownerId) {
+  return followsManagedSession(ownerId) ? "managed" : ownerId;
+}
+
+/**
+ * Betfair session a user's bots and watches stream on: the one stored for them
+ * (the managed session for the admin). A connection carries one account, so a token
+ * from the request is only used when nothing is stored yet - see keepStreamSession.
+ * @returns {string|null}
+ */
+function streamSessionFor(req) {
+  return betfairSessionFor(req.user) || readSessionToken(req);
+}
+
+/**
+ * A stream started with the request's own token makes it the account's stored session
+ * (the managed one for the admin), so later bots and watches join it on the same account
+ */
+function keepStreamSession(ownerId, sessionToken) {
+  if (followsManagedSession(ownerId)) {
+    getSessionManager().adoptSession(sessionToken, { source: "bot" });
+  } else if (ownerId && !getUserStore().getBetfairSession(ownerId)) {
+    getUserStore().setBetfairSession(ownerId, sessionToken);
+  }
+}
+
+/**
+ * Whether a user may see and control a bot - its owner, or the admin
+ */
+function canControl(user, entry) {
+  return Boolean(user) && (isAdmin(user) || entry.ownerId === user.id);
+}
+
+/**
+ * Running bot of a market, if the user may see it
+ */
+function getOwnEntry(user, marketId) {
+  const entry = activeWorkers.get(marketId);
+  return entry && canControl(user, entry) ? entry : null;
+}
+
+/**
+ * Every running worker - bots and watches
+ */
+function* allStreams() {
+  yield* activeWorkers.entries();
+  yield* watchedMarkets.entries();
+}
+
+// The admin's bots and watches follow the managed session (login, re-login after expiry)
+getSessionManager().onSessionChange((sessionToken) => {
+  for (const [marketId, entry] of allStreams()) {
+    if (followsManagedSession(entry.ownerId)) pushSession(marketId, entry, sessionToken);
+  }
+});
+
+let releaseSessionKeepAlive = null;
+
+/**
+ * Users' own sessions are kept alive with the managed one while a bot or watch runs on them -
+ * registered with the first bot or watch and dropped with the last, so an idle process has no timer
+ */
+function syncSessionKeepAlive() {
+  const running = activeWorkers.size + watchedMarkets.size > 0;
+  if (running && !releaseSessionKeepAlive) {
+    releaseSessionKeepAlive = getSessionManager().keepAliveSessions(() =>
+      [...allStreams()].filter(([, entry]) => !followsManagedSession(entry.ownerId)).map(([, entry]) => entry.sessionToken)
+    );
+  } else if (!running && releaseSessionKeepAlive) {
+    releaseSessionKeepAlive();
+    releaseSessionKeepAlive = null;
+  }
+}
+
+/**
+ * Hand a user's new Betfair session to every bot and watch running on it
+ */
+export function updateOwnerSession(ownerId, sessionToken) {
+  for (const [marketId, entry] of allStreams()) {
+    if (entry.ownerId === ownerId) pushSession(marketId, entry, sessionToken);
+  }
+}
+
+/**
+ * Markets whose bot or watch streams on a Betfair session
+ * @returns {string[]}
+ */
+export function marketsOnSession(sessionToken) {
+  return [...allStreams()].filter(([, entry]) => entry.sessionToken === sessionToken).map(([marketId]) => marketId);
+}
+
+/**
+ * Session to retry with after Betfair refused a bot's token
+ * The managed session logs in again; a user's bot can only catch up with a newer stored token.
+ * @returns {Promise<string|null>}
+ */
+async function renewSession(entry, rejectedToken, errorCode) {
+  if (followsManagedSession(entry.ownerId)) {
+    return getSessionManager().reportInvalid(rejectedToken, errorCode);
+  }
+  const stored = getUserStore().getBetfairSession(entry.ownerId);
+  return stored && stored !== rejectedToken ? stored : null;
+}
+
+/**
+ * Who asked for a stop or halt: `triggeredBy` from the body, else the caller's address
+ */
+export function requestedBy(req) {
+  const { triggeredBy } = req.body || {};
+  return typeof triggeredBy === "string" && triggeredBy.trim() ? triggeredBy.trim() : req.ip || "unknown";
+}
+
+/**
+ * Persist that a bot stopped (store failures never break the stop itself)
+ */
+function recordBotStopped(marketId, reason, options) {
+  try {
+    getBotStore().botStopped(marketId, reason, options);
+  } catch (err) {
+    console.error(`[Stream Controller] Failed to persist stop for market ${marketId}:`, err.message);
+  }
+}
+
+/**
+ * Push a bot lifecycle change (botStarted, botStopped) to live clients
+ */
+function publishBotState(type, marketId, entry, data = {}) {
+  getEventHub().publish(type, {
+    marketId,
+    ownerId: entry.ownerId,
+    data: { botId: entry.botId, mode: entry.mode, strategy: entry.config.strategy, ...data },
+  });
+}
 
-    // Timeout after 30 seconds
-    setTimeout(() => {
-      if (handlers.connected) {
-        worker.terminate();
-        reject(new Error("Worker connection timeout"));
+/**
+ * Drop a worker from activeWorkers and record why
+ * No-op when the entry already belongs to a newer worker (bot was restarted)
+ */
+function retireWorker(marketId, worker, reason) {
+  const entry = activeWorkers.get(marketId);
+  if (!entry || entry.worker !== worker) return false;
+  activeWorkers.delete(marketId);
+  syncSessionKeepAlive();
+  recordBotStopped(marketId, reason);
+  publishBotState("botStopped", marketId, entry, { reason });
+  return true;
+}
+
+/**
+ * Start (or restart) the worker for a market and register it
+ * Shared by POST /bot/start and the restore on boot
+ * @param {Object} config - { botId, ownerId, size, mode, strategy, params, disabledSelections, cancelUnmatchedAfterMs, record, eventName, marketName }
+ *   ownerId is the user who started the bot (null for bots saved before accounts existed).
+ *   botId is kept when restoring, otherwise a new one is assigned (it tags the bot's bets in the ledger)
+ * @param {Object} [options] - { restored } when resuming a bot saved before a restart
+ * @returns {Promise<Object>} The activeWorkers entry
+ */
+async function launchBot(marketId, appKey, sessionToken, config, { restored = false } = {}) {
+  const {
+    botId = `bot-${marketId}-${Date.now()}`,
+    ownerId = null,
+    size,
+    mode,
+    strategy,
+    params,
+    disabledSelections = [],
+    cancelUnmatchedAfterMs = null,
+    record = false,
+    eventName = null,
+    marketName = null,
+  } = config;
+
+  /**
+   * Stop existing worker if already running
+   */
+  if (activeWorkers.has(marketId)) {
+    try {
+      const existing = activeWorkers.get(marketId);
+      existing.worker.postMessage({ type: "stop" });
+      existing.worker.terminate();
+      activeWorkers.delete(marketId);
+      syncSessionKeepAlive();
+      getBotStore().audit(marketId, "stopped", { reason: "Replaced by a new start" });
+      publishBotState("botStopped", marketId, existing, { reason: "Replaced by a new start" });
+    } catch (err) {
+      console.error(`[Stream] Error stopping existing worker for ${marketId}:`, err.message);
+    }
+  }
+
+  // Raw stream lines go to this file when recording is requested
+  const recordingPath = record ? getRecordingPath(marketId) : null;
+
+  /**
+   * Add the market to its account's stream connection (started if needed)
+   */
+  const worker = await openMarketStream(marketId, appKey, sessionToken, ownerId, {
+    botId,
+    size,
+    mode,
+    strategy: { name: strategy, params },
+    disabledSelections,
+    cancelUnmatchedAfterMs,
+    recordingPath,
+  });
+
+  /**
+   * Set up worker message handlers
+   * Worker handles its own logging - controller only manages worker lifecycle
+   */
+  worker.on("message", (msg) => {
+    if (LIVE_MESSAGES.includes(msg.type)) {
+      const { type, marketId: messageMarketId, ...data } = msg;
+      getEventHub().publish(type, { marketId: messageMarketId, ownerId, data: { botId, ...data } });
+    }
+
+    // Only handle critical events that affect worker management
+    switch (msg.type) {
+      case "error":
+        console.error(`[Stream Controller] Market ${msg.marketId} worker reported error:`, msg.error || msg);
+        break;
+
+      case "reconnecting": {
+        const entry = activeWorkers.get(msg.marketId);
+        if (entry && entry.worker === worker) {
+          entry.stream.state = "reconnecting";
+          entry.stream.reconnectAttempt = msg.attempt;
+        }
+        break;
+      }
+
+      case "reconnected": {
+        const entry = activeWorkers.get(msg.marketId);
+        if (entry && entry.worker === worker) {
+          entry.stream.state = "connected";
+          entry.stream.reconnectAttempt = 0;
+          entry.stream.reconnectCount = msg.reconnectCount;
+          entry.stream.lastReconnectAt = msg.lastReconnectAt;
+        }
+        break;
+      }
+
+      case "orderUpdate": {
+        // Latest merged order state for this market from the Order Stream
+        const entry = activeWorkers.get(msg.marketId);
+        if (entry && entry.worker === worker) {
+          entry.orders = msg.orders;
+          entry.ordersUpdatedAt = new Date().toISOString();
+        }
+        break;
+      }
+
+      case "sessionInvalid": {
+        // Betfair refused the worker's token - renew it (or catch up with the current one)
+        const entry = activeWorkers.get(msg.marketId);
+        if (entry && entry.worker === worker) {
+          console.error(`[Stream Controller] Market ${msg.marketId} - Session rejected (${msg.errorCode}, ${msg.source})`);
+          renewSession(entry, msg.sessionToken, msg.errorCode)
+            .then((sessionToken) => {
+              const current = activeWorkers.get(msg.marketId);
+              if (current && current.worker === worker) pushSession(msg.marketId, current, sessionToken);
+            })
+            .catch((err) => console.error(`[Stream Controller] Session renewal failed:`, err.message));
+        }
+        break;
+      }
+
+      case "paperUpdate": {
+        // Simulated bets and virtual P&L from the worker's paper matcher
+        const entry = activeWorkers.get(msg.marketId);
+        if (entry && entry.worker === worker) {
+          entry.paper = msg.paper;
+        }
+        break;
       }
-    }, 30000);
+
+      case "marketClosed":
+        // Market is closed - auto-stop the bot
+        console.log(`[Stream Controller] Market ${msg.marketId} - Auto-stopping bot (Market closed)`);
+        retireWorker(msg.marketId, worker, "Market closed");
+        try {
+          worker.postMessage({ type: "stop" });
+          worker.terminate();
+        } catch (err) {
+          console.error(`[Stream Controller] Error stopping worker for market ${msg.marketId}:`, err.message);
+        }
+        break;
+
+      case "closed":
+        // Reconnect budget exhausted (or worker stopped) - remove from active workers
+        retireWorker(msg.marketId, worker, msg.reason ? `Stream closed: ${msg.reason}` : "Stream closed");
+        break;
+
+      case "stopped":
+        // Worker stopped - remove from active workers
+        retireWorker(msg.marketId, worker, "Worker stopped");
+        break;
+
+      // Other messages (connected, connection, status, ballCompleted, priceUpdate, bet results)
+      // are logged by the worker and only pushed to live clients
+    }
+  });
+
+  worker.on("error", (err) => {
+    console.error(`[Stream Worker] Market ${marketId} worker error:`, err);
+    retireWorker(marketId, worker, `Worker error: ${err.message}`);
+  });
+
+  worker.on("exit", (code) => {
+    if (code !== 0) {
+      console.error(`[Stream Worker] Market ${marketId} worker exited with code ${code}`);
+    }
+    retireWorker(marketId, worker, `Worker exited with code ${code}`);
   });
+
+  const entry = {
+    worker,
+    botId,
+    ownerId,
+    mode,
+    // Token the worker currently uses (never sent to clients)
+    sessionToken,
+    config: {
+      size,
+      strategy,
+      params,
+      // Kept at the top level for existing UI views
+      upThreshold: params.upThreshold,
+      downThreshold: params.downThreshold,
+      disabledSelections,
+      cancelUnmatchedAfterMs,
+    },
+    // Stream connection health (updated by reconnecting/reconnected messages)
+    stream: {
+      state: "connected",
+      reconnectAttempt: 0,
+      reconnectCount: 0,
+      lastReconnectAt: null,
+    },
+    // Recording file when started with record: true
+    recording: recordingPath,
+    // Paper matcher report (simulated bets + virtual P&L)
+    paper: null,
+    // Order Stream state (filled by orderUpdate messages)
+    orders: null,
+    ordersUpdatedAt: null,
+    // Optional metadata for UI display
+    eventName,
+    marketName,
+    startedAt: new Date().toISOString(),
+    restored,
+  };
+
+  /**
+   * Store worker reference with configuration
+   */
+  activeWorkers.set(marketId, entry);
+  syncSessionKeepAlive();
+  publishBotState("botStarted", marketId, entry, { restored });
+
+  // A bot started with its own token keeps it (alive) when nothing else is stored
+  keepStreamSession(ownerId, sessionToken);
+
+  /**
+   * Persist the definition so the bot survives a restart
+   */
+  try {
+    getBotStore().botStarted(
+      {
+        marketId,
+        botId,
+        ownerId,
+        mode,
+        size,
+        strategy,
+        params,
+        disabledSelections,
+        cancelUnmatchedAfterMs,
+        record,
+        eventName,
+        marketName,
+        session: { token: sessionToken },
+      },
+      { restored, reason: restored ? "Restored after restart" : "Started via API" }
+    );
+  } catch (err) {
+    console.error(`[Stream Controller] Failed to persist bot for market ${marketId}:`, err.message);
+  }
+
+  return entry;
 }
 
 /**
@@ -59,18 +566,21 @@ function createStreamWorker(marketId, appKey, sessionToken, size = 1, upThreshol
  */
 export async function startBot(req, res) {
   const appKey = process.env.BETFAIR_APP_KEY;
-  const sessionToken =
-    req.header("X-Authentication") ||
-    req.header("x-authentication") ||
-    (req.header("Authorization") || "").replace(/Bearer\s+/i, "").trim();
+  const sessionToken = streamSessionFor(req);
 
   const {
     marketId,
     size,
+    mode = "live",
+    strategy = DEFAULT_STRATEGY,
+    params = {},
     upThreshold,
     downThreshold,
     eventName,
     marketName,
+    disabledSelections,
+    cancelUnmatchedAfterMs,
+    record,
   } = req.body || {};
 
   if (!appKey) {
@@ -85,114 +595,64 @@ export async function startBot(req, res) {
     return res.status(400).json({ error: "marketId is required" });
   }
 
-  // Validate and set defaults
-  const betSize = size && size > 0 ? parseFloat(size) : 1;
-  const upThresh = upThreshold && upThreshold > 0 ? parseFloat(upThreshold) : 5;
-  const downThresh = downThreshold && downThreshold > 0 ? parseFloat(downThreshold) : 3;
+  if (!BOT_MODES.includes(mode)) {
+    return res.status(400).json({ error: `mode must be one of: ${BOT_MODES.join(", ")}` });
+  }
 
-  /**
-   * Stop existing worker if already running
-   */
-  if (activeWorkers.has(marketId)) {
-    try {
-      const existing = activeWorkers.get(marketId);
-      existing.worker.postMessage({ type: "stop" });
-      existing.worker.terminate();
-      activeWorkers.delete(marketId);
-    } catch (err) {
-      console.error(`[Stream] Error stopping existing worker for ${marketId}:`, err.message);
-    }
+  const halt = getRiskManager().getKillSwitch();
+  if (halt.active) {
+    return res.status(403).json({ error: "Trading is halted - clear it with POST /risk/kill-switch first", halt });
   }
 
-  try {
-    /**
-     * Create worker thread in background
-     */
-    const worker = await createStreamWorker(marketId, appKey, sessionToken, betSize, upThresh, downThresh);
-
-    /**
-     * Set up worker message handlers
-     * Worker handles its own logging - controller only manages worker lifecycle
-     */
-    worker.on("message", (msg) => {
-      // Only handle critical events that affect worker management
-      switch (msg.type) {
-        case "error":
-          console.error(`[Stream Controller] Market ${msg.marketId} worker reported error:`, msg.error || msg);
-          break;
-
-        case "marketClosed":
-          // Market is closed - auto-stop the bot
-          console.log(`[Stream Controller] Market ${msg.marketId} - Auto-stopping bot (Market closed)`);
-          try {
-            worker.postMessage({ type: "stop" });
-            worker.terminate();
-            activeWorkers.delete(msg.marketId);
-          } catch (err) {
-            console.error(`[Stream Controller] Error stopping worker for market ${msg.marketId}:`, err.message);
-            activeWorkers.delete(msg.marketId);
-          }
-          break;
+  // One bot per market - another user's bot is not replaced
+  const existing = activeWorkers.get(marketId);
+  if (existing && !canControl(req.user, existing)) {
+    return res.status(409).json({ error: "Another user's bot is running on this market", marketId });
+  }
 
-        case "closed":
-          // Worker connection closed - remove from active workers
-          const closedEntry = activeWorkers.get(msg.marketId);
-          if (closedEntry && closedEntry.worker === worker) {
-            activeWorkers.delete(msg.marketId);
-          }
-          break;
+  // Validate and set defaults
+  const betSize = size && size > 0 ? parseFloat(size) : 1;
 
-        case "stopped":
-          // Worker stopped - remove from active workers
-          const stoppedEntry = activeWorkers.get(msg.marketId);
-          if (stoppedEntry && stoppedEntry.worker === worker) {
-            activeWorkers.delete(msg.marketId);
-          }
-          break;
+  // Top-level thresholds are still accepted for the line-movement strategy
+  const strategyParams = params && typeof params === "object" && !Array.isArray(params) ? { ...params } : params;
+  if (strategy === DEFAULT_STRATEGY && strategyParams && typeof strategyParams === "object") {
+    if (strategyParams.upThreshold === undefined && upThreshold > 0) strategyParams.upThreshold = upThreshold;
+    if (strategyParams.downThreshold === undefined && downThreshold > 0) strategyParams.downThreshold = downThreshold;
+  }
 
-        // Other messages (connected, connection, status, ballCompleted, priceUpdate)
-        // are logged directly by the worker - no action needed here
-      }
-    });
+  const validation = validateStrategy(strategy, strategyParams);
+  if (validation.errors.length > 0) {
+    return res.status(400).json({ error: "Invalid strategy parameters", strategy, details: validation.errors });
+  }
 
-    worker.on("error", (err) => {
-      console.error(`[Stream Worker] Market ${marketId} worker error:`, err);
-      const errorEntry = activeWorkers.get(marketId);
-      if (errorEntry && errorEntry.worker === worker) {
-        activeWorkers.delete(marketId);
-      }
-    });
+  if (disabledSelections !== undefined && !Array.isArray(disabledSelections)) {
+    return res.status(400).json({ error: "disabledSelections must be an array of selectionIds" });
+  }
+  const disabledIds = (disabledSelections || []).map(Number).filter((id) => Number.isFinite(id));
 
-    worker.on("exit", (code) => {
-      if (code !== 0) {
-        console.error(`[Stream Worker] Market ${marketId} worker exited with code ${code}`);
-      }
-      const exitEntry = activeWorkers.get(marketId);
-      if (exitEntry && exitEntry.worker === worker) {
-        activeWorkers.delete(marketId);
-      }
-    });
+  // Optional: pull the bot's own bets that are still unmatched after this long
+  if (cancelUnmatchedAfterMs !== undefined && cancelUnmatchedAfterMs !== null && !(Number.isInteger(cancelUnmatchedAfterMs) && cancelUnmatchedAfterMs > 0)) {
+    return res.status(400).json({ error: "cancelUnmatchedAfterMs must be a positive integer (milliseconds)" });
+  }
 
-    /**
-     * Store worker reference with configuration
-     */
-    activeWorkers.set(marketId, {
-      worker,
-      config: {
-        size: betSize,
-        upThreshold: upThresh,
-        downThreshold: downThresh,
-      },
-      // Optional metadata for UI display
+  try {
+    await launchBot(marketId, appKey, sessionToken, {
+      ownerId: req.user?.id || null,
+      size: betSize,
+      mode,
+      strategy,
+      params: validation.params,
+      disabledSelections: disabledIds,
+      cancelUnmatchedAfterMs: cancelUnmatchedAfterMs || null,
+      record: record === true,
       eventName: eventName || null,
       marketName: marketName || null,
     });
 
-   
-
     return res.status(200).json({
       message: "Bot started successfully",
       marketId,
+      mode,
       running: true,
     });
   } catch (err) {
@@ -209,13 +669,15 @@ export async function startBot(req, res) {
  * Terminates the worker thread for the specified market
  */
 export function stopBot(req, res) {
-  const { marketId } = req.body || {};
+  const { marketId, reason } = req.body || {};
 
   if (!marketId) {
     return res.status(400).json({ error: "marketId is required" });
   }
 
-  if (!activeWorkers.has(marketId)) {
+  // Other users' bots look like no bot at all
+  const entry = getOwnEntry(req.user, marketId);
+  if (!entry) {
     return res.status(404).json({
       error: "Bot is not running for this market",
       marketId,
@@ -223,7 +685,6 @@ export function stopBot(req, res) {
   }
 
   try {
-    const entry = activeWorkers.get(marketId);
     const worker = entry.worker;
 
     // Send stop message to worker
@@ -234,6 +695,14 @@ export function stopBot(req, res) {
 
     // Remove from active workers
     activeWorkers.delete(marketId);
+    syncSessionKeepAlive();
+
+    // Stopped on purpose - not restored on the next boot
+    const stopReason = typeof reason === "string" && reason.trim() ? reason.trim() : "Stopped via API";
+    recordBotStopped(marketId, stopReason, {
+      details: { triggeredBy: requestedBy(req) },
+    });
+    publishBotState("botStopped", marketId, entry, { reason: stopReason });
 
     console.log(`[Stream] Bot stopped for market ${marketId}`);
 
@@ -251,30 +720,179 @@ export function stopBot(req, res) {
   }
 }
 
+/**
+ * Stop All Bots Controller
+ * Emergency stop: halts trading (kill switch on), terminates every worker and
+ * optionally cancels the unmatched orders on the live bots' markets - each with
+ * its own bot's Betfair session, as the bots may trade on different accounts.
+ * Body: { reason?, triggeredBy?, cancelOrders?: boolean }
+ */
+export async function stopAllBots(req, res) {
+  const appKey = process.env.BETFAIR_APP_KEY;
+  const { reason, cancelOrders = false } = req.body || {};
+
+  if (typeof cancelOrders !== "boolean") {
+    return res.status(400).json({ error: "cancelOrders must be true or false" });
+  }
+
+  if (cancelOrders && !appKey) {
+    return res.status(400).json({ error: "BETFAIR_APP_KEY environment variable not set" });
+  }
+
+  const triggeredBy = requestedBy(req);
+  const stopReason = typeof reason === "string" && reason.trim() ? reason.trim() : "Emergency stop";
+
+  let halt;
+  try {
+    // Halt first so nothing a bot sends while stopping reaches Betfair
+    halt = getRiskManager().setKillSwitch(true, stopReason, { triggeredBy });
+    getEventHub().publish("killSwitch", { data: halt });
+  } catch (err) {
+    return res.status(500).json({ error: "Failed to halt trading", details: err.message });
+  }
+
+  const entries = [...activeWorkers.entries()];
+  const markets = [];
+
+  for (const [marketId, entry] of entries) {
+    const result = { marketId, botId: entry.botId, mode: entry.mode, stopped: false, cancel: null };
+
+    try {
+      entry.worker.postMessage({ type: "stop" });
+      entry.worker.terminate();
+      activeWorkers.delete(marketId);
+      syncSessionKeepAlive();
+      result.stopped = true;
+    } catch (err) {
+      result.error = err.message;
+    }
+
+    // Paper bots have nothing on Betfair to cancel
+    if (cancelOrders && entry.mode === "live" && !entry.sessionToken) {
+      result.cancel = { status: "FAILURE", error: "No Betfair session for this bot" };
+    } else if (cancelOrders && entry.mode === "live") {
+      try {
+        const response = await cancelBetOrders(marketId, appKey, entry.sessionToken);
+        const reports = response?.result?.instructionReports || [];
+        result.cancel = {
+          status: response?.result?.status || "FAILURE",
+          cancelled: reports.filter((report) => report.status === "SUCCESS").length,
+          ...(response?.error ? { error: response.error } : {}),
+        };
+      } catch (err) {
+        result.cancel = { status: "FAILURE", error: err.response?.data || err.message };
+      }
+    }
+
+    recordBotStopped(marketId, stopReason, {
+      details: { triggeredBy, stopAll: true, ...(result.cancel ? { cancel: result.cancel } : {}) },
+    });
+    publishBotState("botStopped", marketId, entry, { reason: stopReason, stopAll: true });
+    markets.push(result);
+  }
+
+  // Bots left running or with their orders still on Betfair
+  const failed = markets.filter((market) => !market.stopped || (market.cancel && market.cancel.status !== "SUCCESS"));
+
+  console.log(
+    `[Stream] Stop-all by ${triggeredBy}: ${markets.length} bot(s) stopped${cancelOrders ? ", unmatched orders cancelled" : ""} - ${stopReason}`
+  );
+  for (const market of failed) {
+    console.error(`[Stream] Stop-all: market ${market.marketId} ${market.stopped ? "orders not cancelled" : "not stopped"}:`, market.cancel?.error || market.error);
+  }
+
+  return res.status(200).json({
+    message: failed.length > 0 ? `Trading halted - ${failed.length} bot(s) could not be fully stopped` : "Trading halted",
+    halt,
+    markets,
+    failed: failed.map((market) => market.marketId),
+  });
+}
+
+/**
+ * Set Bot Selection Controller
+ * Enables or disables the betting rule for one selection of a running bot
+ */
+export function setBotSelection(req, res) {
+  const { marketId, selectionId, enabled } = req.body || {};
+
+  if (!marketId) {
+    return res.status(400).json({ error: "marketId is required" });
+  }
+
+  if (selectionId === undefined || selectionId === null || !Number.isFinite(Number(selectionId))) {
+    return res.status(400).json({ error: "selectionId is required" });
+  }
+
+  if (typeof enabled !== "boolean") {
+    return res.status(400).json({ error: "enabled must be a boolean" });
+  }
+
+  const entry = getOwnEntry(req.user, marketId);
+  if (!entry) {
+    return res.status(404).json({
+      error: "Bot is not running for this market",
+      marketId,
+    });
+  }
+
+  const id = Number(selectionId);
+  entry.worker.postMessage({ type: "setSelectionEnabled", selectionId: id, enabled });
+
+  const disabled = entry.config.disabledSelections.filter((existing) => existing !== id);
+  entry.config.disabledSelections = enabled ? disabled : [...disabled, id];
+
+  try {
+    getBotStore().updateBotConfig(marketId, { disabledSelections: entry.config.disabledSelections });
+  } catch (err) {
+    console.error(`[Stream Controller] Failed to persist selections for market ${marketId}:`, err.message);
+  }
+
+  return res.status(200).json({
+    marketId,
+    selectionId: id,
+    enabled,
+    disabledSelections: entry.config.disabledSelections,
+  });
+}
+
 /**
  * Get Bot Status Controller
- * Returns status of all active bots with their configurations
+ * Returns status of the caller's active bots (every bot for the admin) with their configurations
  */
 export function getBotStatus(req, res) {
   const { marketId } = req.query || {};
 
   if (marketId) {
     // Check specific market
-    const entry = activeWorkers.get(marketId);
+    const entry = getOwnEntry(req.user, marketId);
     const isRunning = !!entry;
     return res.status(200).json({
       marketId,
       running: isRunning,
+      ...(isRunning ? { botId: entry.botId, ownerId: entry.ownerId, mode: entry.mode } : {}),
       ...(isRunning && entry.config ? { config: entry.config } : {}),
+      ...(isRunning && entry.paper ? { paper: entry.paper } : {}),
+      ...(isRunning && entry.recording ? { recording: entry.recording } : {}),
+      ...(isRunning ? { stream: entry.stream, startedAt: entry.startedAt, restored: entry.restored } : {}),
     });
   }
 
   // Return all active markets with their configurations
   const activeBots = {};
   for (const [id, entry] of activeWorkers.entries()) {
+    if (!canControl(req.user, entry)) continue;
     activeBots[id] = {
       running: true,
+      botId: entry.botId,
+      ownerId: entry.ownerId,
+      mode: entry.mode,
       config: entry.config,
+      stream: entry.stream,
+      startedAt: entry.startedAt,
+      restored: entry.restored,
+      ...(entry.paper ? { paper: entry.paper } : {}),
+      ...(entry.recording ? { recording: entry.recording } : {}),
       // Pass-through metadata for frontend views (e.g. BotPage)
       ...(entry.eventName ? { eventName: entry.eventName } : {}),
       ...(entry.marketName ? { marketName: entry.marketName } : {}),
@@ -285,5 +903,547 @@ export function getBotStatus(req, res) {
     activeBots,
     activeMarkets: Object.keys(activeBots),
     count: Object.keys(activeBots).length,
+    // Shared stream connections and their markets (bots and watches)
+    ...(isAdmin(req.user) ? { connections: getStreamManager().getConnections() } : {}),
+  });
+}
+
+/**
+ * Get Bot Orders Controller
+ * Returns the bot's order state (unmatched, matched, average price, size remaining)
+ * as last reported by the worker's Order Stream subscription
+ */
+export function getBotOrders(req, res) {
+  const { marketId } = req.query || {};
+
+  if (!marketId) {
+    return res.status(400).json({ error: "marketId query parameter is required" });
+  }
+
+  const entry = getOwnEntry(req.user, marketId);
+  if (!entry) {
+    return res.status(404).json({
+      error: "Bot is not running for this market",
+      marketId,
+    });
+  }
+
+  return res.status(200).json({
+    marketId,
+    orders: entry.orders,
+    updatedAt: entry.ordersUpdatedAt,
+  });
+}
+
+/**
+ * Get Bot Audit Controller
+ * Returns the lifecycle audit (started, stopped, restored, ...) newest first,
+ * and the saved definition of the bot when a marketId is given.
+ * Users see the events of their own bots, the admin sees everything.
+ */
+export function getBotAudit(req, res) {
+  const { marketId } = req.query || {};
+  const limit = parseInt(req.query?.limit, 10) || 100;
+  const ownerId = isAdmin(req.user) ? undefined : req.user?.id;
+
+  try {
+    const store = getBotStore();
+    const saved = marketId ? store.getBot(marketId) : null;
+    const visible = saved && (ownerId === undefined || saved.ownerId === ownerId);
+    return res.status(200).json({
+      ...(marketId ? { marketId, bot: visible ? withoutSession(saved) : null } : {}),
+      events: store.getAudit({ marketId, ownerId, limit }),
+    });
+  } catch (err) {
+    return res.status(500).json({ error: "Failed to read bot audit", details: err.message });
+  }
+}
+
+/**
+ * Most markets watched at once (read per call - env is loaded after imports)
+ * Every watch adds a market to its account's stream subscription.
+ */
+export const DEFAULT_MAX_WATCHED_MARKETS = 10;
+
+function getMaxWatchedMarkets() {
+  return parseInt(process.env.WATCH_MAX_MARKETS, 10) || DEFAULT_MAX_WATCHED_MARKETS;
+}
+
+/**
+ * Market ids from { marketIds: [...] | "1.1,1.2" } or { marketId }
+ * @returns {string[]|null} null when none or not all are non-empty strings
+ */
+function parseMarketIds({ marketIds, marketId } = {}) {
+  let ids = marketIds ?? (marketId ? [marketId] : null);
+  if (typeof ids === "string") ids = ids.split(",").map((id) => id.trim());
+  if (!Array.isArray(ids) || ids.length === 0) return null;
+  if (!ids.every((id) => typeof id === "string" && id.trim())) return null;
+  return [...new Set(ids.map((id) => id.trim()))];
+}
+
+/**
+ * Users a watch's live events are for - its watchers (the admin gets every event anyway)
+ */
+function watchAudience(marketId, worker) {
+  const entry = watchedMarkets.get(marketId);
+  return entry && entry.worker === worker ? [...entry.watchers] : [];
+}
+
+/**
+ * Drop a watch worker and tell its watchers
+ * No-op when the entry already belongs to another worker
+ * @param {string[]} [audience] - Who to tell, the remaining watchers by default
+ */
+function retireWatch(marketId, worker, reason, audience = watchAudience(marketId, worker)) {
+  const entry = watchedMarkets.get(marketId);
+  if (!entry || entry.worker !== worker) return false;
+  watchedMarkets.delete(marketId);
+  syncSessionKeepAlive();
+  getEventHub().publish("watchStopped", { marketId, audience, data: { reason } });
+  return true;
+}
+
+function terminateWatch(marketId, entry, reason, audience) {
+  retireWatch(marketId, entry.worker, reason, audience);
+  try {
+    entry.worker.postMessage({ type: "stop" });
+    entry.worker.terminate();
+  } catch (err) {
+    console.error(`[Stream Controller] Error stopping watch for market ${marketId}:`, err.message);
+  }
+}
+
+/**
+ * Follow a watch's stream messages (live events, connection health, closing)
+ */
+function watchStreamMessages(marketId, worker) {
+  worker.on("message", (msg) => {
+    // Market data goes to the users watching the market
+    if (WATCH_MESSAGES.includes(msg.type)) {
+      const { type, marketId: messageMarketId, ...data } = msg;
+      getEventHub().publish(type, { marketId: messageMarketId, audience: watchAudience(marketId, worker), data: { watch: true, ...data } });
+    }
+
+    const entry = watchedMarkets.get(marketId);
+    if (!entry || entry.worker !== worker) return;
+
+    switch (msg.type) {
+      case "reconnecting":
+        entry.stream.state = "reconnecting";
+        entry.stream.reconnectAttempt = msg.attempt;
+        break;
+
+      case "reconnected":
+        entry.stream.state = "connected";
+        entry.stream.reconnectAttempt = 0;
+        entry.stream.reconnectCount = msg.reconnectCount;
+        entry.stream.lastReconnectAt = msg.lastReconnectAt;
+        break;
+
+      case "sessionInvalid":
+        console.error(`[Stream Controller] Market ${marketId} watch - Session rejected (${msg.errorCode}, ${msg.source})`);
+        renewSession(entry, msg.sessionToken, msg.errorCode)
+          .then((token) => {
+            if (watchedMarkets.get(marketId) === entry) pushSession(marketId, entry, token);
+          })
+          .catch((err) => console.error(`[Stream Controller] Session renewal failed:`, err.message));
+        break;
+
+      case "marketClosed":
+        terminateWatch(marketId, entry, "Market closed");
+        break;
+
+      case "closed":
+        retireWatch(marketId, worker, msg.reason ? `Stream closed: ${msg.reason}` : "Stream closed");
+        break;
+
+      case "stopped":
+        retireWatch(marketId, worker, "Worker stopped");
+        break;
+    }
   });
+
+  worker.on("error", (err) => {
+    console.error(`[Stream Worker] Market ${marketId} watch error:`, err);
+    retireWatch(marketId, worker, `Worker error: ${err.message}`);
+  });
+
+  worker.on("exit", (code) => retireWatch(marketId, worker, `Worker exited with code ${code}`));
+}
+
+/**
+ * Stream a market without a strategy, so it never bets
+ * @param {string} ownerId - Watcher whose Betfair session the watch uses
+ * @returns {Promise<Object>} The watchedMarkets entry
+ */
+async function launchWatch(marketId, appKey, sessionToken, ownerId) {
+  const worker = await openMarketStream(marketId, appKey, sessionToken, ownerId, { mode: "watch", strategy: null });
+  watchStreamMessages(marketId, worker);
+  keepStreamSession(ownerId, sessionToken);
+
+  const entry = {
+    worker,
+    watch: true,
+    ownerId,
+    watchers: new Set([ownerId]),
+    sessionToken,
+    stream: {
+      state: "connected",
+      reconnectAttempt: 0,
+      reconnectCount: 0,
+      lastReconnectAt: null,
+    },
+    startedAt: new Date().toISOString(),
+  };
+  watchedMarkets.set(marketId, entry);
+  syncSessionKeepAlive();
+  getEventHub().publish("watchStarted", { marketId, audience: [ownerId] });
+
+  console.log(`[Stream] Watching market ${marketId}`);
+  return entry;
+}
+
+/**
+ * Carry a watch on for another watcher when the one it runs for leaves
+ * Watchers on the same Betfair account share the connection, so only the owner
+ * changes. Otherwise the market is opened on the new owner's connection before
+ * the old channel goes; without a session for the new owner it stays where it is.
+ */
+async function handOverWatch(marketId, entry, ownerId) {
+  if (connectionKeyFor(ownerId) === connectionKeyFor(entry.ownerId)) {
+    entry.ownerId = ownerId;
+    return;
+  }
+
+  const sessionToken = betfairSessionFor(getUserStore().getUser(ownerId));
+  if (!sessionToken) return;
+
+  const worker = await openMarketStream(marketId, process.env.BETFAIR_APP_KEY, sessionToken, ownerId, { mode: "watch", strategy: null });
+  if (watchedMarkets.get(marketId) !== entry) {
+    worker.terminate();
+    return;
+  }
+
+  const previous = entry.worker;
+  watchStreamMessages(marketId, worker);
+  Object.assign(entry, { worker, ownerId, sessionToken });
+  previous.terminate();
+}
+
+/**
+ * Watched market if the user may see it - its watchers, or the admin
+ */
+function getWatchEntry(user, marketId) {
+  const entry = watchedMarkets.get(marketId);
+  return entry && user && (isAdmin(user) || entry.watchers.has(user.id)) ? entry : null;
+}
+
+function describeWatch(marketId, entry, user) {
+  return {
+    marketId,
+    watching: entry.watchers.has(user.id),
+    watchers: entry.watchers.size,
+    stream: entry.stream,
+    startedAt: entry.startedAt,
+  };
+}
+
+/**
+ * Watch Markets Controller
+ * POST /markets/watch  Body: { marketIds: [...] } (or { marketId })
+ * Streams markets without a strategy - prices, balls, /live events and snapshots,
+ * never a bet. A market someone already watches shares its worker; the caller
+ * just joins its watchers.
+ */
+export async function watchMarkets(req, res) {
+  const appKey = process.env.BETFAIR_APP_KEY;
+  const sessionToken = streamSessionFor(req);
+  const marketIds = parseMarketIds(req.body);
+
+  if (!appKey) {
+    return res.status(400).json({ error: "BETFAIR_APP_KEY not set" });
+  }
+
+  if (!sessionToken) {
+    return res.status(401).json({ error: "Missing Betfair session token" });
+  }
+
+  if (!marketIds) {
+    return res.status(400).json({ error: "marketIds must be a non-empty list of market ids" });
+  }
+
+  const max = getMaxWatchedMarkets();
+  const added = marketIds.filter((id) => !watchedMarkets.has(id) && !pendingWatches.has(id));
+  if (watchedMarkets.size + pendingWatches.size + added.length > max) {
+    return res.status(409).json({
+      error: `At most ${max} markets can be watched at once`,
+      watched: watchedMarkets.size + pendingWatches.size,
+      requested: added.length,
+    });
+  }
+
+  const markets = await Promise.all(
+    marketIds.map(async (marketId) => {
+      let entry = watchedMarkets.get(marketId);
+      const started = !entry && !pendingWatches.has(marketId);
+      try {
+        if (!entry) {
+          let launching = pendingWatches.get(marketId);
+          if (!launching) {
+            launching = launchWatch(marketId, appKey, sessionToken, req.user.id).finally(() => pendingWatches.delete(marketId));
+            pendingWatches.set(marketId, launching);
+          }
+          entry = await launching;
+        }
+        entry.watchers.add(req.user.id);
+        return { ...describeWatch(marketId, entry, req.user), started };
+      } catch (err) {
+        console.error(`[Stream] Failed to watch market ${marketId}:`, err.message);
+        return { marketId, watching: false, error: err.message };
+      }
+    })
+  );
+
+  const failed = markets.filter((market) => !market.watching);
+  if (failed.length === markets.length) {
+    return res.status(500).json({ error: "Failed to watch markets", markets });
+  }
+  return res.status(200).json({ markets, count: markets.length - failed.length });
+}
+
+/**
+ * Unwatch Markets Controller
+ * DELETE /markets/watch  Body or query: marketIds (default: every market the caller watches)
+ * The stream stops once nobody watches its market. When the watcher whose session
+ * it runs on leaves, it carries on with another watcher's session.
+ */
+export function unwatchMarkets(req, res) {
+  const userId = req.user.id;
+  const requested = parseMarketIds(req.body?.marketIds || req.body?.marketId ? req.body : req.query);
+  const marketIds = requested || [...watchedMarkets].filter(([, entry]) => entry.watchers.has(userId)).map(([marketId]) => marketId);
+
+  const markets = marketIds.map((marketId) => {
+    const entry = watchedMarkets.get(marketId);
+    if (!entry || !entry.watchers.delete(userId)) {
+      return { marketId, watching: false, stopped: false, error: "Not watching this market" };
+    }
+
+    if (entry.watchers.size === 0) {
+      terminateWatch(marketId, entry, "No watchers left", [userId]);
+      console.log(`[Stream] Stopped watching market ${marketId}`);
+      return { marketId, watching: false, stopped: true };
+    }
+
+    if (entry.ownerId === userId) {
+      const [next] = entry.watchers;
+      handOverWatch(marketId, entry, next).catch((err) =>
+        console.error(`[Stream Controller] Failed to hand the watch of market ${marketId} over:`, err.message)
+      );
+    }
+    return { marketId, watching: false, stopped: false };
+  });
+
+  return res.status(200).json({ markets, count: markets.filter((market) => !market.error).length });
+}
+
+/**
+ * List Watched Markets Controller
+ * GET /markets/watch
+ * Markets the caller watches (every watched market for the admin)
+ */
+export function listWatchedMarkets(req, res) {
+  const markets = [...watchedMarkets]
+    .filter(([marketId]) => getWatchEntry(req.user, marketId))
+    .map(([marketId, entry]) => describeWatch(marketId, entry, req.user));
+  return res.status(200).json({ markets, count: markets.length, max: getMaxWatchedMarkets() });
+}
+
+/**
+ * Get Market Snapshot Controller
+ * GET /markets/:marketId/snapshot
+ * Asks the worker streaming the market for its current view: market definition,
+ * runners with best back/lay, last traded and traded volume, ball count and the
+ * strategy's view (movement, cooldown, why it is not betting - null when the
+ * stream has no strategy, e.g. a watched market)
+ */
+export async function getMarketSnapshot(req, res) {
+  const { marketId } = req.params;
+
+  // The market's bot first, else its watch
+  const entry = getOwnEntry(req.user, marketId) || getWatchEntry(req.user, marketId);
+  if (!entry) {
+    return res.status(404).json({ error: "No stream is running for this market", marketId });
+  }
+
+  try {
+    const snapshot = await requestFromWorker(entry.worker, "snapshot", {}, 2000);
+    return res.status(200).json({
+      ...snapshot,
+      botId: entry.watch ? null : entry.botId,
+      mode: entry.watch ? "watch" : entry.mode,
+      stream: entry.stream,
+      strategy: entry.config?.strategy ? { name: entry.config.strategy, params: entry.config.params, view: snapshot.strategy } : null,
+    });
+  } catch (err) {
+    return res.status(504).json({ error: "The market's worker did not answer", marketId, details: err.message });
+  }
+}
+
+/**
+ * Get Match State Controller
+ * GET /markets/:marketId/match-state?last=N
+ * The market's balls as its stream saw them: when each ball suspended and
+ * reopened the market, the suspension time and each selection's line before
+ * and after (see state/matchState.js). `last` keeps only the latest balls.
+ */
+export async function getMatchState(req, res) {
+  const { marketId } = req.params;
+  const last = req.query?.last !== undefined ? Number(req.query.last) : null;
+
+  if (last !== null && (!Number.isInteger(last) || last <= 0)) {
+    return res.status(400).json({ error: "last must be a positive whole number" });
+  }
+
+  const entry = getOwnEntry(req.user, marketId) || getWatchEntry(req.user, marketId);
+  if (!entry) {
+    return res.status(404).json({ error: "No stream is running for this market", marketId });
+  }
+
+  try {
+    const matchState = await requestFromWorker(entry.worker, "matchState", { last }, 2000);
+    return res.status(200).json(matchState);
+  } catch (err) {
+    return res.status(504).json({ error: "The market's worker did not answer", marketId, details: err.message });
+  }
+}
+
+/**
+ * Saved bot record without the session token
+ */
+function withoutSession({ session, ...bot }) {
+  return bot;
+}
+
+/**
+ * Status of each market from Betfair listMarketBook
+ * @returns {Promise<Map<string, string>>} marketId -> status (OPEN, SUSPENDED, CLOSED, ...)
+ */
+async function getMarketStatuses(marketIds, appKey, sessionToken) {
+  const response = await betfairApiRequest(LIST_MARKET_BOOK_ENDPOINT, appKey, sessionToken, { marketIds });
+  const statuses = new Map();
+  for (const book of response.data || []) {
+    statuses.set(book.marketId, book.status);
+  }
+  return statuses;
+}
+
+/**
+ * Restore bots that were running before the last shutdown
+ * Called once on boot. Markets that closed (or disappeared) in the meantime are
+ * marked stopped; everything else is started again with its saved definition.
+ * @param {Object} [options]
+ * @param {string} [options.sessionToken] - Fresh session (login on boot) used instead of the saved ones for the admin's bots
+ * @returns {Promise<{ restored: string[], skipped: Object[], failed: Object[] }>}
+ */
+export async function restoreBots({ appKey = process.env.BETFAIR_APP_KEY, sessionToken: freshSession = null } = {}) {
+  const store = getBotStore();
+  const summary = { restored: [], skipped: [], failed: [] };
+
+  const bots = store.listBots({ state: BOT_STATES.RUNNING }).filter((bot) => !activeWorkers.has(bot.marketId));
+  if (bots.length === 0) {
+    return summary;
+  }
+
+  if (!appKey) {
+    console.error("[Stream Controller] BETFAIR_APP_KEY not set - cannot restore saved bots");
+    for (const bot of bots) {
+      summary.failed.push({ marketId: bot.marketId, reason: "BETFAIR_APP_KEY not set" });
+    }
+    return summary;
+  }
+
+  // One listMarketBook call per session the bots were started with
+  // (the fresh session only stands in for the admin's; users' bots use their stored one)
+  const bySession = new Map();
+  for (const bot of bots) {
+    const token = followsManagedSession(bot.ownerId)
+      ? freshSession || bot.session?.token || null
+      : getUserStore().getBetfairSession(bot.ownerId) || bot.session?.token || null;
+    if (!bySession.has(token)) bySession.set(token, []);
+    bySession.get(token).push(bot);
+  }
+
+  for (const [sessionToken, sessionBots] of bySession) {
+    let statuses;
+    try {
+      if (!sessionToken) throw new Error("No session saved for this bot");
+      statuses = await getMarketStatuses(sessionBots.map((bot) => bot.marketId), appKey, sessionToken);
+    } catch (err) {
+      const reason = `Restore failed: ${err.response?.data?.detail?.APINGException?.errorCode || err.message}`;
+      for (const bot of sessionBots) {
+        recordBotStopped(bot.marketId, reason, { event: "restore_failed" });
+        summary.failed.push({ marketId: bot.marketId, reason });
+      }
+      continue;
+    }
+
+    for (const bot of sessionBots) {
+      const status = statuses.get(bot.marketId);
+      if (!status || status === "CLOSED") {
+        const reason = status ? "Market closed while the server was down" : "Market no longer available";
+        recordBotStopped(bot.marketId, reason, { event: "restore_skipped" });
+        summary.skipped.push({ marketId: bot.marketId, reason });
+        continue;
+      }
+
+      // Saved params are re-validated - strategy defaults may have changed since
+      const validation = validateStrategy(bot.strategy, bot.params || {});
+      if (validation.errors.length > 0) {
+        const reason = `Restore failed: ${validation.errors.join("; ")}`;
+        recordBotStopped(bot.marketId, reason, { event: "restore_failed" });
+        summary.failed.push({ marketId: bot.marketId, reason });
+        continue;
+      }
+
+      try {
+        await launchBot(bot.marketId, appKey, sessionToken, { ...bot, params: validation.params }, { restored: true });
+        summary.restored.push(bot.marketId);
+      } catch (err) {
+        const reason = `Restore failed: ${err.message}`;
+        recordBotStopped(bot.marketId, reason, { event: "restore_failed" });
+        summary.failed.push({ marketId: bot.marketId, reason });
+      }
+    }
+  }
+
+  return summary;
+}
+
+/**
+ * Route a manual order to the paper matcher of the worker streaming the market
+ * @param {Object} user - Caller - only their own bots (any bot for the admin) take the order
+ * @returns {Promise<Object|null>} Simulated placeOrders response, or null if no stream is running
+ */
+export async function placePaperOrder(marketId, instructions, user) {
+  const entry = getOwnEntry(user, marketId);
+  if (!entry) {
+    return null;
+  }
+  return requestFromWorker(entry.worker, "paperOrder", { instructions });
+}
+
+/**
+ * Running bots a user may see, in a compact form for other views (e.g. exposure)
+ * @returns {Array} [{ marketId, botId, ownerId, mode, strategy, eventName, marketName }]
+ */
+export function listRunningBots(user) {
+  return [...activeWorkers.entries()].filter(([, entry]) => canControl(user, entry)).map(([marketId, entry]) => ({
+    marketId,
+    botId: entry.botId,
+    ownerId: entry.ownerId,
+    mode: entry.mode,
+    strategy: entry.config.strategy,
+    eventName: entry.eventName,
+    marketName: entry.marketName,
+  }));
 }
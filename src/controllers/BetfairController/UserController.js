@@ -0,0 +1,105 @@
+import crypto from "crypto";
+import { getUserStore, UserInputError, USER_ROLES } from "../../service/userStore.js";
+import { AUTH_COOKIE, authCookieOptions, betfairSessionFor } from "../../middleware/auth.js";
+
+/**
+ * Start a login session and set its cookie
+ */
+function startSession(res, user) {
+  const { sessionId, expiresAt } = getUserStore().createSession(user.id);
+  res.cookie(AUTH_COOKIE, sessionId, { ...authCookieOptions(), expires: new Date(expiresAt) });
+  return expiresAt;
+}
+
+/**
+ * Whether a token is the AUTH_SETUP_TOKEN the admin account is created with
+ */
+function isSetupToken(token) {
+  const expected = process.env.AUTH_SETUP_TOKEN;
+  if (!expected || typeof token !== "string") return false;
+  const sent = Buffer.from(token);
+  const wanted = Buffer.from(expected);
+  return sent.length === wanted.length && crypto.timingSafeEqual(sent, wanted);
+}
+
+/**
+ * POST /auth/register
+ * Body: { username, password, setupToken? }
+ * Creates an account and logs it in. Sign-ups are closed unless AUTH_SIGNUP=true;
+ * the admin is created once, with setupToken set to AUTH_SETUP_TOKEN.
+ */
+export async function register(req, res) {
+  const { username, password, setupToken } = req.body || {};
+  const store = getUserStore();
+
+  try {
+    if (setupToken !== undefined) {
+      if (!isSetupToken(setupToken)) {
+        return res.status(403).json({ error: "Invalid setup token" });
+      }
+      if (store.hasAdmin()) {
+        return res.status(403).json({ error: "The admin account already exists" });
+      }
+    } else if (process.env.AUTH_SIGNUP !== "true") {
+      return res.status(403).json({ error: "Sign-ups are closed" });
+    }
+
+    const role = setupToken !== undefined ? USER_ROLES.ADMIN : USER_ROLES.USER;
+    const user = await store.createUser(username, password, { role });
+    const expiresAt = startSession(res, user);
+    return res.status(201).json({ user, expiresAt });
+  } catch (err) {
+    if (err instanceof UserInputError) {
+      return res.status(400).json({ error: err.message });
+    }
+    return res.status(500).json({ error: "Failed to register", details: err.message });
+  }
+}
+
+/**
+ * POST /auth/login
+ * Body: { username, password }
+ */
+export async function loginUser(req, res) {
+  const { username, password } = req.body || {};
+
+  if (!username || !password) {
+    return res.status(400).json({ error: "username and password are required" });
+  }
+
+  try {
+    const user = await getUserStore().verifyPassword(username, password);
+    if (!user) {
+      return res.status(401).json({ error: "Invalid username or password" });
+    }
+    const expiresAt = startSession(res, user);
+    return res.status(200).json({ user, expiresAt });
+  } catch (err) {
+    return res.status(500).json({ error: "Failed to log in", details: err.message });
+  }
+}
+
+/**
+ * POST /auth/logout
+ * Ends the login session; the stored Betfair session and running bots are kept
+ */
+export function logoutUser(req, res) {
+  try {
+    getUserStore().deleteSession(req.cookies?.[AUTH_COOKIE]);
+  } catch (err) {
+    return res.status(500).json({ error: "Failed to log out", details: err.message });
+  }
+  res.clearCookie(AUTH_COOKIE, authCookieOptions());
+  return res.status(200).json({ message: "Logged out" });
+}
+
+/**
+ * GET /auth/me
+ * The logged-in user and whether a Betfair session is available to them
+ */
+export function getMe(req, res) {
+  return res.status(200).json({
+    user: req.user,
+    betfairSession: Boolean(betfairSessionFor(req.user)),
+  });
+}
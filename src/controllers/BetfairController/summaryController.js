@@ -1,6 +1,11 @@
-import { betfairApiRequest } from "../../utils/axiosInstance.js";
+import { listAllClearedOrders } from "../../utils/bettingService.js";
+import { analyseClearedOrders, formatGroupedItems, BREAKDOWNS, DEFAULT_PRICE_BAND_WIDTH } from "../../service/pnlAnalytics.js";
+import { parseIdList, readSessionToken } from "../../utils/requestInput.js";
 
-const LIST_CLEARED_ORDERS_ENDPOINT = "/exchange/betting/rest/v1.0/listClearedOrders/";
+/**
+ * Betfair listClearedOrders groupBy values
+ */
+const GROUP_BY_OPTIONS = ["EVENT_TYPE", "EVENT", "MARKET", "RUNNER", "SIDE", "BET"];
 
 /**
  * POST /api/betfair/summary
@@ -9,15 +14,21 @@ const LIST_CLEARED_ORDERS_ENDPOINT = "/exchange/betting/rest/v1.0/listClearedOrd
  * Request body:
  * {
  *   "from": "2026-01-18T00:00:00.000Z",
- *   "to": "2026-01-23T23:59:59.999Z" // optional, falls back to "now" if missing
+ *   "to": "2026-01-23T23:59:59.999Z", // optional, falls back to "now" if missing
+ *   "size": 2,                        // optional, only bets with this sizeSettled
+ *   "eventIds": ["..."], "marketIds": ["..."], "betIds": ["..."], "side": "BACK" | "LAY",
+ *   "groupBy": "EVENT" | "MARKET" | ...,    // optional, adds Betfair-grouped rows as `groups`
+ *   "includeItemDescription": true,  // event / market names on breakdown rows (default true)
+ *   "breakdowns": ["event", "market", "side", "day", "priceBand"],
+ *   "priceBandWidth": 10
  * }
+ *
+ * Response keeps totalBets / betsWon / betsLost and adds `totals` and
+ * `breakdowns` (profit, commission, net, turnover, ROI %, strike rate %).
  */
 export async function listClearedOrdersSummary(req, res) {
   const appKey = process.env.BETFAIR_APP_KEY;
-  const sessionToken =
-    req.header("X-Authentication") ||
-    req.header("x-authentication") ||
-    (req.header("Authorization") || "").replace(/Bearer\s+/i, "").trim();
+  const sessionToken = readSessionToken(req);
 
   if (!appKey) {
     return res
@@ -32,7 +43,17 @@ export async function listClearedOrdersSummary(req, res) {
     });
   }
 
-  const { from, to, size } = req.body || {};
+  const body = req.body || {};
+  const {
+    from,
+    to,
+    size,
+    side,
+    groupBy,
+    includeItemDescription = true,
+    breakdowns = BREAKDOWNS,
+    priceBandWidth = DEFAULT_PRICE_BAND_WIDTH,
+  } = body;
 
   if (!from) {
     return res
@@ -40,55 +61,94 @@ export async function listClearedOrdersSummary(req, res) {
       .json({ error: "`from` is required in request body" });
   }
 
+  const ids = {};
+  for (const key of ["eventIds", "marketIds", "betIds"]) {
+    const list = parseIdList(body[key]);
+    if (list === null) {
+      return res.status(400).json({ error: `\`${key}\` must be a non-empty array of ids` });
+    }
+    if (list) ids[key] = list;
+  }
+
+  if (side !== undefined && !["BACK", "LAY"].includes(side)) {
+    return res.status(400).json({ error: "`side` must be either 'BACK' or 'LAY'" });
+  }
+
+  if (groupBy !== undefined && !GROUP_BY_OPTIONS.includes(groupBy)) {
+    return res.status(400).json({ error: `\`groupBy\` must be one of: ${GROUP_BY_OPTIONS.join(", ")}` });
+  }
+
+  if (typeof includeItemDescription !== "boolean") {
+    return res.status(400).json({ error: "`includeItemDescription` must be a boolean" });
+  }
+
+  if (!Array.isArray(breakdowns) || breakdowns.some((name) => !BREAKDOWNS.includes(name))) {
+    return res.status(400).json({ error: `\`breakdowns\` must be an array of: ${BREAKDOWNS.join(", ")}` });
+  }
+
+  const bandWidth = Number(priceBandWidth);
+  if (!Number.isFinite(bandWidth) || bandWidth <= 0) {
+    return res.status(400).json({ error: "`priceBandWidth` must be a positive number" });
+  }
+
   const nowIso = new Date().toISOString();
   const apiFrom = from;
   const apiTo = to || nowIso;
 
-  const recordCount = 1000;
-  let fromRecord = 0;
-  let moreAvailable = true;
-  let allClearedOrders = [];
+  // Same selection for every call below
+  const filter = {
+    betStatus: "SETTLED",
+    settledDateRange: {
+      from: apiFrom,
+      to: apiTo,
+    },
+    ...ids,
+    ...(side ? { side } : {}),
+  };
+
+  const hasSizeFilter = size !== undefined && size !== null && size !== '';
 
   try {
-    // paginate until Betfair reports no more results
-    while (moreAvailable) {
-      const payload = {
-        betStatus: "SETTLED",
-        settledDateRange: {
-          from: apiFrom,
-          to: apiTo,
-        },
-        includeItemDescription: false,
-        fromRecord,
-        recordCount,
-      };
-
-      const response = await betfairApiRequest(
-        LIST_CLEARED_ORDERS_ENDPOINT,
-        appKey,
-        sessionToken,
-        payload
-      );
+    const allClearedOrders = await listAllClearedOrders(appKey, sessionToken, {
+      ...filter,
+      includeItemDescription,
+    });
 
-      const data = response.data || {};
-      const clearedOrders = Array.isArray(data.clearedOrders)
-        ? data.clearedOrders
-        : [];
+    // Filter by size if provided, otherwise include all bets
+    const relevantBets = hasSizeFilter
+      ? allClearedOrders.filter((order) => Number(order.sizeSettled) === Number(size))
+      : allClearedOrders;
 
-      allClearedOrders = allClearedOrders.concat(clearedOrders);
-      moreAvailable = Boolean(data.moreAvailable);
-      fromRecord += recordCount;
+    // Commission is only reported per market (or coarser), not per bet.
+    // It cannot be split by stake, so it is left out when filtering by size.
+    let marketItems = null;
+    let commissionByMarket = null;
+    if (!hasSizeFilter && relevantBets.length > 0) {
+      marketItems = await listAllClearedOrders(appKey, sessionToken, {
+        ...filter,
+        groupBy: "MARKET",
+        includeItemDescription,
+      });
+      commissionByMarket = new Map(
+        marketItems.map((item) => [item.marketId, Number(item.commission) || 0])
+      );
+    }
 
-      // safety to avoid infinite loop in case API misbehaves
-      if (fromRecord > 50000) {
-        moreAvailable = false;
-      }
+    // Optional Betfair-side grouping, returned as-is with net figures
+    let groups;
+    if (groupBy === "MARKET" && marketItems) {
+      groups = formatGroupedItems(marketItems);
+    } else if (groupBy) {
+      groups = formatGroupedItems(
+        await listAllClearedOrders(appKey, sessionToken, { ...filter, groupBy, includeItemDescription })
+      );
     }
 
-    // Filter by size if provided, otherwise include all bets
-    const relevantBets = size !== undefined && size !== null && size !== ''
-      ? allClearedOrders.filter((order) => Number(order.sizeSettled) === Number(size))
-      : allClearedOrders;
+    const analysis = analyseClearedOrders(relevantBets, {
+      commissionByMarket,
+      priceBandWidth: bandWidth,
+      breakdowns,
+    });
 
     // Count bets from this API call in the requested range
     const totalBets = relevantBets.length;
@@ -104,10 +164,13 @@ export async function listClearedOrdersSummary(req, res) {
       totalBets,
       betsWon,
       betsLost,
+      totals: analysis.totals,
+      breakdowns: analysis.breakdowns,
+      ...(groupBy ? { groupBy, groups } : {}),
+      range: { from: apiFrom, to: apiTo },
     });
   } catch (err) {
     const errorData = err.response?.data || { error: err.message };
     res.status(err.response?.status || 500).json(errorData);
   }
 }
-
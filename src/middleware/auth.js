@@ -0,0 +1,71 @@
+import { getUserStore, USER_ROLES } from "../service/userStore.js";
+import { getSessionManager } from "../service/sessionManager.js";
+
+/**
+ * Cookie that holds the login session id (httpOnly - scripts never see it)
+ */
+export const AUTH_COOKIE = "sid";
+
+/**
+ * Options for the session cookie (read per call - env is loaded after imports)
+ * AUTH_COOKIE_SAMESITE=none (a frontend on another site) always sets Secure.
+ */
+export function authCookieOptions() {
+  const sameSite = (process.env.AUTH_COOKIE_SAMESITE || "lax").toLowerCase();
+  return {
+    httpOnly: true,
+    sameSite,
+    secure: process.env.AUTH_COOKIE_SECURE === "true" || sameSite === "none",
+    path: "/",
+  };
+}
+
+export function isAdmin(user) {
+  return user?.role === USER_ROLES.ADMIN;
+}
+
+/**
+ * Betfair session a user trades with when a request does not send one:
+ * the admin uses the app's managed session, everyone else the one saved by their /login
+ */
+export function betfairSessionFor(user) {
+  if (!user) return null;
+  return isAdmin(user) ? getSessionManager().getToken() : getUserStore().getBetfairSession(user.id);
+}
+
+/**
+ * Let only logged-in users through - sets req.user
+ */
+export function requireUser(req, res, next) {
+  const user = getUserStore().getSessionUser(req.cookies?.[AUTH_COOKIE]);
+  if (!user) {
+    return res.status(401).json({ error: "Not logged in - POST /auth/login first" });
+  }
+  req.user = user;
+  next();
+}
+
+/**
+ * Let only the admin through (app-wide controls: stop-all, risk limits, cert login)
+ */
+export function requireAdmin(req, res, next) {
+  if (!isAdmin(req.user)) {
+    return res.status(403).json({ error: "Only the admin can do this" });
+  }
+  next();
+}
+
+/**
+ * Fill in the user's stored Betfair session when the request has none, so the
+ * controllers keep reading X-Authentication. A token sent by the client wins for
+ * that REST call only - bots and watches always stream on the stored session.
+ */
+export function attachBetfairSession(req, res, next) {
+  const sent =
+    req.header("X-Authentication") || (req.header("Authorization") || "").replace(/Bearer\s+/i, "").trim();
+  if (!sent) {
+    const sessionToken = betfairSessionFor(req.user);
+    if (sessionToken) req.headers["x-authentication"] = sessionToken;
+  }
+  next();
+}
@@ -1,10 +1,42 @@
-import dotenv from 'dotenv';
+// Load .env before anything else - modules such as axiosInstance read it at import time
+import 'dotenv/config';
 import app from './app.js';
-
-dotenv.config();
+import { restoreBots } from './controllers/BetfairController/StreamController.js';
+import { getSessionManager } from './service/sessionManager.js';
 
 const PORT = process.env.PORT || 3000;
 
-app.listen(PORT, () => {
+/**
+ * Server-side session on boot (certificate login when a client certificate is
+ * configured) so bots can run without anyone logging in from the frontend
+ * @returns {Promise<string|null>} The session token, or null without credentials
+ */
+async function loginOnBoot() {
+  const sessionManager = getSessionManager();
+  if (!sessionManager.hasCredentials()) return null;
+  try {
+    const token = await sessionManager.login({ source: 'boot' });
+    console.log(`🔑 Logged in to Betfair (${sessionManager.getSession().loginMethod})`);
+    return token;
+  } catch (err) {
+    console.error('Betfair login on boot failed:', err.message);
+    return null;
+  }
+}
+
+app.listen(PORT, async () => {
   console.log(`🚀 Server running on port ${PORT}`);
+
+  const sessionToken = await loginOnBoot();
+
+  // Resume bots that were running before the restart (BOT_RESTORE=false to skip)
+  if (process.env.BOT_RESTORE !== 'false') {
+    restoreBots({ sessionToken })
+      .then(({ restored, skipped, failed }) => {
+        if (restored.length || skipped.length || failed.length) {
+          console.log(`♻️ Bot restore: ${restored.length} restored, ${skipped.length} skipped, ${failed.length} failed`);
+        }
+      })
+      .catch((err) => console.error('Bot restore failed:', err.message));
+  }
 });
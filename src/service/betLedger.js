@@ -0,0 +1,282 @@
+import { randomUUID } from "crypto";
+import { appendJsonLine, getStoragePath, readJsonLines, readJsonLinesFrom } from "../utils/storage.js";
+
+/**
+ * Bet ledger
+ *
+ * Durable record of every instruction sent to Betfair through placeBetOrder,
+ * from bots (worker threads) and manual /place-order calls alike. The file is
+ * append-only JSON lines (<STORAGE_DIR>/bet-ledger.jsonl) so several threads
+ * can write to it safely:
+ *
+ * - { type: "placement", ...entry }   one line per instruction when it is sent
+ * - { type: "outcome", betId, ... }   cleared result added later by reconcile
+ *
+ * Readers fold outcomes into their placement by betId.
+ *
+ * Entry:
+ * {
+ *   id, placedAt, source ("bot" | "manual"), ownerId, botId, strategy,
+ *   marketId, selectionId, side, price, size, persistenceType,
+ *   reason, oldPrice, newPrice,
+ *   status ("SUCCESS" | "FAILURE" | "ERROR"), betId, orderStatus,
+ *   sizeMatched, averagePriceMatched, errorCode,
+ *   outcome: null | { betOutcome, profit, commission, priceMatched, sizeSettled, settledDate, reconciledAt }
+ * }
+ *
+ * ownerId is the app user whose Betfair account placed the bet (null for
+ * entries written before accounts, which belong to the managed session).
+ */
+
+const LEDGER_FILE = "bet-ledger.jsonl";
+
+/**
+ * Columns of the CSV export, in order
+ */
+export const LEDGER_CSV_COLUMNS = [
+  "placedAt",
+  "source",
+  "ownerId",
+  "botId",
+  "strategy",
+  "marketId",
+  "selectionId",
+  "side",
+  "price",
+  "size",
+  "persistenceType",
+  "reason",
+  "oldPrice",
+  "newPrice",
+  "status",
+  "betId",
+  "orderStatus",
+  "sizeMatched",
+  "averagePriceMatched",
+  "errorCode",
+  "betOutcome",
+  "profit",
+  "commission",
+  "priceMatched",
+  "sizeSettled",
+  "settledDate",
+];
+
+/**
+ * Error code of a failed Betfair call (APING exception, JSON-RPC error or network error)
+ */
+function errorCodeOf(err) {
+  const data = err?.response?.data;
+  return (
+    data?.detail?.APINGException?.errorCode ||
+    data?.error?.data?.APINGException?.errorCode ||
+    data?.error?.message ||
+    err?.code ||
+    err?.message ||
+    "UNKNOWN"
+  );
+}
+
+/**
+ * Factory function to create a ledger on a JSON-lines file
+ * @param {Object} [options]
+ * @param {string} [options.filePath] - Defaults to <STORAGE_DIR>/bet-ledger.jsonl
+ */
+export function createBetLedger({ filePath = getStoragePath(LEDGER_FILE) } = {}) {
+  // Accepted placements per market and owner, kept up with the file as it grows
+  // (other threads append to it too) so risk checks never re-read the whole ledger
+  const placementCounts = new Map();
+  let indexedOffset = 0;
+
+  /**
+   * Record the instructions of one placeOrders call and what Betfair answered
+   * @param {Object} call
+   * @param {string} call.marketId
+   * @param {Array} call.instructions - Instructions as passed to placeBetOrder
+   * @param {Object} [call.meta] - { source, ownerId, botId, strategy, reason, oldPrice, newPrice }
+   * @param {Object} [call.response] - JSON-RPC response body
+   * @param {Error} [call.error] - Set when the call itself failed
+   * @returns {Object[]} The entries written
+   */
+  function recordPlacement({ marketId, instructions, meta = {}, response = null, error = null }) {
+    const placedAt = new Date().toISOString();
+    const result = response?.result;
+    const rpcError = response?.error;
+
+    const entries = instructions.map((inst, index) => {
+      const report = result?.instructionReports?.[index];
+
+      let status = "ERROR";
+      let errorCode = null;
+      if (error) {
+        errorCode = errorCodeOf(error);
+      } else if (rpcError) {
+        errorCode = rpcError.data?.APINGException?.errorCode || rpcError.message || "JSON_RPC_ERROR";
+      } else if (result) {
+        status = report?.status || result.status || "FAILURE";
+        // The overall errorCode only applies to instructions without their own report
+        errorCode = report ? report.errorCode || null : result.errorCode || null;
+      }
+
+      return {
+        type: "placement",
+        id: randomUUID(),
+        placedAt,
+        source: meta.source || "manual",
+        ownerId: meta.ownerId || null,
+        botId: meta.botId || null,
+        strategy: meta.strategy || null,
+        marketId,
+        selectionId: inst.selectionId,
+        side: inst.side,
+        price: inst.limitOrder?.price ?? null,
+        size: inst.size || 1,
+        persistenceType: inst.limitOrder?.persistenceType || "LAPSE",
+        reason: meta.reason || null,
+        oldPrice: meta.oldPrice ?? null,
+        newPrice: meta.newPrice ?? null,
+        status,
+        betId: report?.betId || null,
+        orderStatus: report?.orderStatus || null,
+        sizeMatched: report?.sizeMatched ?? null,
+        averagePriceMatched: report?.averagePriceMatched ?? null,
+        errorCode,
+      };
+    });
+
+    for (const entry of entries) {
+      appendJsonLine(filePath, entry);
+    }
+    return entries.map(({ type, ...entry }) => ({ ...entry, outcome: null }));
+  }
+
+  /**
+   * Attach a cleared outcome to a bet
+   * @param {Object} cleared - Betfair ClearedOrderSummary
+   */
+  function recordOutcome(cleared) {
+    const outcome = {
+      type: "outcome",
+      betId: cleared.betId,
+      betOutcome: cleared.betOutcome,
+      profit: cleared.profit ?? null,
+      commission: cleared.commission ?? null,
+      priceMatched: cleared.priceMatched ?? null,
+      sizeSettled: cleared.sizeSettled ?? null,
+      settledDate: cleared.settledDate || null,
+      reconciledAt: new Date().toISOString(),
+    };
+    appendJsonLine(filePath, outcome);
+    return outcome;
+  }
+
+  /**
+   * Every entry with its latest outcome, in placement order
+   */
+  function readEntries() {
+    const entries = [];
+    const outcomes = new Map(); // betId -> latest outcome
+
+    for (const record of readJsonLines(filePath)) {
+      if (record.type === "placement") {
+        const { type, ...entry } = record;
+        entries.push(entry);
+      } else if (record.type === "outcome") {
+        const { type, betId, ...outcome } = record;
+        outcomes.set(betId, outcome);
+      }
+    }
+
+    return entries.map((entry) => ({
+      ...entry,
+      outcome: (entry.betId && outcomes.get(entry.betId)) || null,
+    }));
+  }
+
+  /**
+   * Query the ledger
+   * @param {Object} [filter] - { ownerId, marketId, botId, source, betIds, from, to, settled, limit }
+   *   ownerId null matches entries without an owner; from/to are ISO dates on placedAt;
+   *   settled true/false filters on having an outcome;
+   *   limit keeps the most recent entries
+   */
+  function query({ ownerId, marketId, botId, source, betIds, from, to, settled, limit } = {}) {
+    const fromTime = from ? Date.parse(from) : null;
+    const toTime = to ? Date.parse(to) : null;
+    const betIdSet = betIds ? new Set(betIds.map(String)) : null;
+
+    const entries = readEntries().filter((entry) => {
+      if (ownerId !== undefined && (entry.ownerId ?? null) !== ownerId) return false;
+      if (marketId && entry.marketId !== marketId) return false;
+      if (botId && entry.botId !== botId) return false;
+      if (source && entry.source !== source) return false;
+      if (betIdSet && !betIdSet.has(String(entry.betId))) return false;
+      const placedTime = Date.parse(entry.placedAt);
+      if (fromTime !== null && placedTime < fromTime) return false;
+      if (toTime !== null && placedTime > toTime) return false;
+      if (settled !== undefined && Boolean(entry.outcome) !== settled) return false;
+      return true;
+    });
+
+    return limit ? entries.slice(-limit) : entries;
+  }
+
+  function countKey(marketId, ownerId) {
+    return JSON.stringify([marketId, ownerId ?? null]);
+  }
+
+  /**
+   * Accepted (SUCCESS) placements on a market by one owner (null = entries without an owner)
+   * Only lines added since the last call are read.
+   */
+  function countPlacements({ marketId, ownerId = null }) {
+    const { records, offset, reset } = readJsonLinesFrom(filePath, indexedOffset);
+    if (reset) placementCounts.clear();
+    for (const record of records) {
+      if (record.type !== "placement" || record.status !== "SUCCESS") continue;
+      const key = countKey(record.marketId, record.ownerId);
+      placementCounts.set(key, (placementCounts.get(key) || 0) + 1);
+    }
+    indexedOffset = offset;
+    return placementCounts.get(countKey(marketId, ownerId)) || 0;
+  }
+
+  return {
+    recordPlacement,
+    recordOutcome,
+    query,
+    countPlacements,
+  };
+}
+
+/**
+ * One CSV field (RFC 4180 quoting)
+ */
+function csvField(value) {
+  if (value === null || value === undefined) return "";
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Ledger entries as CSV, outcome fields flattened
+ */
+export function ledgerToCsv(entries) {
+  const rows = entries.map((entry) => {
+    const flat = { ...entry, ...(entry.outcome || {}) };
+    return LEDGER_CSV_COLUMNS.map((column) => csvField(flat[column])).join(",");
+  });
+  return [LEDGER_CSV_COLUMNS.join(","), ...rows].join("\r\n") + "\r\n";
+}
+
+/**
+ * Shared ledger for this thread (created on first use so STORAGE_DIR from .env applies)
+ */
+let defaultLedger = null;
+
+export function getBetLedger() {
+  if (!defaultLedger) {
+    defaultLedger = createBetLedger();
+  }
+  return defaultLedger;
+}
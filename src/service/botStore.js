@@ -0,0 +1,156 @@
+import { appendJsonLine, getStoragePath, readJsonFile, readJsonLines, writeJsonFile } from "../utils/storage.js";
+
+/**
+ * Bot store
+ *
+ * Persists what each bot was started with and whether it should be running,
+ * so bots can be restored after a restart or deploy, plus an append-only
+ * audit of lifecycle events (started, stopped, restored, restore failed).
+ *
+ * Files (under STORAGE_DIR):
+ * - bots.json: { [marketId]: bot record } - latest definition and state per market
+ * - bot-audit.jsonl: one lifecycle event per line
+ *
+ * Bot record:
+ * {
+ *   marketId, mode, size, strategy, params, disabledSelections, cancelUnmatchedAfterMs, record,
+ *   eventName, marketName,
+ *   ownerId,                       // user who started it (see userStore), null for older bots
+ *   session: { token },            // session used to place bets and to restore
+ *   state: "running" | "stopped",
+ *   startedAt, stoppedAt, stopReason, restoredAt, updatedAt
+ * }
+ */
+
+const BOTS_FILE = "bots.json";
+const AUDIT_FILE = "bot-audit.jsonl";
+
+export const BOT_STATES = {
+  RUNNING: "running",
+  STOPPED: "stopped",
+};
+
+/**
+ * Factory function to create a bot store
+ * @param {Object} [options]
+ * @param {string} [options.botsPath] - Defaults to <STORAGE_DIR>/bots.json
+ * @param {string} [options.auditPath] - Defaults to <STORAGE_DIR>/bot-audit.jsonl
+ */
+export function createBotStore({ botsPath = getStoragePath(BOTS_FILE), auditPath = getStoragePath(AUDIT_FILE) } = {}) {
+  function readBots() {
+    return readJsonFile(botsPath, {});
+  }
+
+  function updateBot(marketId, update) {
+    const bots = readBots();
+    const bot = { ...bots[marketId], ...update, marketId, updatedAt: new Date().toISOString() };
+    bots[marketId] = bot;
+    writeJsonFile(botsPath, bots);
+    return bot;
+  }
+
+  /**
+   * Record a lifecycle event
+   * @param {string} marketId
+   * @param {string} event - started | stopped | restored | restore_failed
+   * @param {Object} [details] - e.g. { reason, mode, strategy }
+   * Entries are tagged with the bot's owner so each user only sees their own.
+   */
+  function audit(marketId, event, details = {}) {
+    const ownerId = readBots()[marketId]?.ownerId || null;
+    const entry = { at: new Date().toISOString(), marketId, event, ownerId, ...details };
+    appendJsonLine(auditPath, entry);
+    return entry;
+  }
+
+  /**
+   * Save the definition of a bot that just started
+   */
+  function botStarted(definition, { reason = "Started", restored = false } = {}) {
+    const now = new Date().toISOString();
+    const bot = updateBot(definition.marketId, {
+      ...definition,
+      state: BOT_STATES.RUNNING,
+      ...(restored ? { restoredAt: now } : { startedAt: now, restoredAt: null }),
+      stoppedAt: null,
+      stopReason: null,
+    });
+    audit(definition.marketId, restored ? "restored" : "started", {
+      reason,
+      mode: bot.mode,
+      strategy: bot.strategy,
+      size: bot.size,
+    });
+    return bot;
+  }
+
+  /**
+   * Mark a bot stopped - it will not be restored on the next boot
+   * @param {Object} [options] - { event, details } details are added to the audit entry (e.g. triggeredBy)
+   */
+  function botStopped(marketId, reason, { event = "stopped", details = {} } = {}) {
+    if (!readBots()[marketId]) return null;
+    const bot = updateBot(marketId, {
+      state: BOT_STATES.STOPPED,
+      stoppedAt: new Date().toISOString(),
+      stopReason: reason,
+    });
+    audit(marketId, event, { reason, ...details });
+    return bot;
+  }
+
+  /**
+   * Apply a partial config change to a stored bot (e.g. disabled selections)
+   */
+  function updateBotConfig(marketId, update) {
+    if (!readBots()[marketId]) return null;
+    return updateBot(marketId, update);
+  }
+
+  function getBot(marketId) {
+    return readBots()[marketId] || null;
+  }
+
+  /**
+   * @param {Object} [filter] - { state, ownerId } ownerId undefined = every owner
+   */
+  function listBots({ state, ownerId } = {}) {
+    return Object.values(readBots()).filter(
+      (bot) => (!state || bot.state === state) && (ownerId === undefined || bot.ownerId === ownerId)
+    );
+  }
+
+  /**
+   * Lifecycle events, newest first
+   * @param {Object} [filter] - { marketId, ownerId, limit } ownerId undefined = every owner
+   */
+  function getAudit({ marketId, ownerId, limit = 100 } = {}) {
+    return readJsonLines(auditPath)
+      .filter((entry) => !marketId || entry.marketId === marketId)
+      .filter((entry) => ownerId === undefined || entry.ownerId === ownerId)
+      .reverse()
+      .slice(0, limit);
+  }
+
+  return {
+    botStarted,
+    botStopped,
+    updateBotConfig,
+    getBot,
+    listBots,
+    audit,
+    getAudit,
+  };
+}
+
+/**
+ * Shared store for the API process (created on first use so STORAGE_DIR from .env applies)
+ */
+let defaultStore = null;
+
+export function getBotStore() {
+  if (!defaultStore) {
+    defaultStore = createBotStore();
+  }
+  return defaultStore;
+}
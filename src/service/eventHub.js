@@ -0,0 +1,105 @@
+/**
+ * Event hub
+ *
+ * Fans bot, price and order events out to live clients (GET /live). Publishers
+ * are the main thread's controllers: worker messages relayed by StreamController,
+ * manual orders and risk changes. Main thread only - workers report to the parent.
+ *
+ * Event:
+ * {
+ *   id,                 // increasing number, the SSE event id
+ *   type,               // priceUpdate | ballCompleted | betPlaced | riskRejected | botStarted | ...
+ *   marketId,           // null for app-wide events (kill switch)
+ *   ownerId,            // user whose bot or order it is, null for app-wide events
+ *   audience,           // user ids the event is for instead (a watch's watchers), null = decided by ownerId
+ *   at,
+ *   data
+ * }
+ *
+ * The latest events are kept so a client that reconnects (Last-Event-ID) gets what it missed.
+ */
+
+export const DEFAULT_HISTORY_SIZE = 500;
+
+/**
+ * Factory function to create an event hub
+ * @param {Object} [options]
+ * @param {number} [options.historySize] - Events kept for reconnecting clients
+ * @param {Function} [options.now] - Clock in ms
+ * @param {Object} [options.logger] - console-like logger
+ */
+export function createEventHub({ historySize = DEFAULT_HISTORY_SIZE, now = Date.now, logger = console } = {}) {
+  const subscribers = new Set();
+  const history = [];
+  let sequence = 0;
+
+  /**
+   * Whether a subscriber's filter takes an event
+   * App-wide events reach every subscriber regardless of markets.
+   */
+  function matches({ marketIds, accept }, event) {
+    if (event.marketId !== null && marketIds && !marketIds.includes(event.marketId)) return false;
+    return !accept || accept(event);
+  }
+
+  /**
+   * Send an event to every matching subscriber
+   * @param {string} type
+   * @param {Object} [options] - { marketId, ownerId, audience, data }
+   * @returns {Object} The event
+   */
+  function publish(type, { marketId = null, ownerId = null, audience = null, data = {} } = {}) {
+    const event = { id: ++sequence, type, marketId, ownerId, audience, at: new Date(now()).toISOString(), data };
+
+    history.push(event);
+    if (history.length > historySize) history.shift();
+
+    for (const subscriber of subscribers) {
+      if (!matches(subscriber, event)) continue;
+      try {
+        subscriber.listener(event);
+      } catch (err) {
+        logger.error("[Events] Subscriber failed:", err.message);
+      }
+    }
+    return event;
+  }
+
+  /**
+   * Receive events as they are published
+   * @param {Function} listener - (event) => void
+   * @param {Object} [filter] - { marketIds: string[] | null (every market), accept: (event) => boolean }
+   * @returns {Function} Unsubscribe
+   */
+  function subscribe(listener, { marketIds = null, accept = null } = {}) {
+    const subscriber = { listener, marketIds, accept };
+    subscribers.add(subscriber);
+    return () => subscribers.delete(subscriber);
+  }
+
+  /**
+   * Kept events after an id that pass a filter, oldest first
+   */
+  function getHistory({ afterId = 0, marketIds = null, accept = null } = {}) {
+    return history.filter((event) => event.id > afterId && matches({ marketIds, accept }, event));
+  }
+
+  return {
+    publish,
+    subscribe,
+    getHistory,
+    subscriberCount: () => subscribers.size,
+  };
+}
+
+/**
+ * Shared event hub for the main thread
+ */
+let defaultEventHub = null;
+
+export function getEventHub() {
+  if (!defaultEventHub) {
+    defaultEventHub = createEventHub();
+  }
+  return defaultEventHub;
+}
@@ -0,0 +1,183 @@
+import { lineBetProfit, roundMoney } from "../utils/lineMarket.js";
+
+/**
+ * Open exposure on line markets
+ *
+ * Pure functions over Betfair CurrentOrderSummary items (listCurrentOrders).
+ * Per selection it reports matched back / lay stakes, unmatched size and the
+ * worst and best P&L over every possible final line value. On a line market
+ * the P&L only changes at the prices we hold bets at, so checking one result
+ * per gap between those prices (plus one above the highest) covers them all.
+ *
+ * `liability` is the worst-case loss of the matched bets (0 when no result
+ * loses money); `liabilityIfMatched` also counts the unmatched remainders as
+ * if they were matched at their price.
+ */
+
+function emptySide() {
+  return { size: 0, weighted: 0 };
+}
+
+function addToSide(side, size, price) {
+  side.size += size;
+  side.weighted += size * price;
+}
+
+function formatSide(side) {
+  const size = roundMoney(side.size);
+  return { size, averagePrice: size > 0 ? roundMoney(side.weighted / side.size) : null };
+}
+
+/**
+ * Worst and best P&L of a set of line bets
+ * @param {Array} bets - [{ side, price, size }]
+ * @returns {{ worst: { result, profit }, best: { result, profit } } | null} null without bets
+ */
+export function lineOutcomeRange(bets) {
+  const live = bets.filter((bet) => bet.size > 0);
+  if (live.length === 0) return null;
+
+  // A result equal to a price settles UNDER it, so each price stands for its gap
+  const prices = [...new Set(live.map((bet) => bet.price))].sort((a, b) => a - b);
+  const candidates = [...prices, prices[prices.length - 1] + 1];
+
+  let worst = null;
+  let best = null;
+  for (const result of candidates) {
+    const profit = roundMoney(live.reduce((sum, bet) => sum + lineBetProfit(bet.side, bet.price, bet.size, result), 0));
+    if (!worst || profit < worst.profit) worst = { result, profit };
+    if (!best || profit > best.profit) best = { result, profit };
+  }
+  return { worst, best };
+}
+
+function liabilityOf(range) {
+  return range ? roundMoney(Math.max(0, -range.worst.profit)) : 0;
+}
+
+/**
+ * Exposure entry for a market without orders
+ */
+export function emptyMarketExposure(marketId) {
+  return {
+    marketId,
+    selections: [],
+    totals: { matchedBack: 0, matchedLay: 0, unmatched: 0, liability: 0, liabilityIfMatched: 0 },
+  };
+}
+
+/**
+ * Exposure per market and selection
+ * @param {Array} orders - CurrentOrderSummary items (any markets)
+ * @returns {Array} One entry per market, in first-seen order
+ */
+export function computeExposure(orders) {
+  const markets = new Map();
+
+  for (const order of orders) {
+    let market = markets.get(order.marketId);
+    if (!market) {
+      market = { marketId: order.marketId, selections: new Map() };
+      markets.set(order.marketId, market);
+    }
+
+    const key = `${order.selectionId}:${order.handicap ?? 0}`;
+    let selection = market.selections.get(key);
+    if (!selection) {
+      selection = {
+        selectionId: order.selectionId,
+        handicap: order.handicap ?? 0,
+        matched: { back: emptySide(), lay: emptySide() },
+        unmatched: { back: 0, lay: 0, orders: 0 },
+        matchedBets: [],
+        unmatchedBets: [],
+      };
+      market.selections.set(key, selection);
+    }
+
+    const side = order.side === "BACK" ? "back" : "lay";
+    const sizeMatched = Number(order.sizeMatched) || 0;
+    const sizeRemaining = Number(order.sizeRemaining) || 0;
+
+    if (sizeMatched > 0) {
+      const price = Number(order.averagePriceMatched) || order.priceSize?.price;
+      addToSide(selection.matched[side], sizeMatched, price);
+      selection.matchedBets.push({ side: order.side, price, size: sizeMatched });
+    }
+
+    if (order.status === "EXECUTABLE" && sizeRemaining > 0) {
+      selection.unmatched[side] += sizeRemaining;
+      selection.unmatched.orders++;
+      selection.unmatchedBets.push({ side: order.side, price: order.priceSize?.price, size: sizeRemaining });
+    }
+  }
+
+  return [...markets.values()].map((market) => {
+    const selections = [...market.selections.values()].map((selection) => {
+      const matchedRange = lineOutcomeRange(selection.matchedBets);
+      const ifMatchedRange = lineOutcomeRange([...selection.matchedBets, ...selection.unmatchedBets]);
+      return {
+        selectionId: selection.selectionId,
+        handicap: selection.handicap,
+        matched: {
+          back: formatSide(selection.matched.back),
+          lay: formatSide(selection.matched.lay),
+        },
+        unmatched: {
+          back: roundMoney(selection.unmatched.back),
+          lay: roundMoney(selection.unmatched.lay),
+          orders: selection.unmatched.orders,
+        },
+        worstCase: matchedRange?.worst ?? null,
+        bestCase: matchedRange?.best ?? null,
+        liability: liabilityOf(matchedRange),
+        liabilityIfMatched: liabilityOf(ifMatchedRange),
+      };
+    });
+
+    return {
+      marketId: market.marketId,
+      selections,
+      totals: {
+        matchedBack: roundMoney(selections.reduce((sum, s) => sum + s.matched.back.size, 0)),
+        matchedLay: roundMoney(selections.reduce((sum, s) => sum + s.matched.lay.size, 0)),
+        unmatched: roundMoney(selections.reduce((sum, s) => sum + s.unmatched.back + s.unmatched.lay, 0)),
+        // Line markets have a single runner; with several, summing is the conservative figure
+        liability: roundMoney(selections.reduce((sum, s) => sum + s.liability, 0)),
+        liabilityIfMatched: roundMoney(selections.reduce((sum, s) => sum + s.liabilityIfMatched, 0)),
+      },
+    };
+  });
+}
+
+/**
+ * Worst-case loss of the bets on one odds market (win, place, ...), every unmatched
+ * remainder counted as if matched at its price. A back of S at P wins S*(P-1) and
+ * loses S; a lay is the other way round. Each selection contributes the worse of
+ * winning and losing, summed - exact for one selection, conservative for several.
+ * @param {Array} orders - CurrentOrderSummary items of the market
+ * @returns {number}
+ */
+export function oddsLiabilityIfMatched(orders) {
+  const outcomes = new Map(); // selectionId -> { ifWins, ifLoses }
+
+  for (const order of orders) {
+    const bets = [];
+    const sizeMatched = Number(order.sizeMatched) || 0;
+    const sizeRemaining = Number(order.sizeRemaining) || 0;
+    if (sizeMatched > 0) bets.push({ size: sizeMatched, price: Number(order.averagePriceMatched) || order.priceSize?.price });
+    if (order.status === "EXECUTABLE" && sizeRemaining > 0) bets.push({ size: sizeRemaining, price: order.priceSize?.price });
+
+    const key = `${order.selectionId}:${order.handicap ?? 0}`;
+    const outcome = outcomes.get(key) || { ifWins: 0, ifLoses: 0 };
+    for (const { size, price } of bets) {
+      const sign = order.side === "BACK" ? 1 : -1;
+      outcome.ifWins += sign * size * (price - 1);
+      outcome.ifLoses -= sign * size;
+    }
+    outcomes.set(key, outcome);
+  }
+
+  const worst = [...outcomes.values()].reduce((sum, { ifWins, ifLoses }) => sum + Math.min(ifWins, ifLoses), 0);
+  return roundMoney(Math.max(0, -worst));
+}
@@ -0,0 +1,309 @@
+import { lineBetProfit, roundMoney } from "../utils/lineMarket.js";
+
+/**
+ * Paper-trading matcher
+ *
+ * Simulates the exchange for bots (and manual orders) running in `mode: "paper"`.
+ * Orders never leave the process - they are filled against the stream's merged
+ * prices from the market cache:
+ * - a BACK at price P fills immediately against best back >= P (a LAY against best lay <= P),
+ *   up to the size available at that level, at the better price; what our bets took is
+ *   not offered again until the stream changes the level
+ * - whatever is left rests and fills as the book crosses it later, or as volume
+ *   trades at P after the order was placed (we assume we are at the back of the queue);
+ *   that volume is shared by our bets resting at P, oldest first
+ *
+ * P&L is virtual: `indicative` marks matched bets against the current line,
+ * `settled` is fixed once `settle(result)` is called with the final line value.
+ */
+
+/**
+ * Factory function to create a paper matcher bound to a market cache
+ * @param {Object} options
+ * @param {Object} options.marketCache - Cache created by createMarketCache()
+ */
+export function createPaperMatcher({ marketCache }) {
+  const bets = [];
+  let sequence = 0;
+  let settlement = null; // { result, estimated, settledAt }
+  // Size our bets took per price level: "selectionId:side:price" -> { size, taken }
+  const levelsTaken = new Map();
+  // Traded volume per price already handed to our resting bets: "marketId:selectionId:price" -> volume
+  const tradedCredited = new Map();
+
+  function tradedAtPrice(bet) {
+    const ladder = marketCache.getTradedVolume(bet.marketId, bet.selectionId);
+    const point = ladder.find(([price]) => Math.abs(price - bet.price) < 0.001);
+    return point ? point[1] : 0;
+  }
+
+  function tradedKey(bet) {
+    return `${bet.marketId}:${bet.selectionId}:${bet.price}`;
+  }
+
+  /**
+   * Hand the volume traded at a bet's price since the last call to the bets resting
+   * there, in the order they were placed - each traded unit fills one bet only
+   * @returns {Object[]} The bets that received a fill
+   */
+  function shareTradedVolume(atPrice, now) {
+    const key = tradedKey(atPrice);
+    const traded = tradedAtPrice(atPrice);
+    let volume = roundMoney(traded - (tradedCredited.get(key) ?? traded));
+    tradedCredited.set(key, traded);
+
+    const filled = [];
+    for (const bet of bets) {
+      if (volume <= 0) break;
+      if (bet.status !== "EXECUTABLE" || tradedKey(bet) !== key) continue;
+      const size = Math.min(bet.sizeRemaining, volume);
+      applyFill(bet, size, bet.price, now);
+      volume = roundMoney(volume - size);
+      filled.push(bet);
+    }
+    return filled;
+  }
+
+  /**
+   * Best level on the other side that our order would cross, if any
+   */
+  function crossingLevel(bet, runner) {
+    if (bet.side === "BACK") {
+      return runner.bestBack && runner.bestBack.price >= bet.price ? runner.bestBack : null;
+    }
+    return runner.bestLay && runner.bestLay.price <= bet.price ? runner.bestLay : null;
+  }
+
+  function levelKey(bet, level) {
+    return `${bet.selectionId}:${bet.side}:${level.price}`;
+  }
+
+  /**
+   * Size still offered at a level - a level showing another size has been updated by the stream
+   */
+  function availableAt(bet, level) {
+    const seen = levelsTaken.get(levelKey(bet, level));
+    return seen && seen.size === level.size ? roundMoney(level.size - seen.taken) : level.size;
+  }
+
+  function takeFrom(bet, level, size) {
+    const key = levelKey(bet, level);
+    const seen = levelsTaken.get(key);
+    const taken = seen && seen.size === level.size ? seen.taken : 0;
+    levelsTaken.set(key, { size: level.size, taken: roundMoney(taken + size) });
+  }
+
+  function applyFill(bet, size, price, now) {
+    const matchedBefore = bet.sizeMatched;
+    bet.sizeMatched = roundMoney(bet.sizeMatched + size);
+    bet.sizeRemaining = roundMoney(bet.size - bet.sizeMatched - bet.sizeCancelled);
+    bet.averagePriceMatched = roundMoney(
+      ((bet.averagePriceMatched || 0) * matchedBefore + price * size) / bet.sizeMatched
+    );
+    bet.fills.push({ size: roundMoney(size), price, time: new Date(now).toISOString() });
+    if (bet.sizeRemaining <= 0) {
+      bet.status = "EXECUTION_COMPLETE";
+    }
+  }
+
+  /**
+   * Try to (partly) fill one resting bet against the book
+   * @returns {boolean} Whether anything was matched
+   */
+  function tryFill(bet, now) {
+    if (bet.status !== "EXECUTABLE") return false;
+
+    const runner = marketCache.getRunnerPrices(bet.marketId, bet.selectionId);
+    if (!runner) return false;
+
+    const level = crossingLevel(bet, runner);
+    const available = level ? availableAt(bet, level) : 0;
+    if (available > 0) {
+      const size = Math.min(bet.sizeRemaining, available);
+      takeFrom(bet, level, size);
+      applyFill(bet, size, level.price, now);
+      return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * Simulated placeOrders - returns the same shape as the Betfair response
+   * @param {string} marketId
+   * @param {Array} instructions - Same instructions as placeBetOrder
+   * @param {Object} [options] - { now, source, reason, oldPrice, newPrice }
+   */
+  function placeOrders(marketId, instructions, { now = Date.now(), source = "manual", reason = null, oldPrice = null, newPrice = null } = {}) {
+    const instructionReports = instructions.map((inst) => {
+      sequence++;
+      const bet = {
+        betId: `PAPER-${marketId}-${sequence}`,
+        marketId,
+        selectionId: inst.selectionId,
+        side: inst.side,
+        price: inst.limitOrder.price,
+        size: inst.size || 1,
+        sizeMatched: 0,
+        sizeRemaining: inst.size || 1,
+        sizeCancelled: 0,
+        averagePriceMatched: null,
+        status: "EXECUTABLE",
+        persistenceType: inst.limitOrder.persistenceType || "LAPSE",
+        placedDate: new Date(now).toISOString(),
+        source,
+        reason,
+        oldPrice,
+        newPrice,
+        fills: [],
+        profit: null,
+      };
+      // Volume traded before the bet belongs to the bets already resting - it joins the queue after it
+      shareTradedVolume(bet, now);
+      bets.push(bet);
+
+      // Immediate match against the current book
+      tryFill(bet, now);
+
+      return {
+        status: "SUCCESS",
+        instruction: inst,
+        betId: bet.betId,
+        placedDate: bet.placedDate,
+        averagePriceMatched: bet.averagePriceMatched || 0,
+        sizeMatched: bet.sizeMatched,
+        orderStatus: bet.status,
+      };
+    });
+
+    return {
+      status: "SUCCESS",
+      marketId,
+      paper: true,
+      instructionReports,
+    };
+  }
+
+  /**
+   * Simulated cancelOrders - same response shape as Betfair
+   * @param {string} marketId
+   * @param {Array} instructions - [{ betId, sizeReduction? }]
+   * @param {Object} [options] - { now }
+   */
+  function cancelOrders(marketId, instructions, { now = Date.now() } = {}) {
+    const instructionReports = instructions.map((instruction) => {
+      const bet = bets.find((b) => b.betId === instruction.betId && b.marketId === marketId);
+      if (!bet || bet.status !== "EXECUTABLE") {
+        return { status: "FAILURE", errorCode: "BET_TAKEN_OR_LAPSED", instruction };
+      }
+      const size = roundMoney(Math.min(instruction.sizeReduction || bet.sizeRemaining, bet.sizeRemaining));
+      bet.sizeRemaining = roundMoney(bet.sizeRemaining - size);
+      bet.sizeCancelled = roundMoney(bet.sizeCancelled + size);
+      if (bet.sizeRemaining <= 0) {
+        bet.status = "EXECUTION_COMPLETE";
+      }
+      return { status: "SUCCESS", instruction, sizeCancelled: size, cancelledDate: new Date(now).toISOString() };
+    });
+
+    const failed = instructionReports.some((report) => report.status !== "SUCCESS");
+    return {
+      status: failed ? "FAILURE" : "SUCCESS",
+      marketId,
+      paper: true,
+      instructionReports,
+    };
+  }
+
+  /**
+   * Re-check resting orders after the market cache changed
+   * @returns {number} Number of bets that received a fill
+   */
+  function onMarketUpdate(marketId, now = Date.now()) {
+    const filled = new Set();
+    for (const bet of bets) {
+      if (bet.marketId === marketId && tryFill(bet, now)) {
+        filled.add(bet);
+      }
+    }
+
+    const prices = new Set();
+    for (const bet of bets) {
+      if (bet.marketId !== marketId || bet.status !== "EXECUTABLE" || prices.has(tradedKey(bet))) continue;
+      prices.add(tradedKey(bet));
+      shareTradedVolume(bet, now).forEach((fill) => filled.add(fill));
+    }
+    return filled.size;
+  }
+
+  /**
+   * Current line used to mark open positions (LTP, else mid of best back/lay)
+   */
+  function markPrice(marketId, selectionId) {
+    const runner = marketCache.getRunnerPrices(marketId, selectionId);
+    if (!runner) return null;
+    if (runner.lastTradedPrice) return runner.lastTradedPrice;
+    if (runner.bestBack && runner.bestLay) return (runner.bestBack.price + runner.bestLay.price) / 2;
+    return runner.bestBack?.price ?? runner.bestLay?.price ?? null;
+  }
+
+  /**
+   * Settle every matched bet against the final line value
+   * Unmatched remainders lapse.
+   * @param {number} result - Final line value
+   * @param {Object} [options] - { estimated } when the result is a proxy (e.g. last traded line)
+   */
+  function settle(result, { estimated = false, now = Date.now() } = {}) {
+    for (const bet of bets) {
+      if (bet.status === "EXECUTABLE") {
+        bet.status = "LAPSED";
+      }
+      bet.profit = bet.sizeMatched > 0
+        ? roundMoney(lineBetProfit(bet.side, bet.averagePriceMatched, bet.sizeMatched, result))
+        : 0;
+    }
+    settlement = { result, estimated, settledAt: new Date(now).toISOString() };
+    return getReport();
+  }
+
+  /**
+   * Serializable report of all simulated bets and virtual P&L
+   */
+  function getReport() {
+    let indicative = 0;
+    let settled = 0;
+
+    const formatted = bets.map((bet) => {
+      if (bet.sizeMatched > 0) {
+        const mark = markPrice(bet.marketId, bet.selectionId);
+        if (mark !== null) {
+          indicative += lineBetProfit(bet.side, bet.averagePriceMatched, bet.sizeMatched, mark);
+        }
+      }
+      if (bet.profit !== null) settled += bet.profit;
+      return { ...bet, fills: [...bet.fills] };
+    });
+
+    return {
+      bets: formatted,
+      totals: {
+        bets: bets.length,
+        sizeMatched: roundMoney(bets.reduce((sum, b) => sum + b.sizeMatched, 0)),
+        sizeRemaining: roundMoney(bets.reduce((sum, b) => sum + (b.status === "EXECUTABLE" ? b.sizeRemaining : 0), 0)),
+      },
+      pnl: {
+        indicative: roundMoney(indicative),
+        settled: settlement ? roundMoney(settled) : null,
+      },
+      settlement,
+    };
+  }
+
+  return {
+    placeOrders,
+    cancelOrders,
+    onMarketUpdate,
+    settle,
+    markPrice,
+    getReport,
+  };
+}
@@ -0,0 +1,186 @@
+import { roundMoney } from "../utils/lineMarket.js";
+
+/**
+ * P&L analytics over Betfair cleared orders
+ *
+ * Pure functions over ClearedOrderSummary items at BET level (no groupBy):
+ * totals and breakdowns by event, market, side, settlement day and price band.
+ * Commission is not reported per bet by Betfair - callers attach it from a
+ * MARKET-level listClearedOrders call via `commissionByMarket`.
+ *
+ * Every metric block:
+ * { bets, won, lost, turnover, profit, commission, netProfit, roi, strikeRate }
+ * - turnover: sum of sizeSettled
+ * - roi: netProfit / turnover, in percent
+ * - strikeRate: won / (won + lost), in percent
+ */
+
+export const BREAKDOWNS = ["event", "market", "side", "day", "priceBand"];
+
+export const DEFAULT_PRICE_BAND_WIDTH = 10;
+
+function percent(part, whole) {
+  return whole > 0 ? roundMoney((part / whole) * 100) : null;
+}
+
+function emptyMetrics() {
+  return { bets: 0, won: 0, lost: 0, turnover: 0, profit: 0, commission: null };
+}
+
+function addBet(metrics, bet) {
+  metrics.bets++;
+  if (bet.betOutcome === "WON") metrics.won++;
+  if (bet.betOutcome === "LOST") metrics.lost++;
+  metrics.turnover += Number(bet.sizeSettled) || 0;
+  metrics.profit += Number(bet.profit) || 0;
+}
+
+function addCommission(metrics, commission) {
+  if (commission === null || commission === undefined) return;
+  metrics.commission = (metrics.commission || 0) + commission;
+}
+
+/**
+ * Final, rounded metric block
+ */
+function finishMetrics(metrics) {
+  const profit = roundMoney(metrics.profit);
+  const commission = metrics.commission === null ? null : roundMoney(metrics.commission);
+  const netProfit = roundMoney(profit - (commission || 0));
+  const turnover = roundMoney(metrics.turnover);
+  return {
+    bets: metrics.bets,
+    won: metrics.won,
+    lost: metrics.lost,
+    turnover,
+    profit,
+    commission,
+    netProfit,
+    roi: percent(netProfit, turnover),
+    strikeRate: percent(metrics.won, metrics.won + metrics.lost),
+  };
+}
+
+/**
+ * Price band of a line bet, e.g. 45.5 -> { key: "40-50", from: 40, to: 50 }
+ */
+export function priceBand(price, width = DEFAULT_PRICE_BAND_WIDTH) {
+  if (price === null || price === undefined || !Number.isFinite(Number(price))) {
+    return { key: "unknown", from: null, to: null };
+  }
+  const from = Math.floor(Number(price) / width) * width;
+  return { key: `${from}-${from + width}`, from, to: from + width };
+}
+
+/**
+ * Key and label of a bet for one breakdown
+ */
+function groupOf(breakdown, bet, priceBandWidth) {
+  switch (breakdown) {
+    case "event":
+      return { key: bet.eventId || "unknown", label: bet.itemDescription?.eventDesc || null };
+    case "market":
+      return {
+        key: bet.marketId || "unknown",
+        label: bet.itemDescription?.marketDesc || null,
+        eventId: bet.eventId || null,
+      };
+    case "side":
+      return { key: bet.side || "unknown" };
+    case "day":
+      return { key: bet.settledDate ? bet.settledDate.slice(0, 10) : "unknown" };
+    case "priceBand": {
+      const band = priceBand(bet.priceMatched ?? bet.priceRequested, priceBandWidth);
+      return { key: band.key, from: band.from, to: band.to };
+    }
+    default:
+      throw new Error(`Unknown breakdown '${breakdown}'`);
+  }
+}
+
+/**
+ * Sort order of each breakdown's rows
+ */
+function sortRows(breakdown, rows) {
+  if (breakdown === "day") return rows.sort((a, b) => a.key.localeCompare(b.key));
+  if (breakdown === "priceBand") return rows.sort((a, b) => (a.from ?? Infinity) - (b.from ?? Infinity));
+  return rows.sort((a, b) => b.netProfit - a.netProfit);
+}
+
+/**
+ * Analyse BET-level cleared orders
+ * @param {Array} bets - ClearedOrderSummary items
+ * @param {Object} [options]
+ * @param {Map<string, number>} [options.commissionByMarket] - marketId -> commission paid
+ * @param {number} [options.priceBandWidth]
+ * @param {string[]} [options.breakdowns] - Subset of BREAKDOWNS
+ * @returns {{ totals: Object, breakdowns: Object }}
+ */
+export function analyseClearedOrders(bets, { commissionByMarket = null, priceBandWidth = DEFAULT_PRICE_BAND_WIDTH, breakdowns = BREAKDOWNS } = {}) {
+  const totals = emptyMetrics();
+  const groups = Object.fromEntries(breakdowns.map((name) => [name, new Map()]));
+
+  for (const bet of bets) {
+    addBet(totals, bet);
+    for (const name of breakdowns) {
+      const group = groupOf(name, bet, priceBandWidth);
+      let row = groups[name].get(group.key);
+      if (!row) {
+        row = { group, metrics: emptyMetrics() };
+        groups[name].set(group.key, row);
+      }
+      addBet(row.metrics, bet);
+    }
+  }
+
+  // Commission is per market - roll it up to totals, markets and events
+  if (commissionByMarket) {
+    const marketEvents = new Map(bets.map((bet) => [bet.marketId, bet.eventId]));
+    for (const [marketId, commission] of commissionByMarket) {
+      if (!marketEvents.has(marketId)) continue;
+      addCommission(totals, commission);
+      if (groups.market?.has(marketId)) addCommission(groups.market.get(marketId).metrics, commission);
+      const eventId = marketEvents.get(marketId) || "unknown";
+      if (groups.event?.has(eventId)) addCommission(groups.event.get(eventId).metrics, commission);
+    }
+    if (totals.commission === null) totals.commission = 0;
+  }
+
+  const result = {};
+  for (const name of breakdowns) {
+    const rows = [...groups[name].values()].map(({ group, metrics }) => ({ ...group, ...finishMetrics(metrics) }));
+    result[name] = sortRows(name, rows);
+  }
+
+  return { totals: finishMetrics(totals), breakdowns: result };
+}
+
+/**
+ * Metric block for items Betfair already grouped (groupBy != BET)
+ * Keeps Betfair's identifiers and adds profit / commission / net
+ */
+export function formatGroupedItems(items) {
+  return items.map((item) => {
+    const profit = roundMoney(Number(item.profit) || 0);
+    const commission = item.commission === undefined ? null : roundMoney(item.commission);
+    const turnover = item.sizeSettled === undefined ? null : roundMoney(item.sizeSettled);
+    const netProfit = roundMoney(profit - (commission || 0));
+    return {
+      eventTypeId: item.eventTypeId ?? null,
+      eventId: item.eventId ?? null,
+      marketId: item.marketId ?? null,
+      selectionId: item.selectionId ?? null,
+      side: item.side ?? null,
+      betId: item.betId ?? null,
+      itemDescription: item.itemDescription ?? null,
+      bets: item.betCount ?? null,
+      turnover,
+      profit,
+      commission,
+      netProfit,
+      roi: turnover ? percent(netProfit, turnover) : null,
+      lastMatchedDate: item.lastMatchedDate ?? null,
+      settledDate: item.settledDate ?? null,
+    };
+  });
+}
@@ -0,0 +1,298 @@
+import { appendJsonLine, getStoragePath, readJsonFile, readJsonLines, writeJsonFile } from "../utils/storage.js";
+import { computeExposure, oddsLiabilityIfMatched } from "./exposure.js";
+import { roundMoney } from "../utils/lineMarket.js";
+
+/**
+ * Risk manager
+ *
+ * Hard limits checked by placeBetOrder before anything is sent to Betfair, so
+ * they apply to bots (worker threads) and manual /place-order alike:
+ * - maxStakePerBet: largest size of a single instruction
+ * - maxBetsPerMarket: accepted placements on a market (from the bet ledger),
+ *   counting only the ordering user's bets
+ * - maxLiabilityPerMarket: worst-case loss on the market if every open order and
+ *   the new ones matched (from listCurrentOrders), priced by the market's betting
+ *   type - line and odds markets; orders on any other type are rejected
+ * - maxDailyLoss: today's (UTC) settled loss after commission (from listClearedOrders),
+ *   per account - each user trades on their own Betfair account
+ * - kill switch: rejects every order while on; it is also the "trading halted"
+ *   flag set by POST /bot/stop-all, which blocks starting bots
+ *
+ * A limit set to null is not checked. Limits start from the RISK_* env vars and
+ * can be changed at runtime. Limits and the kill switch live in
+ * <STORAGE_DIR>/risk.json and are read on every check, so every thread sees a
+ * change straight away and it survives a restart. Rejections and changes are
+ * appended to <STORAGE_DIR>/risk-events.jsonl.
+ *
+ * Checks that need Betfair fail closed: if the data cannot be read the order
+ * is rejected.
+ */
+
+const RISK_FILE = "risk.json";
+const EVENTS_FILE = "risk-events.jsonl";
+
+export const RISK_LIMITS = ["maxStakePerBet", "maxBetsPerMarket", "maxLiabilityPerMarket", "maxDailyLoss"];
+
+const LIMIT_ENV = {
+  maxStakePerBet: "RISK_MAX_STAKE_PER_BET",
+  maxBetsPerMarket: "RISK_MAX_BETS_PER_MARKET",
+  maxLiabilityPerMarket: "RISK_MAX_LIABILITY_PER_MARKET",
+  maxDailyLoss: "RISK_MAX_DAILY_LOSS",
+};
+
+/**
+ * Today's cleared P&L is cached this long per thread and account
+ */
+const DAILY_PNL_TTL_MS = 60000;
+
+/**
+ * Thrown by placeBetOrder when an order breaks a limit
+ */
+export class RiskLimitError extends Error {
+  constructor(marketId, reasons) {
+    super("Order rejected by risk limits");
+    this.name = "RiskLimitError";
+    this.marketId = marketId;
+    this.reasons = reasons;
+  }
+}
+
+/**
+ * Limits from the environment (unset or invalid = not checked)
+ */
+function envLimits() {
+  const limits = {};
+  for (const name of RISK_LIMITS) {
+    const value = Number(process.env[LIMIT_ENV[name]]);
+    limits[name] = process.env[LIMIT_ENV[name]] && value > 0 ? value : null;
+  }
+  return limits;
+}
+
+/**
+ * Liability if every order matched, with the formula of the market's betting type
+ * @throws {Error} For a betting type it cannot price
+ */
+function liabilityIfMatched(bettingType, orders) {
+  if (bettingType === "LINE") return computeExposure(orders)[0]?.totals.liabilityIfMatched ?? 0;
+  if (bettingType === "ODDS") return oddsLiabilityIfMatched(orders);
+  throw new Error(bettingType ? `liability on ${bettingType} markets cannot be priced` : "its betting type is unknown");
+}
+
+function startOfUtcDay(time) {
+  const date = new Date(time);
+  date.setUTCHours(0, 0, 0, 0);
+  return date.toISOString();
+}
+
+/**
+ * Factory function to create a risk manager on its state files
+ * @param {Object} [options]
+ * @param {string} [options.filePath] - Limits and kill switch, defaults to <STORAGE_DIR>/risk.json
+ * @param {string} [options.eventsPath] - Defaults to <STORAGE_DIR>/risk-events.jsonl
+ * @param {Function} [options.now] - Clock in ms
+ * @param {Object} [options.logger] - console-like logger
+ */
+export function createRiskManager({
+  filePath = getStoragePath(RISK_FILE),
+  eventsPath = getStoragePath(EVENTS_FILE),
+  now = Date.now,
+  logger = console,
+} = {}) {
+  const dailyPnl = new Map(); // account -> { day, net, fetchedAt }
+
+  function readState() {
+    return readJsonFile(filePath, {});
+  }
+
+  function logEvent(event, details = {}) {
+    appendJsonLine(eventsPath, { at: new Date(now()).toISOString(), event, ...details });
+  }
+
+  /**
+   * Effective limits: saved values over env defaults
+   */
+  function getLimits() {
+    return { ...envLimits(), ...(readState().limits || {}) };
+  }
+
+  function getKillSwitch() {
+    return readState().killSwitch || { active: false, reason: null, triggeredBy: null, changedAt: null };
+  }
+
+  /**
+   * Save a partial limits change ({ maxStakePerBet: 5, maxDailyLoss: null, ... })
+   * @returns {Object} The effective limits
+   */
+  function setLimits(update) {
+    const state = readState();
+    state.limits = { ...(state.limits || {}), ...update };
+    writeJsonFile(filePath, state);
+    logEvent("limits_changed", { limits: update });
+    return getLimits();
+  }
+
+  /**
+   * Turn the kill switch on or off
+   * @param {string} [options.triggeredBy] - Who changed it, for the event log
+   */
+  function setKillSwitch(active, reason = null, { triggeredBy = null } = {}) {
+    const state = readState();
+    state.killSwitch = { active, reason, triggeredBy, changedAt: new Date(now()).toISOString() };
+    writeJsonFile(filePath, state);
+    logEvent(active ? "kill_switch_on" : "kill_switch_off", { reason, triggeredBy });
+    logger.log(`[Risk] Kill switch ${active ? "ON" : "off"}${reason ? ` - ${reason}` : ""}${triggeredBy ? ` (by ${triggeredBy})` : ""}`);
+    return state.killSwitch;
+  }
+
+  /**
+   * Today's settled P&L after commission of the sources' account, cached for DAILY_PNL_TTL_MS
+   */
+  async function getDailyPnl(sources) {
+    const day = startOfUtcDay(now());
+    const account = sources.account ?? null;
+    const cached = dailyPnl.get(account);
+    if (cached && cached.day === day && now() - cached.fetchedAt < DAILY_PNL_TTL_MS) {
+      return cached.net;
+    }
+    const items = await sources.listClearedOrders({
+      betStatus: "SETTLED",
+      settledDateRange: { from: day, to: new Date(now()).toISOString() },
+      groupBy: "EVENT_TYPE",
+    });
+    const net = roundMoney(items.reduce((sum, item) => sum + (Number(item.profit) || 0) - (Number(item.commission) || 0), 0));
+    dailyPnl.set(account, { day, net, fetchedAt: now() });
+    return net;
+  }
+
+  /**
+   * Check one placeOrders call against every limit
+   * @param {Object} order - { marketId, instructions } (instructions as passed to placeBetOrder)
+   * @param {Object} sources - Data the limits need, all for the account placing the order:
+   *   { account, countMarketBets(marketId), listCurrentOrders(filter), listClearedOrders(filter), getBettingType(marketId) }
+   *   account keys the daily P&L cache (the ordering user's id)
+   * @param {Object} [meta] - Ledger context of the order, logged with a rejection
+   * @returns {Promise<{ allowed: boolean, reasons: string[] }>}
+   */
+  async function checkOrder({ marketId, instructions }, sources, meta = {}) {
+    const reasons = [];
+    const killSwitch = getKillSwitch();
+
+    if (killSwitch.active) {
+      reasons.push(`Kill switch is on${killSwitch.reason ? `: ${killSwitch.reason}` : ""}`);
+    } else {
+      const limits = getLimits();
+
+      if (limits.maxStakePerBet !== null) {
+        for (const inst of instructions) {
+          const size = inst.size || 1;
+          if (size > limits.maxStakePerBet) {
+            reasons.push(`Stake ${size} is above the maximum of ${limits.maxStakePerBet} per bet`);
+          }
+        }
+      }
+
+      if (limits.maxBetsPerMarket !== null) {
+        const placed = sources.countMarketBets(marketId);
+        if (placed + instructions.length > limits.maxBetsPerMarket) {
+          reasons.push(`Market ${marketId} already has ${placed} of at most ${limits.maxBetsPerMarket} bets`);
+        }
+      }
+
+      if (limits.maxLiabilityPerMarket !== null) {
+        try {
+          const open = await sources.listCurrentOrders({ marketIds: [marketId] });
+          const pending = instructions.map((inst) => ({
+            marketId,
+            selectionId: inst.selectionId,
+            side: inst.side,
+            priceSize: { price: inst.limitOrder.price, size: inst.size || 1 },
+            status: "EXECUTABLE",
+            sizeMatched: 0,
+            sizeRemaining: inst.size || 1,
+          }));
+          const liability = liabilityIfMatched(await sources.getBettingType(marketId), [...open, ...pending]);
+          if (liability > limits.maxLiabilityPerMarket) {
+            reasons.push(
+              `Liability on market ${marketId} would be ${liability}, above the maximum of ${limits.maxLiabilityPerMarket}`
+            );
+          }
+        } catch (err) {
+          reasons.push(`Could not check liability on market ${marketId}: ${err.message}`);
+        }
+      }
+
+      if (limits.maxDailyLoss !== null) {
+        try {
+          const net = await getDailyPnl(sources);
+          if (-net >= limits.maxDailyLoss) {
+            reasons.push(`Today's loss of ${roundMoney(-net)} has reached the daily limit of ${limits.maxDailyLoss}`);
+          }
+        } catch (err) {
+          reasons.push(`Could not check today's P&L: ${err.message}`);
+        }
+      }
+    }
+
+    if (reasons.length > 0) {
+      logEvent("rejected", {
+        marketId,
+        source: meta.source || "manual",
+        botId: meta.botId || null,
+        instructions: instructions.map((inst) => ({
+          selectionId: inst.selectionId,
+          side: inst.side,
+          price: inst.limitOrder?.price,
+          size: inst.size || 1,
+        })),
+        reasons,
+      });
+      logger.error(`[Risk] Order on market ${marketId} rejected: ${reasons.join("; ")}`);
+    }
+
+    return { allowed: reasons.length === 0, reasons };
+  }
+
+  /**
+   * Latest risk events, newest first
+   */
+  function getEvents({ limit = 50 } = {}) {
+    return readJsonLines(eventsPath).reverse().slice(0, limit);
+  }
+
+  /**
+   * Current state for GET /risk
+   * @param {Object} [options] - { account } whose daily P&L is reported
+   */
+  function getStatus({ account = null } = {}) {
+    const cached = dailyPnl.get(account);
+    return {
+      limits: getLimits(),
+      killSwitch: getKillSwitch(),
+      dailyPnl: cached ? { day: cached.day, net: cached.net, fetchedAt: new Date(cached.fetchedAt).toISOString() } : null,
+    };
+  }
+
+  return {
+    checkOrder,
+    getDailyPnl,
+    getLimits,
+    setLimits,
+    getKillSwitch,
+    setKillSwitch,
+    getEvents,
+    getStatus,
+  };
+}
+
+/**
+ * Shared risk manager for this thread (created on first use so STORAGE_DIR from .env applies)
+ */
+let defaultRiskManager = null;
+
+export function getRiskManager() {
+  if (!defaultRiskManager) {
+    defaultRiskManager = createRiskManager();
+  }
+  return defaultRiskManager;
+}
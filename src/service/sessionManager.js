@@ -0,0 +1,348 @@
+import { sessionEvents } from "../utils/axiosInstance.js";
+import {
+  keepAliveSession,
+  loadClientCertificate,
+  loginInteractive,
+  loginWithCertificate,
+  logoutSession,
+} from "../utils/identityService.js";
+
+/**
+ * Session manager
+ *
+ * Keeps the app's Betfair session alive for bots that run through a whole
+ * match. The session comes from POST /login (or the first bot started without
+ * one) and keepAlive is called every SESSION_KEEP_ALIVE_MS (default 15 min).
+ *
+ * login() gets a session without a browser from BETFAIR_USERNAME /
+ * BETFAIR_PASSWORD: certificate login when a client certificate is configured
+ * (see loadClientCertificate), the interactive endpoint otherwise. It runs on
+ * boot and when Betfair says the managed session is gone (keepAlive answers
+ * NO_SESSION, a REST call fails with INVALID_SESSION_INFORMATION / NO_SESSION,
+ * or a worker's stream reports it). Listeners are told about the new token and
+ * push it to running workers. Without credentials the session is marked
+ * expired and has to be renewed with POST /login.
+ *
+ * Users' own Betfair sessions that bots or watches run on are kept alive on the
+ * same timer (see keepAliveSessions). They cannot be logged in again here - a
+ * user whose session is gone logs in again with POST /login.
+ *
+ * Main thread only - workers report session errors to the parent.
+ */
+
+export const DEFAULT_KEEP_ALIVE_MS = 15 * 60 * 1000;
+
+// Replaced managed tokens still recognised as ours in reportInvalid
+const MAX_PREVIOUS_TOKENS = 10;
+
+const SESSION_GONE = ["NO_SESSION", "INVALID_SESSION_INFORMATION"];
+
+/**
+ * Factory function to create a session manager
+ * @param {Object} [options]
+ * @param {Object} [options.identity] - { login, certLogin, loadCertificate, keepAlive, logout }
+ *   Betfair identity calls (see utils/identityService.js)
+ * @param {Function} [options.now] - Clock in ms
+ * @param {Object} [options.logger] - console-like logger
+ */
+export function createSessionManager({
+  identity = {
+    login: loginInteractive,
+    certLogin: loginWithCertificate,
+    loadCertificate: loadClientCertificate,
+    keepAlive: keepAliveSession,
+    logout: logoutSession,
+  },
+  now = Date.now,
+  logger = console,
+} = {}) {
+  let session = null; // { token, source, loginMethod, status, obtainedAt, lastKeepAliveAt, lastError }
+  let keepAliveTimer = null;
+  let relogin = null; // In-flight re-login, shared by every caller
+  const listeners = new Set();
+  const sessionProviders = new Set(); // () => tokens of other sessions to keep alive
+  const previousTokens = []; // Managed tokens replaced lately - callers may still be on one
+
+  const timestamp = () => new Date(now()).toISOString();
+
+  function scheduleKeepAlive() {
+    clearInterval(keepAliveTimer);
+    const intervalMs = Number(process.env.SESSION_KEEP_ALIVE_MS) || DEFAULT_KEEP_ALIVE_MS;
+    keepAliveTimer = setInterval(keepAliveAll, intervalMs);
+    // Never keeps the process alive on its own
+    keepAliveTimer.unref?.();
+  }
+
+  /**
+   * Stop the timer unless other sessions still need it
+   */
+  function stopKeepAlive() {
+    if (sessionProviders.size > 0) return;
+    clearInterval(keepAliveTimer);
+    keepAliveTimer = null;
+  }
+
+  /**
+   * Timer tick: the managed session, then every other session in use
+   */
+  async function keepAliveAll() {
+    const managed = session?.status === "active" ? session.token : null;
+    if (managed) {
+      await keepAlive(managed).catch((err) => logger.error("[Session] Keep-alive failed:", err.response?.data || err.message));
+    }
+
+    const tokens = new Set();
+    for (const provider of sessionProviders) {
+      try {
+        for (const token of provider()) {
+          if (token && token !== managed) tokens.add(token);
+        }
+      } catch (err) {
+        logger.error("[Session] Session provider failed:", err.message);
+      }
+    }
+    for (const token of tokens) {
+      try {
+        const data = await identity.keepAlive(process.env.BETFAIR_APP_KEY, token);
+        if (data.status !== "SUCCESS") {
+          logger.error(`[Session] A user's Betfair session could not be kept alive: ${data.error || data.status}`);
+        }
+      } catch (err) {
+        logger.error("[Session] Keep-alive failed:", err.response?.data || err.message);
+      }
+    }
+  }
+
+  /**
+   * Keep other sessions alive with the managed one (users' own sessions of running bots and watches)
+   * @param {Function} provider - () => tokens, read on every keep-alive
+   * @returns {Function} Unsubscribe
+   */
+  function keepAliveSessions(provider) {
+    sessionProviders.add(provider);
+    if (!keepAliveTimer) scheduleKeepAlive();
+    return () => {
+      sessionProviders.delete(provider);
+      if (!session || session.status !== "active") stopKeepAlive();
+    };
+  }
+
+  /**
+   * Make a token the managed session and tell the listeners when it changed
+   * @param {Object} [options] - { source: "login" | "bot" | "boot" | "relogin", loginMethod: "certificate" | "interactive" | null }
+   */
+  function setSession(token, { source = "login", loginMethod = null } = {}) {
+    const previous = session?.token || null;
+    if (previous && previous !== token) {
+      previousTokens.push(previous);
+      if (previousTokens.length > MAX_PREVIOUS_TOKENS) previousTokens.shift();
+    }
+    session = { token, source, loginMethod, status: "active", obtainedAt: timestamp(), lastKeepAliveAt: null, lastError: null };
+    scheduleKeepAlive();
+
+    if (token !== previous) {
+      for (const listener of listeners) {
+        try {
+          listener(token, previous);
+        } catch (err) {
+          logger.error("[Session] Session listener failed:", err.message);
+        }
+      }
+    }
+    return getSession();
+  }
+
+  /**
+   * Manage a token only when there is no active session yet (bots started with their own token)
+   */
+  function adoptSession(token, { source = "bot" } = {}) {
+    if (!token || session?.status === "active") return false;
+    setSession(token, { source });
+    return true;
+  }
+
+  function clearSession() {
+    stopKeepAlive();
+    session = null;
+    previousTokens.length = 0;
+  }
+
+  /**
+   * Whether login() has what it needs
+   */
+  function hasCredentials() {
+    return Boolean(process.env.BETFAIR_APP_KEY && process.env.BETFAIR_USERNAME && process.env.BETFAIR_PASSWORD);
+  }
+
+  /**
+   * Log in with the env credentials and make the result the managed session
+   * Uses certificate login when a client certificate is configured.
+   * @param {Object} [options] - { source } recorded with the session
+   * @returns {Promise<string>} The new token
+   * @throws {CertLoginError} When certlogin answers anything but SUCCESS
+   * @throws {Error} When credentials are missing or the interactive login fails
+   */
+  async function login({ source = "login" } = {}) {
+    if (!hasCredentials()) {
+      throw new Error("BETFAIR_APP_KEY, BETFAIR_USERNAME and BETFAIR_PASSWORD are needed to log in without a browser");
+    }
+    const appKey = process.env.BETFAIR_APP_KEY;
+    const username = process.env.BETFAIR_USERNAME;
+    const password = process.env.BETFAIR_PASSWORD;
+
+    const certificate = identity.loadCertificate();
+    let token;
+    if (certificate) {
+      token = (await identity.certLogin(appKey, username, password, certificate)).sessionToken;
+    } else {
+      const data = await identity.login(appKey, username, password);
+      if (data.status !== "SUCCESS" || !data.token) {
+        throw new Error(`Betfair login failed: ${data.error || data.status}`);
+      }
+      token = data.token;
+    }
+
+    setSession(token, { source, loginMethod: certificate ? "certificate" : "interactive" });
+    return token;
+  }
+
+  /**
+   * Log in again with the env credentials - concurrent callers share one attempt
+   * @returns {Promise<string|null>} The new token, or null when it failed
+   */
+  function loginAgain(errorCode) {
+    if (relogin) return relogin;
+
+    relogin = (async () => {
+      if (!hasCredentials()) {
+        markExpired(`${errorCode} - set BETFAIR_USERNAME and BETFAIR_PASSWORD to log in again automatically`);
+        return null;
+      }
+
+      try {
+        const token = await login({ source: "relogin" });
+        logger.log(`[Session] Session expired (${errorCode}) - logged in again`);
+        return token;
+      } catch (err) {
+        markExpired(`Re-login failed: ${err.message}`);
+        return null;
+      }
+    })().finally(() => {
+      relogin = null;
+    });
+
+    return relogin;
+  }
+
+  function markExpired(reason) {
+    if (session) {
+      session.status = "expired";
+      session.lastError = reason;
+    }
+    stopKeepAlive();
+    logger.error(`[Session] Betfair session expired: ${reason}`);
+  }
+
+  /**
+   * Betfair rejected a token (REST error, stream status or keepAlive)
+   * @returns {Promise<string|null>} The token to use from now on, or null when there is none
+   */
+  async function reportInvalid(token, errorCode = "INVALID_SESSION_INFORMATION") {
+    if (!session) return null;
+
+    // Another account's token (a user's own session) is not ours to renew
+    if (token !== session.token && !previousTokens.includes(token)) return null;
+
+    // A caller still on an older token just needs the current one
+    if (token !== session.token && session.status === "active") {
+      return session.token;
+    }
+
+    return loginAgain(errorCode);
+  }
+
+  /**
+   * Call Betfair keepAlive for a token (the managed session by default)
+   * @returns {Promise<Object>} Betfair's answer
+   */
+  async function keepAlive(token = session?.token) {
+    const data = await identity.keepAlive(process.env.BETFAIR_APP_KEY, token);
+    const isManaged = Boolean(session) && token === session.token;
+
+    if (data.status === "SUCCESS") {
+      if (isManaged) {
+        session.lastKeepAliveAt = timestamp();
+        session.status = "active";
+      }
+    } else if (isManaged && SESSION_GONE.includes(data.error)) {
+      await loginAgain(data.error);
+    }
+    return data;
+  }
+
+  /**
+   * End a session with Betfair (the managed session by default)
+   * Logging out the managed session stops keep-alive; running bots keep their token.
+   */
+  async function logout(token = session?.token) {
+    const data = await identity.logout(process.env.BETFAIR_APP_KEY, token);
+    if (session && token === session.token) {
+      clearSession();
+      logger.log("[Session] Logged out");
+    }
+    return data;
+  }
+
+  /**
+   * Register (token, previousToken) => void for session changes
+   * @returns {Function} Unsubscribe
+   */
+  function onSessionChange(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  }
+
+  /**
+   * Managed session without the token itself
+   */
+  function getSession() {
+    if (!session) return null;
+    const { token, ...details } = session;
+    return details;
+  }
+
+  return {
+    login,
+    hasCredentials,
+    setSession,
+    adoptSession,
+    reportInvalid,
+    keepAlive,
+    keepAliveSessions,
+    logout,
+    onSessionChange,
+    getSession,
+    getToken: () => (session?.status === "active" ? session.token : null),
+    stop() {
+      clearInterval(keepAliveTimer);
+      keepAliveTimer = null;
+      session = null;
+    },
+  };
+}
+
+/**
+ * Shared session manager for the main thread
+ * Betfair session errors from REST calls made on this thread are reported to it.
+ */
+let defaultSessionManager = null;
+
+export function getSessionManager() {
+  if (!defaultSessionManager) {
+    defaultSessionManager = createSessionManager();
+    sessionEvents.on("invalid", ({ sessionToken, errorCode }) => {
+      defaultSessionManager.reportInvalid(sessionToken, errorCode);
+    });
+  }
+  return defaultSessionManager;
+}
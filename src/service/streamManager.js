@@ -0,0 +1,215 @@
+import { Worker } from "worker_threads";
+import { EventEmitter } from "events";
+import { fileURLToPath } from "url";
+import { dirname, join } from "path";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+/**
+ * Stream connection manager
+ *
+ * Betfair limits concurrent stream connections per app key, so markets are
+ * multiplexed: one worker (workers/StreamWorker.js) and one stream connection
+ * per connection key - one per Betfair account, as the order stream and the
+ * session belong to the account. Each bot or watch opens a channel on its
+ * account's connection; the worker subscribes to the channels' markets, updates
+ * the subscription as channels come and go, and feeds market changes to each
+ * channel's own processor and strategy. The connection closes with its last channel.
+ *
+ * A channel has the worker surface StreamController uses: postMessage(),
+ * terminate() and "message" / "error" / "exit" events, carrying only its own
+ * market's messages plus the connection's (reconnecting, status, ...).
+ * Main thread only.
+ */
+
+export const DEFAULT_START_TIMEOUT_MS = 30000;
+
+const WORKER_PATH = join(__dirname, "../workers/StreamWorker.js");
+
+/**
+ * Factory function to create a stream connection manager
+ * @param {Object} [options]
+ * @param {Function} [options.spawnWorker] - (workerData) => Worker
+ * @param {number} [options.startTimeoutMs] - How long a new channel waits for the connection
+ */
+export function createStreamManager({
+  spawnWorker = (workerData) => new Worker(WORKER_PATH, { workerData }),
+  startTimeoutMs = DEFAULT_START_TIMEOUT_MS,
+} = {}) {
+  /**
+   * Map<key, { key, worker, channels: Map<channelId, channel>, startedAt }>
+   */
+  const connections = new Map();
+  let channelSequence = 0;
+
+  function post(connection, message) {
+    try {
+      connection.worker.postMessage(message);
+    } catch (err) {
+      // Worker already gone - its exit detaches the channels
+    }
+  }
+
+  function closeConnection(connection) {
+    if (connections.get(connection.key) === connection) {
+      connections.delete(connection.key);
+    }
+    post(connection, { type: "stop" });
+    connection.worker.terminate();
+  }
+
+  /**
+   * Take a channel off its connection (closing the connection with its last channel)
+   */
+  function detach(connection, channel, code) {
+    if (connection.channels.get(channel.id) !== channel) return;
+    connection.channels.delete(channel.id);
+    if (connection.channels.size === 0) {
+      closeConnection(connection);
+    }
+    setImmediate(() => channel.emit("exit", code));
+  }
+
+  function createConnection(key, { appKey, sessionToken, stream, reconnect }) {
+    const worker = spawnWorker({ label: `Connection ${key}`, appKey, sessionToken, stream, reconnect });
+    const connection = { key, worker, channels: new Map(), startedAt: new Date().toISOString() };
+
+    worker.on("message", (msg) => {
+      const channel = connection.channels.get(msg.channelId);
+      if (!channel) return;
+      const { channelId, ...message } = msg;
+      channel.emit("message", message);
+      // The worker dropped the channel (market closed, stopped, connection given up)
+      if (msg.type === "closed") detach(connection, channel, 0);
+    });
+
+    worker.on("error", (err) => {
+      for (const channel of connection.channels.values()) {
+        if (channel.listenerCount("error") > 0) channel.emit("error", err);
+      }
+    });
+
+    worker.on("exit", (code) => {
+      if (connections.get(key) === connection) {
+        connections.delete(key);
+      }
+      for (const channel of [...connection.channels.values()]) {
+        detach(connection, channel, code);
+      }
+    });
+
+    connections.set(key, connection);
+    return connection;
+  }
+
+  function createChannel(connection, marketId) {
+    const channel = new EventEmitter();
+    channel.id = ++channelSequence;
+    channel.marketId = marketId;
+    channel.connectionKey = connection.key;
+
+    channel.postMessage = (message) => {
+      if (connection.channels.get(channel.id) === channel) {
+        post(connection, { ...message, channelId: channel.id, marketId });
+      }
+    };
+
+    channel.terminate = async () => {
+      if (connection.channels.get(channel.id) !== channel) return;
+      post(connection, { type: "stop", channelId: channel.id, marketId });
+      detach(connection, channel, 0);
+    };
+
+    return channel;
+  }
+
+  /**
+   * Stream a market on a shared connection, starting the connection if needed
+   * @param {Object} options
+   * @param {string} options.key - Connection key (one per Betfair account)
+   * @param {string} options.appKey
+   * @param {string} options.sessionToken - Also handed to an existing connection (same account)
+   * @param {Object} [options.stream] - { host, port, tls, rejectUnauthorized } for a new connection
+   * @param {Object} [options.reconnect] - { maxRetries, baseDelayMs, maxDelayMs } for a new connection
+   * @param {Object} options.market - { marketId, ownerId, botId, size, mode, strategy, disabledSelections, cancelUnmatchedAfterMs, recordingPath }
+   * @returns {Promise<EventEmitter>} The channel, once the connection is up
+   */
+  function openMarket({ key, appKey, sessionToken, stream = {}, reconnect = {}, market }) {
+    let connection = connections.get(key);
+    if (!connection) {
+      connection = createConnection(key, { appKey, sessionToken, stream, reconnect });
+    } else if (sessionToken) {
+      post(connection, { type: "updateSession", sessionToken });
+    }
+
+    const channel = createChannel(connection, market.marketId);
+    connection.channels.set(channel.id, channel);
+
+    return new Promise((resolve, reject) => {
+      const startTimeout = setTimeout(() => fail(new Error("Stream connection timeout")), startTimeoutMs);
+
+      function onMessage(msg) {
+        if (msg.type === "connected") {
+          // Errors after the connection is up are handled by the worker's reconnect logic
+          settle();
+          resolve(channel);
+        } else if (msg.type === "error") {
+          fail(new Error(msg.error || "Stream failed to start"));
+        }
+      }
+      const onError = (err) => fail(err);
+      const onExit = (code) => fail(new Error(`Stream worker exited with code ${code}`));
+
+      function settle() {
+        clearTimeout(startTimeout);
+        channel.off("message", onMessage);
+        channel.off("error", onError);
+        channel.off("exit", onExit);
+      }
+
+      function fail(err) {
+        settle();
+        channel.terminate();
+        reject(err);
+      }
+
+      channel.on("message", onMessage);
+      channel.on("error", onError);
+      channel.on("exit", onExit);
+      post(connection, { type: "addMarket", ...market, channelId: channel.id });
+    });
+  }
+
+  /**
+   * Open connections and the markets they subscribe to
+   */
+  function getConnections() {
+    return [...connections.values()].map((connection) => {
+      const channels = [...connection.channels.values()];
+      return {
+        key: connection.key,
+        marketIds: [...new Set(channels.map((channel) => channel.marketId))],
+        channels: channels.length,
+        startedAt: connection.startedAt,
+      };
+    });
+  }
+
+  return {
+    openMarket,
+    getConnections,
+  };
+}
+
+/**
+ * Shared stream connection manager for the main thread
+ */
+let defaultStreamManager = null;
+
+export function getStreamManager() {
+  if (!defaultStreamManager) {
+    defaultStreamManager = createStreamManager();
+  }
+  return defaultStreamManager;
+}
@@ -0,0 +1,241 @@
+import crypto from "crypto";
+import { promisify } from "util";
+import { getStoragePath, readJsonFile, writeJsonFile } from "../utils/storage.js";
+
+const scrypt = promisify(crypto.scrypt);
+
+/**
+ * User store
+ *
+ * The app's own accounts (not Betfair's): who may use the API, their login
+ * sessions (the httpOnly cookie) and each user's Betfair session token, kept
+ * server-side so the browser never has to hold it.
+ *
+ * Files (under STORAGE_DIR):
+ * - users.json: { [userId]: user record }
+ * - auth-sessions.json: { [sha256(sessionId)]: { userId, createdAt, expiresAt } }
+ *
+ * User record:
+ * {
+ *   id, username, role: "admin" | "user",
+ *   password: { salt, hash },       // scrypt, never sent to clients
+ *   betfairSession: { token, updatedAt } | null,
+ *   createdAt
+ * }
+ *
+ * Users register as plain users; the admin is created once with the setup token
+ * (see UserController.register). Only hashes of session ids are stored, so the
+ * file alone cannot be used to log in.
+ */
+
+const USERS_FILE = "users.json";
+const SESSIONS_FILE = "auth-sessions.json";
+
+export const USER_ROLES = {
+  ADMIN: "admin",
+  USER: "user",
+};
+
+export const DEFAULT_SESSION_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+const USERNAME_PATTERN = /^[a-zA-Z0-9_.-]{3,32}$/;
+const MIN_PASSWORD_LENGTH = 8;
+const KEY_LENGTH = 64;
+
+/**
+ * Thrown for a username or password that cannot be used to register
+ */
+export class UserInputError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "UserInputError";
+  }
+}
+
+function hashSessionId(sessionId) {
+  return crypto.createHash("sha256").update(sessionId).digest("hex");
+}
+
+async function hashPassword(password, salt = crypto.randomBytes(16).toString("hex")) {
+  const hash = (await scrypt(password, salt, KEY_LENGTH)).toString("hex");
+  return { salt, hash };
+}
+
+/**
+ * User record as it can be sent to a client
+ */
+export function publicUser(user) {
+  if (!user) return null;
+  const { password, betfairSession, ...details } = user;
+  return details;
+}
+
+/**
+ * Factory function to create a user store
+ * @param {Object} [options]
+ * @param {string} [options.usersPath] - Defaults to <STORAGE_DIR>/users.json
+ * @param {string} [options.sessionsPath] - Defaults to <STORAGE_DIR>/auth-sessions.json
+ * @param {Function} [options.now] - Clock in ms
+ */
+export function createUserStore({
+  usersPath = getStoragePath(USERS_FILE),
+  sessionsPath = getStoragePath(SESSIONS_FILE),
+  now = Date.now,
+} = {}) {
+  const timestamp = () => new Date(now()).toISOString();
+
+  function readUsers() {
+    return readJsonFile(usersPath, {});
+  }
+
+  function readSessions() {
+    return readJsonFile(sessionsPath, {});
+  }
+
+  function findByUsername(users, username) {
+    const wanted = String(username || "").toLowerCase();
+    return Object.values(users).find((user) => user.username.toLowerCase() === wanted) || null;
+  }
+
+  function hasAdmin(users = readUsers()) {
+    return Object.values(users).some((user) => user.role === USER_ROLES.ADMIN);
+  }
+
+  /**
+   * Register a user
+   * @param {Object} [options] - { role } USER_ROLES.ADMIN only while there is no admin yet
+   * @returns {Promise<Object>} The public user
+   * @throws {UserInputError} Invalid or taken username, short password, a second admin
+   */
+  async function createUser(username, password, { role = USER_ROLES.USER } = {}) {
+    if (typeof username !== "string" || !USERNAME_PATTERN.test(username)) {
+      throw new UserInputError("username must be 3-32 letters, digits, '.', '_' or '-'");
+    }
+    if (typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH) {
+      throw new UserInputError(`password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+    }
+
+    const hashed = await hashPassword(password);
+
+    // Read after hashing so two sign-ups cannot both see an empty store
+    const users = readUsers();
+    if (findByUsername(users, username)) {
+      throw new UserInputError(`username '${username}' is taken`);
+    }
+    if (role === USER_ROLES.ADMIN && hasAdmin(users)) {
+      throw new UserInputError("the admin account already exists");
+    }
+
+    const user = {
+      id: `user-${crypto.randomUUID()}`,
+      username,
+      role: role === USER_ROLES.ADMIN ? USER_ROLES.ADMIN : USER_ROLES.USER,
+      password: hashed,
+      betfairSession: null,
+      createdAt: timestamp(),
+    };
+    users[user.id] = user;
+    writeJsonFile(usersPath, users);
+    return publicUser(user);
+  }
+
+  /**
+   * Check a username and password
+   * @returns {Promise<Object|null>} The public user, or null when either is wrong
+   */
+  async function verifyPassword(username, password) {
+    const user = findByUsername(readUsers(), username);
+    if (!user || typeof password !== "string") return null;
+
+    const { hash } = await hashPassword(password, user.password.salt);
+    const matches = crypto.timingSafeEqual(Buffer.from(hash, "hex"), Buffer.from(user.password.hash, "hex"));
+    return matches ? publicUser(user) : null;
+  }
+
+  function getUser(userId) {
+    return publicUser(readUsers()[userId]);
+  }
+
+  /**
+   * Start a login session for a user
+   * @returns {{ sessionId: string, expiresAt: string }} sessionId goes in the cookie
+   */
+  function createSession(userId, { ttlMs = Number(process.env.AUTH_SESSION_TTL_MS) || DEFAULT_SESSION_TTL_MS } = {}) {
+    const sessionId = crypto.randomBytes(32).toString("base64url");
+    const expiresAt = new Date(now() + ttlMs).toISOString();
+
+    const sessions = readSessions();
+    // Expired sessions are dropped whenever a new one is written
+    for (const [key, session] of Object.entries(sessions)) {
+      if (Date.parse(session.expiresAt) <= now()) delete sessions[key];
+    }
+    sessions[hashSessionId(sessionId)] = { userId, createdAt: timestamp(), expiresAt };
+    writeJsonFile(sessionsPath, sessions);
+
+    return { sessionId, expiresAt };
+  }
+
+  /**
+   * User of a login session
+   * @returns {Object|null} The public user, or null when the session is unknown or expired
+   */
+  function getSessionUser(sessionId) {
+    if (!sessionId || typeof sessionId !== "string") return null;
+    const session = readSessions()[hashSessionId(sessionId)];
+    if (!session || Date.parse(session.expiresAt) <= now()) return null;
+    return getUser(session.userId);
+  }
+
+  function deleteSession(sessionId) {
+    if (!sessionId || typeof sessionId !== "string") return false;
+    const sessions = readSessions();
+    const key = hashSessionId(sessionId);
+    if (!sessions[key]) return false;
+    delete sessions[key];
+    writeJsonFile(sessionsPath, sessions);
+    return true;
+  }
+
+  /**
+   * Save (or clear with null) a user's Betfair session token
+   */
+  function setBetfairSession(userId, token) {
+    const users = readUsers();
+    if (!users[userId]) return null;
+    users[userId].betfairSession = token ? { token, updatedAt: timestamp() } : null;
+    writeJsonFile(usersPath, users);
+    return publicUser(users[userId]);
+  }
+
+  /**
+   * A user's Betfair session token
+   * @returns {string|null}
+   */
+  function getBetfairSession(userId) {
+    return readUsers()[userId]?.betfairSession?.token || null;
+  }
+
+  return {
+    hasAdmin: () => hasAdmin(),
+    createUser,
+    verifyPassword,
+    getUser,
+    createSession,
+    getSessionUser,
+    deleteSession,
+    setBetfairSession,
+    getBetfairSession,
+  };
+}
+
+/**
+ * Shared user store (created on first use so STORAGE_DIR from .env applies)
+ */
+let defaultUserStore = null;
+
+export function getUserStore() {
+  if (!defaultUserStore) {
+    defaultUserStore = createUserStore();
+  }
+  return defaultUserStore;
+}
@@ -1,49 +1,152 @@
-// state/matchState.js
-
 /**
- * In-memory match state
- * For personal / single-match execution this is PERFECT.
- * (Later you can move this to Redis if needed)
+ * Match state (one per market)
+ *
+ * Ball-by-ball record of a LINE market built from its stream: every SUSPENDED ->
+ * OPEN transition is a ball, with when the market was suspended and reopened,
+ * how long it stayed suspended, and each selection's line before and after.
+ *
+ * The line is the best back price (best lay, then last traded, as fallbacks).
+ * The line before a ball is taken just before the suspension; the line after it
+ * from the first prices at or after the reopening, since Betfair often reopens
+ * before the new prices arrive.
+ *
+ * Ball:
+ * {
+ *   ballNumber,
+ *   suspendedAt, reopenedAt,   // ISO
+ *   suspensionMs,
+ *   runners: [{ selectionId, lineBefore, lineAfter, change }]   // lineAfter/change null until priced
+ * }
+ *
+ * Driven by the market processor with its own clock, so the backtest replay
+ * builds the same record from simulated time.
  */
 
-const matchState = {
-  matchId: null,
-  balls: [] // rolling window of recent balls
-};
+export const DEFAULT_MAX_BALLS = 300;
+
+function roundLine(value) {
+  return Math.round(value * 100) / 100;
+}
 
 /**
- * Add a new ball to state
- * Keeps only last N balls to avoid memory growth
+ * Factory function to create the match state of one market
+ * @param {Object} [options]
+ * @param {string} [options.marketId]
+ * @param {number} [options.maxBalls] - Balls kept (the count goes on)
  */
-export const addBall = (ball) => {
-  if (!matchState.matchId) {
-    matchState.matchId = ball.matchId;
+export function createMatchState({ marketId = null, maxBalls = DEFAULT_MAX_BALLS } = {}) {
+  const balls = [];
+  let ballCount = 0;
+
+  /**
+   * Ball in progress (market suspended) - { suspendedAt, lines }
+   */
+  let current = null;
+
+  /**
+   * Market suspended - a ball is being bowled
+   * @param {Object} options - { at: ms, lines: [{ selectionId, line }] } lines just before the suspension
+   */
+  function startBall({ at, lines = [] }) {
+    if (current) return;
+    current = { suspendedAt: at, lines };
   }
 
-  matchState.balls.push(ball);
+  /**
+   * Market reopened - the ball is complete
+   * @param {Object} options - { at: ms }
+   * @returns {Object|null} The ball, null when no ball was in progress
+   */
+  function completeBall({ at }) {
+    if (!current) return null;
+
+    ballCount++;
+    const ball = {
+      ballNumber: ballCount,
+      suspendedAt: new Date(current.suspendedAt).toISOString(),
+      reopenedAt: new Date(at).toISOString(),
+      suspensionMs: at - current.suspendedAt,
+      runners: current.lines.map(({ selectionId, line }) => ({ selectionId, lineBefore: line, lineAfter: null, change: null })),
+    };
+    current = null;
 
-  // Keep last 6 balls (enough for most cricket rules)
-  if (matchState.balls.length > 12) {
-    matchState.balls.shift();
+    balls.push(ball);
+    if (balls.length > maxBalls) balls.shift();
+    return ball;
   }
-};
 
-/**
- * Get last N balls safely
- * @param {number} n
- * @returns {Array}
- */
-export const getLastNBalls = (n) => {
-  if (matchState.balls.length < n) {
-    return [];
+  /**
+   * Latest lines while the market is open - the first ones after a ball are its line after
+   * @param {Object[]} lines - [{ selectionId, line }]
+   * @returns {Object|null} The ball when it got a line after
+   */
+  function recordLines(lines) {
+    const last = balls[balls.length - 1];
+    if (current || !last) return null;
+
+    let updated = false;
+    for (const { selectionId, line } of lines) {
+      if (line === null) continue;
+      let runner = last.runners.find((r) => r.selectionId === selectionId);
+      if (!runner) {
+        // Selection had no line before the ball
+        runner = { selectionId, lineBefore: null, lineAfter: null, change: null };
+        last.runners.push(runner);
+      }
+      if (runner.lineAfter !== null) continue;
+      runner.lineAfter = line;
+      runner.change = runner.lineBefore !== null ? roundLine(line - runner.lineBefore) : null;
+      updated = true;
+    }
+    return updated ? last : null;
   }
 
-  return matchState.balls.slice(-n);
-};
+  /**
+   * Last N completed balls, oldest first ([] until there are N)
+   */
+  function getLastNBalls(n) {
+    if (!Number.isInteger(n) || n <= 0 || balls.length < n) return [];
+    return balls.slice(-n);
+  }
 
-/**
- * (Optional but VERY useful for debugging)
- */
-export const getMatchState = () => {
-  return matchState;
-};
+  /**
+   * How far a selection's line moved over the last N balls
+   * From the line before the first of them to the line after the last.
+   * @returns {{ balls, from, to, movement }|null} null until N balls have both lines
+   */
+  function getLineMovement(n, selectionId) {
+    const lastBalls = getLastNBalls(n);
+    if (lastBalls.length === 0) return null;
+
+    const from = lastBalls[0].runners.find((r) => r.selectionId === selectionId)?.lineBefore ?? null;
+    const to = lastBalls[lastBalls.length - 1].runners.find((r) => r.selectionId === selectionId)?.lineAfter ?? null;
+    if (from === null || to === null) return null;
+
+    return { balls: n, from, to, movement: roundLine(to - from) };
+  }
+
+  /**
+   * Serializable view (GET /markets/:marketId/match-state)
+   * @param {Object} [options] - { last } only the last balls
+   */
+  function getState({ last = null } = {}) {
+    return {
+      marketId,
+      ballCount,
+      ballInProgress: Boolean(current),
+      suspendedAt: current ? new Date(current.suspendedAt).toISOString() : null,
+      balls: last ? balls.slice(-last) : [...balls],
+    };
+  }
+
+  return {
+    startBall,
+    completeBall,
+    recordLines,
+    getLastNBalls,
+    getLineMovement,
+    getState,
+    getBallCount: () => ballCount,
+    isBallInProgress: () => Boolean(current),
+  };
+}
@@ -0,0 +1,68 @@
+import lineMovement from "./lineMovement.js";
+
+/**
+ * Strategy registry
+ *
+ * A strategy module exports:
+ * - name, description, defaults
+ * - validate(params) -> { params, errors }   (params merged over defaults)
+ * - create(params) -> instance with:
+ *     onMarketUpdate(snapshot, context) -> intents[]   market cache snapshot
+ *     onBall(event, context) -> intents[]              ball completed (SUSPENDED -> OPEN), event { ballCount, ball }
+ *     onOrderUpdate(orders, context) -> intents[]      Order Stream state for the market
+ *     onBetSubmitted(intent, context)                  optional, intent was sent to the exchange
+ *     describe(context) -> Object                      optional, current view for the market snapshot
+ *
+ * context always carries `now` (ms) so strategies never read the wall clock, and
+ * `match`, the market's balls so far (getLastNBalls, getLineMovement, getBallCount,
+ * isBallInProgress - see state/matchState.js).
+ * An intent is { selectionId, side, price, reason, oldPrice?, newPrice?, size? }.
+ */
+const STRATEGIES = {
+  [lineMovement.name]: lineMovement,
+};
+
+export const DEFAULT_STRATEGY = lineMovement.name;
+
+export function getStrategy(name) {
+  return typeof name === "string" && Object.hasOwn(STRATEGIES, name) ? STRATEGIES[name] : null;
+}
+
+export function listStrategies() {
+  return Object.values(STRATEGIES).map(({ name, description, defaults }) => ({
+    name,
+    description,
+    defaults,
+  }));
+}
+
+/**
+ * Validate a strategy name and its parameters
+ * @returns {{ params: Object|null, errors: string[] }}
+ */
+export function validateStrategy(name, params = {}) {
+  const strategy = getStrategy(name);
+  if (!strategy) {
+    return {
+      params: null,
+      errors: [`Unknown strategy '${name}'. Available: ${Object.keys(STRATEGIES).join(", ")}`],
+    };
+  }
+
+  if (params === null || typeof params !== "object" || Array.isArray(params)) {
+    return { params: null, errors: ["params must be an object"] };
+  }
+
+  return strategy.validate(params);
+}
+
+/**
+ * Create a strategy instance from already validated parameters
+ */
+export function createStrategy(name, params) {
+  const strategy = getStrategy(name);
+  if (!strategy) {
+    throw new Error(`Unknown strategy '${name}'`);
+  }
+  return strategy.create(params);
+}
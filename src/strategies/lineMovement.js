@@ -0,0 +1,332 @@
+/**
+ * Line Movement strategy (built-in)
+ *
+ * Watches the best back/lay of each LINE market selection and bets against
+ * sharp moves:
+ * - line moved UP by >= upThreshold within the movement window -> BACK (UNDER)
+ * - line moved DOWN by >= downThreshold within the movement window -> LAY (OVER)
+ *
+ * Only bets when the spread equals `requiredSpread`, never within `cooldownMs`
+ * of the previous bet on the same selection, never at the same price twice in
+ * a row, and never when the price has not moved during `unchangedWindowMs`.
+ * With `ballWindow` set, it also needs the line to have moved more than
+ * `minBallMovement` (either way) over the last `ballWindow` balls.
+ */
+
+const PRICE_TOLERANCE = 0.01;
+
+export const name = "lineMovement";
+
+export const description = "Back after the line moves up, lay after it moves down, within a rolling window";
+
+export const defaults = {
+  upThreshold: 5,
+  downThreshold: 3,
+  movementWindowMs: 90000,
+  cooldownMs: 15000,
+  unchangedWindowMs: 15000,
+  historyMs: 120000,
+  requiredSpread: 1,
+  // Line movement over the last balls - 0 balls switches the condition off
+  ballWindow: 0,
+  minBallMovement: 0,
+};
+
+/**
+ * Parameters that may be 0
+ */
+const ZERO_ALLOWED = ["ballWindow", "minBallMovement"];
+
+/**
+ * Validate and normalize parameters
+ * @param {Object} params - Caller supplied parameters (merged over defaults)
+ * @returns {{ params: Object, errors: string[] }}
+ */
+export function validate(params = {}) {
+  const errors = [];
+  const merged = { ...defaults };
+
+  for (const [key, value] of Object.entries(params)) {
+    if (!(key in defaults)) {
+      errors.push(`Unknown parameter '${key}'`);
+      continue;
+    }
+    const number = typeof value === "string" ? parseFloat(value) : value;
+    if (ZERO_ALLOWED.includes(key)) {
+      if (typeof number !== "number" || !Number.isFinite(number) || number < 0) {
+        errors.push(`'${key}' must be zero or a positive number`);
+        continue;
+      }
+    } else if (typeof number !== "number" || !Number.isFinite(number) || number <= 0) {
+      errors.push(`'${key}' must be a positive number`);
+      continue;
+    }
+    merged[key] = number;
+  }
+
+  if (!Number.isInteger(merged.ballWindow)) {
+    errors.push("'ballWindow' must be a whole number of balls");
+  }
+
+  if (merged.historyMs < merged.movementWindowMs) {
+    errors.push("'historyMs' must be greater than or equal to 'movementWindowMs'");
+  }
+
+  return { params: merged, errors };
+}
+
+/**
+ * Check if the back/lay spread matches the required spread
+ */
+function isRequiredSpread(backPrice, layPrice, requiredSpread) {
+  if (!backPrice || !layPrice) return false;
+  const diff = Math.abs(layPrice - backPrice);
+  return Math.abs(diff - requiredSpread) < PRICE_TOLERANCE;
+}
+
+/**
+ * Price movement over the window for one selection
+ * Returns object with movement, oldPrice, and newPrice
+ */
+function checkPriceMovement(history, now, windowMs) {
+  const recentPrices = history.filter((p) => p.timestamp >= now - windowMs);
+
+  if (recentPrices.length < 2) return null; // Need at least 2 data points
+
+  const oldest = recentPrices[0];
+  const newest = recentPrices[recentPrices.length - 1];
+
+  // Calculate movement (using back price as reference, lay price as fallback)
+  const oldPrice = oldest.backPrice || oldest.layPrice;
+  const newPrice = newest.backPrice || newest.layPrice;
+
+  if (!oldPrice || !newPrice) return null;
+
+  return {
+    movement: newPrice - oldPrice,
+    oldPrice,
+    newPrice,
+  };
+}
+
+/**
+ * Check if price unchanged over the window for one selection
+ */
+function isPriceUnchanged(history, now, windowMs) {
+  const recentPrices = history.filter((p) => p.timestamp >= now - windowMs);
+
+  if (recentPrices.length < 2) return false;
+
+  const firstPrice = recentPrices[0].backPrice || recentPrices[0].layPrice;
+  return recentPrices.every((p) => {
+    const currentPrice = p.backPrice || p.layPrice;
+    return currentPrice && Math.abs(currentPrice - firstPrice) < PRICE_TOLERANCE;
+  });
+}
+
+/**
+ * Create a strategy instance for one market
+ * @param {Object} params - Validated parameters
+ */
+export function create(params) {
+  const {
+    upThreshold,
+    downThreshold,
+    movementWindowMs,
+    cooldownMs,
+    unchangedWindowMs,
+    historyMs,
+    requiredSpread,
+    ballWindow,
+    minBallMovement,
+  } = params;
+
+  /**
+   * Per-selection state
+   * Map<selectionId, { priceHistory: [{ timestamp, backPrice, layPrice }], lastBetTime, lastBetPrice }>
+   */
+  const selections = new Map();
+
+  function getSelectionState(selectionId) {
+    let state = selections.get(selectionId);
+    if (!state) {
+      state = { priceHistory: [], lastBetTime: null, lastBetPrice: null };
+      selections.set(selectionId, state);
+    }
+    return state;
+  }
+
+  function recordPrice(state, now, backPrice, layPrice) {
+    state.priceHistory.push({ timestamp: now, backPrice, layPrice });
+
+    // Keep only the configured history window
+    const cutoff = now - historyMs;
+    while (state.priceHistory.length && state.priceHistory[0].timestamp < cutoff) {
+      state.priceHistory.shift();
+    }
+  }
+
+  /**
+   * Evaluate betting conditions for one selection
+   * @param {Object} [match] - The market's balls (context.match)
+   * @returns {{ intent: Object|null, blockedBy: string|null, movement: Object|null }}
+   *   blockedBy says which condition stopped the bet
+   */
+  function evaluate(selectionId, state, backPrice, layPrice, now, match) {
+    const priceMovement = checkPriceMovement(state.priceHistory, now, movementWindowMs);
+    const blocked = (blockedBy) => ({ intent: null, blockedBy, movement: priceMovement });
+
+    // 1. Spread must match exactly
+    if (!backPrice || !layPrice) {
+      return blocked("No back or lay price");
+    }
+    if (!isRequiredSpread(backPrice, layPrice, requiredSpread)) {
+      return blocked(`Spread is ${Math.abs(layPrice - backPrice).toFixed(2)}, needs ${requiredSpread}`);
+    }
+
+    // 2. Cooldown since the last bet on this selection
+    if (state.lastBetTime && now - state.lastBetTime < cooldownMs) {
+      return blocked(`Cooling down for ${cooldownMs - (now - state.lastBetTime)}ms after the last bet`);
+    }
+
+    // 3. Movement over the window decides side and price
+    if (priceMovement === null) return blocked("Not enough price history in the movement window");
+
+    const { movement, oldPrice, newPrice } = priceMovement;
+
+    let intent = null;
+    if (movement >= upThreshold) {
+      // Line moved up: UNDER bet (BACK)
+      intent = {
+        selectionId,
+        side: "BACK",
+        price: backPrice,
+        reason: `Line moved up ${movement.toFixed(2)} (>= ${upThreshold})`,
+        oldPrice,
+        newPrice,
+      };
+    } else if (movement <= -downThreshold) {
+      // Line reduced: OVER bet (LAY)
+      intent = {
+        selectionId,
+        side: "LAY",
+        price: layPrice,
+        reason: `Line reduced ${Math.abs(movement).toFixed(2)} (>= ${downThreshold})`,
+        oldPrice,
+        newPrice,
+      };
+    }
+
+    if (!intent) {
+      return blocked(`Movement ${movement.toFixed(2)} is inside the thresholds (+${upThreshold} / -${downThreshold})`);
+    }
+
+    // 4. Line movement over the last balls, when asked for
+    if (ballWindow > 0) {
+      const overBalls = match?.getLineMovement(ballWindow, selectionId);
+      if (!overBalls) {
+        return blocked(`Needs the line before and after each of the last ${ballWindow} balls`);
+      }
+      if (Math.abs(overBalls.movement) <= minBallMovement) {
+        return blocked(`Line moved ${overBalls.movement} over the last ${ballWindow} balls, needs more than ${minBallMovement}`);
+      }
+    }
+
+    // 5. Never the same price as the previous bet
+    if (state.lastBetPrice !== null && Math.abs(intent.price - state.lastBetPrice) < PRICE_TOLERANCE) {
+      return blocked(`Same price as the previous bet (${state.lastBetPrice})`);
+    }
+
+    // 6. Not while the price is standing still
+    if (isPriceUnchanged(state.priceHistory, now, unchangedWindowMs)) {
+      return blocked(`Price unchanged for ${unchangedWindowMs}ms`);
+    }
+
+    return { intent, blockedBy: null, movement: priceMovement };
+  }
+
+  return {
+    /**
+     * @param {Object} snapshot - Market cache snapshot ({ marketId, status, runners: [...] })
+     * @param {Object} context - { now, match, changedSelectionIds }
+     * @returns {Object[]} Bet intents
+     */
+    onMarketUpdate(snapshot, { now, match, changedSelectionIds }) {
+      const intents = [];
+
+      for (const runner of snapshot.runners) {
+        if (changedSelectionIds && !changedSelectionIds.has(runner.selectionId)) continue;
+
+        const backPrice = runner.bestBack ? runner.bestBack.price : null;
+        const layPrice = runner.bestLay ? runner.bestLay.price : null;
+        if (!backPrice && !layPrice) continue;
+
+        const state = getSelectionState(runner.selectionId);
+        recordPrice(state, now, backPrice, layPrice);
+
+        if (backPrice && layPrice) {
+          const { intent } = evaluate(runner.selectionId, state, backPrice, layPrice, now, match);
+          if (intent) intents.push(intent);
+        }
+      }
+
+      return intents;
+    },
+
+    onBall() {
+      return [];
+    },
+
+    /**
+     * Current view per selection: movement over the window (and over the last
+     * balls when ballWindow is set), cooldown left and what stops a bet right now
+     * (null when the next update could bet)
+     * @param {Object} context - { now, match }
+     */
+    describe({ now, match }) {
+      return {
+        params,
+        selections: [...selections.entries()].map(([selectionId, state]) => {
+          const latest = state.priceHistory[state.priceHistory.length - 1] || {};
+          const backPrice = latest.backPrice || null;
+          const layPrice = latest.layPrice || null;
+          const { blockedBy, movement } = evaluate(selectionId, state, backPrice, layPrice, now, match);
+          return {
+            selectionId,
+            backPrice,
+            layPrice,
+            movement: movement ? Number(movement.movement.toFixed(2)) : null,
+            oldPrice: movement?.oldPrice ?? null,
+            newPrice: movement?.newPrice ?? null,
+            cooldownRemainingMs: state.lastBetTime ? Math.max(0, cooldownMs - (now - state.lastBetTime)) : 0,
+            lastBetPrice: state.lastBetPrice,
+            ballMovement: ballWindow > 0 ? match?.getLineMovement(ballWindow, selectionId) ?? null : null,
+            blockedBy,
+          };
+        }),
+      };
+    },
+
+    onOrderUpdate() {
+      return [];
+    },
+
+    /**
+     * Called when the engine actually submits one of our intents
+     * Cooldown and last price only count bets that went out
+     */
+    onBetSubmitted(intent, { now }) {
+      const state = getSelectionState(intent.selectionId);
+      state.lastBetTime = now;
+      state.lastBetPrice = intent.price;
+    },
+  };
+}
+
+export default {
+  name,
+  description,
+  defaults,
+  validate,
+  create,
+};
@@ -0,0 +1,206 @@
+/**
+ * Market cache for the Betfair Exchange Stream API
+ *
+ * `mcm` messages carry either a full image (`img: true`) or a delta against
+ * what was previously sent. Ladder levels are updated in place and removed
+ * when their size drops to 0, so the raw message on its own is NOT a snapshot.
+ * This cache merges images and deltas per market and runner, and every reader
+ * (strategy evaluation, price updates) should go through it.
+ */
+
+/**
+ * Apply level-based ladder changes (batb / batl)
+ * Each entry is [level, price, size] - size 0 removes the level
+ */
+function applyLevelLadder(ladder, changes) {
+  for (const [level, price, size] of changes) {
+    if (size === 0) {
+      ladder.delete(level);
+    } else {
+      ladder.set(level, { level, price, size });
+    }
+  }
+}
+
+/**
+ * Apply price-based ladder changes (trd)
+ * Each entry is [price, size] - size 0 removes the price point
+ */
+function applyPriceLadder(ladder, changes) {
+  for (const [price, size] of changes) {
+    if (size === 0) {
+      ladder.delete(price);
+    } else {
+      ladder.set(price, size);
+    }
+  }
+}
+
+function createRunner(selectionId, hc) {
+  return {
+    selectionId,
+    hc: hc ?? null,
+    batb: new Map(), // level -> { level, price, size }
+    batl: new Map(),
+    trd: new Map(), // price -> traded size
+    ltp: null,
+    tv: null,
+  };
+}
+
+function createMarket(marketId) {
+  return {
+    marketId,
+    marketDefinition: null,
+    runners: new Map(), // selectionId -> runner
+    tv: null,
+    publishTime: null,
+  };
+}
+
+/**
+ * Best (lowest level) entry of a level-based ladder
+ */
+function bestLevel(ladder) {
+  let best = null;
+  for (const entry of ladder.values()) {
+    if (!best || entry.level < best.level) {
+      best = entry;
+    }
+  }
+  return best ? { ...best } : null;
+}
+
+function sortedLevels(ladder) {
+  return [...ladder.values()]
+    .sort((a, b) => a.level - b.level)
+    .map((entry) => ({ ...entry }));
+}
+
+/**
+ * Serializable view of a runner (safe to send through postMessage)
+ */
+function runnerSnapshot(runner) {
+  return {
+    selectionId: runner.selectionId,
+    hc: runner.hc,
+    bestBack: bestLevel(runner.batb),
+    bestLay: bestLevel(runner.batl),
+    availableToBack: sortedLevels(runner.batb),
+    availableToLay: sortedLevels(runner.batl),
+    lastTradedPrice: runner.ltp,
+    tradedVolume: runner.tv,
+  };
+}
+
+/**
+ * Factory function to create an isolated market cache
+ * Each worker owns its own cache - nothing is shared between threads
+ */
+export function createMarketCache() {
+  const markets = new Map(); // marketId -> market
+
+  /**
+   * Merge one MarketChange (an element of `mcm.mc`) into the cache
+   * @param {Object} mc - MarketChange from the stream
+   * @param {number} [publishTime] - `pt` of the enclosing mcm message
+   * @returns {Object} The merged market state
+   */
+  function applyMarketChange(mc, publishTime = null) {
+    let market = markets.get(mc.id);
+
+    // Full image replaces everything we knew about the market
+    if (!market || mc.img) {
+      market = createMarket(mc.id);
+      markets.set(mc.id, market);
+    }
+
+    if (publishTime) {
+      market.publishTime = publishTime;
+    }
+
+    // Market definition is always sent in full when it changes
+    if (mc.marketDefinition) {
+      market.marketDefinition = mc.marketDefinition;
+    }
+
+    if (mc.tv !== undefined) {
+      market.tv = mc.tv;
+    }
+
+    if (mc.rc) {
+      for (const rc of mc.rc) {
+        let runner = market.runners.get(rc.id);
+        if (!runner) {
+          runner = createRunner(rc.id, rc.hc);
+          market.runners.set(rc.id, runner);
+        }
+
+        if (rc.batb) applyLevelLadder(runner.batb, rc.batb);
+        if (rc.batl) applyLevelLadder(runner.batl, rc.batl);
+        if (rc.trd) applyPriceLadder(runner.trd, rc.trd);
+        if (rc.ltp !== undefined) runner.ltp = rc.ltp;
+        if (rc.tv !== undefined) runner.tv = rc.tv;
+      }
+    }
+
+    return market;
+  }
+
+  /**
+   * Merged best prices for a single runner
+   * @returns {Object|null} { selectionId, bestBack, bestLay, lastTradedPrice, tradedVolume, ... }
+   */
+  function getRunnerPrices(marketId, selectionId) {
+    const runner = markets.get(marketId)?.runners.get(selectionId);
+    return runner ? runnerSnapshot(runner) : null;
+  }
+
+  /**
+   * Traded volume ladder for a runner as [[price, size], ...]
+   */
+  function getTradedVolume(marketId, selectionId) {
+    const runner = markets.get(marketId)?.runners.get(selectionId);
+    return runner ? [...runner.trd.entries()] : [];
+  }
+
+  /**
+   * Serializable snapshot of a whole market
+   */
+  function getMarketSnapshot(marketId) {
+    const market = markets.get(marketId);
+    if (!market) return null;
+
+    return {
+      marketId,
+      status: market.marketDefinition?.status || null,
+      inPlay: market.marketDefinition?.inPlay ?? null,
+      marketDefinition: market.marketDefinition,
+      tradedVolume: market.tv,
+      publishTime: market.publishTime,
+      runners: [...market.runners.values()].map(runnerSnapshot),
+    };
+  }
+
+  function getMarketDefinition(marketId) {
+    return markets.get(marketId)?.marketDefinition || null;
+  }
+
+  function removeMarket(marketId) {
+    markets.delete(marketId);
+  }
+
+  function clear() {
+    markets.clear();
+  }
+
+  return {
+    applyMarketChange,
+    getRunnerPrices,
+    getTradedVolume,
+    getMarketSnapshot,
+    getMarketDefinition,
+    removeMarket,
+    clear,
+  };
+}
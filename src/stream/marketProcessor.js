@@ -0,0 +1,514 @@
+import { createMarketCache } from "./marketCache.js";
+import { createOrderCache } from "./orderCache.js";
+import { createPaperMatcher } from "../service/paperMatcher.js";
+import { RiskLimitError } from "../service/riskManager.js";
+import { createMatchState } from "../state/matchState.js";
+
+/**
+ * Per-market stream processing
+ *
+ * Everything a bot does with one market once messages are framed: merge
+ * market/order changes into the caches, detect balls and market closure, feed
+ * the strategy and execute its bet intents (live or paper).
+ *
+ * It never touches a socket or the wall clock directly - the stream worker
+ * and the backtest replay both drive it, with `now` supplying real or
+ * simulated time.
+ *
+ * @param {Object} options
+ * @param {string} options.marketId
+ * @param {Object|null} options.strategy - Strategy instance (see strategies/index.js), or null to only
+ *   watch the market (caches and events, never a bet)
+ * @param {number} [options.size] - Default stake per bet
+ * @param {string} [options.mode] - "live" or "paper" ("watch" for a stream without a strategy)
+ * @param {Array} [options.disabledSelections] - selectionIds whose intents are dropped
+ * @param {Function} [options.placeOrders] - async (marketId, instructions, meta) => Betfair response (live mode);
+ *   meta is { reason, oldPrice, newPrice } from the strategy intent
+ * @param {Function} [options.cancelOrders] - async (marketId, instructions, meta) => Betfair response (live mode)
+ * @param {number} [options.cancelUnmatchedAfterMs] - Cancel the bot's own bets still unmatched after this long
+ *   (checked by cancelStaleOrders, which the owner calls on a timer)
+ * @param {Function} [options.emit] - (type, data) => void, progress events for the owner
+ *   (priceUpdate, ballCompleted, ballLines, betPlaced, betFailed, riskRejected, orderUpdate, paperUpdate, marketClosed)
+ * @param {Function} [options.now] - Clock in ms
+ * @param {Object} [options.logger] - console-like logger
+ */
+export function createMarketProcessor({
+  marketId,
+  strategy,
+  size = 1,
+  mode = "live",
+  disabledSelections = [],
+  placeOrders = null,
+  cancelOrders = null,
+  cancelUnmatchedAfterMs = null,
+  emit = () => {},
+  now = Date.now,
+  logger = console,
+}) {
+  /**
+   * Merged market state (images + deltas) - the only source of prices
+   */
+  const marketCache = createMarketCache();
+
+  /**
+   * Our orders on this market (unmatched, matched, average price) from the Order Stream
+   */
+  const orderCache = createOrderCache();
+
+  /**
+   * Simulated matcher fed by the market cache
+   * Paper bots send every bet here instead of placeOrders; manual paper orders
+   * (`/place-order` with mode "paper") can use it on any running stream
+   */
+  const isPaper = mode === "paper";
+  const paperMatcher = createPaperMatcher({ marketCache });
+
+  /**
+   * Selections whose rule is switched off - intents for them are dropped
+   */
+  const disabledSelectionIds = new Set(disabledSelections.map(Number));
+
+  // Track in-flight bets by unique key (selectionId:price) to prevent duplicates
+  const inFlightBets = new Set(); // Set of "selectionId:price" strings
+
+  /**
+   * Bets this processor placed (betId -> placed time), for cancelStaleOrders
+   * Manual bets on the same market are never touched
+   */
+  const ownBets = new Map();
+  const cancelsInFlight = new Set(); // betIds
+
+  /**
+   * Balls detected on this market (SUSPENDED -> OPEN) with their lines and
+   * suspension times - strategies read it from their context as `match`
+   */
+  const matchState = createMatchState({ marketId });
+  const match = {
+    getLastNBalls: matchState.getLastNBalls,
+    getLineMovement: matchState.getLineMovement,
+    getBallCount: matchState.getBallCount,
+    isBallInProgress: matchState.isBallInProgress,
+  };
+
+  let isActive = true;
+
+  /**
+   * Enable or disable the rule for a single selection
+   * The strategy keeps seeing prices while disabled so re-enabling has data to work with
+   */
+  function setSelectionEnabled(selectionId, enabled) {
+    const id = Number(selectionId);
+    if (enabled) {
+      disabledSelectionIds.delete(id);
+    } else {
+      disabledSelectionIds.add(id);
+    }
+  }
+
+  /**
+   * Report simulated bets and virtual P&L to the owner
+   */
+  function sendPaperUpdate() {
+    // A watch has no paper bets to report
+    if (!strategy && paperMatcher.getReport().totals.bets === 0) return;
+    emit("paperUpdate", { paper: paperMatcher.getReport() });
+  }
+
+  /**
+   * Settle paper bets when the market closes
+   * The stream does not carry the final line, so the last traded line is used as an estimate
+   */
+  function settlePaperBets() {
+    if (paperMatcher.getReport().totals.bets === 0) return;
+    const runner = marketCache.getMarketSnapshot(marketId)?.runners[0];
+    const result = runner ? paperMatcher.markPrice(marketId, runner.selectionId) : null;
+    if (result !== null) {
+      paperMatcher.settle(result, { estimated: true, now: now() });
+    }
+    sendPaperUpdate();
+  }
+
+  /**
+   * Place bet function - live through placeOrders, paper through the matcher
+   * Completely non-blocking - each market places bets independently
+   * NOTE: betKey is already added to inFlightBets by the caller to prevent race conditions
+   */
+  async function placeBet(selectionId, side, price, reason, oldPrice, newPrice, betSize = size) {
+    const betKey = `${selectionId}:${price.toFixed(2)}`;
+
+    // Double-check: betKey should already be in inFlightBets (added by caller)
+    if (!inFlightBets.has(betKey)) {
+      inFlightBets.add(betKey);
+    }
+
+    try {
+      const instructions = [
+        {
+          selectionId,
+          side,
+          size: betSize, // Bot size unless the strategy asked for another
+          limitOrder: {
+            price,
+            persistenceType: "PERSIST",
+          },
+        },
+      ];
+
+      if (isPaper) {
+        const paperResponse = paperMatcher.placeOrders(marketId, instructions, {
+          now: now(),
+          source: "bot",
+          reason,
+          oldPrice,
+          newPrice,
+        });
+        logger.log(`📝 [Paper Bet] Market: ${marketId} | Selection: ${selectionId} | ${side} @ ${price} | ${reason}`);
+        trackOwnBets(paperResponse);
+        reportPlacement(instructions[0], paperResponse, reason);
+        sendPaperUpdate();
+        return paperResponse;
+      }
+
+      // Place bet asynchronously - this is non-blocking
+      const response = await placeOrders(marketId, instructions, { reason, oldPrice, newPrice });
+      trackOwnBets(response?.result);
+      reportPlacement(instructions[0], response?.result, reason, response?.error);
+      return response;
+    } catch (err) {
+      logger.error(`❌ [Bet Failed] Market: ${marketId} | Selection: ${selectionId} | Error:`, err.response?.data || err.message);
+      const bet = { selectionId, side, price, size: betSize, reason, mode };
+      if (err instanceof RiskLimitError) {
+        emit("riskRejected", { bet, reasons: err.reasons });
+      } else {
+        emit("betFailed", { bet, error: err.response?.data || err.message });
+      }
+      return null;
+    } finally {
+      // Always remove from in-flight set when done (success or failure)
+      // This allows new bets at different prices to proceed immediately
+      inFlightBets.delete(betKey);
+    }
+  }
+
+  /**
+   * Tell the owner how a placement went (betPlaced, or betFailed when Betfair refused it)
+   */
+  function reportPlacement(instruction, result, reason, error = null) {
+    const report = result?.instructionReports?.[0];
+    const bet = {
+      selectionId: instruction.selectionId,
+      side: instruction.side,
+      price: instruction.limitOrder.price,
+      size: instruction.size,
+      reason,
+      mode,
+      betId: report?.betId || null,
+    };
+    if (result?.status === "SUCCESS") {
+      emit("betPlaced", { bet, sizeMatched: report?.sizeMatched || 0 });
+    } else {
+      emit("betFailed", { bet, error: error || result?.errorCode || report?.errorCode || "Placement failed" });
+    }
+  }
+
+  /**
+   * Remember the bet ids of a successful placement
+   */
+  function trackOwnBets(result) {
+    for (const report of result?.instructionReports || []) {
+      if (report.status === "SUCCESS" && report.betId) {
+        ownBets.set(report.betId, now());
+      }
+    }
+  }
+
+  /**
+   * Our bets as the paper matcher or the Order Stream currently sees them
+   * @returns {{ known: Set<string>, unmatched: Set<string> }} betIds
+   */
+  function ownBetStates() {
+    const orders = isPaper
+      ? paperMatcher.getReport().bets
+      : (orderCache.getMarketOrders(marketId)?.selections || []).flatMap((selection) => selection.orders);
+    const known = new Set();
+    const unmatched = new Set();
+    for (const order of orders) {
+      if (!ownBets.has(order.betId)) continue;
+      known.add(order.betId);
+      if (order.status === "EXECUTABLE" && order.sizeRemaining > 0) unmatched.add(order.betId);
+    }
+    return { known, unmatched };
+  }
+
+  /**
+   * Cancel the bot's bets that stayed unmatched for cancelUnmatchedAfterMs
+   * Live bets only count once the Order Stream has reported them
+   * @returns {Promise<string[]>} betIds sent for cancellation
+   */
+  async function cancelStaleOrders() {
+    if (!isActive || !cancelUnmatchedAfterMs || ownBets.size === 0) return [];
+
+    const { known, unmatched } = ownBetStates();
+    const stale = [];
+    for (const [betId, placedAt] of ownBets) {
+      if (!unmatched.has(betId)) {
+        // Matched, lapsed or cancelled - nothing left to pull
+        if (known.has(betId)) ownBets.delete(betId);
+        continue;
+      }
+      if (now() - placedAt >= cancelUnmatchedAfterMs && !cancelsInFlight.has(betId)) {
+        stale.push(betId);
+      }
+    }
+    if (stale.length === 0) return [];
+
+    const instructions = stale.map((betId) => ({ betId }));
+    const reason = `Unmatched for ${cancelUnmatchedAfterMs}ms`;
+
+    if (isPaper) {
+      paperMatcher.cancelOrders(marketId, instructions, { now: now() });
+      logger.log(`📝 [Paper Cancel] Market: ${marketId} | Bets: ${stale.join(", ")} | ${reason}`);
+      sendPaperUpdate();
+      return stale;
+    }
+
+    stale.forEach((betId) => cancelsInFlight.add(betId));
+    try {
+      const response = await cancelOrders(marketId, instructions, { reason });
+      if (response?.error) {
+        logger.error(`❌ [Cancel Failed] Market: ${marketId} | Bets: ${stale.join(", ")} | Error:`, response.error);
+      } else {
+        logger.log(`🧹 [Bet Cancel] Market: ${marketId} | Bets: ${stale.join(", ")} | ${reason}`);
+      }
+    } catch (err) {
+      logger.error(`❌ [Cancel Failed] Market: ${marketId} | Bets: ${stale.join(", ")} | Error:`, err.response?.data || err.message);
+    } finally {
+      // The Order Stream confirms the cancel; a failed one is retried on the next check
+      stale.forEach((betId) => cancelsInFlight.delete(betId));
+    }
+    return stale;
+  }
+
+  /**
+   * Execute bet intents returned by the strategy
+   * Skips disabled selections and duplicates that are still in flight
+   */
+  function executeIntents(intents) {
+    for (const intent of intents || []) {
+      if (!isActive) return;
+      if (disabledSelectionIds.has(Number(intent.selectionId))) continue;
+
+      // CRITICAL: Check for duplicates BEFORE notifying the strategy or placing the bet
+      // This prevents race conditions with rapid stream updates
+      const betKey = `${intent.selectionId}:${intent.price.toFixed(2)}`;
+      if (inFlightBets.has(betKey)) {
+        // Bet already in progress - skip this one
+        continue;
+      }
+
+      // Mark bet as in-flight IMMEDIATELY to prevent race conditions
+      inFlightBets.add(betKey);
+
+      // Let the strategy start its cooldown only for bets that actually go out
+      if (strategy.onBetSubmitted) {
+        strategy.onBetSubmitted(intent, strategyContext());
+      }
+
+      placeBet(
+        intent.selectionId,
+        intent.side,
+        intent.price,
+        intent.reason,
+        intent.oldPrice,
+        intent.newPrice,
+        intent.size
+      ).catch(() => {
+        // Silently handle errors - already logged in placeBet
+        // Don't let bet failures block stream processing
+      });
+    }
+  }
+
+  /**
+   * Context handed to every strategy call
+   */
+  function strategyContext(extra = {}) {
+    return { now: now(), match, ...extra };
+  }
+
+  /**
+   * Each selection's line from the merged cache (best back, then best lay, then last traded)
+   * @param {Set} [selectionIds] - Only these selections
+   * @returns {Object[]} [{ selectionId, line }]
+   */
+  function currentLines(selectionIds = null) {
+    const runners = marketCache.getMarketSnapshot(marketId)?.runners || [];
+    return runners
+      .filter((runner) => !selectionIds || selectionIds.has(runner.selectionId))
+      .map((runner) => ({
+        selectionId: runner.selectionId,
+        line: runner.bestBack?.price ?? runner.bestLay?.price ?? runner.lastTradedPrice ?? null,
+      }));
+  }
+
+  /**
+   * Merge one MarketChange and run the strategy on it
+   * @param {Object} market - Element of `mcm.mc`
+   * @param {number} [publishTime] - `pt` of the enclosing message
+   * @returns {boolean} false once the market is closed (caller should stop)
+   */
+  function handleMarketChange(market, publishTime) {
+    if (!isActive) return false;
+    if (market.id !== marketId) return true;
+
+    // Status transitions only arrive with a (full) marketDefinition change
+    const marketStatus = market.marketDefinition?.status;
+
+    // The line before a ball is the one the market was suspended on
+    const linesBeforeBall = marketStatus === "SUSPENDED" && !matchState.isBallInProgress() ? currentLines() : null;
+
+    // Merge image/delta into the cache before reading anything
+    marketCache.applyMarketChange(market, publishTime);
+
+    // ⚠️ MARKET CLOSURE DETECTION
+    if (marketStatus === "CLOSED") {
+      logger.log(`[Stream Worker] Market ${marketId} - Market is CLOSED`);
+      isActive = false;
+      settlePaperBets();
+      emit("marketClosed", { reason: "Market status changed to CLOSED" });
+      return false;
+    }
+
+    // 🏏 BALL DETECTION
+    if (linesBeforeBall) {
+      matchState.startBall({ at: now(), lines: linesBeforeBall });
+    }
+
+    if (marketStatus === "OPEN" && matchState.isBallInProgress()) {
+      const ball = matchState.completeBall({ at: now() });
+      const ballCount = matchState.getBallCount();
+      emit("ballCompleted", { ballCount, ball });
+      logger.log(`🏏 [Stream Worker] Market ${marketId} - Ball #${ballCount} completed (suspended ${ball.suspensionMs}ms)`);
+      if (strategy) executeIntents(strategy.onBall({ ballCount, ball }, strategyContext()));
+    }
+
+    // 🧮 RUNNER / PRICE DATA
+    if (market.rc) {
+      const changedSelectionIds = new Set();
+
+      for (const runner of market.rc) {
+        const selectionId = runner.id;
+
+        // Read merged prices - the delta alone may not carry the best level
+        const prices = marketCache.getRunnerPrices(market.id, selectionId);
+        if (!prices) continue;
+
+        changedSelectionIds.add(selectionId);
+        const { bestBack, bestLay, lastTradedPrice, tradedVolume } = prices;
+
+        if (bestBack || bestLay || lastTradedPrice !== null) {
+          emit("priceUpdate", {
+            selectionId,
+            bestBack,
+            bestLay,
+            lastTradedPrice,
+            tradedVolume,
+          });
+        }
+      }
+
+      // The first prices after a ball are its line after
+      const ball = matchState.recordLines(currentLines(changedSelectionIds));
+      if (ball) {
+        emit("ballLines", { ball });
+      }
+
+      // Strategy reads the merged snapshot, never the raw delta
+      if (strategy && changedSelectionIds.size > 0) {
+        const snapshot = marketCache.getMarketSnapshot(market.id);
+        executeIntents(strategy.onMarketUpdate(snapshot, strategyContext({ changedSelectionIds })));
+      }
+
+      // Resting paper orders may fill on the new prices / traded volume
+      if (paperMatcher.onMarketUpdate(market.id, now()) > 0) {
+        sendPaperUpdate();
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Merge one OrderMarketChange (Order Stream) for this market
+   */
+  function handleOrderChange(orderChange) {
+    // 📋 ORDER DATA - only our market, the Order Stream covers the whole account
+    if (!isActive || orderChange.id !== marketId) return;
+    // A watch (no strategy) bets nothing - the account's orders are none of its business
+    if (!strategy) return;
+
+    orderCache.applyOrderChange(orderChange);
+    const orders = orderCache.getMarketOrders(marketId);
+    emit("orderUpdate", { orders });
+    executeIntents(strategy.onOrderUpdate(orders, strategyContext()));
+  }
+
+  /**
+   * Manual order in paper mode, filled by this market's matcher
+   */
+  function placePaperOrder(instructions) {
+    const result = paperMatcher.placeOrders(marketId, instructions, { now: now(), source: "manual" });
+    sendPaperUpdate();
+    return result;
+  }
+
+  /**
+   * Current view of the market (serializable - answered to the parent for
+   * GET /markets/:marketId/snapshot)
+   */
+  function getSnapshot() {
+    const market = marketCache.getMarketSnapshot(marketId);
+    return {
+      marketId,
+      active: isActive,
+      status: market?.status ?? null,
+      inPlay: market?.inPlay ?? null,
+      publishTime: market?.publishTime ?? null,
+      marketDefinition: market?.marketDefinition ?? null,
+      ballCount: matchState.getBallCount(),
+      ballInProgress: matchState.isBallInProgress(),
+      runners: (market?.runners || []).map((runner) => ({
+        selectionId: runner.selectionId,
+        hc: runner.hc,
+        bestBack: runner.bestBack,
+        bestLay: runner.bestLay,
+        lastTradedPrice: runner.lastTradedPrice,
+        tradedVolume: runner.tradedVolume,
+        enabled: !disabledSelectionIds.has(Number(runner.selectionId)),
+      })),
+      // What the strategy sees and why it is (not) betting - null when only watching
+      strategy: strategy?.describe ? strategy.describe(strategyContext()) : null,
+    };
+  }
+
+  function stop() {
+    isActive = false;
+  }
+
+  return {
+    marketId,
+    marketCache,
+    orderCache,
+    paperMatcher,
+    handleMarketChange,
+    handleOrderChange,
+    placePaperOrder,
+    cancelStaleOrders,
+    setSelectionEnabled,
+    getSnapshot,
+    getMatchState: (options) => matchState.getState(options),
+    stop,
+    isActive: () => isActive,
+    getBallCount: () => matchState.getBallCount(),
+  };
+}
@@ -0,0 +1,188 @@
+/**
+ * Order cache for the Betfair Exchange Stream API (Order Stream)
+ *
+ * `ocm` messages carry per-market, per-runner order changes:
+ * - `uo`: unmatched (and just-completed) orders, each a full replacement keyed by bet id
+ * - `mb` / `ml`: matched backs / lays as a [price, size] ladder (size 0 removes the point)
+ * - `fullImage`: replace what we had for that market or runner
+ *
+ * This cache keeps the merged state so bots can see what actually matched.
+ */
+
+const SIDES = {
+  B: "BACK",
+  L: "LAY",
+};
+
+function applyPriceLadder(ladder, changes) {
+  for (const [price, size] of changes) {
+    if (size === 0) {
+      ladder.delete(price);
+    } else {
+      ladder.set(price, size);
+    }
+  }
+}
+
+function createRunner(selectionId, hc) {
+  return {
+    selectionId,
+    hc: hc ?? null,
+    orders: new Map(), // betId -> raw order
+    matchedBacks: new Map(), // price -> size
+    matchedLays: new Map(),
+  };
+}
+
+function createMarket(marketId) {
+  return {
+    marketId,
+    closed: false,
+    runners: new Map(), // selectionId -> runner
+  };
+}
+
+/**
+ * Total size and size-weighted average price of a matched ladder
+ */
+function summarizeMatched(ladder) {
+  let size = 0;
+  let weighted = 0;
+  for (const [price, matched] of ladder.entries()) {
+    size += matched;
+    weighted += price * matched;
+  }
+  return {
+    size: roundMoney(size),
+    averagePrice: size > 0 ? roundMoney(weighted / size) : null,
+  };
+}
+
+function roundMoney(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Convert a raw stream order into a readable shape
+ */
+function formatOrder(order) {
+  return {
+    betId: order.id,
+    side: SIDES[order.side] || order.side,
+    price: order.p,
+    size: order.s,
+    status: order.status === "EC" ? "EXECUTION_COMPLETE" : "EXECUTABLE",
+    persistenceType: order.pt,
+    orderType: order.ot,
+    placedDate: order.pd ?? null,
+    matchedDate: order.md ?? null,
+    averagePriceMatched: order.avp ?? null,
+    sizeMatched: order.sm ?? 0,
+    sizeRemaining: order.sr ?? 0,
+    sizeLapsed: order.sl ?? 0,
+    sizeCancelled: order.sc ?? 0,
+    sizeVoided: order.sv ?? 0,
+    customerOrderRef: order.rfo ?? null,
+    customerStrategyRef: order.rfs ?? null,
+  };
+}
+
+function runnerSnapshot(runner) {
+  const orders = [...runner.orders.values()].map(formatOrder);
+  const unmatched = orders.filter((o) => o.status === "EXECUTABLE" && o.sizeRemaining > 0);
+
+  return {
+    selectionId: runner.selectionId,
+    hc: runner.hc,
+    unmatched,
+    matched: {
+      back: summarizeMatched(runner.matchedBacks),
+      lay: summarizeMatched(runner.matchedLays),
+    },
+    sizeRemaining: roundMoney(unmatched.reduce((sum, o) => sum + o.sizeRemaining, 0)),
+    orders,
+  };
+}
+
+/**
+ * Factory function to create an isolated order cache
+ */
+export function createOrderCache() {
+  const markets = new Map(); // marketId -> market
+
+  /**
+   * Merge one OrderMarketChange (an element of `ocm.oc`) into the cache
+   * @param {Object} oc - OrderMarketChange from the stream
+   * @returns {Object} The merged market state
+   */
+  function applyOrderChange(oc) {
+    let market = markets.get(oc.id);
+
+    if (!market || oc.fullImage) {
+      market = createMarket(oc.id);
+      markets.set(oc.id, market);
+    }
+
+    if (oc.closed !== undefined) {
+      market.closed = Boolean(oc.closed);
+    }
+
+    if (oc.orc) {
+      for (const orc of oc.orc) {
+        let runner = market.runners.get(orc.id);
+        if (!runner || orc.fullImage) {
+          runner = createRunner(orc.id, orc.hc);
+          market.runners.set(orc.id, runner);
+        }
+
+        if (orc.uo) {
+          for (const order of orc.uo) {
+            runner.orders.set(order.id, order);
+          }
+        }
+        if (orc.mb) applyPriceLadder(runner.matchedBacks, orc.mb);
+        if (orc.ml) applyPriceLadder(runner.matchedLays, orc.ml);
+      }
+    }
+
+    return market;
+  }
+
+  /**
+   * Serializable view of every order we know about on a market
+   * @returns {Object|null} { marketId, closed, selections: [...], totals }
+   */
+  function getMarketOrders(marketId) {
+    const market = markets.get(marketId);
+    if (!market) return null;
+
+    const selections = [...market.runners.values()].map(runnerSnapshot);
+
+    return {
+      marketId,
+      closed: market.closed,
+      selections,
+      totals: {
+        matchedBack: roundMoney(selections.reduce((sum, s) => sum + s.matched.back.size, 0)),
+        matchedLay: roundMoney(selections.reduce((sum, s) => sum + s.matched.lay.size, 0)),
+        sizeRemaining: roundMoney(selections.reduce((sum, s) => sum + s.sizeRemaining, 0)),
+        unmatchedOrders: selections.reduce((sum, s) => sum + s.unmatched.length, 0),
+      },
+    };
+  }
+
+  function removeMarket(marketId) {
+    markets.delete(marketId);
+  }
+
+  function clear() {
+    markets.clear();
+  }
+
+  return {
+    applyOrderChange,
+    getMarketOrders,
+    removeMarket,
+    clear,
+  };
+}
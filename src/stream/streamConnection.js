@@ -0,0 +1,356 @@
+import tls from "tls";
+import net from "net";
+import { createStreamFramer } from "./streamFraming.js";
+
+/**
+ * Exchange Stream connection
+ *
+ * Owns the socket: authentication, market + order subscriptions, framing,
+ * clock tracking and reconnection with exponential backoff. Complete `mcm` /
+ * `ocm` messages are handed to `onMessage`; lifecycle events go to `onEvent`.
+ * Nothing happens until `connect()` is called.
+ *
+ * Events: connected, reconnecting { attempt, delayMs, reason },
+ * reconnected { reconnectCount, lastReconnectAt, clk }, connection { connectionId },
+ * status { id, statusCode, errorCode, errorMessage }, error { error },
+ * closed { reason } (retry budget exhausted - not emitted by close()).
+ *
+ * @param {Object} options
+ * @param {string} options.appKey
+ * @param {string} options.sessionToken
+ * @param {string[]} options.marketIds - Markets to subscribe to (changed later with setMarketIds)
+ * @param {boolean} [options.orders] - Also open an Order Stream subscription
+ * @param {Object} [options.stream] - { host, port, tls, rejectUnauthorized }
+ * @param {Object} [options.reconnect] - { maxRetries, baseDelayMs, maxDelayMs }
+ * @param {Function} [options.onMessage] - (message) => void for mcm / ocm
+ * @param {Function} [options.onEvent] - (type, data) => void
+ * @param {Function} [options.onLine] - Raw line hook (recording)
+ * @param {string} [options.label] - Used in log lines
+ */
+export function createStreamConnection({
+  appKey,
+  sessionToken,
+  marketIds,
+  orders = true,
+  stream = {},
+  reconnect = {},
+  onMessage = () => {},
+  onEvent = () => {},
+  onLine,
+  label = "Stream",
+}) {
+  /**
+   * Stream endpoint - Betfair by default, the local stub in development
+   */
+  const host = stream.host || "stream-api.betfair.com";
+  const port = stream.port || 443;
+  const useTls = stream.tls !== false;
+
+  /**
+   * Reconnection budget - exponential backoff between attempts
+   * (1s, 2s, 4s ... capped at maxDelayMs), giving up after maxRetries
+   * consecutive failures.
+   */
+  const maxRetries = reconnect.maxRetries ?? 10;
+  const baseDelayMs = reconnect.baseDelayMs ?? 1000;
+  const maxDelayMs = reconnect.maxDelayMs ?? 30000;
+
+  let socket = null;
+  let isRunning = false;
+  let session = sessionToken;
+  let subscribedMarketIds = [...marketIds];
+
+  /**
+   * Connection / resume state
+   * initialClk and clk come from mcm messages and let a new connection
+   * resume the subscription from where the old one stopped.
+   */
+  let initialClk = null;
+  let clk = null;
+  let orderInitialClk = null; // Order subscription has its own clocks
+  let orderClk = null;
+  let hasConnected = false;
+  let reconnectAttempts = 0; // Consecutive failed attempts since the last good subscription
+  let reconnectCount = 0; // Successful reconnects over the connection's lifetime
+  let lastReconnectAt = null;
+  let reconnectTimer = null;
+  let isSubscribed = false; // The open socket has sent authentication and subscriptions
+
+  /**
+   * Buffers partial lines and reassembles segmented messages
+   */
+  const framer = createStreamFramer({ onLine });
+
+  function write(message) {
+    if (socket && !socket.destroyed) {
+      socket.write(JSON.stringify(message) + "\r\n");
+    }
+  }
+
+  /**
+   * Build the market subscription, resuming from the last clocks if we have them
+   */
+  function buildMarketSubscription() {
+    return {
+      op: "marketSubscription",
+      id: 2,
+      segmentationEnabled: true,
+      heartbeatMs: 1000,
+      ...(initialClk ? { initialClk } : {}),
+      ...(clk ? { clk } : {}),
+      marketFilter: {
+        marketIds: subscribedMarketIds,
+      },
+      marketDataFilter: {
+        ladderLevels: 1,
+        fields: [
+          "EX_BEST_OFFERS",
+          "EX_LTP",
+          "EX_TRADED_VOL",
+          "EX_MARKET_DEF",
+        ],
+      },
+    };
+  }
+
+  /**
+   * Build the order subscription
+   * The Order Stream is account-wide - consumers filter by market
+   */
+  function buildOrderSubscription() {
+    return {
+      op: "orderSubscription",
+      id: 3,
+      segmentationEnabled: true,
+      heartbeatMs: 1000,
+      ...(orderInitialClk ? { initialClk: orderInitialClk } : {}),
+      ...(orderClk ? { clk: orderClk } : {}),
+      orderFilter: {
+        includeOverallPosition: true,
+      },
+    };
+  }
+
+  /**
+   * Schedule a reconnect with exponential backoff
+   * Only reports "closed" once the retry budget is exhausted
+   */
+  function handleDisconnect(reason) {
+    socket = null;
+    if (!isRunning) return;
+
+    if (reconnectAttempts >= maxRetries) {
+      console.error(`[Stream Connection] ${label} - Giving up after ${reconnectAttempts} reconnect attempts`);
+      isRunning = false;
+      onEvent("closed", { reason: `Reconnect budget exhausted (${maxRetries} attempts)` });
+      return;
+    }
+
+    const delayMs = Math.min(baseDelayMs * Math.pow(2, reconnectAttempts), maxDelayMs);
+    reconnectAttempts++;
+
+    console.log(`[Stream Connection] ${label} - Reconnecting in ${delayMs}ms (attempt ${reconnectAttempts}/${maxRetries}, reason: ${reason})`);
+    onEvent("reconnecting", { attempt: reconnectAttempts, delayMs, reason });
+
+    reconnectTimer = setTimeout(() => {
+      reconnectTimer = null;
+      if (isRunning) openSocket();
+    }, delayMs);
+  }
+
+  /**
+   * STREAM DATA HANDLER
+   */
+  function handleData(chunk) {
+    if (!isRunning) return;
+
+    // Only complete (and fully reassembled) messages come out of the framer
+    for (const parsed of framer.push(chunk)) {
+      if (!isRunning) return;
+
+      if (parsed.op === "connection") {
+        onEvent("connection", { connectionId: parsed.connectionId });
+        continue;
+      }
+
+      if (parsed.op === "status") {
+        if (parsed.statusCode !== "SUCCESS" && parsed.errorCode) {
+          console.error(`[Stream Connection] ${label} - Status error: ${parsed.errorCode} - ${parsed.errorMessage || ""}`);
+        }
+        // Subscription accepted - the connection is healthy again
+        if (parsed.id === 2 && parsed.statusCode === "SUCCESS") {
+          reconnectAttempts = 0;
+        }
+        onEvent("status", {
+          id: parsed.id,
+          statusCode: parsed.statusCode,
+          errorCode: parsed.errorCode,
+          errorMessage: parsed.errorMessage,
+        });
+        continue;
+      }
+
+      // Track clocks (heartbeats included) so a reconnect can resume
+      if (parsed.op === "mcm") {
+        if (parsed.initialClk) initialClk = parsed.initialClk;
+        if (parsed.clk) clk = parsed.clk;
+      } else if (parsed.op === "ocm") {
+        if (parsed.initialClk) orderInitialClk = parsed.initialClk;
+        if (parsed.clk) orderClk = parsed.clk;
+      }
+
+      onMessage(parsed);
+    }
+  }
+
+  /**
+   * Open the socket, authenticate and (re)subscribe
+   */
+  function openSocket() {
+    // Partial lines/segments from a dead connection must not leak into the new one
+    framer.reset();
+    isSubscribed = false;
+
+    const onConnect = () => {
+      if (!hasConnected) {
+        hasConnected = true;
+        onEvent("connected", {});
+      } else {
+        reconnectCount++;
+        lastReconnectAt = new Date().toISOString();
+        onEvent("reconnected", { reconnectCount, lastReconnectAt, clk });
+        console.log(`[Stream Connection] ${label} - Reconnected (#${reconnectCount}), resuming from clk ${clk || "N/A"}`);
+      }
+
+      /**
+       * 1️⃣ AUTHENTICATION
+       */
+      write({ op: "authentication", id: 1, appKey, session });
+
+      /**
+       * 2️⃣ MARKET SUBSCRIPTION
+       */
+      if (subscribedMarketIds.length > 0) {
+        write(buildMarketSubscription());
+      }
+
+      /**
+       * 3️⃣ ORDER SUBSCRIPTION
+       */
+      if (orders) {
+        write(buildOrderSubscription());
+      }
+      isSubscribed = true;
+    };
+
+    socket = useTls
+      ? tls.connect(
+          {
+            host,
+            port,
+            servername: host,
+            rejectUnauthorized: stream.rejectUnauthorized !== false,
+          },
+          onConnect
+        )
+      : net.connect({ host, port }, onConnect);
+
+    socket.setEncoding("utf8");
+    socket.on("data", handleData);
+
+    /**
+     * ERROR HANDLING
+     * "close" always follows "error", so reconnection is driven from "close" only
+     */
+    socket.on("error", (err) => {
+      console.error(`[Stream Connection] ${label} socket error:`, err.message);
+      onEvent("error", { error: err.message });
+    });
+
+    socket.on("close", () => {
+      console.log(`[Stream Connection] ${label} connection closed`);
+      handleDisconnect("connection closed");
+    });
+  }
+
+  /**
+   * Replace the subscribed markets
+   * Sends a new market subscription on the open socket (Betfair replaces the old
+   * one and sends an image of every listed market). The old clocks belong to the
+   * old subscription, so they are dropped.
+   * @param {string[]} ids
+   */
+  function setMarketIds(ids) {
+    const next = [...new Set(ids)];
+    if (next.length === subscribedMarketIds.length && next.every((id) => subscribedMarketIds.includes(id))) return;
+    subscribedMarketIds = next;
+    initialClk = null;
+    clk = null;
+    // A socket still connecting subscribes to the new list once it is up
+    if (isRunning && isSubscribed && socket && !socket.destroyed && next.length > 0) {
+      write(buildMarketSubscription());
+    }
+  }
+
+  /**
+   * Use a new session token from the next (re)connection on
+   * The open socket stays authenticated; a socket that Betfair closed for an
+   * expired session is reopened straight away instead of waiting for the backoff.
+   */
+  function setSessionToken(token) {
+    if (!token || token === session) return;
+    session = token;
+    if (isRunning && !socket && reconnectTimer) {
+      clearTimeout(reconnectTimer);
+      reconnectTimer = null;
+      openSocket();
+    }
+  }
+
+  function connect() {
+    if (isRunning) return;
+    isRunning = true;
+    openSocket();
+  }
+
+  /**
+   * Close for good - no reconnect, no "closed" event
+   */
+  function close() {
+    isRunning = false;
+    if (reconnectTimer) {
+      clearTimeout(reconnectTimer);
+      reconnectTimer = null;
+    }
+    if (socket) {
+      try {
+        socket.destroy();
+      } catch (err) {
+        // Ignore cleanup errors
+      }
+      socket = null;
+    }
+  }
+
+  return {
+    connect,
+    close,
+    setSessionToken,
+    setMarketIds,
+    getMarketIds: () => [...subscribedMarketIds],
+    isRunning: () => isRunning,
+    getState: () => ({
+      connected: Boolean(socket) && !socket.destroyed,
+      initialClk,
+      clk,
+      reconnectAttempts,
+      reconnectCount,
+      lastReconnectAt,
+    }),
+    /**
+     * Exposed for tests and callers that need to resubscribe by hand
+     */
+    buildMarketSubscription,
+    buildOrderSubscription,
+  };
+}
@@ -0,0 +1,162 @@
+import { StringDecoder } from "string_decoder";
+
+/**
+ * Framing layer for the Betfair Exchange Stream API
+ *
+ * The stream is CRLF-delimited JSON, but TCP gives us arbitrary chunks: one
+ * message may arrive split across several `data` events, and a large `mcm`/`ocm`
+ * may additionally be split into segments (SEG_START / SEG / SEG_END) when the
+ * subscription uses `segmentationEnabled: true`.
+ *
+ * Only complete, reassembled messages leave this module.
+ */
+
+const LINE_DELIMITER = "\r\n";
+
+/**
+ * Change array carried by each segmentable op
+ */
+const CHANGE_KEYS = {
+  mcm: "mc",
+  ocm: "oc",
+};
+
+/**
+ * Buffers partial lines across chunks
+ * Accepts strings or Buffers - multi-byte characters split between
+ * Buffers are handled by the StringDecoder.
+ */
+export function createLineDecoder() {
+  const decoder = new StringDecoder("utf8");
+  let buffer = "";
+
+  /**
+   * @param {string|Buffer} chunk
+   * @returns {string[]} Complete lines (without the delimiter)
+   */
+  function push(chunk) {
+    buffer += typeof chunk === "string" ? chunk : decoder.write(chunk);
+
+    const lines = buffer.split(LINE_DELIMITER);
+    // Last element is either "" (chunk ended on a delimiter) or a partial line
+    buffer = lines.pop();
+
+    return lines.filter((line) => line.trim().length > 0);
+  }
+
+  function reset() {
+    buffer = "";
+    decoder.end();
+  }
+
+  return {
+    push,
+    reset,
+    pendingLength: () => buffer.length,
+  };
+}
+
+/**
+ * Reassembles segmented change messages
+ * Non-segmented messages pass straight through.
+ */
+export function createSegmentAssembler() {
+  const pending = new Map(); // `${op}:${id}` -> partially assembled message
+
+  /**
+   * @param {Object} message - Parsed stream message
+   * @returns {Object|null} The complete message, or null while a segment is still open
+   */
+  function push(message) {
+    const changeKey = CHANGE_KEYS[message.op];
+    if (!changeKey || !message.segmentType) {
+      return message;
+    }
+
+    const key = `${message.op}:${message.id}`;
+    const changes = message[changeKey] || [];
+
+    if (message.segmentType === "SEG_START") {
+      const { segmentType, ...rest } = message;
+      pending.set(key, { ...rest, [changeKey]: [...changes] });
+      return null;
+    }
+
+    const assembled = pending.get(key);
+    if (!assembled) {
+      console.error(`[Stream Framing] Dropping ${message.op} ${message.segmentType} without SEG_START (id: ${message.id})`);
+      return null;
+    }
+
+    assembled[changeKey].push(...changes);
+
+    if (message.segmentType === "SEG") {
+      return null;
+    }
+
+    // SEG_END carries the clocks/publish time for the whole message
+    pending.delete(key);
+    const { segmentType, [changeKey]: _ignored, ...header } = message;
+    return { ...assembled, ...header, [changeKey]: assembled[changeKey] };
+  }
+
+  function reset() {
+    pending.clear();
+  }
+
+  return {
+    push,
+    reset,
+  };
+}
+
+/**
+ * Full framing pipeline: chunks in, complete parsed messages out
+ * @param {Object} [options]
+ * @param {Function} [options.onLine] - Called with every raw line before parsing (e.g. for recording)
+ */
+export function createStreamFramer({ onLine } = {}) {
+  const lines = createLineDecoder();
+  const segments = createSegmentAssembler();
+
+  /**
+   * @param {string|Buffer} chunk - Raw data from the socket
+   * @returns {Object[]} Complete messages, in stream order
+   */
+  function push(chunk) {
+    const messages = [];
+
+    for (const line of lines.push(chunk)) {
+      if (onLine) onLine(line);
+
+      let parsed;
+      try {
+        parsed = JSON.parse(line);
+      } catch (err) {
+        // A complete line that is not JSON is a protocol error, not a split message
+        console.error(`[Stream Framing] Unparseable line (${line.length} chars): ${line.slice(0, 120)}`);
+        continue;
+      }
+
+      const complete = segments.push(parsed);
+      if (complete) {
+        messages.push(complete);
+      }
+    }
+
+    return messages;
+  }
+
+  /**
+   * Drop all partial state (e.g. after the socket reconnects)
+   */
+  function reset() {
+    lines.reset();
+    segments.reset();
+  }
+
+  return {
+    push,
+    reset,
+  };
+}
@@ -0,0 +1,52 @@
+import fs from "fs";
+import path from "path";
+
+/**
+ * Stream recorder
+ *
+ * Appends every raw line a worker receives (before parsing) to a JSON-lines
+ * file, one file per market and start time. The format matches Betfair's
+ * historical data files, so recordings can be fed straight into the backtest
+ * replay (`npm run backtest -- --file <recording>`).
+ */
+
+const DEFAULT_RECORDINGS_DIR = "recordings";
+
+/**
+ * Recording file for a market started now
+ * @param {string} marketId
+ * @param {string} [directory] - Defaults to STREAM_RECORDINGS_DIR or ./recordings
+ */
+export function getRecordingPath(marketId, directory) {
+  const dir = directory || process.env.STREAM_RECORDINGS_DIR || DEFAULT_RECORDINGS_DIR;
+  const startedAt = new Date().toISOString().replace(/[:.]/g, "-");
+  return path.resolve(dir, `${marketId}-${startedAt}.jsonl`);
+}
+
+/**
+ * @param {Object} options
+ * @param {string} options.marketId
+ * @param {string} [options.filePath] - Defaults to getRecordingPath(marketId)
+ */
+export function createStreamRecorder({ marketId, filePath = getRecordingPath(marketId) }) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+  const output = fs.createWriteStream(filePath, { flags: "a" });
+  let lines = 0;
+
+  output.on("error", (err) => {
+    console.error(`[Stream Recorder] Market ${marketId} - Failed writing ${filePath}:`, err.message);
+  });
+
+  return {
+    filePath,
+    write(line) {
+      lines++;
+      output.write(line + "\n");
+    },
+    close() {
+      output.end();
+    },
+    getLineCount: () => lines,
+  };
+}
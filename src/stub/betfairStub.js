@@ -0,0 +1,760 @@
+import express from "express";
+import net from "net";
+import tls from "tls";
+import fs from "fs";
+import http from "http";
+
+/**
+ * Local Betfair simulator for offline development and tests
+ *
+ * One HTTP server covers the REST endpoints the app uses (identity login,
+ * certlogin, keepAlive and logout, listEvents, listMarketCatalogue,
+ * listMarketBook, listCurrentOrders, listClearedOrders and the placeOrders /
+ * cancelOrders / replaceOrders / updateOrders JSON-RPC). A second server
+ * speaks the Exchange Stream protocol over plain TCP (or TLS when a cert/key
+ * is supplied) and plays scripted `mcm` steps from the scenario for every
+ * market a client subscribes to. A new subscription on the same connection
+ * keeps playing the markets it still lists, stops the ones it drops and
+ * starts the new ones. Orders placed, cancelled or changed through
+ * the stub are pushed to order subscriptions as `ocm` messages.
+ *
+ * Scenario format: see scenarios/default.json.
+ */
+
+const REST_PREFIX = "/exchange/betting/rest/v1.0";
+const JSON_RPC_PATH = "/exchange/betting/json-rpc/v1";
+
+/**
+ * Betfair-style APING error body
+ */
+function apingError(errorCode, errorDetails = "") {
+  return {
+    faultcode: "Client",
+    faultstring: "ANGX-0003",
+    detail: {
+      APINGException: { errorCode, errorDetails, requestUUID: "stub" },
+      exceptionname: "APINGException",
+    },
+  };
+}
+
+/**
+ * Fields Betfair keeps per listClearedOrders groupBy level
+ */
+const CLEARED_GROUP_KEYS = {
+  EVENT_TYPE: ["eventTypeId"],
+  EVENT: ["eventTypeId", "eventId"],
+  MARKET: ["eventTypeId", "eventId", "marketId"],
+  RUNNER: ["eventTypeId", "eventId", "marketId", "selectionId", "handicap"],
+  SIDE: ["eventTypeId", "eventId", "marketId", "selectionId", "handicap", "side"],
+};
+
+function matchesClearedFilter(order, { eventIds, marketIds, betIds, side, settledDateRange }) {
+  if (eventIds && !eventIds.includes(order.eventId)) return false;
+  if (marketIds && !marketIds.includes(order.marketId)) return false;
+  if (betIds && !betIds.includes(order.betId)) return false;
+  if (side && order.side !== side) return false;
+  const settled = Date.parse(order.settledDate);
+  if (settledDateRange?.from && settled < Date.parse(settledDateRange.from)) return false;
+  if (settledDateRange?.to && settled > Date.parse(settledDateRange.to)) return false;
+  return true;
+}
+
+/**
+ * Aggregate cleared orders for groupBy levels above BET:
+ * sums profit, commission, sizeSettled and betCount per group
+ */
+function groupClearedOrders(orders, groupBy) {
+  if (groupBy === "BET" || !CLEARED_GROUP_KEYS[groupBy]) {
+    return orders;
+  }
+
+  const keys = CLEARED_GROUP_KEYS[groupBy];
+  const groups = new Map();
+  for (const order of orders) {
+    const id = keys.map((key) => order[key]).join("|");
+    let group = groups.get(id);
+    if (!group) {
+      group = { ...Object.fromEntries(keys.map((key) => [key, order[key]])), betCount: 0, profit: 0, commission: 0, sizeSettled: 0 };
+      groups.set(id, group);
+    }
+    group.betCount += order.betCount || 1;
+    group.profit += order.profit || 0;
+    group.commission += order.commission || 0;
+    group.sizeSettled += order.sizeSettled || 0;
+    group.settledDate = order.settledDate;
+  }
+  return [...groups.values()];
+}
+
+/**
+ * Factory function to create a stub instance
+ * @param {Object} [options]
+ * @param {Object} [options.scenario] - Scenario object (defaults to scenarios/default.json)
+ * @param {Object} [options.tlsOptions] - { cert, key } to serve the stream over TLS
+ * @param {Object} [options.logger] - console-like logger
+ */
+export function createBetfairStub({ scenario = loadScenario(), tlsOptions = null, logger = console } = {}) {
+  const sessions = new Set(scenario.sessionTokens || []);
+  const orders = []; // Every order accepted by placeOrders
+  const clearedOrders = [...(scenario.clearedOrders || [])];
+  const streamClients = new Set();
+  const marketStatuses = new Map(Object.entries(scenario.marketStatus || {})); // marketId -> status
+  let betSequence = 1000;
+  let keepAliveCount = 0;
+  let connectionSequence = 0;
+
+  /**
+   * itemDescription for includeItemDescription, from the scenario's events and catalogue
+   */
+  function describeClearedOrder(item) {
+    const market = (scenario.marketCatalogue || []).find((m) => m.marketId === item.marketId);
+    const event = (scenario.events || []).find((e) => e.event.id === item.eventId);
+    return {
+      eventTypeDesc: "Cricket",
+      eventDesc: event?.event.name || market?.event?.name,
+      marketDesc: market?.marketName,
+      marketStartTime: market?.marketStartTime,
+      runnerDesc: market?.runners.find((r) => r.selectionId === item.selectionId)?.runnerName,
+    };
+  }
+
+  function isValidSession(token) {
+    return Boolean(token) && sessions.has(token);
+  }
+
+  function isValidAppKey(appKey) {
+    return Boolean(appKey) && (!scenario.appKey || scenario.appKey === appKey);
+  }
+
+  /**
+   * Every betting endpoint needs an app key and a live session
+   */
+  function requireSession(req, res, next) {
+    if (!isValidAppKey(req.header("X-Application"))) {
+      return res.status(400).json(apingError("INVALID_APP_KEY"));
+    }
+    if (!isValidSession(req.header("X-Authentication"))) {
+      return res.status(400).json(apingError("INVALID_SESSION_INFORMATION"));
+    }
+    next();
+  }
+
+  /**
+   * Accept one LIMIT instruction as a new unmatched order
+   */
+  function acceptOrder(marketId, instruction, placedDate) {
+    const order = {
+      betId: String(++betSequence),
+      marketId,
+      selectionId: instruction.selectionId,
+      side: instruction.side,
+      price: instruction.limitOrder?.price,
+      size: instruction.limitOrder?.size,
+      persistenceType: instruction.limitOrder?.persistenceType || "LAPSE",
+      placedDate,
+      sizeMatched: 0,
+      sizeRemaining: instruction.limitOrder?.size,
+      sizeCancelled: 0,
+      averagePriceMatched: 0,
+      status: "EXECUTABLE",
+    };
+    orders.push(order);
+    pushOrderChange(order);
+
+    return {
+      status: "SUCCESS",
+      instruction,
+      betId: order.betId,
+      placedDate,
+      averagePriceMatched: 0,
+      sizeMatched: 0,
+      orderStatus: "EXECUTABLE",
+    };
+  }
+
+  /**
+   * Unmatched order on a market, or null when it is gone (matched, cancelled, unknown)
+   */
+  function findExecutable(marketId, betId) {
+    return orders.find((o) => o.betId === String(betId) && o.marketId === marketId && o.status === "EXECUTABLE") || null;
+  }
+
+  /**
+   * Cancel all or part of an unmatched order
+   * @returns {number} Size cancelled
+   */
+  function cancelSize(order, sizeReduction) {
+    const size = sizeReduction ? Math.min(sizeReduction, order.sizeRemaining) : order.sizeRemaining;
+    order.sizeRemaining -= size;
+    order.sizeCancelled += size;
+    if (order.sizeRemaining <= 0) order.status = "EXECUTION_COMPLETE";
+    pushOrderChange(order);
+    return size;
+  }
+
+  /**
+   * Overall result of a batch: FAILURE with BET_ACTION_ERROR when any instruction failed
+   */
+  function batchResult(marketId, instructionReports) {
+    const failed = instructionReports.some((report) => report.status !== "SUCCESS");
+    return {
+      status: failed ? "FAILURE" : "SUCCESS",
+      ...(failed ? { errorCode: "BET_ACTION_ERROR" } : {}),
+      marketId,
+      instructionReports,
+    };
+  }
+
+  /**
+   * JSON-RPC methods (SportsAPING/v1.0/<method>)
+   */
+  const rpcMethods = {
+    placeOrders(params) {
+      const { marketId, instructions = [] } = params;
+      const placedDate = new Date().toISOString();
+      const instructionReports = instructions.map((instruction) => acceptOrder(marketId, instruction, placedDate));
+      return { status: "SUCCESS", marketId, instructionReports };
+    },
+
+    cancelOrders(params) {
+      const { marketId, instructions } = params;
+      const cancelledDate = new Date().toISOString();
+
+      // No instructions: every unmatched order on the market
+      const targets = instructions?.length
+        ? instructions
+        : orders.filter((o) => o.marketId === marketId && o.status === "EXECUTABLE").map((o) => ({ betId: o.betId }));
+
+      const instructionReports = targets.map((instruction) => {
+        const order = findExecutable(marketId, instruction.betId);
+        if (!order) {
+          return { status: "FAILURE", errorCode: "BET_TAKEN_OR_LAPSED", instruction };
+        }
+        return { status: "SUCCESS", instruction, sizeCancelled: cancelSize(order, instruction.sizeReduction), cancelledDate };
+      });
+
+      return batchResult(marketId, instructionReports);
+    },
+
+    replaceOrders(params) {
+      const { marketId, instructions = [] } = params;
+      const now = new Date().toISOString();
+
+      const instructionReports = instructions.map((instruction) => {
+        const order = findExecutable(marketId, instruction.betId);
+        if (!order) {
+          return {
+            status: "FAILURE",
+            errorCode: "CANCELLED_NOT_PLACED",
+            cancelInstructionReport: { status: "FAILURE", errorCode: "BET_TAKEN_OR_LAPSED", instruction: { betId: instruction.betId } },
+          };
+        }
+        const remaining = order.sizeRemaining;
+        const cancelInstructionReport = {
+          status: "SUCCESS",
+          instruction: { betId: order.betId },
+          sizeCancelled: cancelSize(order),
+          cancelledDate: now,
+        };
+        const placeInstructionReport = acceptOrder(
+          marketId,
+          {
+            selectionId: order.selectionId,
+            side: order.side,
+            orderType: "LIMIT",
+            limitOrder: { size: remaining, price: instruction.newPrice, persistenceType: order.persistenceType },
+          },
+          now
+        );
+        return { status: "SUCCESS", cancelInstructionReport, placeInstructionReport };
+      });
+
+      return batchResult(marketId, instructionReports);
+    },
+
+    updateOrders(params) {
+      const { marketId, instructions = [] } = params;
+
+      const instructionReports = instructions.map((instruction) => {
+        const order = findExecutable(marketId, instruction.betId);
+        if (!order) {
+          return { status: "FAILURE", errorCode: "BET_TAKEN_OR_LAPSED", instruction };
+        }
+        if (order.persistenceType === instruction.newPersistenceType) {
+          return { status: "FAILURE", errorCode: "BET_ACTION_ERROR", instruction };
+        }
+        order.persistenceType = instruction.newPersistenceType;
+        pushOrderChange(order);
+        return { status: "SUCCESS", instruction };
+      });
+
+      return batchResult(marketId, instructionReports);
+    },
+  };
+
+  /**
+   * REST endpoints
+   */
+  const app = express();
+  app.use(express.json());
+  app.use(express.urlencoded({ extended: true }));
+
+  // Interactive login (identitysso)
+  app.post("/api/login", (req, res) => {
+    if (!isValidAppKey(req.header("X-Application"))) {
+      return res.json({ token: "", product: "", status: "FAIL", error: "INVALID_APP_KEY" });
+    }
+    const { username, password } = req.body || {};
+    const valid = (scenario.credentials || []).some((c) => c.username === username && c.password === password);
+    if (!valid) {
+      return res.json({ token: "", product: req.header("X-Application"), status: "FAIL", error: "INVALID_USERNAME_OR_PASSWORD" });
+    }
+    const token = `stub-session-${Date.now()}-${sessions.size}`;
+    sessions.add(token);
+    return res.json({ token, product: req.header("X-Application"), status: "SUCCESS", error: "" });
+  });
+
+  // Certificate login - the stub speaks plain HTTP, so no client certificate is checked
+  app.post("/api/certlogin", (req, res) => {
+    if (!isValidAppKey(req.header("X-Application"))) {
+      return res.json({ loginStatus: "INVALID_APP_KEY" });
+    }
+    const { username, password } = req.body || {};
+    const valid = (scenario.credentials || []).some((c) => c.username === username && c.password === password);
+    if (!valid) {
+      return res.json({ loginStatus: "INVALID_USERNAME_OR_PASSWORD" });
+    }
+    const token = `stub-session-${Date.now()}-${sessions.size}`;
+    sessions.add(token);
+    return res.json({ sessionToken: token, loginStatus: "SUCCESS" });
+  });
+
+  // keepAlive / logout answer in the identity format, FAIL + NO_SESSION for unknown tokens
+  function identityAnswer(req, res, onSuccess) {
+    const product = req.header("X-Application") || "";
+    const token = req.header("X-Authentication") || "";
+    if (!isValidAppKey(product)) {
+      return res.json({ token: "", product: "", status: "FAIL", error: "INVALID_APP_KEY" });
+    }
+    if (!isValidSession(token)) {
+      return res.json({ token: "", product, status: "FAIL", error: "NO_SESSION" });
+    }
+    onSuccess(token);
+    return res.json({ token, product, status: "SUCCESS", error: "" });
+  }
+
+  app.post("/api/keepAlive", (req, res) => {
+    identityAnswer(req, res, () => {
+      keepAliveCount += 1;
+    });
+  });
+
+  app.post("/api/logout", (req, res) => {
+    identityAnswer(req, res, (token) => sessions.delete(token));
+  });
+
+  app.post(`${REST_PREFIX}/listEvents/`, requireSession, (req, res) => {
+    res.json(scenario.events || []);
+  });
+
+  app.post(`${REST_PREFIX}/listMarketCatalogue/`, requireSession, (req, res) => {
+    const { eventIds, marketIds } = req.body?.filter || {};
+    const markets = (scenario.marketCatalogue || []).filter(
+      (market) => (!eventIds || eventIds.includes(market.event?.id)) && (!marketIds || marketIds.includes(market.marketId))
+    );
+    res.json(markets);
+  });
+
+  // Market status only - OPEN unless the scenario (or setMarketStatus) says otherwise
+  app.post(`${REST_PREFIX}/listMarketBook/`, requireSession, (req, res) => {
+    const marketIds = req.body?.marketIds || [];
+    const known = new Set((scenario.marketCatalogue || []).map((market) => market.marketId));
+    res.json(
+      marketIds
+        .filter((marketId) => known.has(marketId))
+        .map((marketId) => ({
+          marketId,
+          isMarketDataDelayed: false,
+          status: marketStatuses.get(marketId) || "OPEN",
+          inplay: true,
+        }))
+    );
+  });
+
+  app.post(`${REST_PREFIX}/listClearedOrders/`, requireSession, (req, res) => {
+    const { fromRecord = 0, recordCount = 1000, groupBy = "BET", includeItemDescription = false } = req.body || {};
+    const selected = clearedOrders.filter((order) => matchesClearedFilter(order, req.body || {}));
+    const cleared = groupClearedOrders(selected, groupBy).map((item) =>
+      includeItemDescription ? { ...item, itemDescription: describeClearedOrder(item) } : item
+    );
+    res.json({
+      clearedOrders: cleared.slice(fromRecord, fromRecord + recordCount),
+      moreAvailable: fromRecord + recordCount < cleared.length,
+    });
+  });
+
+  app.post(`${REST_PREFIX}/listCurrentOrders/`, requireSession, (req, res) => {
+    const { betIds, marketIds, orderProjection = "ALL", fromRecord = 0, recordCount = 1000 } = req.body || {};
+    const current = orders
+      .filter((order) => !order.settled)
+      .filter((order) => !betIds || betIds.map(String).includes(order.betId))
+      .filter((order) => !marketIds || marketIds.includes(order.marketId))
+      .filter((order) => orderProjection === "ALL" || order.status === orderProjection)
+      .map(toCurrentOrder);
+    res.json({
+      currentOrders: current.slice(fromRecord, fromRecord + recordCount),
+      moreAvailable: fromRecord + recordCount < current.length,
+    });
+  });
+
+  app.post(JSON_RPC_PATH, requireSession, (req, res) => {
+    const { method, params = {}, id = 1 } = req.body || {};
+    const handler = rpcMethods[(method || "").replace("SportsAPING/v1.0/", "")];
+    if (!handler) {
+      return res.json({ jsonrpc: "2.0", error: { code: -32601, message: `Method not found: ${method}` }, id });
+    }
+    return res.json({ jsonrpc: "2.0", result: handler(params), id });
+  });
+
+  /**
+   * Exchange Stream
+   */
+  function send(client, message) {
+    if (!client.socket.destroyed) {
+      client.socket.write(JSON.stringify(message) + "\r\n");
+    }
+  }
+
+  function nextClk(client) {
+    client.clk++;
+    return String(client.clk);
+  }
+
+  /**
+   * Play the scripted steps for one subscribed market
+   */
+  function playMarket(client, marketId) {
+    const playback = { marketId };
+    client.markets.set(marketId, playback);
+
+    const script = scenario.streams?.[marketId];
+    if (!script) return;
+
+    const steps = script.steps || [];
+    let index = 0;
+
+    const playNext = () => {
+      if (client.socket.destroyed || index >= steps.length) return;
+      const step = steps[index++];
+      const timer = setTimeout(() => {
+        if (client.markets.get(marketId) !== playback) return;
+        send(client, {
+          op: "mcm",
+          id: client.marketSubscriptionId,
+          clk: nextClk(client),
+          pt: Date.now(),
+          ...(index === 1 ? { ct: "SUB_IMAGE", initialClk: `stub-${client.connectionId}` } : {}),
+          mc: [{ id: marketId, ...step.change }],
+        });
+        playNext();
+      }, step.delayMs || 0);
+      client.timers.add(timer);
+    };
+
+    playNext();
+  }
+
+  /**
+   * CurrentOrderSummary (listCurrentOrders) for a stub order
+   */
+  function toCurrentOrder(order) {
+    return {
+      betId: order.betId,
+      marketId: order.marketId,
+      selectionId: order.selectionId,
+      handicap: 0,
+      priceSize: { price: order.price, size: order.size },
+      bspLiability: 0,
+      side: order.side,
+      status: order.status,
+      persistenceType: order.persistenceType,
+      orderType: "LIMIT",
+      placedDate: order.placedDate,
+      averagePriceMatched: order.averagePriceMatched,
+      sizeMatched: order.sizeMatched,
+      sizeRemaining: order.sizeRemaining,
+      sizeLapsed: 0,
+      sizeCancelled: order.sizeCancelled,
+      sizeVoided: 0,
+    };
+  }
+
+  function toStreamOrder(order) {
+    return {
+      id: order.betId,
+      p: order.price,
+      s: order.size,
+      side: order.side === "BACK" ? "B" : "L",
+      status: order.status === "EXECUTION_COMPLETE" ? "EC" : "E",
+      pt: { PERSIST: "P", MARKET_ON_CLOSE: "MOC" }[order.persistenceType] || "L",
+      ot: "L",
+      pd: Date.parse(order.placedDate),
+      sm: order.sizeMatched,
+      sr: order.sizeRemaining,
+      sc: order.sizeCancelled,
+      sl: 0,
+      sv: 0,
+      avp: order.averagePriceMatched || undefined,
+    };
+  }
+
+  /**
+   * Push an order change to every client with an order subscription
+   */
+  function pushOrderChange(order) {
+    for (const client of streamClients) {
+      if (client.orderSubscriptionId === null) continue;
+      send(client, {
+        op: "ocm",
+        id: client.orderSubscriptionId,
+        clk: nextClk(client),
+        pt: Date.now(),
+        oc: [{ id: order.marketId, orc: [{ id: order.selectionId, uo: [toStreamOrder(order)] }] }],
+      });
+    }
+  }
+
+  /**
+   * Push a market change to every client subscribed to the market, after anything
+   * already sent to it
+   */
+  function pushMarketChange(marketId, change) {
+    for (const client of streamClients) {
+      if (!client.markets.has(marketId)) continue;
+      send(client, {
+        op: "mcm",
+        id: client.marketSubscriptionId,
+        clk: nextClk(client),
+        pt: Date.now(),
+        mc: [{ id: marketId, ...change }],
+      });
+    }
+  }
+
+  function handleStreamRequest(client, request) {
+    switch (request.op) {
+      case "authentication":
+        if (!isValidAppKey(request.appKey) || !isValidSession(request.session)) {
+          send(client, {
+            op: "status",
+            id: request.id,
+            statusCode: "FAILURE",
+            errorCode: isValidAppKey(request.appKey) ? "INVALID_SESSION_INFORMATION" : "INVALID_APP_KEY",
+            errorMessage: "Stub rejected the credentials",
+            connectionClosed: true,
+          });
+          client.socket.end();
+          return;
+        }
+        client.authenticated = true;
+        send(client, { op: "status", id: request.id, statusCode: "SUCCESS", connectionClosed: false });
+        return;
+
+      case "heartbeat":
+        send(client, { op: "status", id: request.id, statusCode: "SUCCESS", connectionClosed: false });
+        return;
+
+      case "marketSubscription": {
+        if (!client.authenticated) {
+          send(client, { op: "status", id: request.id, statusCode: "FAILURE", errorCode: "NO_SESSION", connectionClosed: true });
+          client.socket.end();
+          return;
+        }
+        client.marketSubscriptionId = request.id;
+        send(client, { op: "status", id: request.id, statusCode: "SUCCESS", connectionClosed: false });
+        const marketIds = request.marketFilter?.marketIds || [];
+        for (const marketId of client.markets.keys()) {
+          if (!marketIds.includes(marketId)) client.markets.delete(marketId);
+        }
+        for (const marketId of marketIds) {
+          if (!client.markets.has(marketId)) playMarket(client, marketId);
+        }
+        return;
+      }
+
+      case "orderSubscription": {
+        if (!client.authenticated) {
+          send(client, { op: "status", id: request.id, statusCode: "FAILURE", errorCode: "NO_SESSION", connectionClosed: true });
+          client.socket.end();
+          return;
+        }
+        client.orderSubscriptionId = request.id;
+        send(client, { op: "status", id: request.id, statusCode: "SUCCESS", connectionClosed: false });
+        send(client, {
+          op: "ocm",
+          id: request.id,
+          ct: "SUB_IMAGE",
+          initialClk: `stub-orders-${client.connectionId}`,
+          clk: nextClk(client),
+          pt: Date.now(),
+          oc: [],
+        });
+        return;
+      }
+
+      default:
+        send(client, { op: "status", id: request.id, statusCode: "FAILURE", errorCode: "INVALID_REQUEST", connectionClosed: false });
+    }
+  }
+
+  function handleStreamConnection(socket) {
+    const client = {
+      socket,
+      connectionId: `stub-${++connectionSequence}`,
+      authenticated: false,
+      marketSubscriptionId: null,
+      orderSubscriptionId: null,
+      // Subscribed markets - marketId -> playback of its script
+      markets: new Map(),
+      clk: 0,
+      timers: new Set(),
+      buffer: "",
+    };
+    streamClients.add(client);
+
+    socket.setEncoding("utf8");
+    send(client, { op: "connection", connectionId: client.connectionId });
+
+    socket.on("data", (chunk) => {
+      client.buffer += chunk;
+      const lines = client.buffer.split("\r\n");
+      client.buffer = lines.pop();
+      for (const line of lines) {
+        if (!line.trim()) continue;
+        try {
+          handleStreamRequest(client, JSON.parse(line));
+        } catch (err) {
+          logger.error("[Betfair Stub] Bad stream request:", err.message);
+        }
+      }
+    });
+
+    socket.on("error", () => {});
+    socket.on("close", () => {
+      for (const timer of client.timers) clearTimeout(timer);
+      streamClients.delete(client);
+    });
+  }
+
+  /**
+   * Match all or part of an unmatched order at its price (pushed to order subscriptions)
+   * @param {string} betId
+   * @param {number} [size] - Defaults to everything still unmatched
+   */
+  function matchOrder(betId, size) {
+    const order = orders.find((o) => o.betId === String(betId));
+    if (!order || order.status !== "EXECUTABLE") return null;
+    const matched = Math.min(size ?? order.sizeRemaining, order.sizeRemaining);
+    order.sizeMatched += matched;
+    order.sizeRemaining -= matched;
+    order.averagePriceMatched = order.price;
+    if (order.sizeRemaining <= 0) order.status = "EXECUTION_COMPLETE";
+    pushOrderChange(order);
+    return order;
+  }
+
+  /**
+   * Settle an order placed through the stub so listClearedOrders returns it
+   * @param {string} betId
+   * @param {Object} result - { betOutcome: "WON" | "LOST", profit, commission? }
+   */
+  function settleOrder(betId, { betOutcome, profit, commission }) {
+    const order = orders.find((o) => o.betId === String(betId));
+    if (!order) return null;
+    order.status = "EXECUTION_COMPLETE";
+    order.settled = true;
+    const market = (scenario.marketCatalogue || []).find((m) => m.marketId === order.marketId);
+    const cleared = {
+      eventTypeId: "4",
+      eventId: market?.event?.id,
+      marketId: order.marketId,
+      selectionId: order.selectionId,
+      handicap: 0,
+      betId: order.betId,
+      placedDate: order.placedDate,
+      persistenceType: order.persistenceType,
+      orderType: "LIMIT",
+      side: order.side,
+      priceRequested: order.price,
+      settledDate: new Date().toISOString(),
+      betCount: 1,
+      priceMatched: order.price,
+      priceReduced: false,
+      sizeSettled: order.size,
+      profit,
+      ...(commission !== undefined ? { commission } : {}),
+      betOutcome,
+    };
+    clearedOrders.push(cleared);
+    return cleared;
+  }
+
+  /**
+   * Hang up on every stream client (simulates a network drop)
+   */
+  function dropStreamConnections() {
+    for (const client of streamClients) {
+      client.socket.destroy();
+    }
+  }
+
+  const httpServer = http.createServer(app);
+  const streamServer = tlsOptions
+    ? tls.createServer(tlsOptions, handleStreamConnection)
+    : net.createServer(handleStreamConnection);
+
+  /**
+   * Start both servers (port 0 picks a free port)
+   * @returns {Promise<{ httpPort: number, streamPort: number }>}
+   */
+  async function start({ httpPort = 0, streamPort = 0, host = "127.0.0.1" } = {}) {
+    await new Promise((resolve) => httpServer.listen(httpPort, host, resolve));
+    await new Promise((resolve) => streamServer.listen(streamPort, host, resolve));
+    return {
+      httpPort: httpServer.address().port,
+      streamPort: streamServer.address().port,
+    };
+  }
+
+  async function stop() {
+    dropStreamConnections();
+    await new Promise((resolve) => streamServer.close(() => resolve()));
+    await new Promise((resolve) => httpServer.close(() => resolve()));
+  }
+
+  return {
+    app,
+    start,
+    stop,
+    orders,
+    rpcMethods,
+    addSession: (token) => sessions.add(token),
+    revokeSession: (token) => sessions.delete(token),
+    getKeepAliveCount: () => keepAliveCount,
+    pushOrderChange,
+    pushMarketChange,
+    matchOrder,
+    dropStreamConnections,
+    getStreamSubscriptions: () => [...streamClients].filter((client) => client.authenticated).map((client) => [...client.markets.keys()]),
+    settleOrder,
+    setMarketStatus: (marketId, status) => marketStatuses.set(marketId, status),
+  };
+}
+
+/**
+ * Load a scenario file (defaults to the bundled one)
+ */
+export function loadScenario(filePath = new URL("./scenarios/default.json", import.meta.url)) {
+  return JSON.parse(fs.readFileSync(filePath, "utf8"));
+}
@@ -0,0 +1,31 @@
+import fs from "fs";
+import { createBetfairStub, loadScenario } from "./betfairStub.js";
+
+/**
+ * Run the local Betfair stub
+ *
+ *   npm run stub
+ *
+ * Env:
+ *   STUB_HTTP_PORT (3100), STUB_STREAM_PORT (3101)
+ *   STUB_SCENARIO  - path to a scenario JSON (defaults to scenarios/default.json)
+ *   STUB_TLS_CERT / STUB_TLS_KEY - serve the stream over TLS instead of plain TCP
+ */
+
+const scenario = process.env.STUB_SCENARIO ? loadScenario(process.env.STUB_SCENARIO) : loadScenario();
+
+const tlsOptions =
+  process.env.STUB_TLS_CERT && process.env.STUB_TLS_KEY
+    ? { cert: fs.readFileSync(process.env.STUB_TLS_CERT), key: fs.readFileSync(process.env.STUB_TLS_KEY) }
+    : null;
+
+const stub = createBetfairStub({ scenario, tlsOptions });
+
+const { httpPort, streamPort } = await stub.start({
+  httpPort: parseInt(process.env.STUB_HTTP_PORT, 10) || 3100,
+  streamPort: parseInt(process.env.STUB_STREAM_PORT, 10) || 3101,
+  host: process.env.STUB_HOST || "127.0.0.1",
+});
+
+console.log(`🧪 Betfair stub REST on http://localhost:${httpPort}`);
+console.log(`🧪 Betfair stub stream on ${tlsOptions ? "tls" : "tcp"}://localhost:${streamPort}`);
@@ -1,9 +1,12 @@
 import axios from "axios";
 import https from "https";
+import { EventEmitter } from "events";
 
 // Base URLs for different services
-const BETFAIR_API_BASE_URL = "https://api.betfair.com";
-const BETFAIR_IDENTITY_BASE_URL = "https://identitysso.betfair.com";
+// Overridable so the app can run against the local stub (npm run stub)
+const BETFAIR_API_BASE_URL = process.env.BETFAIR_API_BASE_URL || "https://api.betfair.com";
+const BETFAIR_IDENTITY_BASE_URL = process.env.BETFAIR_IDENTITY_BASE_URL || "https://identitysso.betfair.com";
+const BETFAIR_CERT_LOGIN_BASE_URL = process.env.BETFAIR_CERT_LOGIN_BASE_URL || "https://identitysso-cert.betfair.com";
 
 /**
  * HTTP Agent configuration for high concurrency
@@ -64,6 +67,26 @@ export const betfairIdentityInstance = axios.create({
 
 
 
+/**
+ * Betfair certificate login instance
+ * The client certificate goes on the TLS agent, so an instance is made per
+ * certificate (see utils/identityService.js)
+ * @param {Object} certificate - { cert, key } PEM strings or buffers
+ */
+export function createCertLoginInstance({ cert, key }) {
+  const instance = axios.create({
+    baseURL: BETFAIR_CERT_LOGIN_BASE_URL,
+    timeout: 30000,
+    httpsAgent: new https.Agent({ cert, key }),
+    headers: {
+      Accept: "application/json",
+      "Content-Type": "application/x-www-form-urlencoded",
+    },
+  });
+  setupResponseInterceptor(instance);
+  return instance;
+}
+
 /**
  * Request interceptor for Betfair API - adds app key and session token
  */
@@ -104,6 +127,44 @@ const setupResponseInterceptor = (instance) => {
   );
 };
 
+/**
+ * Betfair error codes meaning the session token is no longer valid
+ */
+export const SESSION_ERROR_CODES = ["INVALID_SESSION_INFORMATION", "NO_SESSION"];
+
+/**
+ * Emits "invalid" { sessionToken, errorCode, url } when Betfair rejects a session
+ * Events are per thread: the main thread's session manager and each stream
+ * worker listen on their own copy.
+ */
+export const sessionEvents = new EventEmitter();
+
+/**
+ * APINGException error code of a REST error body or a JSON-RPC error
+ */
+function apingErrorCode(data) {
+  return data?.detail?.APINGException?.errorCode || data?.error?.data?.APINGException?.errorCode || null;
+}
+
+function reportSessionError(config, data) {
+  const errorCode = apingErrorCode(data);
+  if (SESSION_ERROR_CODES.includes(errorCode)) {
+    sessionEvents.emit("invalid", { sessionToken: config?.headers?.["X-Authentication"] || null, errorCode, url: config?.url });
+  }
+}
+
+betfairApiInstance.interceptors.response.use(
+  (response) => {
+    // JSON-RPC reports errors with HTTP 200
+    reportSessionError(response.config, response.data);
+    return response;
+  },
+  (error) => {
+    reportSessionError(error.config, error.response?.data);
+    return Promise.reject(error);
+  }
+);
+
 // Setup response interceptors for all instances
 setupResponseInterceptor(betfairApiInstance);
 setupResponseInterceptor(betfairIdentityInstance);
@@ -1,6 +1,16 @@
 import { betfairApiRequest } from "./axiosInstance.js";
+import { getBetLedger } from "../service/betLedger.js";
+import { getRiskManager, RiskLimitError } from "../service/riskManager.js";
 
 const PLACE_ORDERS_ENDPOINT = "/exchange/betting/json-rpc/v1";
+const LIST_CLEARED_ORDERS_ENDPOINT = "/exchange/betting/rest/v1.0/listClearedOrders/";
+const LIST_CURRENT_ORDERS_ENDPOINT = "/exchange/betting/rest/v1.0/listCurrentOrders/";
+const LIST_MARKET_CATALOGUE_ENDPOINT = "/exchange/betting/rest/v1.0/listMarketCatalogue/";
+
+/**
+ * Betting type per market ("LINE", "ODDS", ...) - it never changes, so it is looked up once
+ */
+const bettingTypes = new Map();
 
 /**
  * Core function to place a bet order on Betfair Exchange
@@ -15,7 +25,9 @@ const PLACE_ORDERS_ENDPOINT = "/exchange/betting/json-rpc/v1";
  * @param {string} appKey - Betfair application key
  * @param {string} sessionToken - Betfair session token
  * @param {Array} instructions - Array of betting instructions (each should include size)
+ * @param {Object} [meta] - Ledger context: { source: "bot" | "manual", ownerId, botId, strategy, reason, oldPrice, newPrice }
  * @returns {Promise<Object>} The API response data
+ * @throws {RiskLimitError} If the order breaks a risk limit (nothing is sent)
  * @throws {Error} If the API call fails
  */
 /**
@@ -43,7 +55,45 @@ async function retryWithBackoff(fn, maxRetries = 3, baseDelay = 100) {
   }
 }
 
-export async function placeBetOrder(marketId, appKey, sessionToken, instructions) {
+/**
+ * Write the call to the bet ledger - a ledger failure never fails the bet
+ */
+function recordInLedger(call) {
+  try {
+    getBetLedger().recordPlacement(call);
+  } catch (err) {
+    console.error(`[Bet Ledger] Failed to record placement for market ${call.marketId}:`, err.message);
+  }
+}
+
+/**
+ * Data the risk manager reads for one caller's credentials
+ * @param {string|null} ownerId - User placing the order - only their ledger entries count
+ */
+function riskSources(appKey, sessionToken, ownerId = null) {
+  return {
+    account: ownerId,
+    countMarketBets: (marketId) => getBetLedger().countPlacements({ marketId, ownerId }),
+    listCurrentOrders: (filter) => listAllCurrentOrders(appKey, sessionToken, filter),
+    listClearedOrders: (filter) => listAllClearedOrders(appKey, sessionToken, filter),
+    getBettingType: (marketId) => getMarketBettingType(appKey, sessionToken, marketId),
+  };
+}
+
+/**
+ * Reject the order before it is sent when it breaks a risk limit
+ * @param {Object} [sources] - Risk data, the caller's own by default
+ */
+async function enforceRiskLimits(marketId, appKey, sessionToken, instructions, meta, sources = riskSources(appKey, sessionToken, meta.ownerId || null)) {
+  const { allowed, reasons } = await getRiskManager().checkOrder({ marketId, instructions }, sources, meta);
+  if (!allowed) {
+    throw new RiskLimitError(marketId, reasons);
+  }
+}
+
+export async function placeBetOrder(marketId, appKey, sessionToken, instructions, meta = {}) {
+  await enforceRiskLimits(marketId, appKey, sessionToken, instructions, meta);
+
   const timestamp = new Date().toISOString();
   
   // Build JSON-RPC payload
@@ -69,6 +119,43 @@ export async function placeBetOrder(marketId, appKey, sessionToken, instructions
 
   // Retry with exponential backoff for transient failures
   // This helps handle rate limiting and temporary network issues
+  let response;
+  try {
+    response = await retryWithBackoff(
+      () => betfairApiRequest(
+        PLACE_ORDERS_ENDPOINT,
+        appKey,
+        sessionToken,
+        payload,
+        {
+          "Content-Type": "application/json",
+        }
+      ),
+      3, // Max 3 retries
+      100 // Base delay 100ms
+    );
+  } catch (error) {
+    recordInLedger({ marketId, instructions: payload.params.instructions.map(toLedgerInstruction), meta, error });
+    throw error;
+  }
+
+  recordInLedger({ marketId, instructions: payload.params.instructions.map(toLedgerInstruction), meta, response: response.data });
+
+  return response.data;
+}
+
+/**
+ * Send one SportsAPING JSON-RPC call, retried like placeOrders
+ * @returns {Promise<Object>} The JSON-RPC response body
+ */
+async function sendBettingRpc(method, params, appKey, sessionToken) {
+  const payload = {
+    jsonrpc: "2.0",
+    method: `SportsAPING/v1.0/${method}`,
+    params,
+    id: 1,
+  };
+
   const response = await retryWithBackoff(
     () => betfairApiRequest(
       PLACE_ORDERS_ENDPOINT,
@@ -79,9 +166,231 @@ export async function placeBetOrder(marketId, appKey, sessionToken, instructions
         "Content-Type": "application/json",
       }
     ),
-    3, // Max 3 retries
-    100 // Base delay 100ms
+    3,
+    100
   );
 
   return response.data;
 }
+
+/**
+ * Cancel unmatched orders on a market
+ * @param {string} marketId - The market ID
+ * @param {string} appKey - Betfair application key
+ * @param {string} sessionToken - Betfair session token
+ * @param {Array} [instructions] - [{ betId, sizeReduction? }]; empty cancels every unmatched order on the market
+ * @returns {Promise<Object>} The API response data
+ */
+export async function cancelBetOrders(marketId, appKey, sessionToken, instructions = []) {
+  const params = { marketId };
+  if (instructions.length > 0) {
+    params.instructions = instructions.map((inst) => ({
+      betId: String(inst.betId),
+      ...(inst.sizeReduction !== undefined && inst.sizeReduction !== null ? { sizeReduction: inst.sizeReduction } : {}),
+    }));
+  }
+  return sendBettingRpc("cancelOrders", params, appKey, sessionToken);
+}
+
+/**
+ * Move unmatched orders to a new price
+ * Betfair cancels each bet and places its remaining size as a new bet - the new
+ * bets are written to the bet ledger like any other placement.
+ * @param {string} marketId - The market ID
+ * @param {string} appKey - Betfair application key
+ * @param {string} sessionToken - Betfair session token
+ * @param {Array} instructions - [{ betId, newPrice }]
+ * @param {Object} [meta] - Ledger context for the new bets: { source, ownerId, botId, strategy, reason }
+ * @returns {Promise<Object>} The API response data
+ * @throws {RiskLimitError} While the kill switch is on, or when the new bets break a risk limit
+ */
+export async function replaceBetOrders(marketId, appKey, sessionToken, instructions, meta = {}) {
+  // A replacement is a new bet - nothing goes out while the kill switch is on
+  const killSwitch = getRiskManager().getKillSwitch();
+  if (killSwitch.active) {
+    throw new RiskLimitError(marketId, [`Kill switch is on${killSwitch.reason ? `: ${killSwitch.reason}` : ""}`]);
+  }
+
+  // ...and the same limits as any placement apply to it: the remaining size at the new price,
+  // with the bets it replaces gone from the open orders
+  let open;
+  try {
+    open = await listAllCurrentOrders(appKey, sessionToken, { marketIds: [marketId] });
+  } catch (err) {
+    throw new RiskLimitError(marketId, [`Could not read the bets to replace on market ${marketId}: ${err.message}`]);
+  }
+  const replacedBetIds = new Set(instructions.map((inst) => String(inst.betId)));
+  const placeInstructions = instructions.flatMap((inst) => {
+    // Bets no longer open are refused by Betfair per instruction
+    const bet = open.find((order) => String(order.betId) === String(inst.betId) && order.status === "EXECUTABLE");
+    if (!bet) return [];
+    return [{
+      selectionId: bet.selectionId,
+      side: bet.side,
+      size: bet.sizeRemaining,
+      limitOrder: { price: inst.newPrice, persistenceType: bet.persistenceType },
+    }];
+  });
+  if (placeInstructions.length > 0) {
+    await enforceRiskLimits(marketId, appKey, sessionToken, placeInstructions, meta, {
+      ...riskSources(appKey, sessionToken, meta.ownerId || null),
+      listCurrentOrders: async () => open.filter((order) => !replacedBetIds.has(String(order.betId))),
+    });
+  }
+
+  const data = await sendBettingRpc(
+    "replaceOrders",
+    {
+      marketId,
+      instructions: instructions.map((inst) => ({ betId: String(inst.betId), newPrice: inst.newPrice })),
+    },
+    appKey,
+    sessionToken
+  );
+
+  // Each successful replacement is a new bet
+  const reports = data?.result?.instructionReports || [];
+  reports.forEach((report, index) => {
+    const placeReport = report.placeInstructionReport;
+    if (!placeReport?.instruction) return;
+    recordInLedger({
+      marketId,
+      instructions: [toLedgerInstruction(placeReport.instruction)],
+      meta: { ...meta, reason: meta.reason || `Replaced bet ${instructions[index].betId}` },
+      response: { result: { status: placeReport.status, instructionReports: [placeReport] } },
+    });
+  });
+
+  return data;
+}
+
+/**
+ * Change the persistence type of unmatched orders (LAPSE, PERSIST, MARKET_ON_CLOSE)
+ * @param {string} marketId - The market ID
+ * @param {string} appKey - Betfair application key
+ * @param {string} sessionToken - Betfair session token
+ * @param {Array} instructions - [{ betId, newPersistenceType }]
+ * @returns {Promise<Object>} The API response data
+ */
+export async function updateBetOrders(marketId, appKey, sessionToken, instructions) {
+  return sendBettingRpc(
+    "updateOrders",
+    {
+      marketId,
+      instructions: instructions.map((inst) => ({ betId: String(inst.betId), newPersistenceType: inst.newPersistenceType })),
+    },
+    appKey,
+    sessionToken
+  );
+}
+
+/**
+ * Sent instruction back in the caller's shape (size at the top level)
+ */
+function toLedgerInstruction(inst) {
+  return {
+    selectionId: inst.selectionId,
+    side: inst.side,
+    size: inst.limitOrder?.size,
+    limitOrder: { price: inst.limitOrder?.price, persistenceType: inst.limitOrder?.persistenceType },
+  };
+}
+
+/**
+ * Betting type of a market from its catalogue description
+ * @returns {Promise<string|null>} e.g. "LINE" or "ODDS", null when Betfair does not know the market
+ */
+export async function getMarketBettingType(appKey, sessionToken, marketId) {
+  if (bettingTypes.has(marketId)) return bettingTypes.get(marketId);
+
+  const response = await betfairApiRequest(LIST_MARKET_CATALOGUE_ENDPOINT, appKey, sessionToken, {
+    filter: { marketIds: [marketId] },
+    marketProjection: ["MARKET_DESCRIPTION"],
+    maxResults: 1,
+  });
+  const bettingType = response.data?.[0]?.description?.bettingType || null;
+  if (bettingType) bettingTypes.set(marketId, bettingType);
+  return bettingType;
+}
+
+/**
+ * Fetch every cleared order matching a filter, following Betfair's pagination
+ * @param {string} appKey - Betfair application key
+ * @param {string} sessionToken - Betfair session token
+ * @param {Object} filter - listClearedOrders params without fromRecord/recordCount
+ *   (e.g. { betStatus: "SETTLED", settledDateRange: { from, to } })
+ * @returns {Promise<Array>} ClearedOrderSummary items
+ */
+export async function listAllClearedOrders(appKey, sessionToken, filter) {
+  const recordCount = 1000;
+  let fromRecord = 0;
+  let moreAvailable = true;
+  let allClearedOrders = [];
+
+  // paginate until Betfair reports no more results
+  while (moreAvailable) {
+    const response = await betfairApiRequest(
+      LIST_CLEARED_ORDERS_ENDPOINT,
+      appKey,
+      sessionToken,
+      { ...filter, fromRecord, recordCount }
+    );
+
+    const data = response.data || {};
+    const clearedOrders = Array.isArray(data.clearedOrders)
+      ? data.clearedOrders
+      : [];
+
+    allClearedOrders = allClearedOrders.concat(clearedOrders);
+    moreAvailable = Boolean(data.moreAvailable);
+    fromRecord += recordCount;
+
+    // safety to avoid infinite loop in case API misbehaves
+    if (fromRecord > 50000) {
+      moreAvailable = false;
+    }
+  }
+
+  return allClearedOrders;
+}
+
+/**
+ * Fetch every current (unsettled) order matching a filter, following Betfair's pagination
+ * @param {string} appKey - Betfair application key
+ * @param {string} sessionToken - Betfair session token
+ * @param {Object} [filter] - listCurrentOrders params without fromRecord/recordCount
+ *   (e.g. { marketIds, betIds, orderProjection: "EXECUTABLE" })
+ * @returns {Promise<Array>} CurrentOrderSummary items
+ */
+export async function listAllCurrentOrders(appKey, sessionToken, filter = {}) {
+  const recordCount = 1000;
+  let fromRecord = 0;
+  let moreAvailable = true;
+  let allCurrentOrders = [];
+
+  // paginate until Betfair reports no more results
+  while (moreAvailable) {
+    const response = await betfairApiRequest(
+      LIST_CURRENT_ORDERS_ENDPOINT,
+      appKey,
+      sessionToken,
+      { ...filter, fromRecord, recordCount }
+    );
+
+    const data = response.data || {};
+    const currentOrders = Array.isArray(data.currentOrders)
+      ? data.currentOrders
+      : [];
+
+    allCurrentOrders = allCurrentOrders.concat(currentOrders);
+    moreAvailable = Boolean(data.moreAvailable);
+    fromRecord += recordCount;
+
+    // safety to avoid infinite loop in case API misbehaves
+    if (fromRecord > 50000) {
+      moreAvailable = false;
+    }
+  }
+
+  return allCurrentOrders;
+}
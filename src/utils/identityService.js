@@ -0,0 +1,174 @@
+import fs from "fs";
+import { betfairIdentityInstance, createCertLoginInstance } from "./axiosInstance.js";
+
+const LOGIN_URL = "/api/login";
+const CERT_LOGIN_URL = "/api/certlogin";
+const KEEP_ALIVE_URL = "/api/keepAlive";
+const LOGOUT_URL = "/api/logout";
+
+/**
+ * Betfair identity (SSO) calls
+ * Each returns Betfair's JSON body: { token, product, status: "SUCCESS" | "FAIL", error }
+ * A FAIL status is an answer, not a thrown error - callers check `status`.
+ * Certificate login is the exception: it throws CertLoginError (see below).
+ */
+
+/**
+ * What to do about each certlogin loginStatus that is not SUCCESS
+ */
+export const CERT_LOGIN_ERRORS = {
+  INVALID_USERNAME_OR_PASSWORD: "Username or password is wrong",
+  ACCOUNT_NOW_LOCKED: "Account locked after too many failed logins - unlock it on the Betfair website",
+  ACCOUNT_ALREADY_LOCKED: "Account is locked - unlock it on the Betfair website",
+  PENDING_AUTH: "Account is waiting for Betfair to confirm it",
+  TELBET_TERMS_CONDITIONS_NA: "Telbet terms and conditions have to be accepted on the Betfair website",
+  DUPLICATE_CARDS: "Payment card is registered to another account - contact Betfair",
+  SECURITY_QUESTION_WRONG_3X: "Security question answered wrongly 3 times - contact Betfair",
+  KYC_SUSPEND: "Account suspended until identity checks (KYC) are complete",
+  SUSPENDED: "Account is suspended",
+  CLOSED: "Account is closed",
+  SELF_EXCLUDED: "Account is self-excluded",
+  SECURITY_RESTRICTED_LOCATION: "Login is not allowed from this location",
+  BETTING_RESTRICTED_LOCATION: "Betting is not allowed from this location",
+  CERT_AUTH_REQUIRED: "Betfair did not accept the client certificate - check it is linked to the account and to BETFAIR_APP_KEY",
+  CHANGE_PASSWORD_REQUIRED: "Password has to be changed on the Betfair website",
+  PERSONAL_MESSAGE_REQUIRED: "A message is waiting on the Betfair website",
+  ACTIONS_REQUIRED: "Log in on the Betfair website to complete the required actions",
+  EMAIL_LOGIN_NOT_ALLOWED: "Log in with the username, not the email address",
+  MULTIPLE_USERS_WITH_SAME_CREDENTIAL: "Several accounts use these credentials - log in with the username",
+  INPUT_VALIDATION_ERROR: "Username or password is missing or malformed",
+  TRADING_MASTER: "Trading master accounts cannot log in here",
+  TRADING_MASTER_SUSPENDED: "Trading master account is suspended",
+  AGENT_CLIENT_MASTER: "Agent client master accounts cannot log in here",
+  AGENT_CLIENT_MASTER_SUSPENDED: "Agent client master account is suspended",
+  NOT_AUTHORIZED_BY_REGULATOR_DK: "Account is not authorised by the Danish regulator",
+  NOT_AUTHORIZED_BY_REGULATOR_IT: "Account is not authorised by the Italian regulator",
+  INVALID_CONNECTIVITY_TO_REGULATOR_DK: "Danish regulator could not be reached - try again later",
+  INVALID_CONNECTIVITY_TO_REGULATOR_IT: "Italian regulator could not be reached - try again later",
+  DANISH_AUTHORIZATION_REQUIRED: "Danish authorisation is required on the Betfair website",
+  SPANISH_TERMS_ACCEPTANCE_REQUIRED: "Spanish terms have to be accepted on the Betfair website",
+  ITALIAN_TERMS_ACCEPTANCE_REQUIRED: "Italian terms have to be accepted on the Betfair website",
+  ITALIAN_PROFILING_ACCEPTANCE_REQUIRED: "Italian profiling has to be accepted on the Betfair website",
+  SPAIN_MIGRATION_REQUIRED: "Account has to be migrated to Betfair Spain on the website",
+  DENMARK_MIGRATION_REQUIRED: "Account has to be migrated to Betfair Denmark on the website",
+  AUTHORIZED_ONLY_FOR_DOMAIN_RO: "Account can only log in on the Romanian site",
+  AUTHORIZED_ONLY_FOR_DOMAIN_SE: "Account can only log in on the Swedish site",
+};
+
+/**
+ * Thrown when certlogin answers anything but SUCCESS
+ */
+export class CertLoginError extends Error {
+  constructor(loginStatus) {
+    super(`Betfair certificate login failed (${loginStatus}): ${CERT_LOGIN_ERRORS[loginStatus] || "Unexpected login status"}`);
+    this.name = "CertLoginError";
+    this.loginStatus = loginStatus;
+  }
+}
+
+/**
+ * Client certificate for certlogin, from env
+ * BETFAIR_CERT_FILE / BETFAIR_KEY_FILE (paths) or BETFAIR_CERT / BETFAIR_KEY (PEM text, "\n" allowed)
+ * @returns {{ cert, key }|null} null when no certificate is configured
+ * @throws {Error} When it is only half configured or a file cannot be read
+ */
+export function loadClientCertificate() {
+  const { BETFAIR_CERT_FILE, BETFAIR_KEY_FILE, BETFAIR_CERT, BETFAIR_KEY } = process.env;
+  const pem = (value) => value.replace(/\\n/g, "\n");
+
+  if (!BETFAIR_CERT_FILE && !BETFAIR_KEY_FILE && !BETFAIR_CERT && !BETFAIR_KEY) {
+    return null;
+  }
+
+  const cert = BETFAIR_CERT_FILE ? readPemFile(BETFAIR_CERT_FILE, "BETFAIR_CERT_FILE") : BETFAIR_CERT && pem(BETFAIR_CERT);
+  const key = BETFAIR_KEY_FILE ? readPemFile(BETFAIR_KEY_FILE, "BETFAIR_KEY_FILE") : BETFAIR_KEY && pem(BETFAIR_KEY);
+
+  if (!cert || !key) {
+    throw new Error("Client certificate needs both a certificate (BETFAIR_CERT_FILE or BETFAIR_CERT) and a key (BETFAIR_KEY_FILE or BETFAIR_KEY)");
+  }
+  return { cert, key };
+}
+
+function readPemFile(filePath, name) {
+  try {
+    return fs.readFileSync(filePath, "utf8");
+  } catch (err) {
+    throw new Error(`Cannot read ${name} (${filePath}): ${err.message}`);
+  }
+}
+
+/**
+ * Non-interactive login with a client certificate (no browser needed)
+ * @param {string} appKey - Betfair application key
+ * @param {string} username
+ * @param {string} password
+ * @param {Object} certificate - { cert, key } from loadClientCertificate()
+ * @returns {Promise<Object>} { sessionToken, loginStatus: "SUCCESS" }
+ * @throws {CertLoginError} When Betfair refuses the login
+ */
+export async function loginWithCertificate(appKey, username, password, certificate) {
+  const body = new URLSearchParams();
+  body.append("username", username);
+  body.append("password", password);
+
+  const response = await createCertLoginInstance(certificate).post(CERT_LOGIN_URL, body, {
+    headers: {
+      "X-Application": appKey,
+    },
+  });
+
+  if (response.data?.loginStatus !== "SUCCESS" || !response.data.sessionToken) {
+    throw new CertLoginError(response.data?.loginStatus || "UNKNOWN");
+  }
+  return response.data;
+}
+
+/**
+ * Interactive login with username and password
+ * @param {string} appKey - Betfair application key
+ * @param {string} username
+ * @param {string} password
+ * @returns {Promise<Object>} { token, product, status, error }
+ */
+export async function loginInteractive(appKey, username, password) {
+  const body = new URLSearchParams();
+  body.append("username", username);
+  body.append("password", password);
+
+  const response = await betfairIdentityInstance.post(LOGIN_URL, body, {
+    headers: {
+      "X-Application": appKey,
+    },
+  });
+  return response.data;
+}
+
+/**
+ * Extend a session (Betfair sessions expire without activity)
+ * @returns {Promise<Object>} { token, product, status, error } - error is NO_SESSION when it already expired
+ */
+export async function keepAliveSession(appKey, sessionToken) {
+  const response = await betfairIdentityInstance.post(KEEP_ALIVE_URL, null, {
+    headers: {
+      Accept: "application/json",
+      "X-Application": appKey,
+      "X-Authentication": sessionToken,
+    },
+  });
+  return response.data;
+}
+
+/**
+ * End a session
+ * @returns {Promise<Object>} { token, product, status, error }
+ */
+export async function logoutSession(appKey, sessionToken) {
+  const response = await betfairIdentityInstance.post(LOGOUT_URL, null, {
+    headers: {
+      Accept: "application/json",
+      "X-Application": appKey,
+      "X-Authentication": sessionToken,
+    },
+  });
+  return response.data;
+}
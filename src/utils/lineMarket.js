@@ -0,0 +1,29 @@
+/**
+ * LINE market helpers
+ *
+ * On Betfair line markets every bet is at even money and the "price" is the
+ * line itself: BACK = UNDER the line, LAY = OVER the line. A bet of size S
+ * wins or loses exactly S.
+ *
+ * Settlement rule used here: the result is OVER when it is strictly greater
+ * than the line, otherwise UNDER. Cricket lines are quoted on half points
+ * (e.g. 45.5) so the boundary case does not arise on real markets.
+ */
+
+/**
+ * Profit (positive) or loss (negative) of a matched line bet
+ * @param {string} side - "BACK" (under) or "LAY" (over)
+ * @param {number} price - The line the bet was matched at
+ * @param {number} size - Matched stake
+ * @param {number} result - Final value of the line (e.g. runs scored)
+ * @returns {number}
+ */
+export function lineBetProfit(side, price, size, result) {
+  const over = result > price;
+  const won = side === "BACK" ? !over : over;
+  return won ? size : -size;
+}
+
+export function roundMoney(value) {
+  return Math.round(value * 100) / 100;
+}
@@ -0,0 +1,29 @@
+/**
+ * Helpers for reading controller input
+ */
+
+/**
+ * Betfair session token sent with the request
+ * @param {import("express").Request} req
+ * @returns {string} The X-Authentication header or the Authorization bearer token, "" when neither is set
+ */
+export function readSessionToken(req) {
+  return (
+    req.header("X-Authentication") ||
+    req.header("x-authentication") ||
+    (req.header("Authorization") || "").replace(/Bearer\s+/i, "").trim()
+  );
+}
+
+/**
+ * Accept a single id or an array of ids
+ * @returns {string[]|null|undefined} undefined when absent, null when invalid
+ */
+export function parseIdList(value) {
+  if (value === undefined || value === null) return undefined;
+  const list = Array.isArray(value) ? value : [value];
+  if (list.length === 0 || list.some((id) => (typeof id !== "string" && typeof id !== "number") || String(id).trim() === "")) {
+    return null;
+  }
+  return list.map((id) => String(id).trim());
+}
@@ -0,0 +1,125 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { threadId } from "worker_threads";
+
+/**
+ * Local file storage
+ *
+ * Small JSON / JSON-lines helpers for state that has to survive a restart
+ * (bot definitions, audit trails). Everything lives under STORAGE_DIR
+ * (default ./storage), which is read per call so tests and .env can point it
+ * elsewhere.
+ */
+
+const DEFAULT_STORAGE_DIR = "storage";
+
+export function getStorageDir() {
+  return path.resolve(process.env.STORAGE_DIR || DEFAULT_STORAGE_DIR);
+}
+
+/**
+ * Absolute path of a file in the storage directory
+ */
+export function getStoragePath(fileName) {
+  return path.join(getStorageDir(), fileName);
+}
+
+/**
+ * Read a JSON file, or return the fallback when it does not exist yet
+ */
+export function readJsonFile(filePath, fallback) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch (err) {
+    if (err.code === "ENOENT") return fallback;
+    throw err;
+  }
+}
+
+/**
+ * Write a JSON file atomically (temp file + rename) so a crash mid-write
+ * never leaves a truncated file behind. Worker threads share the pid, so the
+ * temp name also carries the thread id and a random suffix.
+ */
+export function writeJsonFile(filePath, data) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tempPath = `${filePath}.${process.pid}.${threadId}.${crypto.randomBytes(4).toString("hex")}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+  fs.renameSync(tempPath, filePath);
+}
+
+/**
+ * Append one record to a JSON-lines file
+ */
+export function appendJsonLine(filePath, record) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.appendFileSync(filePath, JSON.stringify(record) + "\n");
+}
+
+/**
+ * Read every record of a JSON-lines file (skipping damaged lines)
+ */
+export function readJsonLines(filePath) {
+  let content;
+  try {
+    content = fs.readFileSync(filePath, "utf8");
+  } catch (err) {
+    if (err.code === "ENOENT") return [];
+    throw err;
+  }
+
+  const records = [];
+  for (const line of content.split("\n")) {
+    if (!line.trim()) continue;
+    try {
+      records.push(JSON.parse(line));
+    } catch (err) {
+      // A partial last line from a crash - ignore it
+    }
+  }
+  return records;
+}
+
+/**
+ * Records appended to a JSON-lines file since a byte offset - for readers that
+ * keep up with a growing file without reading it all again. A partial last line
+ * is left for the next call. A file shorter than the offset was replaced, so it
+ * is read from the start (reset: true).
+ * @returns {{ records: Array, offset: number, reset: boolean }} offset to pass next time
+ */
+export function readJsonLinesFrom(filePath, offset) {
+  let size;
+  try {
+    size = fs.statSync(filePath).size;
+  } catch (err) {
+    if (err.code === "ENOENT") return { records: [], offset: 0, reset: offset > 0 };
+    throw err;
+  }
+
+  const reset = size < offset;
+  const start = reset ? 0 : offset;
+  if (size === start) return { records: [], offset: start, reset };
+
+  const buffer = Buffer.alloc(size - start);
+  const fd = fs.openSync(filePath, "r");
+  try {
+    fs.readSync(fd, buffer, 0, buffer.length, start);
+  } finally {
+    fs.closeSync(fd);
+  }
+
+  const end = buffer.lastIndexOf("\n");
+  if (end === -1) return { records: [], offset: start, reset };
+
+  const records = [];
+  for (const line of buffer.subarray(0, end).toString("utf8").split("\n")) {
+    if (!line.trim()) continue;
+    try {
+      records.push(JSON.parse(line));
+    } catch (err) {
+      // A damaged line - ignore it, as readJsonLines does
+    }
+  }
+  return { records, offset: start + end + 1, reset };
+}
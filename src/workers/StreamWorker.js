@@ -1,471 +1,284 @@
 import { parentPort, workerData } from "worker_threads";
-import tls from "tls";
-import { placeBetOrder } from "../utils/bettingService.js";
+import { placeBetOrder, cancelBetOrders } from "../utils/bettingService.js";
+import { SESSION_ERROR_CODES, sessionEvents } from "../utils/axiosInstance.js";
+import { createStreamConnection } from "../stream/streamConnection.js";
+import { createStreamRecorder } from "../stream/streamRecorder.js";
+import { createMarketProcessor } from "../stream/marketProcessor.js";
+import { createStrategy } from "../strategies/index.js";
 
-const { marketId, appKey, sessionToken, size = 1, upThreshold = 5, downThreshold = 3 } = workerData;
+/**
+ * Stream worker
+ *
+ * One Exchange Stream connection shared by every market of one Betfair account
+ * (see service/streamManager.js). Each bot or watch is a channel with its own
+ * market processor and strategy; the connection subscribes to the channels'
+ * markets and is resubscribed as channels come and go.
+ *
+ * Parent messages: addMarket, stop (one channel, or the whole worker without a
+ * channelId), paperOrder, snapshot, matchState, setSelectionEnabled, updateSession.
+ * Every message to the parent carries the channel's channelId and marketId.
+ */
+
+const {
+  label = "Stream",
+  appKey,
+  sessionToken,
+  reconnect = {},
+  stream = {},
+} = workerData;
 
-const STREAM_HOST = "stream-api.betfair.com";
-const STREAM_PORT = 443;
+/**
+ * Current session token - replaced by "updateSession" from the parent when the
+ * session is renewed, so the bots keep running on the new one
+ */
+let currentSession = sessionToken;
 
 /**
- * Ball detection state
+ * Channels on this connection
+ * Map<channelId, { marketId, botId, processor, recorder, cancelTimer }>
  */
-let ballInProgress = false;
-let ballCount = 0;
-let socket = null;
-let isRunning = true;
+const channels = new Map();
 
 /**
- * Price tracking state
+ * Set once the first connection is up - channels added later are connected straight away
  */
-const priceHistory = []; // Array of { timestamp, backPrice, layPrice, selectionId }
-let lastBetTime = null;
-let lastBetPrice = null;
-// Track in-flight bets by unique key (selectionId:price) to prevent duplicates
-// Each worker thread has its own Set - completely isolated from other threads
-const inFlightBets = new Set(); // Set of "selectionId:price" strings
+let hasConnected = false;
 
 /**
  * Send message to parent
  */
-function sendToParent(type, data = {}) {
+function sendToParent(channelId, type, data = {}) {
+  const channel = channels.get(channelId);
   if (parentPort) {
-    parentPort.postMessage({ type, marketId, ...data });
+    parentPort.postMessage({ type, channelId, marketId: channel?.marketId ?? data.marketId, ...data });
   }
 }
 
 /**
- * Place bet function - uses shared betting service
- * Completely non-blocking - each worker thread places bets independently
- * NOTE: betKey is already added to inFlightBets by the caller to prevent race conditions
+ * Connection events concern every channel
  */
-async function placeBet(selectionId, side, price, reason, oldPrice, newPrice) {
-  const betKey = `${selectionId}:${price.toFixed(2)}`;
-  
-  // Double-check: betKey should already be in inFlightBets (added by caller)
-  // This is a safety check in case of unexpected code paths
-  if (!inFlightBets.has(betKey)) {
-    // This shouldn't happen, but if it does, add it now
-    inFlightBets.add(betKey);
-  }
-  
-  try {
-    const instructions = [
-      {
-        selectionId,
-        side,
-        size: size, // Use the size from workerData
-        limitOrder: {
-          price,
-          persistenceType: "PERSIST",
-        },
-      },
-    ];
-
-    // Place bet asynchronously - this is non-blocking
-    // Each worker thread processes bets independently
-    const responseData = await placeBetOrder(marketId, appKey, sessionToken, instructions);
-    
-    return responseData;
-  } catch (err) {
-    console.error(`❌ [Bet Failed] Market: ${marketId} | Selection: ${selectionId} | Error:`, err.response?.data || err.message);
-    return null;
-  } finally {
-    // Always remove from in-flight set when done (success or failure)
-    // This allows new bets at different prices to proceed immediately
-    inFlightBets.delete(betKey);
+function broadcast(type, data = {}) {
+  for (const channelId of channels.keys()) {
+    sendToParent(channelId, type, data);
   }
 }
 
 /**
- * Check if price difference is exactly 1
+ * Market processing (caches, ball detection, strategy, live/paper execution)
+ * for one channel - the worker only wires the connection to the processors and the parent
  */
-function isPriceDifferenceOne(backPrice, layPrice) {
-  if (!backPrice || !layPrice) return false;
-  const diff = Math.abs(layPrice - backPrice);
-  return Math.abs(diff - 1) < 0.01; // Check if difference is exactly 1
+function addChannel({ channelId, marketId, ownerId = null, botId = null, size = 1, mode = "live", strategy: strategyConfig, disabledSelections = [], cancelUnmatchedAfterMs = null, recordingPath = null }) {
+  const processor = createMarketProcessor({
+    marketId,
+    size,
+    mode,
+    disabledSelections,
+    // No strategy: the stream is only watched (snapshot, live events), nothing is bet
+    strategy: strategyConfig ? createStrategy(strategyConfig.name, strategyConfig.params) : null,
+    placeOrders: (id, instructions, meta) =>
+      placeBetOrder(id, appKey, currentSession, instructions, {
+        ...meta,
+        source: "bot",
+        ownerId,
+        botId,
+        strategy: strategyConfig?.name,
+      }),
+    cancelOrders: (id, instructions) => cancelBetOrders(id, appKey, currentSession, instructions),
+    cancelUnmatchedAfterMs,
+    emit: (type, data) => sendToParent(channelId, type, data),
+  });
+
+  channels.set(channelId, {
+    marketId,
+    botId,
+    processor,
+    // Optional raw-line recorder (replayable with the backtest harness)
+    recorder: recordingPath ? createStreamRecorder({ marketId, filePath: recordingPath }) : null,
+    // Periodic check for the bot's own bets that stayed unmatched too long
+    cancelTimer: cancelUnmatchedAfterMs ? setInterval(() => processor.cancelStaleOrders(), Math.min(cancelUnmatchedAfterMs, 1000)) : null,
+  });
+
+  if (!connection.isRunning()) {
+    connection.setMarketIds([marketId]);
+    connection.connect();
+  } else {
+    scheduleSubscription();
+  }
+  if (hasConnected) {
+    sendToParent(channelId, "connected");
+  }
 }
 
 /**
- * Check price movement in last 90 seconds
- * Returns object with movement, oldPrice, and newPrice
+ * Stop one channel's processing
+ * @param {string} [reason] - Reported to the parent with "closed"
  */
-function checkPriceMovement90s() {
-  const now = Date.now();
-  const ninetySecondsAgo = now - 90000; // 90 seconds in milliseconds
-
-  const recentPrices = priceHistory.filter((p) => p.timestamp >= ninetySecondsAgo);
-
-  if (recentPrices.length < 2) return null; // Need at least 2 data points
-
-  const oldest = recentPrices[0];
-  const newest = recentPrices[recentPrices.length - 1];
-
-  // Calculate movement (using back price as reference, or average of back/lay)
-  const oldPrice = oldest.backPrice || oldest.layPrice;
-  const newPrice = newest.backPrice || newest.layPrice;
-
-  if (!oldPrice || !newPrice) return null;
-
-  const movement = newPrice - oldPrice;
-  return {
-    movement,
-    oldPrice,
-    newPrice,
-  };
+function removeChannel(channelId, reason) {
+  const channel = channels.get(channelId);
+  if (!channel) return;
+  clearInterval(channel.cancelTimer);
+  channel.processor.stop();
+  if (channel.recorder) {
+    channel.recorder.close();
+  }
+  sendToParent(channelId, "closed", reason ? { reason } : {});
+  channels.delete(channelId);
+  scheduleSubscription();
 }
 
 /**
- * Check if price unchanged in last 15 seconds
+ * Resubscribe once per tick, however many channels were added or removed
  */
-function isPriceUnchanged15s() {
-  const now = Date.now();
-  const fifteenSecondsAgo = now - 15000; // 15 seconds
-
-  const recentPrices = priceHistory.filter((p) => p.timestamp >= fifteenSecondsAgo);
-
-  if (recentPrices.length < 2) return false;
-
-  // Check if all prices in last 15 seconds are the same
-  const firstPrice = recentPrices[0].backPrice || recentPrices[0].layPrice;
-  const allSame = recentPrices.every((p) => {
-    const currentPrice = p.backPrice || p.layPrice;
-    return currentPrice && Math.abs(currentPrice - firstPrice) < 0.01;
+let subscriptionPending = false;
+function scheduleSubscription() {
+  if (subscriptionPending) return;
+  subscriptionPending = true;
+  setImmediate(() => {
+    subscriptionPending = false;
+    const marketIds = [...channels.values()].map((channel) => channel.marketId);
+    if (marketIds.length > 0) connection.setMarketIds(marketIds);
   });
-
-  return allSame;
 }
 
 /**
- * Evaluate betting conditions
+ * Raw lines go to the recorders of the markets they carry
+ * Segmented and non-market lines go to every recorder - the replay drops other markets.
  */
-function evaluateBettingConditions(selectionId, backPrice, layPrice) {
-  // 1. Check if difference between lay and back is exactly 1
-  if (!isPriceDifferenceOne(backPrice, layPrice)) {
-    return null; // Don't bet if difference is not 1
-  }
-
-  // 2. Check if less than 15 seconds since last bet - BLOCK ALL BETS
-  if (lastBetTime) {
-    const timeSinceLastBet = Date.now() - lastBetTime;
-    if (timeSinceLastBet < 15000) {
-      // Don't bet at all within 15 seconds of last bet
-      return null;
-    }
-  }
-
-  // 2b. Check if we're still within cooldown period (handled by inFlightBets in placeBet)
-  // This check is now handled by inFlightBets Set in placeBet function
-
-  // 2c. Check price movement to determine potential bet prices
-  const priceMovement = checkPriceMovement90s();
-  if (priceMovement === null) return null; // Not enough data
-
-  const { movement, oldPrice, newPrice } = priceMovement;
-
-  // Determine what the bet price would be based on movement
-  // Use configurable thresholds from workerData
-  let proposedBetPrice = null;
-  if (movement >= upThreshold) {
-    proposedBetPrice = backPrice; // UNDER bet (BACK)
-  } else if (movement <= -downThreshold) {
-    proposedBetPrice = layPrice; // OVER bet (LAY)
-  }
+function recordLine(line) {
+  const recorders = [...channels.values()].filter((channel) => channel.recorder);
+  if (recorders.length === 0) return;
 
-  // Check if proposed bet price is the same as last bet price
-  if (lastBetPrice !== null && proposedBetPrice !== null) {
-    if (Math.abs(proposedBetPrice - lastBetPrice) < 0.01) {
-      return null; // Don't bet at the same price as last bet
+  let marketIds = null;
+  try {
+    const parsed = JSON.parse(line);
+    if (parsed.op === "mcm" && parsed.mc && !parsed.segmentType) {
+      marketIds = parsed.mc.map((market) => market.id);
     }
+  } catch (err) {
+    // Not JSON - recorded as is
   }
 
-  // Also check if price unchanged in general in last 15 seconds
-  if (isPriceUnchanged15s()) {
-    return null; // Don't bet if price unchanged
-  }
-
-  // 3. Apply betting rules (price movement already checked above)
-  // Use configurable thresholds from workerData
-  if (movement >= upThreshold) {
-    // Line markets moved up >= upThreshold: Place UNDER bet (BACK)
-    return {
-      side: "BACK",
-      price: backPrice,
-      reason: `Line moved up ${movement.toFixed(2)} (>= ${upThreshold})`,
-      oldPrice,
-      newPrice,
-    };
-  } else if (movement <= -downThreshold) {
-    // Line markets reduced >= downThreshold: Place OVER bet (LAY)
-    return {
-      side: "LAY",
-      price: layPrice,
-      reason: `Line reduced ${Math.abs(movement).toFixed(2)} (>= ${downThreshold})`,
-      oldPrice,
-      newPrice,
-    };
+  for (const { marketId, recorder } of recorders) {
+    if (!marketIds || marketIds.includes(marketId)) recorder.write(line);
   }
-
-  return null; // No bet condition met
 }
 
 /**
- * Cleanup and close connection
+ * Socket, subscriptions, clocks and reconnection
+ * Connects when the first channel is added
  */
-function cleanup() {
-  isRunning = false;
-  if (socket) {
-    try {
-      socket.destroy();
-    } catch (err) {
-      // Ignore cleanup errors
+const connection = createStreamConnection({
+  appKey,
+  sessionToken,
+  marketIds: [],
+  stream,
+  reconnect,
+  label,
+  onLine: recordLine,
+  onMessage: handleMessage,
+  onEvent: (type, data) => {
+    if (type === "closed") {
+      // Reconnect budget exhausted - every channel ends with the connection
+      for (const channelId of [...channels.keys()]) {
+        removeChannel(channelId, data.reason);
+      }
+      return;
     }
-    socket = null;
-  }
-  sendToParent("closed");
-}
+    if (type === "connected") {
+      hasConnected = true;
+    }
+    if (type === "status" && SESSION_ERROR_CODES.includes(data.errorCode)) {
+      broadcast("sessionInvalid", { sessionToken: currentSession, errorCode: data.errorCode, source: "stream" });
+    }
+    broadcast(type, data);
+  },
+});
 
 /**
- * Open TLS socket
+ * Betfair REST calls from this thread that were refused for the session
  */
-socket = tls.connect(
-  {
-    host: STREAM_HOST,
-    port: STREAM_PORT,
-    servername: STREAM_HOST,
-  },
-  () => {
-    sendToParent("connected");
-    //console.log(`[Stream Worker] Market ${marketId} connected to ${STREAM_HOST}:${STREAM_PORT}`);
-
-    /**
-     * 1️⃣ AUTHENTICATION
-     */
-    socket.write(
-      JSON.stringify({
-        op: "authentication",
-        id: 1,
-        appKey,
-        session: sessionToken,
-      }) + "\r\n"
-    );
+sessionEvents.on("invalid", ({ sessionToken: rejected, errorCode }) => {
+  broadcast("sessionInvalid", { sessionToken: rejected, errorCode, source: "rest" });
+});
 
-    /**
-     * 2️⃣ MARKET SUBSCRIPTION
-     */
-    socket.write(
-      JSON.stringify({
-        op: "marketSubscription",
-        id: 2,
-        segmentationEnabled: true,
-        heartbeatMs: 1000,
-        marketFilter: {
-          marketIds: [marketId],
-        },
-        marketDataFilter: {
-          ladderLevels: 1,
-          fields: [
-            "EX_BEST_OFFERS",
-            "EX_LTP",
-            "EX_TRADED_VOL",
-            "EX_MARKET_DEF",
-          ],
-        },
-      }) + "\r\n"
-    );
+/**
+ * Close the connection and every channel
+ */
+function cleanup() {
+  for (const channelId of [...channels.keys()]) {
+    removeChannel(channelId);
   }
-);
-
-socket.setEncoding("utf8");
+  connection.close();
+}
 
 /**
- * STREAM DATA HANDLER
+ * STREAM MESSAGE HANDLER
  */
-socket.on("data", (chunk) => {
-  if (!isRunning) return;
-
-  const messages = chunk.split("\r\n").filter(Boolean);
-
-  for (const msg of messages) {
-    if (!isRunning) break;
-
-    let parsed;
-    try {
-      parsed = JSON.parse(msg);
-    } catch {
-      continue;
-    }
-
-
-
-    if (parsed.op === "connection") {
-      //console.log(`[Stream Worker] Market ${marketId} - Connection ID: ${parsed.connectionId || "N/A"}`);
-      sendToParent("connection", { connectionId: parsed.connectionId });
-      continue;
-    }
-
-    if (parsed.op === "status") {
-      if (parsed.statusCode === "SUCCESS") {
-       // console.log(`[Stream Worker] Market ${marketId} - Subscription successful`);
-      } else if (parsed.errorCode) {
-        console.error(`[Stream Worker] Market ${marketId} - Status error: ${parsed.errorCode} - ${parsed.errorMessage || ""}`);
+function handleMessage(parsed) {
+  if (parsed.op === "ocm") {
+    // The Order Stream is account-wide - each processor drops other markets
+    for (const orderChange of parsed.oc || []) {
+      for (const channel of channels.values()) {
+        channel.processor.handleOrderChange(orderChange);
       }
-      sendToParent("status", {
-        statusCode: parsed.statusCode,
-        errorCode: parsed.errorCode,
-        errorMessage: parsed.errorMessage,
-      });
-      continue;
     }
+    return;
+  }
 
-    if (parsed.op === "mcm" && parsed.mc) {
-      for (const market of parsed.mc) {
-        const marketStatus = market.marketDefinition?.status;
-
-        // ⚠️ MARKET CLOSURE DETECTION
-        if (marketStatus === "CLOSED") {
-          console.log(`[Stream Worker] Market ${marketId} - Market is CLOSED`);
-          sendToParent("marketClosed", { reason: "Market status changed to CLOSED" });
-          cleanup();
-          return; // Stop processing further data
-        }
-
-        // 🏏 BALL DETECTION
-        if (marketStatus === "SUSPENDED") {
-          ballInProgress = true;
-        }
-
-        if (marketStatus === "OPEN" && ballInProgress) {
-          ballCount++;
-          ballInProgress = false;
-          sendToParent("ballCompleted", { ballCount });
-          console.log(`🏏 [Stream Worker] Market ${marketId} - Ball #${ballCount} completed`);
-        }
-
-        // 🧮 RUNNER / PRICE DATA
-        if (market.rc) {
-          for (const runner of market.rc) {
-            const selectionId = runner.id;
-
-            const bestBack = runner.batb?.[0]; // [level, price, size]
-            const bestLay = runner.batl?.[0];
-            const lastTradedPrice = runner.ltp; // ⭐ LTP
-
-            const backPrice = bestBack ? bestBack[1] : null;
-            const layPrice = bestLay ? bestLay[1] : null;
-
-            // Log back and lay prices directly in worker
-            if (backPrice || layPrice) {
-              const backInfo = backPrice 
-                ? `BACK: ${backPrice} (size: ${bestBack[2]})`
-                : "BACK: N/A";
-              const layInfo = layPrice
-                ? `LAY: ${layPrice} (size: ${bestLay[2]})`
-                : "LAY: N/A";
-              // console.log(
-              //   `💰 Market: ${marketId} | Selection: ${selectionId} | ${backInfo} | ${layInfo}`
-              // );
-            }
-
-            // Track price history
-            if (backPrice || layPrice) {
-              priceHistory.push({
-                timestamp: Date.now(),
-                backPrice,
-                layPrice,
-                selectionId,
-              });
-
-              // Keep only last 2 minutes of history (120 seconds)
-              const twoMinutesAgo = Date.now() - 120000;
-              const filtered = priceHistory.filter((p) => p.timestamp >= twoMinutesAgo);
-              priceHistory.length = 0;
-              priceHistory.push(...filtered);
-            }
-
-            // Evaluate betting conditions
-            if (backPrice && layPrice) {
-              const betDecision = evaluateBettingConditions(selectionId, backPrice, layPrice);
-
-              if (betDecision) {
-                // CRITICAL: Check for duplicates BEFORE setting flags or placing bet
-                // This prevents race conditions with rapid stream updates
-                const betKey = `${selectionId}:${betDecision.price.toFixed(2)}`;
-                
-                // Check if this exact bet is already in-flight (prevent duplicates)
-                if (inFlightBets.has(betKey)) {
-                  // Bet already in progress - skip this one
-                  continue;
-                }
-                
-                // Check if this is the same price as the last bet (additional safety)
-                if (lastBetPrice !== null && Math.abs(betDecision.price - lastBetPrice) < 0.01) {
-                  // Same price as last bet - skip to prevent duplicates
-                  continue;
-                }
-                
-                // Mark bet as in-flight IMMEDIATELY to prevent race conditions
-                // This must happen BEFORE setting lastBetTime to ensure atomicity
-                inFlightBets.add(betKey);
-                
-                // Set timing flags AFTER marking as in-flight
-                lastBetTime = Date.now();
-                lastBetPrice = betDecision.price;
-                
-                // Place bet asynchronously - completely non-blocking
-                // Each worker thread processes independently - no waiting for other threads
-                placeBet(
-                  selectionId,
-                  betDecision.side,
-                  betDecision.price,
-                  betDecision.reason,
-                  betDecision.oldPrice,
-                  betDecision.newPrice
-                ).catch((err) => {
-                  // Silently handle errors - already logged in placeBet
-                  // Don't let bet failures block stream processing
-                });
-              }
-            }
-
-            // Send price update to controller (optional - for future use)
-            if (bestBack || bestLay || lastTradedPrice !== undefined) {
-              sendToParent("priceUpdate", {
-                selectionId,
-                bestBack: bestBack ? { level: bestBack[0], price: bestBack[1], size: bestBack[2] } : null,
-                bestLay: bestLay ? { level: bestLay[0], price: bestLay[1], size: bestLay[2] } : null,
-                lastTradedPrice,
-              });
-            }
-          }
+  if (parsed.op === "mcm" && parsed.mc) {
+    for (const market of parsed.mc) {
+      for (const [channelId, channel] of [...channels.entries()]) {
+        // false once the market is CLOSED - stop processing further data
+        if (!channel.processor.handleMarketChange(market, parsed.pt)) {
+          removeChannel(channelId);
         }
       }
     }
   }
-});
-
-/**
- * ERROR HANDLING
- */
-socket.on("error", (err) => {
-  console.error(`[Stream Worker] Market ${marketId} socket error:`, err.message);
-  sendToParent("error", { error: err.message });
-  cleanup();
-});
-
-socket.on("close", () => {
-  console.log(`[Stream Worker] Market ${marketId} connection closed`);
-  cleanup();
-});
+}
 
 /**
- * Listen for stop message from parent
+ * Listen for messages from the parent
  */
 if (parentPort) {
   parentPort.on("message", (msg) => {
-    if (msg.type === "stop") {
-      console.log(`[Stream Worker] Market ${marketId} received stop signal`);
-      cleanup();
+    const channel = channels.get(msg.channelId);
+
+    if (msg.type === "addMarket") {
+      addChannel(msg);
+    } else if (msg.type === "stop") {
+      if (msg.channelId === undefined) {
+        console.log(`[Stream Worker] ${label} received stop signal`);
+        cleanup();
+      } else if (channel) {
+        console.log(`[Stream Worker] Market ${channel.marketId} received stop signal`);
+        removeChannel(msg.channelId);
+      }
+    } else if (msg.type === "updateSession") {
+      // Renewed session from the parent - used for the next order and stream reconnect
+      if (msg.sessionToken && msg.sessionToken !== currentSession) {
+        currentSession = msg.sessionToken;
+        connection.setSessionToken(msg.sessionToken);
+        console.log(`[Stream Worker] ${label} - Session token updated`);
+      }
+    } else if (!channel) {
+      // Channel already stopped - a request still needs its reply
+      if (msg.requestId) {
+        sendToParent(msg.channelId, "reply", { requestId: msg.requestId, error: "Market is not streaming", marketId: msg.marketId });
+      }
+    } else if (msg.type === "paperOrder") {
+      // Manual /place-order in paper mode, routed to this market's matcher
+      const result = channel.processor.placePaperOrder(msg.instructions);
+      sendToParent(msg.channelId, "reply", { requestId: msg.requestId, result });
+    } else if (msg.type === "snapshot") {
+      // GET /markets/:marketId/snapshot - the processor's current view of the market
+      sendToParent(msg.channelId, "reply", { requestId: msg.requestId, result: channel.processor.getSnapshot() });
+    } else if (msg.type === "matchState") {
+      // GET /markets/:marketId/match-state - the market's balls so far
+      sendToParent(msg.channelId, "reply", { requestId: msg.requestId, result: channel.processor.getMatchState({ last: msg.last }) });
+    } else if (msg.type === "setSelectionEnabled") {
+      channel.processor.setSelectionEnabled(msg.selectionId, msg.enabled);
+      console.log(`[Stream Worker] Market ${channel.marketId} - Selection ${msg.selectionId} ${msg.enabled ? "enabled" : "disabled"}`);
     }
   });
 }
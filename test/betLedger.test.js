@@ -0,0 +1,108 @@
+import { test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import { createBetLedger, ledgerToCsv, LEDGER_CSV_COLUMNS } from "../src/service/betLedger.js";
+import { getStoragePath } from "../src/utils/storage.js";
+import { useTempStorage } from "./helpers/betfairEnv.js";
+
+let removeStorage;
+let ledger;
+
+beforeEach(() => {
+  removeStorage = useTempStorage();
+  ledger = createBetLedger();
+});
+
+afterEach(() => removeStorage());
+
+const INSTRUCTION = { selectionId: 7, side: "LAY", size: 2, limitOrder: { price: 41.5, persistenceType: "PERSIST" } };
+
+test("instruction reports are matched to instructions by position", () => {
+  const [first, second] = ledger.recordPlacement({
+    marketId: "1.1",
+    instructions: [INSTRUCTION, { ...INSTRUCTION, side: "BACK" }],
+    response: {
+      result: {
+        status: "FAILURE",
+        errorCode: "BET_ACTION_ERROR",
+        instructionReports: [
+          { status: "SUCCESS", betId: "11", orderStatus: "EXECUTABLE", sizeMatched: 0 },
+          { status: "FAILURE", errorCode: "INVALID_BET_SIZE" },
+        ],
+      },
+    },
+  });
+
+  assert.equal(first.status, "SUCCESS");
+  assert.equal(first.betId, "11");
+  assert.equal(first.errorCode, null);
+  assert.equal(second.status, "FAILURE");
+  assert.equal(second.errorCode, "INVALID_BET_SIZE");
+});
+
+test("JSON-RPC errors are recorded with the APING error code", () => {
+  const [entry] = ledger.recordPlacement({
+    marketId: "1.1",
+    instructions: [INSTRUCTION],
+    response: { error: { code: -32099, message: "ANGX-0003", data: { APINGException: { errorCode: "INVALID_SESSION_INFORMATION" } } } },
+  });
+  assert.equal(entry.status, "ERROR");
+  assert.equal(entry.errorCode, "INVALID_SESSION_INFORMATION");
+});
+
+test("outcomes are folded in by betId and filters apply", () => {
+  ledger.recordPlacement({ marketId: "1.1", instructions: [INSTRUCTION], meta: { source: "bot", ownerId: "user-1", botId: "b1" }, response: { result: { status: "SUCCESS", instructionReports: [{ status: "SUCCESS", betId: "11" }] } } });
+  ledger.recordPlacement({ marketId: "1.2", instructions: [INSTRUCTION], response: { result: { status: "SUCCESS", instructionReports: [{ status: "SUCCESS", betId: "12" }] } } });
+  ledger.recordOutcome({ betId: "11", betOutcome: "WON", profit: 2, settledDate: "2026-01-01T12:00:00.000Z" });
+
+  assert.equal(ledger.query().length, 2);
+  assert.deepEqual(ledger.query({ botId: "b1" }).map((e) => e.betId), ["11"]);
+  assert.deepEqual(ledger.query({ ownerId: "user-1" }).map((e) => e.betId), ["11"]);
+  assert.deepEqual(ledger.query({ ownerId: null }).map((e) => e.betId), ["12"]);
+  assert.deepEqual(ledger.query({ source: "manual" }).map((e) => e.betId), ["12"]);
+  assert.deepEqual(ledger.query({ settled: true }).map((e) => e.outcome.profit), [2]);
+  assert.deepEqual(ledger.query({ betIds: ["12"] }).map((e) => e.marketId), ["1.2"]);
+  assert.deepEqual(ledger.query({ limit: 1 }).map((e) => e.betId), ["12"]);
+  assert.equal(ledger.query({ to: "2000-01-01T00:00:00.000Z" }).length, 0);
+});
+
+test("accepted placements are counted per market and owner as the file grows", () => {
+  const placed = (marketId, ownerId, status = "SUCCESS") =>
+    ledger.recordPlacement({ marketId, instructions: [INSTRUCTION], meta: { ownerId }, response: { result: { instructionReports: [{ status }] } } });
+  placed("1.1", "user-a");
+  placed("1.1", "user-a", "FAILURE");
+  placed("1.1", null);
+  assert.equal(ledger.countPlacements({ marketId: "1.1", ownerId: "user-a" }), 1);
+  assert.equal(ledger.countPlacements({ marketId: "1.1", ownerId: null }), 1);
+
+  // Another thread's ledger on the same file
+  const other = createBetLedger();
+  other.recordPlacement({ marketId: "1.1", instructions: [INSTRUCTION, INSTRUCTION], meta: { ownerId: "user-a" }, response: { result: { status: "SUCCESS" } } });
+  placed("1.2", "user-a");
+  assert.equal(ledger.countPlacements({ marketId: "1.1", ownerId: "user-a" }), 3);
+  assert.equal(ledger.countPlacements({ marketId: "1.2", ownerId: "user-a" }), 1);
+  assert.equal(ledger.countPlacements({ marketId: "1.2", ownerId: "user-b" }), 0);
+  assert.equal(other.countPlacements({ marketId: "1.1", ownerId: "user-a" }), 3);
+
+  // A line still being written is counted once it is complete
+  const line = JSON.stringify({ type: "placement", marketId: "1.2", ownerId: "user-a", status: "SUCCESS" });
+  fs.appendFileSync(getStoragePath("bet-ledger.jsonl"), line.slice(0, 20));
+  assert.equal(ledger.countPlacements({ marketId: "1.2", ownerId: "user-a" }), 1);
+  fs.appendFileSync(getStoragePath("bet-ledger.jsonl"), `${line.slice(20)}\n`);
+  assert.equal(ledger.countPlacements({ marketId: "1.2", ownerId: "user-a" }), 2);
+});
+
+test("CSV export quotes fields and flattens the outcome", () => {
+  const [entry] = ledger.recordPlacement({
+    marketId: "1.1",
+    instructions: [INSTRUCTION],
+    meta: { reason: 'Line reduced 3.00, "sharp"' },
+    response: { result: { status: "SUCCESS", instructionReports: [{ status: "SUCCESS", betId: "11" }] } },
+  });
+  const csv = ledgerToCsv([{ ...entry, outcome: { betOutcome: "LOST", profit: -2 } }]);
+  const [header, row] = csv.trim().split("\r\n");
+
+  assert.equal(header, LEDGER_CSV_COLUMNS.join(","));
+  assert.match(row, /"Line reduced 3\.00, ""sharp"""/);
+  assert.match(row, /,LOST,-2,/);
+});
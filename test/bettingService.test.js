@@ -0,0 +1,151 @@
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import express from "express";
+import { useTempStorage } from "./helpers/betfairEnv.js";
+
+/**
+ * Fake JSON-RPC endpoint answering with a scripted list of statuses
+ */
+const responses = [];
+let calls = [];
+
+const app = express();
+app.use(express.json());
+app.post("/exchange/betting/json-rpc/v1", (req, res) => {
+  calls.push({ body: req.body, headers: req.headers });
+  const status = responses.shift() ?? 200;
+  if (status !== 200) {
+    return res.status(status).json({ error: `status ${status}` });
+  }
+  return res.json({ jsonrpc: "2.0", result: { status: "SUCCESS", marketId: req.body.params.marketId }, id: 1 });
+});
+
+let server;
+let placeBetOrder;
+let cancelBetOrders;
+let updateBetOrders;
+let getBetLedger;
+let getRiskManager;
+let removeStorage;
+
+before(async () => {
+  removeStorage = useTempStorage();
+  server = await new Promise((resolve) => {
+    const listening = app.listen(0, "127.0.0.1", () => resolve(listening));
+  });
+  process.env.BETFAIR_API_BASE_URL = `http://127.0.0.1:${server.address().port}`;
+  ({ placeBetOrder, cancelBetOrders, updateBetOrders } = await import("../src/utils/bettingService.js"));
+  ({ getBetLedger } = await import("../src/service/betLedger.js"));
+  ({ getRiskManager } = await import("../src/service/riskManager.js"));
+});
+
+after(async () => {
+  await new Promise((resolve) => server.close(resolve));
+  removeStorage();
+});
+
+beforeEach((t) => {
+  responses.length = 0;
+  calls = [];
+  // axios interceptors log every failed attempt
+  t.mock.method(console, "error", () => {});
+});
+
+const INSTRUCTIONS = [{ selectionId: 9000101, side: "BACK", size: 2, limitOrder: { price: 44.5 } }];
+
+test("builds a LIMIT placeOrders call with the caller's credentials", async () => {
+  const data = await placeBetOrder("1.23", "app-key", "session", INSTRUCTIONS);
+
+  assert.equal(data.result.status, "SUCCESS");
+  assert.equal(calls.length, 1);
+  assert.equal(calls[0].headers["x-application"], "app-key");
+  assert.equal(calls[0].headers["x-authentication"], "session");
+  assert.equal(calls[0].body.method, "SportsAPING/v1.0/placeOrders");
+  assert.deepEqual(calls[0].body.params.instructions, [
+    {
+      selectionId: 9000101,
+      side: "BACK",
+      orderType: "LIMIT",
+      limitOrder: { size: 2, price: 44.5, persistenceType: "LAPSE" },
+    },
+  ]);
+});
+
+test("size defaults to 1 when the instruction has none", async () => {
+  await placeBetOrder("1.23", "app-key", "session", [{ selectionId: 1, side: "LAY", limitOrder: { price: 40.5, persistenceType: "PERSIST" } }]);
+  assert.deepEqual(calls[0].body.params.instructions[0].limitOrder, { size: 1, price: 40.5, persistenceType: "PERSIST" });
+});
+
+test("server errors are retried until one succeeds", async () => {
+  responses.push(503, 500);
+  const data = await placeBetOrder("1.23", "app-key", "session", INSTRUCTIONS);
+  assert.equal(data.result.status, "SUCCESS");
+  assert.equal(calls.length, 3);
+});
+
+test("rate limiting (429) is retried", async () => {
+  responses.push(429);
+  await placeBetOrder("1.23", "app-key", "session", INSTRUCTIONS);
+  assert.equal(calls.length, 2);
+});
+
+test("client errors are not retried", async () => {
+  responses.push(400);
+  await assert.rejects(placeBetOrder("1.23", "app-key", "session", INSTRUCTIONS), (err) => err.response?.status === 400);
+  assert.equal(calls.length, 1);
+});
+
+test("gives up after three attempts", async () => {
+  responses.push(500, 502, 503, 200);
+  await assert.rejects(placeBetOrder("1.23", "app-key", "session", INSTRUCTIONS), (err) => err.response?.status === 503);
+  assert.equal(calls.length, 3);
+});
+
+test("every call is written to the ledger with its context and outcome", async () => {
+  const meta = { source: "bot", botId: "bot-1", strategy: "lineMovement", reason: "Line moved up 5.00", oldPrice: 40.5, newPrice: 45.5 };
+  await placeBetOrder("1.ledger", "app-key", "session", INSTRUCTIONS, meta);
+
+  responses.push(400);
+  await assert.rejects(placeBetOrder("1.ledger", "app-key", "session", INSTRUCTIONS, { source: "manual" }));
+
+  const [placed, failed] = getBetLedger().query({ marketId: "1.ledger" });
+  assert.equal(placed.source, "bot");
+  assert.equal(placed.botId, "bot-1");
+  assert.equal(placed.reason, "Line moved up 5.00");
+  assert.equal(placed.oldPrice, 40.5);
+  assert.equal(placed.size, 2);
+  assert.equal(placed.status, "SUCCESS");
+
+  assert.equal(failed.source, "manual");
+  assert.equal(failed.status, "ERROR");
+  assert.ok(failed.errorCode);
+});
+
+test("the bets-per-market limit counts only the ordering user's bets", async (t) => {
+  t.mock.method(console, "log", () => {});
+  getRiskManager().setLimits({ maxBetsPerMarket: 1 });
+  t.after(() => getRiskManager().setLimits({ maxBetsPerMarket: null }));
+
+  await placeBetOrder("1.owners", "app-key", "session", INSTRUCTIONS, { ownerId: "user-a" });
+  await placeBetOrder("1.owners", "app-key", "session-b", INSTRUCTIONS, { ownerId: "user-b" });
+  await assert.rejects(placeBetOrder("1.owners", "app-key", "session", INSTRUCTIONS, { ownerId: "user-a" }), /risk limits/);
+  assert.equal(calls.length, 2);
+});
+
+test("cancel without instructions cancels the whole market", async () => {
+  await cancelBetOrders("1.23", "app-key", "session");
+  await cancelBetOrders("1.23", "app-key", "session", [{ betId: 101, sizeReduction: 1 }, { betId: "102" }]);
+
+  assert.equal(calls[0].body.method, "SportsAPING/v1.0/cancelOrders");
+  assert.deepEqual(calls[0].body.params, { marketId: "1.23" });
+  assert.deepEqual(calls[1].body.params.instructions, [{ betId: "101", sizeReduction: 1 }, { betId: "102" }]);
+});
+
+test("updates send only the bet and its new persistence type", async () => {
+  responses.push(503);
+  await updateBetOrders("1.23", "app-key", "session", [{ betId: "101", newPersistenceType: "PERSIST", extra: true }]);
+
+  assert.equal(calls.length, 2); // retried like placeOrders
+  assert.equal(calls[1].body.method, "SportsAPING/v1.0/updateOrders");
+  assert.deepEqual(calls[1].body.params, { marketId: "1.23", instructions: [{ betId: "101", newPersistenceType: "PERSIST" }] });
+});
@@ -0,0 +1,94 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { ADMIN, SESSION, startApp } from "./helpers/betfairEnv.js";
+import { MARKET_ID } from "./helpers/streamMessages.js";
+
+/**
+ * Restore on boot: bots saved as running come back when their market is still open
+ */
+
+let harness;
+let store;
+let restoreBots;
+
+before(async () => {
+  harness = await startApp({ user: ADMIN });
+  ({ restoreBots } = await import("../src/controllers/BetfairController/StreamController.js"));
+  ({ getBotStore: store } = await import("../src/service/botStore.js"));
+});
+
+after(async () => {
+  await harness.request("POST", "/bot/stop", { body: { marketId: MARKET_ID } });
+  await harness.close();
+});
+
+function saveRunningBot(marketId, overrides = {}) {
+  store().botStarted({
+    marketId,
+    mode: "paper",
+    size: 2,
+    strategy: "lineMovement",
+    params: { upThreshold: 4 },
+    disabledSelections: [],
+    eventName: "Stub XI v Offline XI",
+    session: { token: SESSION },
+    ...overrides,
+  });
+}
+
+test("restores open markets and skips closed or unknown ones", async (t) => {
+  t.mock.method(console, "log", () => {});
+  saveRunningBot(MARKET_ID);
+  saveRunningBot("1.999999999");
+
+  const summary = await restoreBots();
+
+  assert.deepEqual(summary.restored, [MARKET_ID]);
+  assert.deepEqual(summary.skipped, [{ marketId: "1.999999999", reason: "Market no longer available" }]);
+
+  const { body } = await harness.request("GET", `/bot/status?marketId=${MARKET_ID}`);
+  assert.equal(body.running, true);
+  assert.equal(body.mode, "paper");
+  assert.equal(body.restored, true);
+  assert.equal(body.config.upThreshold, 4);
+
+  // Already running bots are not restored twice
+  assert.deepEqual((await restoreBots()).restored, []);
+});
+
+test("stopped bots stay stopped and the audit shows why", async () => {
+  await harness.request("POST", "/bot/stop", { body: { marketId: MARKET_ID, reason: "Done for the day" } });
+
+  assert.deepEqual(await restoreBots(), { restored: [], skipped: [], failed: [] });
+
+  const { status, body } = await harness.request("GET", `/bot/audit?marketId=${MARKET_ID}`);
+  assert.equal(status, 200);
+  assert.equal(body.bot.state, "stopped");
+  assert.equal(body.bot.stopReason, "Done for the day");
+  assert.equal(body.bot.session, undefined);
+  assert.deepEqual(body.events.map((e) => e.event), ["stopped", "restored", "started"]);
+});
+
+test("closed markets and expired sessions are not restored", async (t) => {
+  t.mock.method(console, "error", () => {});
+  harness.stub.setMarketStatus(MARKET_ID, "CLOSED");
+  saveRunningBot(MARKET_ID);
+  saveRunningBot("1.900000003", { session: { token: "expired" } });
+
+  const summary = await restoreBots();
+  harness.stub.setMarketStatus(MARKET_ID, "OPEN");
+
+  assert.deepEqual(summary.skipped, [{ marketId: MARKET_ID, reason: "Market closed while the server was down" }]);
+  assert.deepEqual(summary.failed, [{ marketId: "1.900000003", reason: "Restore failed: INVALID_SESSION_INFORMATION" }]);
+  assert.equal(store().getBot("1.900000003").state, "stopped");
+});
+
+test("a session from the login on boot replaces the saved ones", async (t) => {
+  t.mock.method(console, "log", () => {});
+  saveRunningBot(MARKET_ID, { session: { token: "expired" } });
+
+  const summary = await restoreBots({ sessionToken: SESSION });
+
+  assert.deepEqual(summary.restored, [MARKET_ID]);
+  assert.equal(store().getBot(MARKET_ID).session.token, SESSION);
+});
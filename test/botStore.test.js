@@ -0,0 +1,73 @@
+import { test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import { createBotStore, BOT_STATES } from "../src/service/botStore.js";
+import { getStoragePath, readJsonLines } from "../src/utils/storage.js";
+import { useTempStorage } from "./helpers/betfairEnv.js";
+
+let removeStorage;
+let store;
+
+beforeEach(() => {
+  removeStorage = useTempStorage();
+  store = createBotStore();
+});
+
+afterEach(() => removeStorage());
+
+const DEFINITION = {
+  marketId: "1.1",
+  mode: "paper",
+  size: 2,
+  strategy: "lineMovement",
+  params: { upThreshold: 4 },
+  disabledSelections: [],
+  session: { token: "token" },
+};
+
+test("a started bot is saved as running with an audit entry", () => {
+  const bot = store.botStarted(DEFINITION);
+
+  assert.equal(bot.state, BOT_STATES.RUNNING);
+  assert.ok(bot.startedAt);
+  assert.deepEqual(store.listBots({ state: BOT_STATES.RUNNING }).map((b) => b.marketId), ["1.1"]);
+  assert.deepEqual(JSON.parse(fs.readFileSync(getStoragePath("bots.json"), "utf8"))["1.1"].params, { upThreshold: 4 });
+
+  const [entry] = store.getAudit();
+  assert.equal(entry.event, "started");
+  assert.equal(entry.marketId, "1.1");
+  assert.equal(entry.session, undefined);
+});
+
+test("stopping keeps the definition and records the reason", () => {
+  store.botStarted(DEFINITION);
+  store.botStopped("1.1", "Market closed");
+
+  const bot = store.getBot("1.1");
+  assert.equal(bot.state, BOT_STATES.STOPPED);
+  assert.equal(bot.stopReason, "Market closed");
+  assert.equal(bot.size, 2);
+  assert.deepEqual(store.listBots({ state: BOT_STATES.RUNNING }), []);
+  assert.deepEqual(store.getAudit().map((e) => e.event), ["stopped", "started"]);
+
+  // Unknown bots are ignored
+  assert.equal(store.botStopped("1.2", "nope"), null);
+});
+
+test("restores keep the original start time", () => {
+  const started = store.botStarted(DEFINITION);
+  const restored = store.botStarted(DEFINITION, { restored: true });
+
+  assert.equal(restored.startedAt, started.startedAt);
+  assert.ok(restored.restoredAt);
+  assert.equal(store.getAudit({ marketId: "1.1", limit: 1 })[0].event, "restored");
+});
+
+test("config updates and a damaged audit line do not lose data", () => {
+  store.botStarted(DEFINITION);
+  store.updateBotConfig("1.1", { disabledSelections: [7] });
+  assert.deepEqual(store.getBot("1.1").disabledSelections, [7]);
+
+  fs.appendFileSync(getStoragePath("bot-audit.jsonl"), '{"at":"trunc');
+  assert.equal(readJsonLines(getStoragePath("bot-audit.jsonl")).length, 1);
+});
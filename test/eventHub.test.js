@@ -0,0 +1,55 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createEventHub } from "../src/service/eventHub.js";
+import { QUIET_LOGGER } from "./helpers/betfairEnv.js";
+
+test("subscribers get the events of their markets plus app-wide ones", () => {
+  const hub = createEventHub({ logger: QUIET_LOGGER });
+  const all = [];
+  const one = [];
+  hub.subscribe((event) => all.push(event.type));
+  hub.subscribe((event) => one.push(event.type), { marketIds: ["1.1"] });
+
+  hub.publish("priceUpdate", { marketId: "1.1", data: { selectionId: 1 } });
+  hub.publish("priceUpdate", { marketId: "1.2" });
+  hub.publish("killSwitch", { data: { active: true } });
+
+  assert.deepEqual(all, ["priceUpdate", "priceUpdate", "killSwitch"]);
+  assert.deepEqual(one, ["priceUpdate", "killSwitch"]);
+});
+
+test("accept filters events and unsubscribe stops delivery", () => {
+  const hub = createEventHub({ logger: QUIET_LOGGER });
+  const received = [];
+  const unsubscribe = hub.subscribe((event) => received.push(event.ownerId), { accept: (event) => event.ownerId === "u1" });
+
+  hub.publish("betPlaced", { marketId: "1.1", ownerId: "u1" });
+  hub.publish("betPlaced", { marketId: "1.1", ownerId: "u2" });
+  unsubscribe();
+  hub.publish("betPlaced", { marketId: "1.1", ownerId: "u1" });
+
+  assert.deepEqual(received, ["u1"]);
+  assert.equal(hub.subscriberCount(), 0);
+});
+
+test("a failing subscriber does not stop the others", () => {
+  const hub = createEventHub({ logger: QUIET_LOGGER });
+  const received = [];
+  hub.subscribe(() => {
+    throw new Error("broken client");
+  });
+  hub.subscribe((event) => received.push(event.id));
+
+  hub.publish("ballCompleted", { marketId: "1.1" });
+  assert.deepEqual(received, [1]);
+});
+
+test("history keeps the latest events for reconnecting clients", () => {
+  const hub = createEventHub({ historySize: 3, logger: QUIET_LOGGER });
+  for (let i = 0; i < 5; i++) {
+    hub.publish("priceUpdate", { marketId: i % 2 ? "1.1" : "1.2" });
+  }
+
+  assert.deepEqual(hub.getHistory().map((e) => e.id), [3, 4, 5]);
+  assert.deepEqual(hub.getHistory({ afterId: 3, marketIds: ["1.1"] }).map((e) => e.id), [4]);
+});
@@ -0,0 +1,74 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { computeExposure, lineOutcomeRange, oddsLiabilityIfMatched } from "../src/service/exposure.js";
+
+function order(side, price, { sizeMatched = 2, sizeRemaining = 0, status, marketId = "1.1", selectionId = 7, averagePriceMatched } = {}) {
+  return {
+    marketId,
+    selectionId,
+    handicap: 0,
+    side,
+    priceSize: { price, size: sizeMatched + sizeRemaining },
+    status: status || (sizeRemaining > 0 ? "EXECUTABLE" : "EXECUTION_COMPLETE"),
+    sizeMatched,
+    sizeRemaining,
+    averagePriceMatched: sizeMatched > 0 ? averagePriceMatched ?? price : 0,
+  };
+}
+
+test("a single back loses its stake when the line goes over", () => {
+  assert.deepEqual(lineOutcomeRange([{ side: "BACK", price: 44.5, size: 2 }]), {
+    worst: { result: 45.5, profit: -2 },
+    best: { result: 44.5, profit: 2 },
+  });
+  assert.equal(lineOutcomeRange([]), null);
+});
+
+test("a back below a lay can lose both, a back above a lay cannot lose", () => {
+  const [exposed] = computeExposure([order("BACK", 40.5), order("LAY", 44.5)]);
+  assert.deepEqual(exposed.selections[0].worstCase, { result: 44.5, profit: -4 });
+  assert.equal(exposed.selections[0].liability, 4);
+
+  const [middle] = computeExposure([order("BACK", 44.5), order("LAY", 40.5)]);
+  assert.equal(middle.selections[0].liability, 0);
+  assert.deepEqual(middle.selections[0].bestCase, { result: 44.5, profit: 4 });
+});
+
+test("matched stakes are averaged per side and unmatched size is kept apart", () => {
+  const [market] = computeExposure([
+    order("BACK", 40.5, { sizeMatched: 1 }),
+    order("BACK", 42, { sizeMatched: 3, averagePriceMatched: 42.5 }),
+    order("LAY", 44.5),
+    order("BACK", 50.5, { sizeMatched: 0, sizeRemaining: 3 }),
+    order("LAY", 30.5, { sizeMatched: 0, sizeRemaining: 5, status: "EXECUTION_COMPLETE" }), // cancelled
+  ]);
+  const [selection] = market.selections;
+
+  assert.deepEqual(selection.matched, { back: { size: 4, averagePrice: 42 }, lay: { size: 2, averagePrice: 44.5 } });
+  assert.deepEqual(selection.unmatched, { back: 3, lay: 0, orders: 1 });
+  assert.equal(selection.liability, 6);
+  // Over 50.5 the unmatched back would lose too: -4 + 2 - 3
+  assert.equal(selection.liabilityIfMatched, 5);
+});
+
+test("orders are grouped by market and totalled", () => {
+  const markets = computeExposure([
+    order("BACK", 40.5, { marketId: "1.1" }),
+    order("LAY", 40.5, { marketId: "1.2", sizeMatched: 0, sizeRemaining: 4 }),
+    order("LAY", 50.5, { marketId: "1.1", selectionId: 8 }),
+  ]);
+
+  assert.deepEqual(markets.map((m) => m.marketId), ["1.1", "1.2"]);
+  assert.deepEqual(markets[0].totals, { matchedBack: 2, matchedLay: 2, unmatched: 0, liability: 4, liabilityIfMatched: 4 });
+  assert.deepEqual(markets[1].totals, { matchedBack: 0, matchedLay: 0, unmatched: 4, liability: 0, liabilityIfMatched: 4 });
+});
+
+test("odds liability counts a lay at (price - 1) times its stake", () => {
+  assert.equal(oddsLiabilityIfMatched([order("LAY", 10)]), 18);
+  // Matched at 10.0, the rest counted at its price of 4.0
+  assert.equal(oddsLiabilityIfMatched([order("LAY", 4, { sizeMatched: 1, sizeRemaining: 1, averagePriceMatched: 10 })]), 12);
+  // A back covering the lay on the same selection
+  assert.equal(oddsLiabilityIfMatched([order("LAY", 10), order("BACK", 12)]), 0);
+  assert.equal(oddsLiabilityIfMatched([order("BACK", 3), order("BACK", 5, { selectionId: 8 })]), 4);
+  assert.equal(oddsLiabilityIfMatched([]), 0);
+});
@@ -0,0 +1,148 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { createBetfairStub, loadScenario } from "../../src/stub/betfairStub.js";
+
+/**
+ * Test harness: the Betfair stub on ephemeral ports plus the app pointed at it
+ *
+ * axiosInstance reads its base URLs at import time, so the env is set before
+ * app.js is imported - each test file runs in its own process, so one harness
+ * per file. Local state (STORAGE_DIR) goes to a temp directory.
+ */
+
+export const APP_KEY = "test-app-key";
+export const SESSION = "stub-session";
+export const SETUP_TOKEN = "test-setup-token";
+
+/**
+ * App accounts the harness logs in with: ADMIN is registered with the setup token
+ * (so it is the admin), USER is the default caller
+ */
+export const ADMIN = "admin";
+export const USER = "tester";
+export const PASSWORD = "test-password";
+
+export const QUIET_LOGGER = { log() {}, error() {}, warn() {} };
+
+/**
+ * Default scenario with the stream steps compressed to a few milliseconds
+ */
+export function fastScenario(stepDelayMs = 10) {
+  const scenario = loadScenario();
+  for (const stream of Object.values(scenario.streams || {})) {
+    for (const step of stream.steps) {
+      step.delayMs = stepDelayMs;
+    }
+  }
+  return scenario;
+}
+
+export async function startStub({ scenario = fastScenario() } = {}) {
+  const stub = createBetfairStub({ scenario, logger: QUIET_LOGGER });
+  const ports = await stub.start();
+  return { stub, ...ports };
+}
+
+/**
+ * Fresh STORAGE_DIR, removed by the returned cleanup function
+ */
+export function useTempStorage() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "betfair-storage-"));
+  process.env.STORAGE_DIR = dir;
+  return () => fs.rmSync(dir, { recursive: true, force: true });
+}
+
+/**
+ * Point the app (and its workers) at a running stub
+ */
+export function useStubEnv({ httpPort, streamPort }) {
+  Object.assign(process.env, {
+    BETFAIR_APP_KEY: APP_KEY,
+    BETFAIR_API_BASE_URL: `http://127.0.0.1:${httpPort}`,
+    BETFAIR_IDENTITY_BASE_URL: `http://127.0.0.1:${httpPort}`,
+    BETFAIR_CERT_LOGIN_BASE_URL: `http://127.0.0.1:${httpPort}`,
+    BETFAIR_STREAM_HOST: "127.0.0.1",
+    BETFAIR_STREAM_PORT: String(streamPort),
+    BETFAIR_STREAM_TLS: "false",
+  });
+}
+
+/**
+ * Start the stub and the app
+ * @param {Object} [options] - { scenario, user } user is the default caller (USER unless given)
+ * @returns {Promise<{ stub, baseUrl, request, cookieFor, close }>}
+ */
+export async function startApp(options = {}) {
+  const { stub, httpPort, streamPort } = await startStub(options);
+  useStubEnv({ httpPort, streamPort });
+  const removeStorage = useTempStorage();
+  // Open sign-ups, so every test account can register
+  Object.assign(process.env, { AUTH_SIGNUP: "true", AUTH_SETUP_TOKEN: SETUP_TOKEN });
+
+  const { default: app } = await import("../../src/app.js");
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, "127.0.0.1", () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  /**
+   * Session cookie of an app account - registered on first use
+   */
+  const cookies = new Map();
+  async function cookieFor(username) {
+    if (!cookies.has(username)) {
+      const response = await fetch(`${baseUrl}/auth/register`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ username, password: PASSWORD, ...(username === ADMIN ? { setupToken: SETUP_TOKEN } : {}) }),
+      });
+      if (response.status !== 201) throw new Error(`Could not register ${username}: ${await response.text()}`);
+      cookies.set(username, response.headers.get("set-cookie").split(";")[0]);
+    }
+    return cookies.get(username);
+  }
+  await cookieFor(ADMIN);
+  const defaultUser = options.user || USER;
+
+  /**
+   * JSON request against the app - as the default user unless user is given (null = no cookie),
+   * authenticated with the stub session unless session is null
+   */
+  async function request(method, path, { body, session = SESSION, user = defaultUser, headers = {} } = {}) {
+    const response = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers: {
+        ...(body !== undefined ? { "Content-Type": "application/json" } : {}),
+        ...(session ? { "X-Authentication": session } : {}),
+        ...(user ? { Cookie: await cookieFor(user) } : {}),
+        ...headers,
+      },
+      body: body !== undefined ? JSON.stringify(body) : undefined,
+    });
+    const text = await response.text();
+    return { status: response.status, body: text ? JSON.parse(text) : null };
+  }
+
+  async function close() {
+    server.closeAllConnections();
+    await new Promise((resolve) => server.close(resolve));
+    await stub.stop();
+    removeStorage();
+  }
+
+  return { stub, baseUrl, request, cookieFor, close };
+}
+
+/**
+ * Poll until check() returns a truthy value
+ */
+export async function waitFor(check, { timeoutMs = 5000, intervalMs = 20 } = {}) {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const value = await check();
+    if (value) return value;
+    if (Date.now() > deadline) throw new Error("Timed out waiting for condition");
+    await new Promise((resolve) => setTimeout(resolve, intervalMs));
+  }
+}
@@ -0,0 +1,42 @@
+/**
+ * Builders for Exchange Stream messages used across the tests
+ */
+
+export const MARKET_ID = "1.900000001";
+export const SELECTION_ID = 9000101;
+
+export function marketDefinition(status = "OPEN") {
+  return {
+    bettingType: "LINE",
+    status,
+    inPlay: true,
+    runners: [{ id: SELECTION_ID, sortPriority: 1, status: "ACTIVE" }],
+  };
+}
+
+/**
+ * Runner change with a single best back/lay level
+ */
+export function runnerChange(back, lay, { id = SELECTION_ID, backSize = 100, laySize = 100, ltp, trd } = {}) {
+  return {
+    id,
+    ...(back !== null ? { batb: [[0, back, backSize]] } : {}),
+    ...(lay !== null ? { batl: [[0, lay, laySize]] } : {}),
+    ...(ltp !== undefined ? { ltp } : {}),
+    ...(trd ? { trd } : {}),
+  };
+}
+
+/**
+ * Full mcm message for one market
+ */
+export function mcm(change, { pt = Date.now(), clk = "1", marketId = MARKET_ID, ...extra } = {}) {
+  return {
+    op: "mcm",
+    id: 2,
+    clk,
+    pt,
+    ...extra,
+    mc: [{ id: marketId, ...change }],
+  };
+}
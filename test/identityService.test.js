@@ -0,0 +1,45 @@
+import { test, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { CertLoginError, loadClientCertificate } from "../src/utils/identityService.js";
+
+const CERT_ENV = ["BETFAIR_CERT_FILE", "BETFAIR_KEY_FILE", "BETFAIR_CERT", "BETFAIR_KEY"];
+
+afterEach(() => CERT_ENV.forEach((name) => delete process.env[name]));
+
+test("no certificate configured means interactive login", () => {
+  assert.equal(loadClientCertificate(), null);
+});
+
+test("certificate and key come from files or inline PEM text", (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "betfair-cert-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  fs.writeFileSync(path.join(dir, "client.crt"), "CERT FILE");
+  fs.writeFileSync(path.join(dir, "client.key"), "KEY FILE");
+
+  process.env.BETFAIR_CERT_FILE = path.join(dir, "client.crt");
+  process.env.BETFAIR_KEY_FILE = path.join(dir, "client.key");
+  assert.deepEqual(loadClientCertificate(), { cert: "CERT FILE", key: "KEY FILE" });
+
+  delete process.env.BETFAIR_CERT_FILE;
+  process.env.BETFAIR_CERT = "-----BEGIN CERTIFICATE-----\\nabc\\n-----END CERTIFICATE-----";
+  assert.equal(loadClientCertificate().cert, "-----BEGIN CERTIFICATE-----\nabc\n-----END CERTIFICATE-----");
+});
+
+test("a half-configured or unreadable certificate is a clear error", () => {
+  process.env.BETFAIR_CERT = "CERT";
+  assert.throws(() => loadClientCertificate(), /needs both a certificate .* and a key/);
+
+  process.env.BETFAIR_KEY_FILE = "/nonexistent/client.key";
+  assert.throws(() => loadClientCertificate(), /Cannot read BETFAIR_KEY_FILE \(\/nonexistent\/client.key\)/);
+});
+
+test("each loginStatus failure explains itself", () => {
+  const locked = new CertLoginError("ACCOUNT_NOW_LOCKED");
+  assert.equal(locked.loginStatus, "ACCOUNT_NOW_LOCKED");
+  assert.match(locked.message, /^Betfair certificate login failed \(ACCOUNT_NOW_LOCKED\): Account locked/);
+  assert.match(new CertLoginError("CERT_AUTH_REQUIRED").message, /client certificate/);
+  assert.match(new CertLoginError("SOMETHING_NEW").message, /Unexpected login status/);
+});
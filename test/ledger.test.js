@@ -0,0 +1,119 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startApp, ADMIN, USER, waitFor } from "./helpers/betfairEnv.js";
+import { MARKET_ID, SELECTION_ID } from "./helpers/streamMessages.js";
+
+/**
+ * Ledger routes: manual and bot orders are recorded, exported and reconciled
+ */
+
+let harness;
+let request;
+
+before(async () => {
+  harness = await startApp();
+  request = harness.request;
+});
+
+after(async () => {
+  await request("POST", "/bot/stop", { body: { marketId: MARKET_ID } });
+  await harness.close();
+});
+
+test("manual and bot orders are recorded in the ledger", async (t) => {
+  t.mock.method(console, "log", () => {});
+
+  await request("POST", "/place-order", {
+    body: {
+      marketId: MARKET_ID,
+      reason: "manual check",
+      instructions: [{ selectionId: SELECTION_ID, side: "LAY", size: 3, limitOrder: { price: 41.5 } }],
+    },
+  });
+
+  await request("POST", "/bot/start", { body: { marketId: MARKET_ID, size: 2 } });
+  const { body: status } = await request("GET", `/bot/status?marketId=${MARKET_ID}`);
+  const bot = await waitFor(async () => (await request("GET", `/ledger?botId=${status.botId}`)).body.entries[0]);
+  await request("POST", "/bot/stop", { body: { marketId: MARKET_ID } });
+
+  assert.equal(bot.source, "bot");
+  assert.equal(bot.strategy, "lineMovement");
+  assert.equal(bot.side, "BACK");
+  assert.match(bot.reason, /Line moved up/);
+  assert.ok(bot.oldPrice < bot.newPrice);
+  assert.equal(bot.status, "SUCCESS");
+  assert.ok(bot.betId);
+
+  const { body } = await request("GET", `/ledger?marketId=${MARKET_ID}&source=manual`);
+  assert.equal(body.count, 1);
+  assert.equal(body.entries[0].reason, "manual check");
+  assert.equal(body.entries[0].size, 3);
+  assert.equal(body.entries[0].outcome, null);
+});
+
+test("reconcile attaches cleared outcomes", async () => {
+  const { body: ledger } = await request("GET", "/ledger");
+  const [manual, ...botBets] = ledger.entries;
+  harness.stub.settleOrder(manual.betId, { betOutcome: "WON", profit: 3, commission: 0.15 });
+
+  const reconciled = await request("POST", "/ledger/reconcile", { body: {} });
+  assert.equal(reconciled.status, 200);
+  assert.equal(reconciled.body.reconciled, 1);
+  assert.equal(reconciled.body.unsettled, botBets.length);
+  assert.equal(reconciled.body.notInLedger, 0); // the scenario's historical bets settled before the ledger's oldest entry
+
+  // An explicit range reaches back to them
+  const historical = await request("POST", "/ledger/reconcile", { body: { from: "2026-01-01T00:00:00.000Z" } });
+  assert.equal(historical.body.notInLedger, 2);
+
+  // Running it again changes nothing
+  assert.equal((await request("POST", "/ledger/reconcile", { body: {} })).body.reconciled, 0);
+
+  const { body } = await request("GET", "/ledger?settled=true");
+  assert.deepEqual(body.entries.map((e) => [e.betId, e.outcome.betOutcome, e.outcome.profit, e.outcome.commission]), [[manual.betId, "WON", 3, 0.15]]);
+});
+
+test("CSV export uses the same filters", async () => {
+  const response = await fetch(`${harness.baseUrl}/ledger/export?source=manual`, {
+    headers: { Cookie: await harness.cookieFor(USER) },
+  });
+  assert.equal(response.status, 200);
+  assert.match(response.headers.get("content-type"), /text\/csv/);
+  assert.match(response.headers.get("content-disposition"), /attachment; filename="bet-ledger-/);
+
+  const lines = (await response.text()).trim().split("\r\n");
+  assert.equal(lines.length, 2);
+  assert.match(lines[1], /,manual,/);
+  assert.match(lines[1], /,WON,3,0\.15,/);
+});
+
+test("users only see, export and reconcile their own entries", async () => {
+  const { body: mine } = await request("GET", "/ledger");
+  assert.ok(mine.count > 0);
+  assert.ok(mine.entries.every((entry) => entry.ownerId === mine.entries[0].ownerId && entry.ownerId));
+
+  assert.equal((await request("GET", "/ledger", { user: "mallory" })).body.count, 0);
+  const response = await fetch(`${harness.baseUrl}/ledger/export`, { headers: { Cookie: await harness.cookieFor("mallory") } });
+  assert.equal((await response.text()).trim().split("\r\n").length, 1);
+
+  // Someone else's cleared bets are left alone
+  const { betId } = mine.entries.find((entry) => !entry.outcome && entry.betId);
+  harness.stub.settleOrder(betId, { betOutcome: "LOST", profit: -2 });
+  const reconciled = await request("POST", "/ledger/reconcile", { user: "mallory", body: { from: "2026-01-01T00:00:00.000Z" } });
+  assert.equal(reconciled.body.reconciled, 0);
+  assert.equal(reconciled.body.unsettled, 0);
+  assert.equal((await request("GET", `/ledger?betIds=${betId}`)).body.entries[0].outcome, null);
+
+  // The admin sees everyone's
+  assert.equal((await request("GET", "/ledger", { user: ADMIN })).body.count, mine.count);
+});
+
+test("invalid filters are rejected", async () => {
+  assert.equal((await request("GET", "/ledger?source=robot")).status, 400);
+  assert.equal((await request("GET", "/ledger?from=yesterday")).status, 400);
+  assert.equal((await request("GET", "/ledger?limit=0")).status, 400);
+  assert.equal((await request("GET", "/ledger/export?settled=maybe")).status, 400);
+  assert.equal((await request("POST", "/ledger/reconcile", { body: { from: "nope" } })).status, 400);
+  // Without a Betfair session - sent or stored - there is nothing to reconcile against
+  assert.equal((await request("POST", "/ledger/reconcile", { user: "no-betfair", session: null, body: {} })).status, 401);
+});
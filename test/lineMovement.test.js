@@ -0,0 +1,148 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import lineMovement from "../src/strategies/lineMovement.js";
+import { createStrategy, listStrategies, validateStrategy } from "../src/strategies/index.js";
+import { MARKET_ID, SELECTION_ID } from "./helpers/streamMessages.js";
+
+function snapshot(back, lay) {
+  return {
+    marketId: MARKET_ID,
+    status: "OPEN",
+    runners: [
+      {
+        selectionId: SELECTION_ID,
+        bestBack: back === null ? null : { level: 0, price: back, size: 100 },
+        bestLay: lay === null ? null : { level: 0, price: lay, size: 100 },
+      },
+    ],
+  };
+}
+
+/**
+ * Feed [back, lay] pairs one second apart, returning the intents of the last update
+ */
+function feed(strategy, prices, start = 0) {
+  let intents = [];
+  prices.forEach(([back, lay], i) => {
+    intents = strategy.onMarketUpdate(snapshot(back, lay), { now: start + i * 1000 });
+  });
+  return intents;
+}
+
+test("validate merges defaults and rejects unknown or non-positive parameters", () => {
+  assert.equal(lineMovement.validate({ upThreshold: "4" }).params.upThreshold, 4);
+  assert.deepEqual(lineMovement.validate({}).errors, []);
+
+  const { errors } = lineMovement.validate({ upThreshold: -1, bogus: 1, historyMs: 1000 });
+  assert.equal(errors.length, 3);
+
+  assert.match(validateStrategy("nope").errors[0], /Unknown strategy 'nope'/);
+  // Names inherited from Object.prototype are not strategies
+  assert.match(validateStrategy("toString").errors[0], /Unknown strategy 'toString'/);
+  assert.match(validateStrategy("constructor").errors[0], /Unknown strategy 'constructor'/);
+  assert.ok(listStrategies().some((s) => s.name === "lineMovement"));
+});
+
+test("ballWindow and minBallMovement may be zero but ballWindow counts whole balls", () => {
+  assert.deepEqual(lineMovement.validate({ ballWindow: 0, minBallMovement: 0 }).errors, []);
+  assert.deepEqual(lineMovement.validate({ ballWindow: 1.5 }).errors, ["'ballWindow' must be a whole number of balls"]);
+  assert.match(lineMovement.validate({ minBallMovement: -1 }).errors[0], /must be zero or a positive number/);
+});
+
+test("with a ballWindow the line must also have moved over the last balls", () => {
+  const strategy = createStrategy("lineMovement", lineMovement.validate({ upThreshold: 3, ballWindow: 6, minBallMovement: 2 }).params);
+  let overBalls = null;
+  const match = { getLineMovement: (n, selectionId) => (n === 6 && selectionId === SELECTION_ID ? overBalls : null) };
+  const update = (back, lay, now) => strategy.onMarketUpdate(snapshot(back, lay), { now, match });
+
+  update(40.5, 41.5, 0);
+  // Not enough balls yet
+  assert.deepEqual(update(43.5, 44.5, 1000), []);
+  assert.match(strategy.describe({ now: 1000, match }).selections[0].blockedBy, /last 6 balls/);
+
+  overBalls = { balls: 6, from: 42, to: 44, movement: 2 };
+  assert.deepEqual(update(43.5, 44.5, 1500), []);
+  const [view] = strategy.describe({ now: 1500, match }).selections;
+  assert.deepEqual(view.ballMovement, overBalls);
+  assert.match(view.blockedBy, /Line moved 2 over the last 6 balls, needs more than 2/);
+
+  overBalls = { balls: 6, from: 46, to: 43.5, movement: -2.5 };
+  assert.equal(update(43.5, 44.5, 2000).length, 1);
+});
+
+test("line moving up by the threshold backs at the best back", () => {
+  const strategy = createStrategy("lineMovement", lineMovement.validate({ upThreshold: 3 }).params);
+  const intents = feed(strategy, [[40.5, 41.5], [41.5, 42.5], [43.5, 44.5]]);
+
+  assert.equal(intents.length, 1);
+  assert.equal(intents[0].side, "BACK");
+  assert.equal(intents[0].price, 43.5);
+  assert.equal(intents[0].oldPrice, 40.5);
+  assert.equal(intents[0].newPrice, 43.5);
+});
+
+test("line moving down by the threshold lays at the best lay", () => {
+  const strategy = createStrategy("lineMovement", lineMovement.validate({ downThreshold: 3 }).params);
+  const intents = feed(strategy, [[45.5, 46.5], [43.5, 44.5], [42.5, 43.5]]);
+
+  assert.equal(intents.length, 1);
+  assert.equal(intents[0].side, "LAY");
+  assert.equal(intents[0].price, 43.5);
+});
+
+test("no bet when the spread is not the required spread", () => {
+  const strategy = createStrategy("lineMovement", lineMovement.validate({ upThreshold: 3 }).params);
+  assert.deepEqual(feed(strategy, [[40.5, 41.5], [43.5, 45.5]]), []);
+});
+
+test("no bet when the movement is older than the window", () => {
+  const strategy = createStrategy("lineMovement", lineMovement.validate({ upThreshold: 3, movementWindowMs: 1500 }).params);
+  // 40.5 -> 42.5 -> 43.5: within 1.5s the line only moved 1
+  assert.deepEqual(feed(strategy, [[40.5, 41.5], [42.5, 43.5], [43.5, 44.5]]), []);
+});
+
+test("cooldown and same-price rules only start once a bet is submitted", () => {
+  const strategy = createStrategy("lineMovement", lineMovement.validate({ upThreshold: 3, cooldownMs: 5000 }).params);
+  const [intent] = feed(strategy, [[40.5, 41.5], [43.5, 44.5]]);
+  assert.ok(intent);
+
+  // Not submitted (e.g. in flight elsewhere) - still eligible
+  assert.equal(strategy.onMarketUpdate(snapshot(44.5, 45.5), { now: 2000 }).length, 1);
+
+  strategy.onBetSubmitted({ ...intent, price: 44.5 }, { now: 2000 });
+  assert.deepEqual(strategy.onMarketUpdate(snapshot(45.5, 46.5), { now: 3000 }), []); // cooldown
+
+  // After the cooldown the same price as the last bet is still refused
+  assert.deepEqual(strategy.onMarketUpdate(snapshot(44.5, 45.5), { now: 7500 }), []);
+  assert.equal(strategy.onMarketUpdate(snapshot(46.5, 47.5), { now: 8000 }).length, 1);
+});
+
+test("only changed selections are evaluated", () => {
+  const strategy = createStrategy("lineMovement", lineMovement.validate({ upThreshold: 3 }).params);
+  strategy.onMarketUpdate(snapshot(40.5, 41.5), { now: 0 });
+
+  const intents = strategy.onMarketUpdate(snapshot(43.5, 44.5), { now: 1000, changedSelectionIds: new Set([123]) });
+  assert.deepEqual(intents, []);
+});
+
+test("describe reports movement, cooldown and what stops a bet", () => {
+  const strategy = createStrategy("lineMovement", lineMovement.validate({ upThreshold: 3, cooldownMs: 15000 }).params);
+  feed(strategy, [[40.5, 41.5], [41.5, 42.5]]);
+
+  let [view] = strategy.describe({ now: 1000 }).selections;
+  assert.equal(view.selectionId, SELECTION_ID);
+  assert.equal(view.movement, 1);
+  assert.match(view.blockedBy, /inside the thresholds/);
+
+  const [intent] = feed(strategy, [[43.5, 44.5]], 2000);
+  strategy.onBetSubmitted(intent, { now: 2000 });
+
+  [view] = strategy.describe({ now: 7000 }).selections;
+  assert.equal(view.movement, 3);
+  assert.equal(view.cooldownRemainingMs, 10000);
+  assert.equal(view.lastBetPrice, 43.5);
+  assert.match(view.blockedBy, /Cooling down for 10000ms/);
+
+  feed(strategy, [[43.5, 45.5]], 3000);
+  assert.match(strategy.describe({ now: 3000 }).selections[0].blockedBy, /Spread is 2\.00, needs 1/);
+});
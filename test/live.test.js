@@ -0,0 +1,169 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { ADMIN, USER, startApp, waitFor } from "./helpers/betfairEnv.js";
+import { MARKET_ID, SELECTION_ID } from "./helpers/streamMessages.js";
+
+/**
+ * GET /live: Server-Sent Events relayed from the bots, manual orders and risk changes
+ */
+
+let harness;
+let request;
+const connections = [];
+
+before(async () => {
+  harness = await startApp();
+  request = harness.request;
+});
+
+after(async () => {
+  connections.forEach((connection) => connection.close());
+  await request("POST", "/bot/stop", { user: ADMIN, body: { marketId: MARKET_ID } });
+  await harness.close();
+});
+
+/**
+ * Open an event stream and collect its events ({ type, ...event })
+ */
+async function openLive(path, user, headers = {}) {
+  const controller = new AbortController();
+  const response = await fetch(`${harness.baseUrl}${path}`, {
+    headers: { Cookie: await harness.cookieFor(user), ...headers },
+    signal: controller.signal,
+  });
+  const events = [];
+
+  (async () => {
+    const decoder = new TextDecoder();
+    let buffer = "";
+    try {
+      for await (const chunk of response.body) {
+        buffer += decoder.decode(chunk, { stream: true });
+        let end;
+        while ((end = buffer.indexOf("\n\n")) >= 0) {
+          const lines = buffer.slice(0, end).split("\n");
+          buffer = buffer.slice(end + 2);
+          const type = lines.find((line) => line.startsWith("event: "))?.slice(7);
+          const data = lines.find((line) => line.startsWith("data: "))?.slice(6);
+          if (type) events.push({ type, ...JSON.parse(data) });
+        }
+      }
+    } catch (err) {
+      // Aborted by close()
+    }
+  })();
+
+  const connection = { response, events, close: () => controller.abort(), ofType: (type) => events.filter((e) => e.type === type) };
+  connections.push(connection);
+  await waitFor(() => connection.ofType("ready").length > 0);
+  return connection;
+}
+
+test("GET /live needs a logged-in user and answers with an event stream", async () => {
+  assert.equal((await request("GET", "/live", { user: null })).status, 401);
+
+  const live = await openLive(`/live?marketIds=${MARKET_ID}`, USER);
+  assert.equal(live.response.status, 200);
+  assert.match(live.response.headers.get("content-type"), /text\/event-stream/);
+  assert.deepEqual(live.ofType("ready")[0].marketIds, [MARKET_ID]);
+  live.close();
+});
+
+test("a bot's prices, balls, bets and state changes reach its owner's subscribers only", async (t) => {
+  t.mock.method(console, "log", () => {});
+  const mine = await openLive(`/live?marketIds=${MARKET_ID}`, USER);
+  const otherUser = await openLive("/live", "mallory");
+  const otherMarket = await openLive("/live?marketIds=1.900000099", ADMIN);
+
+  await request("POST", "/bot/start", { body: { marketId: MARKET_ID, mode: "paper", size: 2, params: { upThreshold: 4 } } });
+
+  await waitFor(() => mine.ofType("betPlaced").length > 0);
+  const started = mine.ofType("botStarted")[0];
+  assert.equal(started.marketId, MARKET_ID);
+  assert.equal(started.data.mode, "paper");
+  assert.ok(mine.ofType("priceUpdate").some((e) => e.data.selectionId === SELECTION_ID));
+  assert.equal(mine.ofType("betPlaced")[0].data.bet.mode, "paper");
+  assert.ok(mine.ofType("betPlaced")[0].data.botId);
+
+  const manual = await request("POST", "/place-order", {
+    body: { marketId: MARKET_ID, mode: "paper", instructions: [{ selectionId: SELECTION_ID, side: "BACK", size: 1, limitOrder: { price: 44.5 } }] },
+  });
+  assert.equal(manual.status, 200);
+  await waitFor(() => mine.ofType("betPlaced").some((e) => e.data.source === "manual"));
+
+  await request("POST", "/bot/stop", { body: { marketId: MARKET_ID, reason: "Done" } });
+  const stopped = await waitFor(() => mine.ofType("botStopped")[0]);
+  assert.equal(stopped.data.reason, "Done");
+
+  assert.deepEqual(otherUser.events.filter((e) => e.marketId), []);
+  assert.deepEqual(otherMarket.events.filter((e) => e.marketId), []);
+
+  // A reconnecting client gets what it missed after its Last-Event-ID
+  const replay = await openLive(`/live?marketIds=${MARKET_ID}`, USER, { "Last-Event-ID": String(started.id) });
+  await waitFor(() => replay.ofType("botStopped").length > 0);
+  assert.equal(replay.ofType("botStarted").length, 0);
+});
+
+test("kill switch changes and risk rejections are pushed", async () => {
+  const live = await openLive(`/live?marketIds=${MARKET_ID}`, USER);
+
+  await request("POST", "/risk/kill-switch", { user: ADMIN, body: { active: true, reason: "Rain" } });
+  const killSwitch = await waitFor(() => live.ofType("killSwitch")[0]);
+  assert.equal(killSwitch.data.active, true);
+  assert.equal(killSwitch.marketId, null);
+
+  await request("POST", "/risk/kill-switch", { user: ADMIN, body: { active: false } });
+  await request("POST", "/risk/limits", { user: ADMIN, body: { maxStakePerBet: 1 } });
+
+  const rejected = await request("POST", "/place-order", {
+    body: { marketId: MARKET_ID, instructions: [{ selectionId: SELECTION_ID, side: "LAY", size: 5, limitOrder: { price: 41.5 } }] },
+  });
+  assert.equal(rejected.status, 403);
+  const pushed = await waitFor(() => live.ofType("riskRejected")[0]);
+  assert.equal(pushed.data.source, "manual");
+  assert.match(pushed.data.reasons[0], /Stake 5/);
+});
+
+test("a watched market's events reach its watchers only", async (t) => {
+  t.mock.method(console, "log", () => {});
+  const watcher = await openLive(`/live?marketIds=${MARKET_ID}`, USER);
+  const other = await openLive(`/live?marketIds=${MARKET_ID}`, "mallory");
+
+  assert.equal((await request("POST", "/markets/watch", { body: { marketId: MARKET_ID } })).status, 200);
+  const price = await waitFor(() => watcher.ofType("priceUpdate").find((e) => e.data.watch));
+  assert.equal(price.ownerId, null);
+  assert.equal(price.audience, undefined);
+  assert.equal(price.data.botId, undefined);
+  assert.equal(watcher.ofType("watchStarted").length, 1);
+
+  await request("DELETE", "/markets/watch", { body: { marketId: MARKET_ID } });
+  assert.equal((await waitFor(() => watcher.ofType("watchStopped")[0])).data.reason, "No watchers left");
+  for (const type of ["priceUpdate", "watchStarted", "watchStopped"]) {
+    assert.deepEqual(other.ofType(type), [], type);
+  }
+});
+
+test("a watch never pushes its owner's orders to other users", async (t) => {
+  t.mock.method(console, "log", () => {});
+  const watcher = await openLive(`/live?marketIds=${MARKET_ID}`, USER);
+  const other = await openLive(`/live?marketIds=${MARKET_ID}`, "mallory");
+  const placedBefore = harness.stub.orders.length;
+
+  assert.equal((await request("POST", "/markets/watch", { body: { marketId: MARKET_ID } })).status, 200);
+  await waitFor(() => watcher.ofType("priceUpdate").some((e) => e.data.watch));
+
+  // A live bet on the watched market - the account's Order Stream reports it on the watch's connection
+  const placed = await request("POST", "/place-order", {
+    body: { marketId: MARKET_ID, instructions: [{ selectionId: SELECTION_ID, side: "BACK", size: 1, limitOrder: { price: 60 } }] },
+  });
+  assert.equal(placed.status, 200);
+  assert.equal(harness.stub.orders.length, placedBefore + 1);
+  // The stub sent the order change before this price - once the price is out, so is anything the order caused
+  harness.stub.pushMarketChange(MARKET_ID, { rc: [{ id: SELECTION_ID, ltp: 99.5 }] });
+  await waitFor(() => watcher.ofType("priceUpdate").some((e) => e.data.lastTradedPrice === 99.5));
+
+  await request("DELETE", "/markets/watch", { body: { marketId: MARKET_ID } });
+  for (const type of ["orderUpdate", "paperUpdate", "betPlaced"]) {
+    assert.deepEqual(other.ofType(type), [], type);
+  }
+});
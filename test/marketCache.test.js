@@ -0,0 +1,86 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createMarketCache } from "../src/stream/marketCache.js";
+import { MARKET_ID, SELECTION_ID, marketDefinition } from "./helpers/streamMessages.js";
+
+function image(cache) {
+  cache.applyMarketChange(
+    {
+      id: MARKET_ID,
+      img: true,
+      marketDefinition: marketDefinition(),
+      rc: [
+        {
+          id: SELECTION_ID,
+          batb: [[0, 40.5, 120], [1, 39.5, 50]],
+          batl: [[0, 41.5, 95]],
+          ltp: 40.5,
+          tv: 1500,
+          trd: [[40.5, 1500]],
+        },
+      ],
+    },
+    1000
+  );
+}
+
+test("image populates best prices, ladders and traded volume", () => {
+  const cache = createMarketCache();
+  image(cache);
+
+  const prices = cache.getRunnerPrices(MARKET_ID, SELECTION_ID);
+  assert.deepEqual(prices.bestBack, { level: 0, price: 40.5, size: 120 });
+  assert.deepEqual(prices.bestLay, { level: 0, price: 41.5, size: 95 });
+  assert.equal(prices.availableToBack.length, 2);
+  assert.equal(prices.lastTradedPrice, 40.5);
+  assert.deepEqual(cache.getTradedVolume(MARKET_ID, SELECTION_ID), [[40.5, 1500]]);
+});
+
+test("deltas merge into the existing ladder instead of replacing it", () => {
+  const cache = createMarketCache();
+  image(cache);
+
+  // Only the lay side changes - the back ladder must survive
+  cache.applyMarketChange({ id: MARKET_ID, rc: [{ id: SELECTION_ID, batl: [[0, 42.5, 60]] }] }, 2000);
+
+  const prices = cache.getRunnerPrices(MARKET_ID, SELECTION_ID);
+  assert.equal(prices.bestBack.price, 40.5);
+  assert.equal(prices.bestLay.price, 42.5);
+  assert.equal(cache.getMarketSnapshot(MARKET_ID).publishTime, 2000);
+});
+
+test("size 0 removes a level and the next level becomes best", () => {
+  const cache = createMarketCache();
+  image(cache);
+
+  cache.applyMarketChange({ id: MARKET_ID, rc: [{ id: SELECTION_ID, batb: [[0, 40.5, 0]], trd: [[40.5, 0]] }] });
+
+  const prices = cache.getRunnerPrices(MARKET_ID, SELECTION_ID);
+  assert.deepEqual(prices.bestBack, { level: 1, price: 39.5, size: 50 });
+  assert.deepEqual(cache.getTradedVolume(MARKET_ID, SELECTION_ID), []);
+});
+
+test("a new image replaces everything known about the market", () => {
+  const cache = createMarketCache();
+  image(cache);
+
+  cache.applyMarketChange({ id: MARKET_ID, img: true, rc: [{ id: SELECTION_ID, batl: [[0, 50.5, 10]] }] });
+
+  const prices = cache.getRunnerPrices(MARKET_ID, SELECTION_ID);
+  assert.equal(prices.bestBack, null);
+  assert.equal(prices.bestLay.price, 50.5);
+  assert.equal(cache.getMarketDefinition(MARKET_ID), null);
+});
+
+test("snapshot is serializable and removeMarket forgets the market", () => {
+  const cache = createMarketCache();
+  image(cache);
+
+  const snapshot = cache.getMarketSnapshot(MARKET_ID);
+  assert.equal(snapshot.status, "OPEN");
+  assert.deepEqual(structuredClone(snapshot), snapshot);
+
+  cache.removeMarket(MARKET_ID);
+  assert.equal(cache.getMarketSnapshot(MARKET_ID), null);
+  assert.equal(cache.getRunnerPrices(MARKET_ID, SELECTION_ID), null);
+});
@@ -0,0 +1,342 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createMarketProcessor } from "../src/stream/marketProcessor.js";
+import { createStrategy } from "../src/strategies/index.js";
+import { RiskLimitError } from "../src/service/riskManager.js";
+import lineMovement from "../src/strategies/lineMovement.js";
+import { MARKET_ID, SELECTION_ID, marketDefinition, runnerChange } from "./helpers/streamMessages.js";
+
+const QUIET = { log() {}, error() {} };
+
+/**
+ * Processor on a simulated clock, recording everything it emits
+ */
+function setup({ mode = "paper", params = { upThreshold: 3 }, strategy, placeOrders, cancelOrders, cancelUnmatchedAfterMs, disabledSelections } = {}) {
+  const events = [];
+  let clock = 0;
+  const processor = createMarketProcessor({
+    marketId: MARKET_ID,
+    mode,
+    size: 2,
+    disabledSelections,
+    strategy: strategy || createStrategy("lineMovement", lineMovement.validate(params).params),
+    placeOrders,
+    cancelOrders,
+    cancelUnmatchedAfterMs,
+    emit: (type, data) => events.push({ type, ...data }),
+    now: () => clock,
+    logger: QUIET,
+  });
+  return {
+    processor,
+    events,
+    tick(ms = 1000) {
+      clock += ms;
+    },
+    ofType: (type) => events.filter((e) => e.type === type),
+  };
+}
+
+function openImage(processor) {
+  return processor.handleMarketChange({
+    id: MARKET_ID,
+    img: true,
+    marketDefinition: marketDefinition("OPEN"),
+    rc: [runnerChange(40.5, 41.5, { ltp: 40.5 })],
+  });
+}
+
+test("a ball is counted on every SUSPENDED -> OPEN transition", () => {
+  const { processor, ofType } = setup();
+  openImage(processor);
+
+  processor.handleMarketChange({ id: MARKET_ID, marketDefinition: marketDefinition("SUSPENDED") });
+  assert.equal(processor.getBallCount(), 0);
+  processor.handleMarketChange({ id: MARKET_ID, marketDefinition: marketDefinition("OPEN") });
+  // OPEN -> OPEN is not a ball
+  processor.handleMarketChange({ id: MARKET_ID, marketDefinition: marketDefinition("OPEN") });
+  processor.handleMarketChange({ id: MARKET_ID, marketDefinition: marketDefinition("SUSPENDED") });
+  processor.handleMarketChange({ id: MARKET_ID, marketDefinition: marketDefinition("OPEN") });
+
+  assert.equal(processor.getBallCount(), 2);
+  assert.deepEqual(ofType("ballCompleted").map((e) => e.ballCount), [1, 2]);
+});
+
+test("each ball records its suspension and the line before and after it", () => {
+  const { processor, ofType, tick } = setup();
+  openImage(processor);
+
+  tick();
+  processor.handleMarketChange({ id: MARKET_ID, marketDefinition: marketDefinition("SUSPENDED") });
+  tick(6000);
+  processor.handleMarketChange({ id: MARKET_ID, marketDefinition: marketDefinition("OPEN") });
+
+  const [{ ball }] = ofType("ballCompleted");
+  assert.equal(ball.ballNumber, 1);
+  assert.equal(ball.suspensionMs, 6000);
+  assert.deepEqual(ball.runners, [{ selectionId: SELECTION_ID, lineBefore: 40.5, lineAfter: null, change: null }]);
+
+  // The first prices after the reopening are the line after
+  tick();
+  processor.handleMarketChange({ id: MARKET_ID, rc: [runnerChange(43, 44)] });
+  assert.deepEqual(ofType("ballLines").map((e) => e.ball.runners[0]), [
+    { selectionId: SELECTION_ID, lineBefore: 40.5, lineAfter: 43, change: 2.5 },
+  ]);
+  processor.handleMarketChange({ id: MARKET_ID, rc: [runnerChange(45, 46)] });
+  assert.equal(ofType("ballLines").length, 1);
+
+  const state = processor.getMatchState();
+  assert.equal(state.marketId, MARKET_ID);
+  assert.equal(state.ballCount, 1);
+  assert.equal(state.balls[0].runners[0].lineAfter, 43);
+  assert.deepEqual(structuredClone(state), state);
+});
+
+test("CLOSED stops processing and settles paper bets", () => {
+  const { processor, ofType, tick } = setup();
+  openImage(processor);
+  tick();
+  processor.handleMarketChange({ id: MARKET_ID, rc: [runnerChange(43.5, 44.5, { ltp: 43.5 })] });
+
+  assert.equal(processor.paperMatcher.getReport().totals.bets, 1);
+
+  assert.equal(processor.handleMarketChange({ id: MARKET_ID, marketDefinition: marketDefinition("CLOSED") }), false);
+  assert.equal(processor.isActive(), false);
+  assert.equal(ofType("marketClosed").length, 1);
+
+  const report = ofType("paperUpdate").at(-1).paper;
+  assert.equal(report.settlement.estimated, true);
+  assert.equal(report.settlement.result, 43.5);
+
+  // Nothing is processed after close
+  assert.equal(processor.handleMarketChange({ id: MARKET_ID, rc: [runnerChange(50.5, 51.5)] }), false);
+});
+
+test("other markets are ignored", () => {
+  const { processor, events } = setup();
+  assert.equal(processor.handleMarketChange({ id: "1.other", marketDefinition: marketDefinition("CLOSED") }), true);
+  processor.handleOrderChange({ id: "1.other", orc: [] });
+  assert.deepEqual(events, []);
+});
+
+test("live intents go to placeOrders with the bot size", async () => {
+  const calls = [];
+  const { processor, tick } = setup({
+    mode: "live",
+    placeOrders: async (marketId, instructions) => {
+      calls.push({ marketId, instructions });
+      return { status: "SUCCESS" };
+    },
+  });
+  openImage(processor);
+  tick();
+  processor.handleMarketChange({ id: MARKET_ID, rc: [runnerChange(43.5, 44.5)] });
+  await new Promise((resolve) => setImmediate(resolve));
+
+  assert.equal(calls.length, 1);
+  assert.equal(calls[0].marketId, MARKET_ID);
+  assert.deepEqual(calls[0].instructions[0], {
+    selectionId: SELECTION_ID,
+    side: "BACK",
+    size: 2,
+    limitOrder: { price: 43.5, persistenceType: "PERSIST" },
+  });
+});
+
+test("a bet still in flight is not placed twice at the same price", async () => {
+  let release;
+  const calls = [];
+  const intent = { selectionId: SELECTION_ID, side: "BACK", price: 43.5, reason: "test" };
+  const { processor, tick } = setup({
+    mode: "live",
+    strategy: { onMarketUpdate: () => [intent], onBall: () => [], onOrderUpdate: () => [] },
+    placeOrders: (marketId, instructions) => {
+      calls.push(instructions);
+      return new Promise((resolve) => {
+        release = resolve;
+      });
+    },
+  });
+
+  openImage(processor);
+  tick();
+  processor.handleMarketChange({ id: MARKET_ID, rc: [runnerChange(43.5, 44.5)] });
+  assert.equal(calls.length, 1);
+
+  release({ status: "SUCCESS" });
+  await new Promise((resolve) => setImmediate(resolve));
+  processor.handleMarketChange({ id: MARKET_ID, rc: [runnerChange(43.5, 44.5)] });
+  assert.equal(calls.length, 2);
+});
+
+test("placements are reported as betPlaced, betFailed or riskRejected", async () => {
+  const intent = { selectionId: SELECTION_ID, side: "BACK", price: 43.5, reason: "test" };
+  const answers = [
+    async () => ({ result: { status: "SUCCESS", instructionReports: [{ status: "SUCCESS", betId: "1", sizeMatched: 0 }] } }),
+    async () => ({ result: { status: "FAILURE", errorCode: "INSUFFICIENT_FUNDS", instructionReports: [] } }),
+    async () => {
+      throw new RiskLimitError(MARKET_ID, ["Kill switch is on"]);
+    },
+  ];
+  const { processor, tick, ofType } = setup({
+    mode: "live",
+    strategy: { onMarketUpdate: () => [intent], onBall: () => [], onOrderUpdate: () => [] },
+    placeOrders: () => answers.shift()(),
+  });
+  processor.handleMarketChange({ id: MARKET_ID, img: true, marketDefinition: marketDefinition("OPEN") });
+
+  for (let i = 0; i < 3; i++) {
+    tick();
+    processor.handleMarketChange({ id: MARKET_ID, rc: [runnerChange(43.5, 44.5)] });
+    await new Promise((resolve) => setImmediate(resolve));
+  }
+
+  assert.deepEqual(ofType("betPlaced").map((e) => [e.bet.betId, e.bet.side, e.bet.price, e.bet.mode]), [["1", "BACK", 43.5, "live"]]);
+  assert.equal(ofType("betFailed")[0].error, "INSUFFICIENT_FUNDS");
+  assert.deepEqual(ofType("riskRejected")[0].reasons, ["Kill switch is on"]);
+});
+
+test("disabled selections keep feeding the strategy but never bet", () => {
+  const { processor, tick, ofType } = setup({ disabledSelections: [SELECTION_ID] });
+  openImage(processor);
+  tick();
+  processor.handleMarketChange({ id: MARKET_ID, rc: [runnerChange(43.5, 44.5)] });
+  assert.equal(processor.paperMatcher.getReport().totals.bets, 0);
+  assert.ok(ofType("priceUpdate").length > 0);
+
+  processor.setSelectionEnabled(SELECTION_ID, true);
+  tick();
+  processor.handleMarketChange({ id: MARKET_ID, rc: [runnerChange(44.5, 45.5)] });
+  assert.equal(processor.paperMatcher.getReport().totals.bets, 1);
+});
+
+test("order changes for the market are merged and emitted", () => {
+  const { processor, ofType } = setup();
+  processor.handleOrderChange({
+    id: MARKET_ID,
+    orc: [{ id: SELECTION_ID, uo: [{ id: "1", p: 44.5, s: 2, side: "B", status: "E", sm: 0, sr: 2 }] }],
+  });
+  assert.equal(ofType("orderUpdate")[0].orders.totals.unmatchedOrders, 1);
+});
+
+test("a watch reports no orders or paper bets of the account", () => {
+  const events = [];
+  const watcher = createMarketProcessor({ marketId: MARKET_ID, strategy: null, emit: (type) => events.push(type), logger: QUIET });
+  openImage(watcher);
+  watcher.handleOrderChange({
+    id: MARKET_ID,
+    orc: [{ id: SELECTION_ID, uo: [{ id: "1", p: 44.5, s: 2, side: "B", status: "E", sm: 0, sr: 2 }] }],
+  });
+  watcher.handleMarketChange({ id: MARKET_ID, rc: [runnerChange(41.5, 42.5)] });
+
+  assert.ok(events.includes("priceUpdate"));
+  assert.ok(!events.includes("orderUpdate"));
+  assert.ok(!events.includes("paperUpdate"));
+});
+
+/**
+ * Strategy that asks for one bet on the first price update
+ */
+function oneBet(intent) {
+  let sent = false;
+  return {
+    onMarketUpdate: () => (sent ? [] : ((sent = true), [intent])),
+    onBall: () => [],
+    onOrderUpdate: () => [],
+  };
+}
+
+function streamOrder(id, fields) {
+  return { id: MARKET_ID, orc: [{ id: SELECTION_ID, uo: [{ id, p: 50.5, s: 2, side: "B", sm: 0, ...fields }] }] };
+}
+
+test("the bot's own live bets are cancelled once unmatched for too long", async () => {
+  const cancels = [];
+  const { processor, tick } = setup({
+    mode: "live",
+    cancelUnmatchedAfterMs: 5000,
+    strategy: oneBet({ selectionId: SELECTION_ID, side: "BACK", price: 50.5, reason: "test" }),
+    placeOrders: async () => ({ result: { status: "SUCCESS", instructionReports: [{ status: "SUCCESS", betId: "77" }] } }),
+    cancelOrders: async (marketId, instructions, meta) => {
+      cancels.push({ marketId, instructions, meta });
+      return { result: { status: "SUCCESS" } };
+    },
+  });
+  openImage(processor);
+  await new Promise((resolve) => setImmediate(resolve));
+
+  // Not on the Order Stream yet, and a manual bet on the same market
+  tick(6000);
+  assert.deepEqual(await processor.cancelStaleOrders(), []);
+  processor.handleOrderChange(streamOrder("77", { status: "E", sr: 2 }));
+  processor.handleOrderChange(streamOrder("88", { status: "E", sr: 2 }));
+
+  assert.deepEqual(await processor.cancelStaleOrders(), ["77"]);
+  assert.deepEqual(cancels, [{ marketId: MARKET_ID, instructions: [{ betId: "77" }], meta: { reason: "Unmatched for 5000ms" } }]);
+
+  // Once the stream shows it cancelled it is forgotten
+  processor.handleOrderChange(streamOrder("77", { status: "EC", sr: 0, sc: 2 }));
+  tick(6000);
+  assert.deepEqual(await processor.cancelStaleOrders(), []);
+  assert.equal(cancels.length, 1);
+});
+
+test("bets that match in time are never cancelled", async () => {
+  const cancels = [];
+  const { processor, tick } = setup({
+    mode: "live",
+    cancelUnmatchedAfterMs: 5000,
+    strategy: oneBet({ selectionId: SELECTION_ID, side: "BACK", price: 50.5, reason: "test" }),
+    placeOrders: async () => ({ result: { status: "SUCCESS", instructionReports: [{ status: "SUCCESS", betId: "77" }] } }),
+    cancelOrders: async (marketId, instructions) => cancels.push(instructions),
+  });
+  openImage(processor);
+  await new Promise((resolve) => setImmediate(resolve));
+
+  tick(4000);
+  processor.handleOrderChange(streamOrder("77", { status: "E", sr: 2 }));
+  assert.deepEqual(await processor.cancelStaleOrders(), []);
+  processor.handleOrderChange(streamOrder("77", { status: "EC", sm: 2, sr: 0 }));
+  tick(4000);
+  assert.deepEqual(await processor.cancelStaleOrders(), []);
+  assert.equal(cancels.length, 0);
+});
+
+test("paper bets left unmatched are cancelled in the matcher", async () => {
+  const { processor, tick, ofType } = setup({
+    cancelUnmatchedAfterMs: 5000,
+    strategy: oneBet({ selectionId: SELECTION_ID, side: "BACK", price: 50.5, reason: "test" }),
+  });
+  openImage(processor);
+  const [bet] = processor.paperMatcher.getReport().bets;
+  assert.equal(bet.status, "EXECUTABLE");
+
+  tick(5000);
+  assert.deepEqual(await processor.cancelStaleOrders(), [bet.betId]);
+  const [cancelled] = ofType("paperUpdate").at(-1).paper.bets;
+  assert.equal(cancelled.status, "EXECUTION_COMPLETE");
+  assert.equal(cancelled.sizeCancelled, 2);
+  assert.equal(cancelled.sizeRemaining, 0);
+});
+
+test("getSnapshot reports runners, balls and the strategy view, or no strategy when only watching", () => {
+  const { processor } = setup();
+  openImage(processor);
+  processor.handleMarketChange({ id: MARKET_ID, marketDefinition: marketDefinition("SUSPENDED") });
+  processor.handleMarketChange({ id: MARKET_ID, marketDefinition: marketDefinition("OPEN") });
+
+  const snapshot = processor.getSnapshot();
+  assert.equal(snapshot.status, "OPEN");
+  assert.equal(snapshot.ballCount, 1);
+  assert.equal(snapshot.runners[0].bestBack.price, 40.5);
+  assert.equal(snapshot.runners[0].lastTradedPrice, 40.5);
+  assert.equal(snapshot.runners[0].enabled, true);
+  assert.equal(snapshot.strategy.selections[0].selectionId, SELECTION_ID);
+  // A snapshot goes through postMessage
+  assert.deepEqual(structuredClone(snapshot), snapshot);
+
+  const watcher = createMarketProcessor({ marketId: MARKET_ID, strategy: null, logger: QUIET });
+  openImage(watcher);
+  assert.equal(watcher.getSnapshot().runners.length, 1);
+  assert.equal(watcher.getSnapshot().strategy, null);
+});
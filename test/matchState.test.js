@@ -0,0 +1,61 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createMatchState } from "../src/state/matchState.js";
+
+function bowl(match, at, before, after, suspensionMs = 5000) {
+  match.startBall({ at, lines: [{ selectionId: 1, line: before }] });
+  const ball = match.completeBall({ at: at + suspensionMs });
+  match.recordLines([{ selectionId: 1, line: after }]);
+  return ball;
+}
+
+test("a suspension and reopening make a ball with its lines and duration", () => {
+  const match = createMatchState({ marketId: "1.1" });
+  assert.equal(match.completeBall({ at: 0 }), null);
+
+  match.startBall({ at: 1000, lines: [{ selectionId: 1, line: 42.5 }, { selectionId: 2, line: null }] });
+  // A second suspension message does not restart the ball
+  match.startBall({ at: 2000, lines: [] });
+  assert.equal(match.isBallInProgress(), true);
+  assert.equal(match.getState().suspendedAt, new Date(1000).toISOString());
+  // No line after while the ball is in progress
+  assert.equal(match.recordLines([{ selectionId: 1, line: 50 }]), null);
+
+  const ball = match.completeBall({ at: 7500 });
+  assert.deepEqual(ball, {
+    ballNumber: 1,
+    suspendedAt: new Date(1000).toISOString(),
+    reopenedAt: new Date(7500).toISOString(),
+    suspensionMs: 6500,
+    runners: [
+      { selectionId: 1, lineBefore: 42.5, lineAfter: null, change: null },
+      { selectionId: 2, lineBefore: null, lineAfter: null, change: null },
+    ],
+  });
+
+  // The first prices after the reopening are the line after, later ones do not move it
+  assert.equal(match.recordLines([{ selectionId: 1, line: 44 }, { selectionId: 2, line: null }]), ball);
+  assert.equal(match.recordLines([{ selectionId: 1, line: 46 }]), null);
+  assert.deepEqual(ball.runners[0], { selectionId: 1, lineBefore: 42.5, lineAfter: 44, change: 1.5 });
+  assert.equal(match.getBallCount(), 1);
+});
+
+test("line movement spans the last N balls and the record is capped", () => {
+  const match = createMatchState({ marketId: "1.1", maxBalls: 3 });
+  bowl(match, 0, 40, 41);
+  bowl(match, 10000, 41, 43.5);
+  assert.equal(match.getLineMovement(3, 1), null);
+
+  bowl(match, 20000, 43.5, 43);
+  assert.deepEqual(match.getLineMovement(2, 1), { balls: 2, from: 41, to: 43, movement: 2 });
+  assert.deepEqual(match.getLineMovement(3, 1), { balls: 3, from: 40, to: 43, movement: 3 });
+  assert.equal(match.getLineMovement(3, 99), null);
+  assert.deepEqual(match.getLastNBalls(0), []);
+
+  bowl(match, 30000, 43, 42);
+  const state = match.getState({ last: 2 });
+  assert.equal(state.ballCount, 4);
+  assert.equal(state.ballInProgress, false);
+  assert.deepEqual(state.balls.map((b) => b.ballNumber), [3, 4]);
+  assert.deepEqual(match.getState().balls.map((b) => b.ballNumber), [2, 3, 4]);
+});
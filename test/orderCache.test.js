@@ -0,0 +1,49 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createOrderCache } from "../src/stream/orderCache.js";
+import { MARKET_ID, SELECTION_ID } from "./helpers/streamMessages.js";
+
+function order(id, overrides = {}) {
+  return { id, p: 44.5, s: 2, side: "B", status: "E", pt: "P", ot: "L", pd: 1000, sm: 0, sr: 2, ...overrides };
+}
+
+test("unmatched orders are tracked and replaced by bet id", () => {
+  const cache = createOrderCache();
+  cache.applyOrderChange({ id: MARKET_ID, orc: [{ id: SELECTION_ID, uo: [order("1"), order("2", { side: "L", p: 41.5 })] }] });
+
+  let orders = cache.getMarketOrders(MARKET_ID);
+  assert.equal(orders.totals.unmatchedOrders, 2);
+  assert.equal(orders.totals.sizeRemaining, 4);
+  assert.equal(orders.selections[0].unmatched[1].side, "LAY");
+
+  // Bet 1 fully matched
+  cache.applyOrderChange({
+    id: MARKET_ID,
+    orc: [{ id: SELECTION_ID, uo: [order("1", { status: "EC", sm: 2, sr: 0, avp: 44.5 })], mb: [[44.5, 2]] }],
+  });
+
+  orders = cache.getMarketOrders(MARKET_ID);
+  assert.equal(orders.totals.unmatchedOrders, 1);
+  assert.deepEqual(orders.selections[0].matched.back, { size: 2, averagePrice: 44.5 });
+  assert.equal(orders.selections[0].orders.find((o) => o.betId === "1").status, "EXECUTION_COMPLETE");
+});
+
+test("matched ladders give a size-weighted average and size 0 removes a point", () => {
+  const cache = createOrderCache();
+  cache.applyOrderChange({ id: MARKET_ID, orc: [{ id: SELECTION_ID, ml: [[40.5, 1], [42.5, 3]] }] });
+  assert.deepEqual(cache.getMarketOrders(MARKET_ID).selections[0].matched.lay, { size: 4, averagePrice: 42 });
+
+  cache.applyOrderChange({ id: MARKET_ID, orc: [{ id: SELECTION_ID, ml: [[42.5, 0]] }] });
+  assert.deepEqual(cache.getMarketOrders(MARKET_ID).selections[0].matched.lay, { size: 1, averagePrice: 40.5 });
+});
+
+test("fullImage replaces the market and closed is reported", () => {
+  const cache = createOrderCache();
+  cache.applyOrderChange({ id: MARKET_ID, orc: [{ id: SELECTION_ID, uo: [order("1")] }] });
+  cache.applyOrderChange({ id: MARKET_ID, fullImage: true, closed: true, orc: [] });
+
+  const orders = cache.getMarketOrders(MARKET_ID);
+  assert.equal(orders.closed, true);
+  assert.deepEqual(orders.selections, []);
+  assert.equal(cache.getMarketOrders("1.unknown"), null);
+});
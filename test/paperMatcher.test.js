@@ -0,0 +1,107 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createMarketCache } from "../src/stream/marketCache.js";
+import { createPaperMatcher } from "../src/service/paperMatcher.js";
+import { lineBetProfit } from "../src/utils/lineMarket.js";
+import { MARKET_ID, SELECTION_ID, runnerChange } from "./helpers/streamMessages.js";
+
+function setup(back = 40.5, lay = 41.5, sizes = {}) {
+  const marketCache = createMarketCache();
+  marketCache.applyMarketChange({ id: MARKET_ID, img: true, rc: [runnerChange(back, lay, sizes)] });
+  return { marketCache, matcher: createPaperMatcher({ marketCache }) };
+}
+
+function instruction(side, price, size = 2) {
+  return { selectionId: SELECTION_ID, side, size, limitOrder: { price } };
+}
+
+test("line bets win or lose exactly the stake", () => {
+  assert.equal(lineBetProfit("BACK", 45.5, 2, 44), 2);
+  assert.equal(lineBetProfit("BACK", 45.5, 2, 46), -2);
+  assert.equal(lineBetProfit("LAY", 45.5, 2, 46), 2);
+  assert.equal(lineBetProfit("LAY", 45.5, 2, 45.5), -2);
+});
+
+test("orders crossing the book fill immediately at the better price", () => {
+  const { matcher } = setup();
+  const response = matcher.placeOrders(MARKET_ID, [instruction("BACK", 39.5)], { now: 0 });
+
+  assert.equal(response.paper, true);
+  assert.equal(response.instructionReports[0].orderStatus, "EXECUTION_COMPLETE");
+  assert.equal(response.instructionReports[0].averagePriceMatched, 40.5);
+  assert.match(response.instructionReports[0].betId, /^PAPER-1\.900000001-/);
+});
+
+test("fills are capped by the size available at the level", () => {
+  const { matcher } = setup(40.5, 41.5, { laySize: 1 });
+  matcher.placeOrders(MARKET_ID, [instruction("LAY", 41.5, 3)], { now: 0 });
+
+  const [bet] = matcher.getReport().bets;
+  assert.equal(bet.sizeMatched, 1);
+  assert.equal(bet.sizeRemaining, 2);
+  assert.equal(bet.status, "EXECUTABLE");
+});
+
+test("bets share the size at a level until the stream updates it", () => {
+  const { marketCache, matcher } = setup(40.5, 41.5, { laySize: 3 });
+  matcher.placeOrders(MARKET_ID, [instruction("LAY", 41.5, 2), instruction("LAY", 41.5, 2)], { now: 0 });
+
+  const [first, second] = matcher.getReport().bets;
+  assert.equal(first.sizeMatched, 2);
+  assert.equal(second.sizeMatched, 1);
+  assert.equal(second.sizeRemaining, 1);
+
+  // Nothing new at the level - the remainder keeps resting
+  assert.equal(matcher.onMarketUpdate(MARKET_ID, 1000), 0);
+
+  marketCache.applyMarketChange({ id: MARKET_ID, rc: [runnerChange(40.5, 41.5, { laySize: 5 })] });
+  assert.equal(matcher.onMarketUpdate(MARKET_ID, 2000), 1);
+  assert.equal(matcher.getReport().bets[1].sizeMatched, 2);
+});
+
+test("resting orders fill when the book crosses or volume trades at the price", () => {
+  const { marketCache, matcher } = setup();
+  matcher.placeOrders(MARKET_ID, [instruction("BACK", 42.5), instruction("LAY", 39.5)], { now: 0 });
+  assert.equal(matcher.getReport().totals.sizeMatched, 0);
+
+  marketCache.applyMarketChange({ id: MARKET_ID, rc: [runnerChange(42.5, 43.5)] });
+  assert.equal(matcher.onMarketUpdate(MARKET_ID, 1000), 1);
+
+  marketCache.applyMarketChange({ id: MARKET_ID, rc: [{ id: SELECTION_ID, trd: [[39.5, 5]] }] });
+  assert.equal(matcher.onMarketUpdate(MARKET_ID, 2000), 1);
+
+  assert.equal(matcher.getReport().totals.sizeMatched, 4);
+  assert.equal(matcher.getReport().totals.sizeRemaining, 0);
+});
+
+test("volume traded at a price fills the bets resting there oldest first", () => {
+  const { marketCache, matcher } = setup();
+  matcher.placeOrders(MARKET_ID, [instruction("LAY", 39.5), instruction("LAY", 39.5)], { now: 0 });
+
+  marketCache.applyMarketChange({ id: MARKET_ID, rc: [{ id: SELECTION_ID, trd: [[39.5, 3]] }] });
+  assert.equal(matcher.onMarketUpdate(MARKET_ID, 1000), 2);
+  const [first, second] = matcher.getReport().bets;
+  assert.equal(first.sizeMatched, 2);
+  assert.equal(second.sizeMatched, 1);
+
+  // A bet placed now queues behind the second one
+  matcher.placeOrders(MARKET_ID, [instruction("LAY", 39.5)], { now: 2000 });
+  marketCache.applyMarketChange({ id: MARKET_ID, rc: [{ id: SELECTION_ID, trd: [[39.5, 5]] }] });
+  assert.equal(matcher.onMarketUpdate(MARKET_ID, 3000), 2);
+
+  const bets = matcher.getReport().bets;
+  assert.equal(bets[1].sizeMatched, 2);
+  assert.equal(bets[2].sizeMatched, 1);
+  assert.equal(matcher.getReport().totals.sizeMatched, 5);
+});
+
+test("settle fixes P&L and lapses unmatched remainders", () => {
+  const { matcher } = setup();
+  matcher.placeOrders(MARKET_ID, [instruction("BACK", 40.5), instruction("LAY", 41.5), instruction("BACK", 50.5)], { now: 0 });
+
+  const report = matcher.settle(45, { now: 0 });
+  assert.deepEqual(report.bets.map((b) => b.profit), [-2, 2, 0]);
+  assert.equal(report.bets[2].status, "LAPSED");
+  assert.equal(report.pnl.settled, 0);
+  assert.deepEqual(report.settlement, { result: 45, estimated: false, settledAt: new Date(0).toISOString() });
+});
@@ -0,0 +1,89 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { analyseClearedOrders, formatGroupedItems, priceBand } from "../src/service/pnlAnalytics.js";
+
+function bet(overrides = {}) {
+  return {
+    eventId: "1",
+    marketId: "1.1",
+    side: "BACK",
+    priceMatched: 44.5,
+    sizeSettled: 2,
+    profit: 2,
+    betOutcome: "WON",
+    settledDate: "2026-01-01T11:30:00.000Z",
+    ...overrides,
+  };
+}
+
+test("price bands are half-open ranges of the configured width", () => {
+  assert.deepEqual(priceBand(45.5), { key: "40-50", from: 40, to: 50 });
+  assert.deepEqual(priceBand(50), { key: "50-60", from: 50, to: 60 });
+  assert.deepEqual(priceBand(152.5, 25), { key: "150-175", from: 150, to: 175 });
+  assert.equal(priceBand(undefined).key, "unknown");
+});
+
+test("totals include commission, ROI and strike rate", () => {
+  const { totals } = analyseClearedOrders(
+    [bet(), bet({ side: "LAY", profit: -3, sizeSettled: 3, betOutcome: "LOST" }), bet({ marketId: "1.2", profit: 4 })],
+    { commissionByMarket: new Map([["1.1", 0.1], ["1.2", 0.2], ["1.9", 5]]) }
+  );
+
+  assert.deepEqual(totals, {
+    bets: 3,
+    won: 2,
+    lost: 1,
+    turnover: 7,
+    profit: 3,
+    commission: 0.3, // markets without bets in the selection are ignored
+    netProfit: 2.7,
+    roi: 38.57,
+    strikeRate: 66.67,
+  });
+});
+
+test("commission is only attached to market and event rows", () => {
+  const { breakdowns } = analyseClearedOrders(
+    [bet(), bet({ eventId: "2", marketId: "2.1", profit: -2, betOutcome: "LOST" })],
+    { commissionByMarket: new Map([["1.1", 0.1], ["2.1", 0]]) }
+  );
+
+  assert.deepEqual(breakdowns.market.map((row) => [row.key, row.eventId, row.commission, row.netProfit]), [
+    ["1.1", "1", 0.1, 1.9],
+    ["2.1", "2", 0, -2],
+  ]);
+  assert.deepEqual(breakdowns.event.map((row) => [row.key, row.commission]), [["1", 0.1], ["2", 0]]);
+  assert.ok(breakdowns.side.every((row) => row.commission === null));
+});
+
+test("day and price band rows are in order, other rows by net profit", () => {
+  const { breakdowns } = analyseClearedOrders(
+    [
+      bet({ settledDate: "2026-01-03T10:00:00.000Z", priceMatched: 61.5, profit: -1, betOutcome: "LOST" }),
+      bet({ settledDate: "2026-01-01T10:00:00.000Z", priceMatched: 38.5, side: "LAY" }),
+      bet({ settledDate: "2026-01-02T10:00:00.000Z", priceMatched: undefined, priceRequested: 44.5, profit: 5 }),
+    ],
+    { breakdowns: ["day", "priceBand", "side"], priceBandWidth: 20 }
+  );
+
+  assert.deepEqual(Object.keys(breakdowns), ["day", "priceBand", "side"]);
+  assert.deepEqual(breakdowns.day.map((row) => row.key), ["2026-01-01", "2026-01-02", "2026-01-03"]);
+  assert.deepEqual(breakdowns.priceBand.map((row) => row.key), ["20-40", "40-60", "60-80"]);
+  assert.deepEqual(breakdowns.side.map((row) => [row.key, row.profit]), [["BACK", 4], ["LAY", 2]]);
+});
+
+test("no bets gives empty breakdowns and no ratios", () => {
+  const { totals, breakdowns } = analyseClearedOrders([]);
+  assert.equal(totals.bets, 0);
+  assert.equal(totals.roi, null);
+  assert.equal(totals.strikeRate, null);
+  assert.deepEqual(breakdowns.event, []);
+});
+
+test("Betfair-grouped items get net figures", () => {
+  const [row] = formatGroupedItems([{ eventTypeId: "4", eventId: "1", marketId: "1.1", betCount: 4, profit: 10, commission: 0.5, sizeSettled: 8 }]);
+  assert.equal(row.bets, 4);
+  assert.equal(row.netProfit, 9.5);
+  assert.equal(row.roi, 118.75);
+  assert.equal(row.side, null);
+});
@@ -0,0 +1,59 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import zlib from "zlib";
+import { runBacktest, runBacktestFile } from "../src/backtest/replay.js";
+import { MARKET_ID, marketDefinition, mcm, runnerChange } from "./helpers/streamMessages.js";
+
+/**
+ * Line rises 40.5 -> 43.5 over two seconds, then the market closes at 44.5
+ */
+function recordedLines() {
+  return [
+    { op: "connection", connectionId: "test" },
+    mcm({ img: true, marketDefinition: marketDefinition("OPEN"), rc: [runnerChange(40.5, 41.5, { ltp: 40.5 })] }, { pt: 1000 }),
+    mcm({ rc: [runnerChange(42.5, 43.5)] }, { pt: 2000 }),
+    mcm({ rc: [runnerChange(43.5, 44.5, { ltp: 44.5 })] }, { pt: 3000 }),
+    mcm({ marketDefinition: marketDefinition("CLOSED") }, { pt: 4000 }),
+  ].map((message) => JSON.stringify(message));
+}
+
+test("replays a recording on simulated time and settles against the given result", async () => {
+  const report = await runBacktest({ lines: recordedLines(), params: { upThreshold: 3 }, size: 5, result: 40 });
+
+  assert.equal(report.marketId, MARKET_ID);
+  assert.equal(report.messages, 4);
+  assert.equal(report.from, new Date(1000).toISOString());
+  assert.equal(report.bets.length, 1);
+  assert.equal(report.bets[0].side, "BACK");
+  assert.equal(report.bets[0].time, new Date(3000).toISOString());
+  assert.deepEqual(report.summary, { bets: 1, matchedBets: 1, won: 1, lost: 0, turnover: 5, pnl: 5 });
+});
+
+test("without a result the last traded line is used as an estimate", async () => {
+  const report = await runBacktest({ lines: recordedLines(), params: { upThreshold: 3 } });
+  assert.equal(report.settlement.estimated, true);
+  assert.equal(report.settlement.result, 44.5);
+  assert.equal(report.summary.pnl, -1);
+});
+
+test("rejects invalid parameters and missing markets", async () => {
+  await assert.rejects(runBacktest({ lines: recordedLines(), params: { upThreshold: 0 } }), /Invalid strategy parameters/);
+  await assert.rejects(runBacktest({ lines: recordedLines(), marketId: "1.nope" }), /No data for market 1.nope/);
+});
+
+test("reads plain and gzipped recordings from disk", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "replay-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const plain = path.join(dir, "market.jsonl");
+  const gzipped = path.join(dir, "market.jsonl.gz");
+  fs.writeFileSync(plain, recordedLines().join("\n") + "\n");
+  fs.writeFileSync(gzipped, zlib.gzipSync(fs.readFileSync(plain)));
+
+  const fromPlain = await runBacktestFile(plain, { params: { upThreshold: 3 }, result: 40 });
+  const fromGzip = await runBacktestFile(gzipped, { params: { upThreshold: 3 }, result: 40 });
+  assert.deepEqual(fromGzip.summary, fromPlain.summary);
+});
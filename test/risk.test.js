@@ -0,0 +1,204 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { ADMIN, USER, fastScenario, startApp, waitFor } from "./helpers/betfairEnv.js";
+import { MARKET_ID, SELECTION_ID } from "./helpers/streamMessages.js";
+
+/**
+ * Risk routes: limits and the kill switch stop manual and bot orders before Betfair,
+ * and POST /bot/stop-all halts everything
+ */
+
+const REPLACE_MARKET_ID = "1.900000003";
+const ODDS_MARKET_ID = "1.900000004";
+
+/**
+ * Default scenario plus a second line market and an odds market to check liability on
+ */
+function scenario() {
+  const base = fastScenario();
+  const [line] = base.marketCatalogue;
+  base.marketCatalogue.push(
+    { ...line, marketId: REPLACE_MARKET_ID },
+    { ...line, marketId: ODDS_MARKET_ID, marketName: "Match Odds", description: { bettingType: "ODDS", marketType: "MATCH_ODDS" } }
+  );
+  return base;
+}
+
+let harness;
+let request;
+
+before(async () => {
+  harness = await startApp({ user: ADMIN, scenario: scenario() });
+  request = harness.request;
+});
+
+after(async () => {
+  await request("POST", "/bot/stop", { body: { marketId: MARKET_ID } });
+  await harness.close();
+});
+
+const LAY_INSTRUCTION = { selectionId: SELECTION_ID, side: "LAY", size: 3, limitOrder: { price: 41.5 } };
+
+test("POST /risk/limits and /risk/kill-switch validate their input", async () => {
+  for (const [path, body, message] of [
+    ["/risk/limits", {}, /at least one/],
+    ["/risk/limits", { maxStake: 5 }, /Unknown limit 'maxStake'/],
+    ["/risk/limits", { maxStakePerBet: -1 }, /positive number or null/],
+    ["/risk/limits", { maxBetsPerMarket: 2.5 }, /whole number/],
+    ["/risk/kill-switch", { active: "yes" }, /true or false/],
+  ]) {
+    const response = await request("POST", path, { body });
+    assert.equal(response.status, 400, path);
+    assert.match(response.body.error, message);
+  }
+});
+
+test("the kill switch blocks /place-order until it is turned off", async (t) => {
+  t.mock.method(console, "log", () => {});
+  t.mock.method(console, "error", () => {});
+  const placed = harness.stub.orders.length;
+
+  const on = await request("POST", "/risk/kill-switch", { body: { active: true, reason: "test" } });
+  assert.equal(on.body.killSwitch.active, true);
+
+  const rejected = await request("POST", "/place-order", { body: { marketId: MARKET_ID, instructions: [LAY_INSTRUCTION] } });
+  assert.equal(rejected.status, 403);
+  assert.equal(rejected.body.halt.reason, "test");
+  assert.equal(harness.stub.orders.length, placed);
+
+  await request("POST", "/risk/kill-switch", { body: { active: false } });
+  const accepted = await request("POST", "/place-order", { body: { marketId: MARKET_ID, instructions: [LAY_INSTRUCTION] } });
+  assert.equal(accepted.status, 200);
+  assert.equal(harness.stub.orders.length, placed + 1);
+});
+
+test("a stake limit rejects manual and bot orders and GET /risk lists the rejections", async (t) => {
+  t.mock.method(console, "log", () => {});
+  t.mock.method(console, "error", () => {});
+  const placed = harness.stub.orders.length;
+
+  const { body: limits } = await request("POST", "/risk/limits", { body: { maxStakePerBet: 1 } });
+  assert.equal(limits.limits.maxStakePerBet, 1);
+
+  const manual = await request("POST", "/place-order", { body: { marketId: MARKET_ID, instructions: [LAY_INSTRUCTION] } });
+  assert.equal(manual.status, 403);
+  assert.match(manual.body.reasons[0], /Stake 3 is above the maximum of 1/);
+
+  await request("POST", "/bot/start", { body: { marketId: MARKET_ID, size: 2 } });
+  const botRejection = await waitFor(async () =>
+    (await request("GET", "/risk")).body.events.find((event) => event.event === "rejected" && event.source === "bot")
+  );
+  await request("POST", "/bot/stop", { body: { marketId: MARKET_ID } });
+  assert.ok(botRejection.botId);
+  assert.equal(harness.stub.orders.length, placed);
+
+  const { body: risk } = await request("GET", "/risk");
+  assert.equal(risk.killSwitch.active, false);
+  assert.equal(typeof risk.dailyPnl.net, "number");
+  assert.ok(risk.events.some((event) => event.event === "limits_changed"));
+
+  await request("POST", "/risk/limits", { body: { maxStakePerBet: null } });
+});
+
+test("POST /bot/stop-all stops every bot, cancels live orders and halts trading", async (t) => {
+  t.mock.method(console, "log", () => {});
+  t.mock.method(console, "error", () => {});
+  const PAPER_MARKET_ID = "1.900000002";
+
+  assert.equal((await request("POST", "/bot/stop-all", { body: { cancelOrders: "yes" } })).status, 400);
+
+  await request("POST", "/place-order", { body: { marketId: MARKET_ID, instructions: [LAY_INSTRUCTION] } });
+  const manual = harness.stub.orders.at(-1);
+  await request("POST", "/bot/start", { body: { marketId: MARKET_ID, size: 2 } });
+  await request("POST", "/bot/start", { body: { marketId: PAPER_MARKET_ID, mode: "paper" } });
+
+  const { status, body } = await request("POST", "/bot/stop-all", {
+    body: { cancelOrders: true, reason: "Market suspended", triggeredBy: "ops" },
+  });
+  assert.equal(status, 200);
+  assert.equal(body.halt.active, true);
+  assert.equal(body.halt.triggeredBy, "ops");
+  const byMarket = Object.fromEntries(body.markets.map((market) => [market.marketId, market]));
+  assert.equal(byMarket[MARKET_ID].stopped, true);
+  assert.equal(byMarket[MARKET_ID].cancel.status, "SUCCESS");
+  assert.ok(byMarket[MARKET_ID].cancel.cancelled >= 1);
+  assert.equal(byMarket[PAPER_MARKET_ID].cancel, null);
+  assert.equal(manual.status, "EXECUTION_COMPLETE");
+  assert.deepEqual((await request("GET", "/bot/status")).body.activeMarkets, []);
+
+  const { body: audit } = await request("GET", `/bot/audit?marketId=${MARKET_ID}&limit=1`);
+  assert.equal(audit.events[0].event, "stopped");
+  assert.equal(audit.events[0].triggeredBy, "ops");
+  assert.equal(audit.events[0].reason, "Market suspended");
+
+  // Halted until someone clears it
+  assert.equal((await request("POST", "/bot/start", { body: { marketId: MARKET_ID } })).status, 403);
+  const paper = await request("POST", "/place-order", { body: { marketId: MARKET_ID, mode: "paper", instructions: [LAY_INSTRUCTION] } });
+  assert.equal(paper.status, 403);
+
+  const cleared = await request("POST", "/risk/kill-switch", { body: { active: false, triggeredBy: "ops" } });
+  assert.equal(cleared.body.killSwitch.active, false);
+  assert.equal((await request("POST", "/bot/start", { body: { marketId: MARKET_ID, size: 2 } })).status, 200);
+  await request("POST", "/bot/stop", { body: { marketId: MARKET_ID } });
+});
+
+test("POST /bot/stop-all cancels each bot's orders with its own session and reports failures", async (t) => {
+  t.mock.method(console, "log", () => {});
+  t.mock.method(console, "error", () => {});
+  const USER_MARKET_ID = "1.900000002";
+  harness.stub.addSession("user-session");
+
+  assert.equal((await request("POST", "/bot/start", { body: { marketId: MARKET_ID, size: 2 } })).status, 200);
+  const started = await request("POST", "/bot/start", { user: USER, session: "user-session", body: { marketId: USER_MARKET_ID, size: 2 } });
+  assert.equal(started.status, 200);
+
+  // The user's Betfair session is gone - the admin's cannot cancel on their account
+  harness.stub.revokeSession("user-session");
+  const { status, body } = await request("POST", "/bot/stop-all", { session: null, body: { cancelOrders: true } });
+  assert.equal(status, 200);
+  const byMarket = Object.fromEntries(body.markets.map((market) => [market.marketId, market]));
+  assert.equal(byMarket[MARKET_ID].cancel.status, "SUCCESS");
+  assert.equal(byMarket[USER_MARKET_ID].stopped, true);
+  assert.equal(byMarket[USER_MARKET_ID].cancel.status, "FAILURE");
+  assert.deepEqual(body.failed, [USER_MARKET_ID]);
+  assert.match(body.message, /1 bot\(s\) could not be fully stopped/);
+
+  await request("POST", "/risk/kill-switch", { body: { active: false } });
+});
+
+test("a replacement is checked like a new bet at its new price", async (t) => {
+  t.mock.method(console, "log", () => {});
+  t.mock.method(console, "error", () => {});
+  const place = async (side, price) =>
+    (await request("POST", "/place-order", {
+      body: { marketId: REPLACE_MARKET_ID, instructions: [{ selectionId: SELECTION_ID, side, size: 2, limitOrder: { price } }] },
+    })).body.result.instructionReports[0].betId;
+  await place("BACK", 40.5);
+  const layBetId = await place("LAY", 38.5);
+
+  // Back 40.5 and lay 38.5 cannot both lose; with the lay moved up to 45.5 both lose above 40.5
+  await request("POST", "/risk/limits", { body: { maxLiabilityPerMarket: 3 } });
+  t.after(() => request("POST", "/risk/limits", { body: { maxLiabilityPerMarket: null } }));
+  const placed = harness.stub.orders.length;
+
+  const rejected = await request("POST", "/replace-order", { body: { marketId: REPLACE_MARKET_ID, instructions: [{ betId: layBetId, newPrice: 45.5 }] } });
+  assert.equal(rejected.status, 403);
+  assert.match(rejected.body.reasons[0], /Liability on market 1\.900000003 would be 4, above the maximum of 3/);
+  assert.equal(harness.stub.orders.length, placed);
+
+  const moved = await request("POST", "/replace-order", { body: { marketId: REPLACE_MARKET_ID, instructions: [{ betId: layBetId, newPrice: 39.5 }] } });
+  assert.equal(moved.status, 200);
+  assert.equal(harness.stub.orders.at(-1).price, 39.5);
+});
+
+test("liability on an odds market counts a lay at (price - 1) times its stake", async (t) => {
+  t.mock.method(console, "error", () => {});
+  await request("POST", "/risk/limits", { body: { maxLiabilityPerMarket: 10 } });
+  t.after(() => request("POST", "/risk/limits", { body: { maxLiabilityPerMarket: null } }));
+  const order = (side) => ({ marketId: ODDS_MARKET_ID, instructions: [{ selectionId: SELECTION_ID, side, size: 2, limitOrder: { price: 10 } }] });
+
+  const rejected = await request("POST", "/place-order", { body: order("LAY") });
+  assert.equal(rejected.status, 403);
+  assert.match(rejected.body.reasons[0], /Liability on market 1\.900000004 would be 18, above the maximum of 10/);
+  assert.equal((await request("POST", "/place-order", { body: order("BACK") })).status, 200);
+});
@@ -0,0 +1,149 @@
+import { test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { createRiskManager } from "../src/service/riskManager.js";
+import { QUIET_LOGGER, useTempStorage } from "./helpers/betfairEnv.js";
+
+let removeStorage;
+let clock;
+let risk;
+
+beforeEach(() => {
+  removeStorage = useTempStorage();
+  clock = Date.parse("2026-03-01T12:00:00.000Z");
+  risk = createRiskManager({ now: () => clock, logger: QUIET_LOGGER });
+});
+
+afterEach(() => removeStorage());
+
+const LAY = { selectionId: 7, side: "LAY", size: 2, limitOrder: { price: 40.5 } };
+
+function sources({ bets = 0, open = [], cleared = [], bettingType = "LINE" } = {}) {
+  const calls = { cleared: 0 };
+  return {
+    calls,
+    getBettingType: async () => bettingType,
+    countMarketBets: () => bets,
+    listCurrentOrders: async () => open,
+    listClearedOrders: async () => {
+      calls.cleared += 1;
+      return cleared;
+    },
+  };
+}
+
+test("without limits every order is allowed", async () => {
+  assert.deepEqual(await risk.checkOrder({ marketId: "1.1", instructions: [LAY] }, sources()), { allowed: true, reasons: [] });
+  assert.deepEqual(risk.getEvents(), []);
+});
+
+test("stake and bet count limits reject the order and log the rejection", async () => {
+  risk.setLimits({ maxStakePerBet: 1.5, maxBetsPerMarket: 3 });
+
+  const { allowed, reasons } = await risk.checkOrder(
+    { marketId: "1.1", instructions: [LAY] },
+    sources({ bets: 3 }),
+    { source: "bot", botId: "b1" }
+  );
+
+  assert.equal(allowed, false);
+  assert.equal(reasons.length, 2);
+  const [rejected] = risk.getEvents();
+  assert.equal(rejected.event, "rejected");
+  assert.equal(rejected.botId, "b1");
+  assert.deepEqual(rejected.instructions, [{ selectionId: 7, side: "LAY", price: 40.5, size: 2 }]);
+});
+
+test("liability counts open orders and the new ones as if matched", async () => {
+  risk.setLimits({ maxLiabilityPerMarket: 3 });
+  const open = [
+    { marketId: "1.1", selectionId: 7, side: "LAY", priceSize: { price: 40.5, size: 2 }, status: "EXECUTABLE", sizeMatched: 0, sizeRemaining: 2 },
+  ];
+
+  assert.equal((await risk.checkOrder({ marketId: "1.1", instructions: [LAY] }, sources())).allowed, true);
+  const { allowed, reasons } = await risk.checkOrder({ marketId: "1.1", instructions: [LAY] }, sources({ open }));
+  assert.equal(allowed, false);
+  assert.match(reasons[0], /would be 4/);
+});
+
+test("liability on odds markets uses the odds formula and other markets are rejected", async () => {
+  risk.setLimits({ maxLiabilityPerMarket: 10 });
+  const lay = { selectionId: 7, side: "LAY", size: 2, limitOrder: { price: 10 } };
+  const back = { selectionId: 7, side: "BACK", size: 2, limitOrder: { price: 10 } };
+
+  // A lay of 2 at 10.0 loses 18 when the selection wins
+  const { allowed, reasons } = await risk.checkOrder({ marketId: "1.1", instructions: [lay] }, sources({ bettingType: "ODDS" }));
+  assert.equal(allowed, false);
+  assert.match(reasons[0], /would be 18/);
+  assert.equal((await risk.checkOrder({ marketId: "1.1", instructions: [back] }, sources({ bettingType: "ODDS" }))).allowed, true);
+
+  for (const bettingType of ["ASIAN_HANDICAP_DOUBLE_LINE", null]) {
+    const unpriced = await risk.checkOrder({ marketId: "1.1", instructions: [back] }, sources({ bettingType }));
+    assert.equal(unpriced.allowed, false);
+    assert.match(unpriced.reasons[0], /Could not check liability on market 1\.1/);
+  }
+});
+
+test("checks that cannot reach Betfair reject the order", async () => {
+  risk.setLimits({ maxLiabilityPerMarket: 10, maxDailyLoss: 10 });
+  const failing = {
+    ...sources(),
+    listCurrentOrders: async () => { throw new Error("timeout"); },
+    listClearedOrders: async () => { throw new Error("timeout"); },
+  };
+
+  const { allowed, reasons } = await risk.checkOrder({ marketId: "1.1", instructions: [LAY] }, failing);
+  assert.equal(allowed, false);
+  assert.equal(reasons.length, 2);
+});
+
+test("daily loss uses today's P&L after commission and caches it", async () => {
+  risk.setLimits({ maxDailyLoss: 5 });
+  const data = sources({ cleared: [{ profit: -4.5, commission: 0 }, { profit: 1, commission: 0.5 }] });
+
+  assert.equal(await risk.getDailyPnl(data), -4);
+  assert.equal((await risk.checkOrder({ marketId: "1.1", instructions: [LAY] }, data)).allowed, true);
+  assert.equal(data.calls.cleared, 1);
+
+  clock += 61000;
+  data.listClearedOrders = async () => [{ profit: -5, commission: 0 }];
+  const { allowed } = await risk.checkOrder({ marketId: "1.1", instructions: [LAY] }, data);
+  assert.equal(allowed, false);
+  assert.deepEqual(risk.getStatus().dailyPnl, { day: "2026-03-01T00:00:00.000Z", net: -5, fetchedAt: "2026-03-01T12:01:01.000Z" });
+});
+
+test("each account has its own daily P&L", async () => {
+  risk.setLimits({ maxDailyLoss: 5 });
+  const losing = { ...sources({ cleared: [{ profit: -6, commission: 0 }] }), account: "user-a" };
+  const winning = { ...sources({ cleared: [{ profit: 3, commission: 0 }] }), account: "user-b" };
+
+  assert.equal((await risk.checkOrder({ marketId: "1.1", instructions: [LAY] }, losing)).allowed, false);
+  assert.equal((await risk.checkOrder({ marketId: "1.1", instructions: [LAY] }, winning)).allowed, true);
+  assert.equal(losing.calls.cleared, 1);
+  assert.equal(winning.calls.cleared, 1);
+  assert.equal(risk.getStatus({ account: "user-b" }).dailyPnl.net, 3);
+  assert.equal(risk.getStatus().dailyPnl, null);
+});
+
+test("the kill switch rejects everything and is shared through the state file", async () => {
+  risk.setKillSwitch(true, "manual stop");
+
+  const other = createRiskManager({ logger: QUIET_LOGGER });
+  const { allowed, reasons } = await other.checkOrder({ marketId: "1.1", instructions: [LAY] }, sources());
+  assert.equal(allowed, false);
+  assert.deepEqual(reasons, ["Kill switch is on: manual stop"]);
+
+  risk.setKillSwitch(false);
+  assert.equal((await other.checkOrder({ marketId: "1.1", instructions: [LAY] }, sources())).allowed, true);
+  assert.deepEqual(risk.getEvents().map((event) => event.event), ["kill_switch_off", "rejected", "kill_switch_on"]);
+});
+
+test("limits default from the environment and saved values win", () => {
+  process.env.RISK_MAX_STAKE_PER_BET = "10";
+  try {
+    assert.equal(risk.getLimits().maxStakePerBet, 10);
+    risk.setLimits({ maxStakePerBet: null });
+    assert.equal(risk.getLimits().maxStakePerBet, null);
+  } finally {
+    delete process.env.RISK_MAX_STAKE_PER_BET;
+  }
+});
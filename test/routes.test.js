@@ -0,0 +1,432 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { fastScenario, startApp, waitFor } from "./helpers/betfairEnv.js";
+import { MARKET_ID, SELECTION_ID } from "./helpers/streamMessages.js";
+
+/**
+ * HTTP tests for every route in app.js, against the Betfair stub
+ */
+
+const EVENT_ID = "90000001";
+const CLEARED_ORDERS = 2500; // More than two pages of listClearedOrders
+
+function scenario() {
+  const base = fastScenario(20);
+  base.clearedOrders = Array.from({ length: CLEARED_ORDERS }, (_, i) => ({
+    ...base.clearedOrders[i % 2],
+    betId: String(600000 + i),
+  }));
+  return base;
+}
+
+let harness;
+let request;
+
+before(async () => {
+  harness = await startApp({ scenario: scenario() });
+  request = harness.request;
+});
+
+after(async () => {
+  const { body } = await request("GET", "/bot/status");
+  for (const marketId of body.activeMarkets) {
+    await request("POST", "/bot/stop", { body: { marketId } });
+  }
+  await harness.close();
+});
+
+const BACK_INSTRUCTION = { selectionId: SELECTION_ID, side: "BACK", size: 2, limitOrder: { price: 44.5 } };
+
+test("GET /health", async () => {
+  const { status, body } = await request("GET", "/health", { session: null, user: null });
+  assert.equal(status, 200);
+  assert.equal(body.status, "okay");
+});
+
+test("POST /login returns the Betfair login response and keeps the session for the user", async () => {
+  // Its own account, so the default user stays without a stored Betfair session
+  const ok = await request("POST", "/login", { session: null, user: "punter", body: { username: "stub", password: "stub" } });
+  assert.equal(ok.status, 200);
+  assert.equal(ok.body.status, "SUCCESS");
+  assert.ok(ok.body.token);
+
+  assert.equal((await request("GET", "/auth/me", { user: "punter" })).body.betfairSession, true);
+  assert.equal((await request("POST", "/events", { session: null, user: "punter" })).status, 200);
+  assert.equal((await request("GET", "/auth/me")).body.betfairSession, false);
+
+  const failed = await request("POST", "/login", { session: null, user: "punter", body: { username: "stub", password: "wrong" } });
+  assert.equal(failed.body.status, "FAIL");
+  assert.equal(failed.body.error, "INVALID_USERNAME_OR_PASSWORD");
+});
+
+test("POST /events lists events and needs a session", async (t) => {
+  t.mock.method(console, "error", () => {});
+  const ok = await request("POST", "/events");
+  assert.equal(ok.status, 200);
+  assert.equal(ok.body[0].event.id, EVENT_ID);
+
+  assert.equal((await request("POST", "/events", { session: null })).status, 401);
+
+  // Betfair errors are passed through with their status
+  const expired = await request("POST", "/events", { session: "expired" });
+  assert.equal(expired.status, 400);
+  assert.equal(expired.body.detail.APINGException.errorCode, "INVALID_SESSION_INFORMATION");
+});
+
+test("POST /market-catalogue", async () => {
+  const ok = await request("POST", "/market-catalogue", { body: { eventId: EVENT_ID } });
+  assert.equal(ok.status, 200);
+  assert.equal(ok.body[0].marketId, MARKET_ID);
+
+  assert.equal((await request("POST", "/market-catalogue", { body: {} })).status, 400);
+  assert.equal((await request("POST", "/market-catalogue", { session: null, body: { eventId: EVENT_ID } })).status, 401);
+});
+
+test("GET /strategies", async () => {
+  const { status, body } = await request("GET", "/strategies");
+  assert.equal(status, 200);
+  assert.ok(body.strategies.some((s) => s.name === "lineMovement"));
+});
+
+test("POST /place-order validates instructions", async () => {
+  const cases = [
+    [{ instructions: [BACK_INSTRUCTION] }, /marketId/],
+    [{ marketId: MARKET_ID, instructions: [] }, /instructions array/],
+    [{ marketId: MARKET_ID, instructions: [BACK_INSTRUCTION], mode: "demo" }, /mode/],
+    [{ marketId: MARKET_ID, instructions: [{ ...BACK_INSTRUCTION, selectionId: undefined }] }, /selectionId/],
+    [{ marketId: MARKET_ID, instructions: [{ ...BACK_INSTRUCTION, side: "UNDER" }] }, /side/],
+    [{ marketId: MARKET_ID, instructions: [{ ...BACK_INSTRUCTION, limitOrder: undefined }] }, /limitOrder is required/],
+    [{ marketId: MARKET_ID, instructions: [{ ...BACK_INSTRUCTION, limitOrder: { price: "44.5" } }] }, /price must be a number/],
+  ];
+
+  for (const [body, message] of cases) {
+    const response = await request("POST", "/place-order", { body });
+    assert.equal(response.status, 400, JSON.stringify(body));
+    assert.match(response.body.error, message);
+  }
+
+  assert.equal((await request("POST", "/place-order", { session: null, body: { marketId: MARKET_ID, instructions: [BACK_INSTRUCTION] } })).status, 401);
+});
+
+test("POST /place-order places a live order", async (t) => {
+  t.mock.method(console, "log", () => {});
+  const { status, body } = await request("POST", "/place-order", { body: { marketId: MARKET_ID, instructions: [BACK_INSTRUCTION] } });
+
+  assert.equal(status, 200);
+  assert.equal(body.result.status, "SUCCESS");
+  const order = harness.stub.orders.at(-1);
+  assert.equal(order.price, 44.5);
+  assert.equal(order.size, 2);
+});
+
+test("POST /replace-order, /update-order and /cancel-order manage an unmatched order", async (t) => {
+  t.mock.method(console, "log", () => {});
+  const placed = await request("POST", "/place-order", { body: { marketId: MARKET_ID, instructions: [BACK_INSTRUCTION], reason: "to move" } });
+  const [{ betId }] = placed.body.result.instructionReports;
+
+  const replaced = await request("POST", "/replace-order", { body: { marketId: MARKET_ID, instructions: [{ betId, newPrice: 46.5 }] } });
+  assert.equal(replaced.status, 200);
+  const [report] = replaced.body.result.instructionReports;
+  assert.equal(report.cancelInstructionReport.sizeCancelled, 2);
+  const newBetId = report.placeInstructionReport.betId;
+  assert.notEqual(newBetId, betId);
+  assert.equal(harness.stub.orders.at(-1).price, 46.5);
+
+  // The new bet is in the ledger like any other placement
+  const { body: ledger } = await request("GET", `/ledger?betIds=${newBetId}`);
+  assert.equal(ledger.entries[0].price, 46.5);
+  assert.equal(ledger.entries[0].size, 2);
+  assert.equal(ledger.entries[0].reason, `Replaced bet ${betId}`);
+
+  const updated = await request("POST", "/update-order", { body: { marketId: MARKET_ID, instructions: [{ betId: newBetId, newPersistenceType: "PERSIST" }] } });
+  assert.equal(updated.body.result.status, "SUCCESS");
+  assert.equal(harness.stub.orders.at(-1).persistenceType, "PERSIST");
+
+  const partial = await request("POST", "/cancel-order", { body: { marketId: MARKET_ID, instructions: [{ betId: newBetId, sizeReduction: 0.5 }] } });
+  assert.equal(partial.body.result.instructionReports[0].sizeCancelled, 0.5);
+
+  const cancelled = await request("POST", "/cancel-order", { body: { marketId: MARKET_ID, instructions: [{ betId: newBetId }] } });
+  assert.equal(cancelled.body.result.instructionReports[0].sizeCancelled, 1.5);
+  assert.equal(harness.stub.orders.at(-1).status, "EXECUTION_COMPLETE");
+
+  // Gone now: Betfair reports the failure per instruction
+  const again = await request("POST", "/cancel-order", { body: { marketId: MARKET_ID, instructions: [{ betId: newBetId }] } });
+  assert.equal(again.body.result.status, "FAILURE");
+  assert.equal(again.body.result.instructionReports[0].errorCode, "BET_TAKEN_OR_LAPSED");
+});
+
+test("POST /cancel-order without instructions cancels every unmatched order on the market", async (t) => {
+  t.mock.method(console, "log", () => {});
+  await request("POST", "/place-order", { body: { marketId: MARKET_ID, instructions: [BACK_INSTRUCTION, BACK_INSTRUCTION] } });
+
+  const { status, body } = await request("POST", "/cancel-order", { body: { marketId: MARKET_ID } });
+  assert.equal(status, 200);
+  assert.ok(body.result.instructionReports.length >= 2);
+  assert.ok(harness.stub.orders.every((order) => order.marketId !== MARKET_ID || order.status === "EXECUTION_COMPLETE"));
+});
+
+test("order management routes validate instructions", async () => {
+  const cases = [
+    ["/cancel-order", { instructions: [{ betId: "1" }] }, /marketId/],
+    ["/cancel-order", { marketId: MARKET_ID, instructions: [] }, /instructions/],
+    ["/cancel-order", { marketId: MARKET_ID, instructions: [{}] }, /betId/],
+    ["/cancel-order", { marketId: MARKET_ID, instructions: [{ betId: "1", sizeReduction: -1 }] }, /sizeReduction/],
+    ["/replace-order", { marketId: MARKET_ID }, /instructions array/],
+    ["/replace-order", { marketId: MARKET_ID, instructions: [{ betId: " " , newPrice: 45.5 }] }, /betId/],
+    ["/replace-order", { marketId: MARKET_ID, instructions: [{ betId: "1", newPrice: "45.5" }] }, /newPrice must be a number/],
+    ["/update-order", { marketId: MARKET_ID, instructions: [{ betId: "1", newPersistenceType: "KEEP" }] }, /newPersistenceType/],
+  ];
+
+  for (const [path, body, message] of cases) {
+    const response = await request("POST", path, { body });
+    assert.equal(response.status, 400, `${path} ${JSON.stringify(body)}`);
+    assert.match(response.body.error, message);
+  }
+
+  for (const path of ["/cancel-order", "/replace-order", "/update-order"]) {
+    assert.equal((await request("POST", path, { session: null, body: { marketId: MARKET_ID } })).status, 401);
+  }
+});
+
+test("POST /api/betfair/current-orders and GET /exposure show open positions", async (t) => {
+  t.mock.method(console, "log", () => {});
+  const marketId = "1.900000002"; // Kept apart from the orders of other tests
+  const place = (side, price, size) =>
+    request("POST", "/place-order", { body: { marketId, instructions: [{ selectionId: SELECTION_ID, side, size, limitOrder: { price } }] } });
+
+  const betIds = [];
+  for (const [side, price, size] of [["BACK", 40.5, 2], ["LAY", 44.5, 2], ["BACK", 50.5, 3]]) {
+    betIds.push((await place(side, price, size)).body.result.instructionReports[0].betId);
+  }
+  harness.stub.matchOrder(betIds[0]);
+  harness.stub.matchOrder(betIds[1]);
+
+  const all = await request("POST", "/api/betfair/current-orders", { body: { marketIds: [marketId] } });
+  assert.equal(all.status, 200);
+  assert.equal(all.body.count, 3);
+  const open = await request("POST", "/api/betfair/current-orders", { body: { marketIds: [marketId], orderProjection: "EXECUTABLE" } });
+  assert.deepEqual(open.body.currentOrders.map((o) => o.betId), [betIds[2]]);
+
+  const { status, body } = await request("GET", `/exposure?marketIds=${marketId}`);
+  assert.equal(status, 200);
+  const [market] = body.markets;
+  assert.equal(market.marketId, marketId);
+  assert.equal(market.bot, null);
+  assert.deepEqual(market.selections[0].matched, { back: { size: 2, averagePrice: 40.5 }, lay: { size: 2, averagePrice: 44.5 } });
+  assert.deepEqual(market.selections[0].unmatched, { back: 3, lay: 0, orders: 1 });
+  assert.equal(market.selections[0].liability, 4);
+  assert.deepEqual(body.totals, { liability: 4, liabilityIfMatched: 3, unmatched: 3 });
+
+  for (const body of [{ marketIds: [] }, { orderProjection: "OPEN" }, { from: "today" }]) {
+    assert.equal((await request("POST", "/api/betfair/current-orders", { body })).status, 400, JSON.stringify(body));
+  }
+  assert.equal((await request("POST", "/api/betfair/current-orders", { session: null, body: {} })).status, 401);
+  assert.equal((await request("GET", "/exposure", { session: null })).status, 401);
+});
+
+test("POST /place-order in paper mode needs a running bot", async () => {
+  const { status } = await request("POST", "/place-order", { body: { marketId: MARKET_ID, instructions: [BACK_INSTRUCTION], mode: "paper" } });
+  assert.equal(status, 409);
+});
+
+test("POST /api/betfair/summary paginates listClearedOrders", async () => {
+  const all = await request("POST", "/api/betfair/summary", { body: { from: "2026-01-01T00:00:00.000Z" } });
+  assert.equal(all.status, 200);
+  assert.equal(all.body.totalBets, CLEARED_ORDERS);
+  assert.equal(all.body.betsWon, CLEARED_ORDERS / 2);
+  assert.equal(all.body.betsLost, CLEARED_ORDERS / 2);
+
+  const bySize = await request("POST", "/api/betfair/summary", { body: { from: "2026-01-01T00:00:00.000Z", size: 2 } });
+  assert.equal(bySize.body.totalBets, CLEARED_ORDERS);
+  assert.equal(bySize.body.totals.commission, null); // market commission cannot be split by stake
+
+  assert.equal((await request("POST", "/api/betfair/summary", { body: {} })).status, 400);
+  assert.equal((await request("POST", "/api/betfair/summary", { session: null, body: { from: "2026-01-01" } })).status, 401);
+});
+
+test("POST /api/betfair/summary reports P&L, commission and breakdowns", async () => {
+  const { status, body } = await request("POST", "/api/betfair/summary", { body: { from: "2026-01-01T00:00:00.000Z" } });
+  assert.equal(status, 200);
+  assert.deepEqual(body.totals, {
+    bets: CLEARED_ORDERS,
+    won: CLEARED_ORDERS / 2,
+    lost: CLEARED_ORDERS / 2,
+    turnover: CLEARED_ORDERS * 2,
+    profit: 0,
+    commission: 125,
+    netProfit: -125,
+    roi: -2.5,
+    strikeRate: 50,
+  });
+
+  const [event] = body.breakdowns.event;
+  assert.equal(event.key, EVENT_ID);
+  assert.equal(event.label, "Stub XI v Offline XI");
+  assert.equal(event.commission, 125);
+  assert.deepEqual(body.breakdowns.side.map((row) => [row.key, row.profit]), [["BACK", CLEARED_ORDERS], ["LAY", -CLEARED_ORDERS]]);
+  assert.deepEqual(body.breakdowns.priceBand.map((row) => row.key), ["40-50"]);
+  assert.deepEqual(body.breakdowns.day.map((row) => row.key), ["2026-01-01"]);
+});
+
+test("POST /api/betfair/summary passes filters and groupBy to Betfair", async () => {
+  const from = "2026-01-01T00:00:00.000Z";
+
+  const lays = await request("POST", "/api/betfair/summary", { body: { from, side: "LAY", breakdowns: ["side"] } });
+  assert.equal(lays.body.totalBets, CLEARED_ORDERS / 2);
+  assert.equal(lays.body.betsWon, 0);
+  assert.deepEqual(Object.keys(lays.body.breakdowns), ["side"]);
+
+  const bets = await request("POST", "/api/betfair/summary", { body: { from, betIds: ["600000", "600001", "600002"] } });
+  assert.equal(bets.body.totalBets, 3);
+
+  const none = await request("POST", "/api/betfair/summary", { body: { from, marketIds: ["1.111"] } });
+  assert.equal(none.body.totalBets, 0);
+  assert.equal(none.body.totals.roi, null);
+
+  const grouped = await request("POST", "/api/betfair/summary", { body: { from, groupBy: "SIDE", includeItemDescription: false } });
+  assert.equal(grouped.body.groupBy, "SIDE");
+  assert.deepEqual(grouped.body.groups.map((g) => [g.side, g.bets, g.itemDescription]), [["BACK", CLEARED_ORDERS / 2, null], ["LAY", CLEARED_ORDERS / 2, null]]);
+  assert.equal(grouped.body.breakdowns.event[0].label, null);
+
+  for (const body of [
+    { from, side: "OVER" },
+    { from, groupBy: "COUNTRY" },
+    { from, marketIds: [] },
+    { from, breakdowns: ["hour"] },
+    { from, priceBandWidth: 0 },
+    { from, includeItemDescription: "yes" },
+  ]) {
+    assert.equal((await request("POST", "/api/betfair/summary", { body })).status, 400, JSON.stringify(body));
+  }
+});
+
+test("POST /bot/start validates its input", async () => {
+  assert.equal((await request("POST", "/bot/start", { body: {} })).status, 400);
+  assert.equal((await request("POST", "/bot/start", { session: null, body: { marketId: MARKET_ID } })).status, 401);
+  assert.equal((await request("POST", "/bot/start", { body: { marketId: MARKET_ID, mode: "demo" } })).status, 400);
+  assert.equal((await request("POST", "/bot/start", { body: { marketId: MARKET_ID, disabledSelections: "x" } })).status, 400);
+
+  const invalid = await request("POST", "/bot/start", { body: { marketId: MARKET_ID, params: { upThreshold: -1 } } });
+  assert.equal(invalid.status, 400);
+  assert.deepEqual(invalid.body.details, ["'upThreshold' must be a positive number"]);
+
+  const unknown = await request("POST", "/bot/start", { body: { marketId: MARKET_ID, strategy: "nope" } });
+  assert.equal(unknown.status, 400);
+  assert.equal((await request("POST", "/bot/start", { body: { marketId: MARKET_ID, strategy: "toString" } })).status, 400);
+
+  const cancelAfter = await request("POST", "/bot/start", { body: { marketId: MARKET_ID, cancelUnmatchedAfterMs: 1.5 } });
+  assert.equal(cancelAfter.status, 400);
+  assert.match(cancelAfter.body.error, /cancelUnmatchedAfterMs/);
+});
+
+test("paper bot: start, status, paper orders, selection toggle and stop", async (t) => {
+  t.mock.method(console, "log", () => {});
+
+  const started = await request("POST", "/bot/start", {
+    body: { marketId: MARKET_ID, mode: "paper", size: 3, params: { upThreshold: 4 }, marketName: "Line" },
+  });
+  assert.equal(started.status, 200);
+  assert.equal(started.body.mode, "paper");
+
+  const status = await request("GET", `/bot/status?marketId=${MARKET_ID}`);
+  assert.equal(status.body.running, true);
+  assert.equal(status.body.config.size, 3);
+  assert.equal(status.body.config.upThreshold, 4);
+  assert.equal(status.body.stream.state, "connected");
+
+  const all = await request("GET", "/bot/status");
+  assert.deepEqual(all.body.activeMarkets, [MARKET_ID]);
+  assert.equal(all.body.activeBots[MARKET_ID].marketName, "Line");
+
+  // Running bots always have an exposure row
+  const exposure = await request("GET", `/exposure?marketIds=${MARKET_ID}`);
+  assert.deepEqual(exposure.body.markets.map((m) => [m.marketId, m.bot?.mode, m.bot?.marketName]), [[MARKET_ID, "paper", "Line"]]);
+
+  // The stub plays the line up 40.5 -> 46.5: the bot backs on the move
+  const paper = await waitFor(async () => {
+    const { body } = await request("GET", `/bot/status?marketId=${MARKET_ID}`);
+    return body.paper?.bets.some((bet) => bet.source === "bot") && body.paper;
+  });
+  assert.equal(paper.bets[0].side, "BACK");
+  assert.equal(paper.bets[0].size, 3);
+
+  const manual = await request("POST", "/place-order", { body: { marketId: MARKET_ID, instructions: [BACK_INSTRUCTION], mode: "paper" } });
+  assert.equal(manual.status, 200);
+  assert.equal(manual.body.paper, true);
+
+  const disabled = await request("POST", "/bot/selection", { body: { marketId: MARKET_ID, selectionId: SELECTION_ID, enabled: false } });
+  assert.equal(disabled.status, 200);
+  assert.deepEqual(disabled.body.disabledSelections, [SELECTION_ID]);
+  assert.equal((await request("POST", "/bot/selection", { body: { marketId: MARKET_ID, selectionId: SELECTION_ID } })).status, 400);
+  assert.equal((await request("POST", "/bot/selection", { body: { marketId: "1.nope", selectionId: SELECTION_ID, enabled: true } })).status, 404);
+
+  // The worker's current view of the market
+  const snapshot = await request("GET", `/markets/${MARKET_ID}/snapshot`);
+  assert.equal(snapshot.status, 200);
+  assert.equal(snapshot.body.mode, "paper");
+  assert.ok(snapshot.body.marketDefinition);
+  const runner = snapshot.body.runners.find((r) => r.selectionId === SELECTION_ID);
+  assert.ok(runner.bestBack && runner.bestLay);
+  assert.equal(runner.enabled, false);
+  assert.equal(snapshot.body.strategy.name, "lineMovement");
+  assert.equal(snapshot.body.strategy.params.upThreshold, 4);
+  assert.ok(snapshot.body.strategy.view.selections.some((view) => "blockedBy" in view && "movement" in view));
+  assert.equal((await request("GET", "/markets/1.nope/snapshot")).status, 404);
+
+  // The market's balls so far
+  const matchState = await request("GET", `/markets/${MARKET_ID}/match-state?last=5`);
+  assert.equal(matchState.status, 200);
+  assert.equal(matchState.body.marketId, MARKET_ID);
+  assert.equal(typeof matchState.body.ballCount, "number");
+  assert.ok(Array.isArray(matchState.body.balls));
+  assert.equal((await request("GET", `/markets/${MARKET_ID}/match-state?last=0`)).status, 400);
+  assert.equal((await request("GET", "/markets/1.nope/match-state")).status, 404);
+
+  const stopped = await request("POST", "/bot/stop", { body: { marketId: MARKET_ID } });
+  assert.equal(stopped.status, 200);
+  assert.equal(stopped.body.running, false);
+  assert.equal((await request("GET", `/bot/status?marketId=${MARKET_ID}`)).body.running, false);
+  assert.equal((await request("POST", "/bot/stop", { body: { marketId: MARKET_ID } })).status, 404);
+  assert.equal((await request("POST", "/bot/stop", { body: {} })).status, 400);
+});
+
+test("live bot places through the stub and reports Order Stream state", async (t) => {
+  t.mock.method(console, "log", () => {});
+  const placedBefore = harness.stub.orders.length;
+
+  const started = await request("POST", "/bot/start", { body: { marketId: MARKET_ID, size: 2 } });
+  assert.equal(started.status, 200);
+
+  await waitFor(() => harness.stub.orders.length > placedBefore);
+  const orders = await waitFor(async () => {
+    const { body } = await request("GET", `/bot/orders?marketId=${MARKET_ID}`);
+    return body.orders?.totals.unmatchedOrders > 0 && body;
+  });
+  assert.equal(orders.marketId, MARKET_ID);
+  assert.ok(orders.updatedAt);
+
+  assert.equal((await request("GET", "/bot/orders")).status, 400);
+  assert.equal((await request("GET", "/bot/orders?marketId=1.nope")).status, 404);
+
+  await request("POST", "/bot/stop", { body: { marketId: MARKET_ID } });
+});
+
+test("live bot cancels its own bets left unmatched", async (t) => {
+  t.mock.method(console, "log", () => {});
+  await request("POST", "/place-order", { body: { marketId: MARKET_ID, instructions: [BACK_INSTRUCTION] } });
+  const manual = harness.stub.orders.at(-1);
+  const placedBefore = harness.stub.orders.length;
+
+  const started = await request("POST", "/bot/start", { body: { marketId: MARKET_ID, size: 2, cancelUnmatchedAfterMs: 200 } });
+  assert.equal(started.status, 200);
+  assert.equal((await request("GET", `/bot/status?marketId=${MARKET_ID}`)).body.config.cancelUnmatchedAfterMs, 200);
+
+  const botOrder = await waitFor(() => harness.stub.orders.slice(placedBefore).find((order) => order.sizeCancelled > 0));
+  assert.equal(botOrder.status, "EXECUTION_COMPLETE");
+  assert.equal(botOrder.sizeRemaining, 0);
+
+  // Manual bets on the same market are left alone
+  assert.equal(manual.status, "EXECUTABLE");
+
+  await request("POST", "/bot/stop", { body: { marketId: MARKET_ID } });
+});
@@ -0,0 +1,168 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { ADMIN, startApp, waitFor } from "./helpers/betfairEnv.js";
+import { MARKET_ID, SELECTION_ID } from "./helpers/streamMessages.js";
+
+/**
+ * Session routes and renewal: certificate login, keep-alive, logout, and
+ * re-login pushed to running bots
+ */
+
+let harness;
+let request;
+
+before(async () => {
+  process.env.BETFAIR_USERNAME = "stub";
+  process.env.BETFAIR_PASSWORD = "stub";
+  harness = await startApp({ user: ADMIN });
+  request = harness.request;
+});
+
+after(async () => {
+  await request("POST", "/bot/stop", { body: { marketId: MARKET_ID } });
+  await harness.close();
+});
+
+async function login() {
+  const { body } = await request("POST", "/login", { session: null, body: { username: "stub", password: "stub" } });
+  return body.token;
+}
+
+/**
+ * Stop a bot and wait until its worker is gone
+ */
+async function stopBot(marketId) {
+  assert.equal((await request("POST", "/bot/stop", { body: { marketId } })).status, 200);
+  await waitFor(async () => !(await request("GET", `/bot/status?marketId=${marketId}`)).body.running);
+}
+
+/**
+ * Token the managed session answers keepAlive with
+ */
+async function managedToken() {
+  const { status, body } = await request("POST", "/keep-alive", { session: null });
+  return status === 200 ? body.token : null;
+}
+
+test("POST /keep-alive and /logout act on the header session or the managed one", async (t) => {
+  t.mock.method(console, "log", () => {});
+  t.mock.method(console, "error", () => {});
+  const token = await login();
+  const keepAlives = harness.stub.getKeepAliveCount();
+
+  assert.equal(await managedToken(), token);
+  const { status, body } = await request("POST", "/keep-alive");
+  assert.equal(status, 200);
+  assert.equal(body.token, "stub-session");
+  assert.equal(harness.stub.getKeepAliveCount(), keepAlives + 2);
+
+  const loggedOut = await request("POST", "/logout", { session: null });
+  assert.equal(loggedOut.body.status, "SUCCESS");
+  assert.equal((await request("POST", "/keep-alive", { session: token })).body.error, "NO_SESSION");
+  assert.equal((await request("POST", "/keep-alive", { session: null })).status, 401);
+});
+
+test("a REST call refused for the managed session logs in again", async (t) => {
+  t.mock.method(console, "log", () => {});
+  t.mock.method(console, "error", () => {});
+  const token = await login();
+  harness.stub.revokeSession(token);
+
+  const refused = await request("POST", "/place-order", {
+    session: token,
+    body: { marketId: MARKET_ID, instructions: [{ selectionId: SELECTION_ID, side: "LAY", size: 2, limitOrder: { price: 41.5 } }] },
+  });
+  assert.equal(refused.status, 400);
+
+  const renewed = await waitFor(async () => {
+    const current = await managedToken();
+    return current && current !== token ? current : null;
+  });
+  assert.match(renewed, /^stub-session-/);
+});
+
+test("a bot whose stream session expires gets the renewed token without restarting", async (t) => {
+  t.mock.method(console, "log", () => {});
+  t.mock.method(console, "error", () => {});
+  const token = await login();
+  assert.equal((await request("POST", "/bot/start", { session: token, body: { marketId: MARKET_ID, mode: "paper" } })).status, 200);
+  const { body: started } = await request("GET", `/bot/status?marketId=${MARKET_ID}`);
+
+  // Session expires and the connection drops - the worker's reconnect is refused
+  harness.stub.revokeSession(token);
+  harness.stub.dropStreamConnections();
+
+  const botsPath = path.join(process.env.STORAGE_DIR, "bots.json");
+  const saved = await waitFor(() => {
+    const bot = JSON.parse(fs.readFileSync(botsPath, "utf8"))[MARKET_ID];
+    return bot.session.token !== token ? bot : null;
+  });
+  assert.equal(saved.session.token, await managedToken());
+
+  const { body: status } = await request("GET", `/bot/status?marketId=${MARKET_ID}`);
+  assert.equal(status.running, true);
+  assert.equal(status.botId, started.botId);
+  await stopBot(MARKET_ID);
+});
+
+test("bots stream on the stored session, not a token sent with the request", async (t) => {
+  t.mock.method(console, "log", () => {});
+  t.mock.method(console, "error", () => {});
+  const token = await login();
+  harness.stub.addSession("other-account");
+  const started = await request("POST", "/bot/start", { session: "other-account", body: { marketId: MARKET_ID, mode: "paper" } });
+  assert.equal(started.status, 200);
+
+  const saved = JSON.parse(fs.readFileSync(path.join(process.env.STORAGE_DIR, "bots.json"), "utf8"))[MARKET_ID];
+  assert.equal(saved.session.token, token);
+  assert.equal(await managedToken(), token);
+  await stopBot(MARKET_ID);
+});
+
+test("POST /logout is refused while a bot runs on the session", async (t) => {
+  t.mock.method(console, "log", () => {});
+  t.mock.method(console, "error", () => {});
+  const token = await login();
+  assert.equal((await request("POST", "/bot/start", { session: token, body: { marketId: MARKET_ID, mode: "paper" } })).status, 200);
+
+  const refused = await request("POST", "/logout", { session: null });
+  assert.equal(refused.status, 409);
+  assert.deepEqual(refused.body.markets, [MARKET_ID]);
+  assert.equal(await managedToken(), token);
+
+  await stopBot(MARKET_ID);
+  const loggedOut = await request("POST", "/logout", { session: null });
+  assert.equal(loggedOut.status, 200);
+  assert.equal(await managedToken(), null);
+});
+
+test("POST /login/cert logs in with the configured certificate", async (t) => {
+  t.mock.method(console, "log", () => {});
+  t.mock.method(console, "error", () => {});
+  t.after(() => {
+    delete process.env.BETFAIR_CERT;
+    delete process.env.BETFAIR_KEY;
+    process.env.BETFAIR_PASSWORD = "stub";
+  });
+
+  const missing = await request("POST", "/login/cert", { session: null });
+  assert.equal(missing.status, 400);
+  assert.match(missing.body.error, /No client certificate configured/);
+
+  // The stub serves plain HTTP, so the certificate itself is not checked
+  process.env.BETFAIR_CERT = "CERT";
+  process.env.BETFAIR_KEY = "KEY";
+  const { status, body } = await request("POST", "/login/cert", { session: null });
+  assert.equal(status, 200);
+  assert.equal(body.loginStatus, "SUCCESS");
+  assert.equal(body.session.loginMethod, "certificate");
+  assert.equal(await managedToken(), body.sessionToken);
+
+  process.env.BETFAIR_PASSWORD = "wrong";
+  const refused = await request("POST", "/login/cert", { session: null });
+  assert.equal(refused.status, 401);
+  assert.equal(refused.body.loginStatus, "INVALID_USERNAME_OR_PASSWORD");
+  assert.match(refused.body.error, /Username or password is wrong/);
+});
@@ -0,0 +1,198 @@
+import { test, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { createSessionManager, DEFAULT_KEEP_ALIVE_MS } from "../src/service/sessionManager.js";
+import { CertLoginError } from "../src/utils/identityService.js";
+import { QUIET_LOGGER } from "./helpers/betfairEnv.js";
+
+const managers = [];
+
+afterEach(() => {
+  managers.splice(0).forEach((manager) => manager.stop());
+  delete process.env.BETFAIR_APP_KEY;
+  delete process.env.BETFAIR_USERNAME;
+  delete process.env.BETFAIR_PASSWORD;
+});
+
+/**
+ * Session manager on a fake identity service that knows a set of live tokens
+ */
+function setup({ live = ["t1"], certificate = null, certLoginStatus = "SUCCESS" } = {}) {
+  const sessions = new Set(live);
+  const calls = { login: 0, keepAlive: 0 };
+  let sequence = 1;
+  const answer = (token, ok) => ({ token: ok ? token : "", product: "app", status: ok ? "SUCCESS" : "FAIL", error: ok ? "" : "NO_SESSION" });
+  const identity = {
+    login: async () => {
+      calls.login += 1;
+      const token = `t${++sequence}`;
+      sessions.add(token);
+      return answer(token, true);
+    },
+    keepAlive: async (appKey, token) => {
+      calls.keepAlive += 1;
+      return answer(token, sessions.has(token));
+    },
+    logout: async (appKey, token) => answer(token, sessions.delete(token)),
+    loadCertificate: () => certificate,
+    certLogin: async (appKey, username, password, cert) => {
+      calls.certLogin = cert;
+      if (certLoginStatus !== "SUCCESS") throw new CertLoginError(certLoginStatus);
+      const token = `c${++sequence}`;
+      sessions.add(token);
+      return { sessionToken: token, loginStatus: "SUCCESS" };
+    },
+  };
+  const manager = createSessionManager({ identity, logger: QUIET_LOGGER });
+  managers.push(manager);
+  const changes = [];
+  manager.onSessionChange((token, previous) => changes.push([token, previous]));
+  return { manager, sessions, calls, changes };
+}
+
+function useCredentials() {
+  process.env.BETFAIR_APP_KEY = "app";
+  process.env.BETFAIR_USERNAME = "user";
+  process.env.BETFAIR_PASSWORD = "secret";
+}
+
+test("a bot token is adopted only while there is no active session", () => {
+  const { manager, changes } = setup();
+
+  assert.equal(manager.adoptSession("t1"), true);
+  assert.equal(manager.adoptSession("other"), false);
+  assert.equal(manager.getToken(), "t1");
+  assert.equal(manager.getSession().source, "bot");
+  assert.equal(manager.getSession().token, undefined);
+  assert.deepEqual(changes, [["t1", null]]);
+});
+
+test("keepAlive extends the session and logs in again once it has expired", async () => {
+  useCredentials();
+  const { manager, sessions, changes } = setup();
+  manager.setSession("t1");
+
+  assert.equal((await manager.keepAlive()).status, "SUCCESS");
+  assert.ok(manager.getSession().lastKeepAliveAt);
+
+  sessions.delete("t1");
+  const data = await manager.keepAlive();
+  assert.equal(data.error, "NO_SESSION");
+  assert.equal(manager.getToken(), "t2");
+  assert.equal(manager.getSession().source, "relogin");
+  assert.deepEqual(changes.at(-1), ["t2", "t1"]);
+});
+
+test("concurrent session errors share one re-login and stale tokens get the current one", async () => {
+  useCredentials();
+  const { manager, calls } = setup();
+  manager.setSession("t1");
+
+  const tokens = await Promise.all([
+    manager.reportInvalid("t1", "INVALID_SESSION_INFORMATION"),
+    manager.reportInvalid("t1", "NO_SESSION"),
+  ]);
+  assert.deepEqual(tokens, ["t2", "t2"]);
+  assert.equal(calls.login, 1);
+
+  assert.equal(await manager.reportInvalid("t1"), "t2");
+  assert.equal(calls.login, 1);
+});
+
+test("tokens the manager never held do not trigger a re-login", async () => {
+  const { manager, calls } = setup();
+  manager.setSession("t1");
+  assert.equal(await manager.reportInvalid("t1", "NO_SESSION"), null);
+  assert.equal(manager.getSession().status, "expired");
+
+  // Credentials are back, but a user's token is not the managed session's to renew
+  useCredentials();
+  assert.equal(await manager.reportInvalid("user-token"), null);
+  assert.equal(await manager.reportInvalid(null), null);
+  assert.equal(calls.login, 0);
+
+  assert.equal(await manager.reportInvalid("t1"), "t2");
+  assert.equal(await manager.reportInvalid("user-token"), null);
+  assert.equal(calls.login, 1);
+});
+
+test("without credentials an invalid session is marked expired", async () => {
+  const { manager, calls } = setup();
+  manager.setSession("t1");
+
+  assert.equal(await manager.reportInvalid("t1", "NO_SESSION"), null);
+  assert.equal(calls.login, 0);
+  assert.equal(manager.getToken(), null);
+  assert.equal(manager.getSession().status, "expired");
+  assert.match(manager.getSession().lastError, /BETFAIR_USERNAME/);
+  assert.equal(await manager.reportInvalid("unknown"), null);
+});
+
+test("users' sessions in use are kept alive on the managed session's timer", async (t) => {
+  t.mock.timers.enable({ apis: ["setInterval"] });
+  const { manager, calls } = setup({ live: ["t1", "u1"] });
+  const inUse = ["u1", "u2", "u1"];
+  manager.keepAliveSessions(() => inUse);
+
+  async function tick() {
+    t.mock.timers.tick(DEFAULT_KEEP_ALIVE_MS);
+    await new Promise((resolve) => setImmediate(resolve));
+  }
+
+  // Without a managed session the timer runs for the users' sessions alone
+  await tick();
+  assert.equal(calls.keepAlive, 2);
+
+  // The managed session is not called twice when a bot also lists it
+  manager.setSession("t1");
+  inUse.push("t1");
+  await tick();
+  assert.equal(calls.keepAlive, 5);
+  assert.ok(manager.getSession().lastKeepAliveAt);
+
+  // Logging out the managed session leaves the users' sessions on the timer
+  await manager.logout();
+  inUse.splice(0, inUse.length, "u1");
+  await tick();
+  assert.equal(calls.keepAlive, 6);
+});
+
+test("logging out the managed session clears it", async () => {
+  const { manager, sessions } = setup();
+  manager.setSession("t1");
+
+  assert.equal((await manager.logout()).status, "SUCCESS");
+  assert.equal(sessions.has("t1"), false);
+  assert.equal(manager.getSession(), null);
+  assert.equal(await manager.reportInvalid("t1"), null);
+});
+
+test("login uses the client certificate when one is configured", async () => {
+  useCredentials();
+  const certificate = { cert: "CERT", key: "KEY" };
+  const { manager, calls, changes } = setup({ certificate });
+
+  assert.equal(await manager.login({ source: "boot" }), "c2");
+  assert.deepEqual(calls.certLogin, certificate);
+  assert.equal(calls.login, 0);
+  assert.deepEqual(manager.getSession().source, "boot");
+  assert.deepEqual(manager.getSession().loginMethod, "certificate");
+  assert.deepEqual(changes, [["c2", null]]);
+});
+
+test("a refused certificate login is reported with its loginStatus", async () => {
+  useCredentials();
+  const { manager } = setup({ certificate: { cert: "CERT", key: "KEY" }, certLoginStatus: "ACCOUNT_NOW_LOCKED" });
+
+  await assert.rejects(manager.login(), (err) => err instanceof CertLoginError && err.loginStatus === "ACCOUNT_NOW_LOCKED");
+  assert.equal(manager.getSession(), null);
+
+  manager.setSession("t1");
+  assert.equal(await manager.reportInvalid("t1", "NO_SESSION"), null);
+  assert.match(manager.getSession().lastError, /ACCOUNT_NOW_LOCKED/);
+});
+
+test("login without credentials says what is missing", async () => {
+  const { manager } = setup();
+  assert.equal(manager.hasCredentials(), false);
+  await assert.rejects(manager.login(), /BETFAIR_USERNAME and BETFAIR_PASSWORD are needed/);
+});
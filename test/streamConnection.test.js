@@ -0,0 +1,146 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { createStreamConnection } from "../src/stream/streamConnection.js";
+import { APP_KEY, SESSION, startStub, waitFor } from "./helpers/betfairEnv.js";
+import { MARKET_ID } from "./helpers/streamMessages.js";
+
+let harness;
+
+before(async () => {
+  harness = await startStub();
+});
+
+after(() => harness.stub.stop());
+
+function connect(options = {}) {
+  const events = [];
+  const messages = [];
+  const connection = createStreamConnection({
+    appKey: APP_KEY,
+    sessionToken: SESSION,
+    marketIds: [MARKET_ID],
+    stream: { host: "127.0.0.1", port: harness.streamPort, tls: false },
+    reconnect: { maxRetries: 0 },
+    label: "test",
+    onMessage: (message) => messages.push(message),
+    onEvent: (type, data) => events.push({ type, ...data }),
+    ...options,
+  });
+  return { connection, events, messages };
+}
+
+test("creating a connection does not open a socket", () => {
+  const { connection, events } = connect();
+  assert.equal(connection.isRunning(), false);
+  assert.equal(connection.getState().connected, false);
+  assert.deepEqual(events, []);
+});
+
+test("authenticates, subscribes and delivers market and order messages", async (t) => {
+  const lines = [];
+  const { connection, events, messages } = connect({ onLine: (line) => lines.push(line) });
+  t.after(() => connection.close());
+  t.mock.method(console, "log", () => {});
+
+  connection.connect();
+  await waitFor(() => messages.some((m) => m.op === "mcm" && m.mc?.[0]?.marketDefinition?.status === "SUSPENDED"));
+
+  assert.equal(events[0].type, "connected");
+  assert.ok(events.some((e) => e.type === "status" && e.id === 2 && e.statusCode === "SUCCESS"));
+  assert.ok(messages.some((m) => m.op === "ocm" && m.ct === "SUB_IMAGE"));
+  assert.ok(lines.length >= messages.length);
+
+  // Clocks are kept for resuming
+  const state = connection.getState();
+  assert.equal(state.connected, true);
+  assert.match(state.initialClk, /^stub-/);
+  assert.ok(state.clk);
+});
+
+test("subscriptions resume from the last clocks", () => {
+  const { connection } = connect({ orders: false });
+  const subscription = connection.buildMarketSubscription();
+  assert.deepEqual(subscription.marketFilter, { marketIds: [MARKET_ID] });
+  assert.equal(subscription.clk, undefined);
+});
+
+test("a rejected session is reported and closes once retries are exhausted", async (t) => {
+  t.mock.method(console, "log", () => {});
+  t.mock.method(console, "error", () => {});
+  const { connection, events } = connect({ sessionToken: "expired" });
+  t.after(() => connection.close());
+
+  connection.connect();
+  await waitFor(() => events.some((e) => e.type === "closed"));
+
+  const status = events.find((e) => e.type === "status");
+  assert.equal(status.errorCode, "INVALID_SESSION_INFORMATION");
+  assert.equal(connection.isRunning(), false);
+});
+
+test("reconnects with backoff and resumes from the last clock when the server drops the connection", async (t) => {
+  t.mock.method(console, "log", () => {});
+  const events = [];
+  let clkAtDrop = null;
+  const { connection } = connect({
+    reconnect: { maxRetries: 3, baseDelayMs: 10, maxDelayMs: 20 },
+    onEvent: (type, data) => {
+      // Messages already in flight when the stub hangs up still move the clock - read it once the socket is gone
+      if (type === "reconnecting") clkAtDrop = connection.getState().clk;
+      events.push({ type, ...data });
+    },
+  });
+  t.after(() => connection.close());
+
+  connection.connect();
+  await waitFor(() => connection.getState().clk);
+
+  harness.stub.dropStreamConnections();
+  const reconnected = await waitFor(() => events.find((e) => e.type === "reconnected"));
+
+  assert.equal(events.find((e) => e.type === "reconnecting").delayMs, 10);
+  assert.equal(reconnected.reconnectCount, 1);
+  assert.ok(clkAtDrop);
+  assert.equal(reconnected.clk, clkAtDrop);
+  // A good subscription resets the retry budget
+  await waitFor(() => connection.getState().reconnectAttempts === 0);
+});
+
+test("a renewed session token reconnects straight away after the session was refused", async (t) => {
+  t.mock.method(console, "log", () => {});
+  t.mock.method(console, "error", () => {});
+  harness.stub.addSession("renewed-session");
+  const { connection, events } = connect({ sessionToken: "expired-session", reconnect: { maxRetries: 3, baseDelayMs: 60000 } });
+  t.after(() => connection.close());
+
+  connection.connect();
+  await waitFor(() => events.some((e) => e.type === "reconnecting"));
+  assert.ok(events.some((e) => e.type === "status" && e.errorCode === "INVALID_SESSION_INFORMATION"));
+
+  // No need to wait out the 60s backoff
+  connection.setSessionToken("renewed-session");
+  await waitFor(() => events.some((e) => e.type === "status" && e.id === 2 && e.statusCode === "SUCCESS"));
+  assert.equal(events.filter((e) => e.type === "reconnected").length, 1);
+});
+
+test("setMarketIds resubscribes the open connection without the old clocks", async (t) => {
+  t.mock.method(console, "log", () => {});
+  const { connection, events } = connect();
+  t.after(() => connection.close());
+
+  connection.connect();
+  await waitFor(() => connection.getState().clk);
+
+  connection.setMarketIds([MARKET_ID, "1.900000002"]);
+  assert.deepEqual(connection.getMarketIds(), [MARKET_ID, "1.900000002"]);
+  assert.equal(connection.buildMarketSubscription().clk, undefined);
+  await waitFor(() => events.filter((e) => e.type === "status" && e.id === 2 && e.statusCode === "SUCCESS").length === 2);
+  assert.deepEqual(harness.stub.getStreamSubscriptions(), [[MARKET_ID, "1.900000002"]]);
+
+  // The same markets in another order change nothing
+  await waitFor(() => connection.getState().clk);
+  const { clk } = connection.getState();
+  connection.setMarketIds(["1.900000002", MARKET_ID]);
+  assert.deepEqual(connection.getMarketIds(), [MARKET_ID, "1.900000002"]);
+  assert.equal(connection.getState().clk, clk);
+});
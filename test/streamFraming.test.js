@@ -0,0 +1,51 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createLineDecoder, createSegmentAssembler, createStreamFramer } from "../src/stream/streamFraming.js";
+
+const QUIET = { error() {}, log() {} };
+
+test("line decoder handles a split at every offset, including inside a multi-byte character", () => {
+  const payload = Buffer.from('{"op":"mcm","name":"Café ₹"}\r\n{"op":"heartbeat"}\r\n', "utf8");
+
+  for (let offset = 1; offset < payload.length; offset++) {
+    const decoder = createLineDecoder();
+    const lines = [...decoder.push(payload.subarray(0, offset)), ...decoder.push(payload.subarray(offset))];
+    assert.deepEqual(lines, ['{"op":"mcm","name":"Café ₹"}', '{"op":"heartbeat"}'], `split at ${offset}`);
+  }
+});
+
+test("framer only returns complete messages and reports raw lines", () => {
+  const seen = [];
+  const framer = createStreamFramer({ onLine: (line) => seen.push(line) });
+
+  assert.deepEqual(framer.push('{"op":"status","id":1,'), []);
+  const messages = framer.push('"statusCode":"SUCCESS"}\r\n');
+
+  assert.equal(messages.length, 1);
+  assert.equal(messages[0].statusCode, "SUCCESS");
+  assert.deepEqual(seen, ['{"op":"status","id":1,"statusCode":"SUCCESS"}']);
+});
+
+test("segmented messages are merged and released on SEG_END", () => {
+  const assembler = createSegmentAssembler();
+
+  assert.equal(assembler.push({ op: "mcm", id: 2, segmentType: "SEG_START", clk: "1", mc: [{ id: "1.1" }] }), null);
+  assert.equal(assembler.push({ op: "mcm", id: 2, segmentType: "SEG", mc: [{ id: "1.2" }] }), null);
+  const merged = assembler.push({ op: "mcm", id: 2, segmentType: "SEG_END", clk: "3", mc: [{ id: "1.3" }] });
+
+  assert.deepEqual(merged.mc.map((m) => m.id), ["1.1", "1.2", "1.3"]);
+  assert.equal(merged.clk, "3");
+  assert.equal(merged.segmentType, undefined);
+});
+
+test("framer skips unparseable lines and reset drops partial data", (t) => {
+  t.mock.method(console, "error", QUIET.error);
+  const framer = createStreamFramer();
+
+  assert.deepEqual(framer.push("not json\r\n"), []);
+
+  framer.push('{"op":"heart');
+  framer.reset();
+  const messages = framer.push('{"op":"heartbeat"}\r\n');
+  assert.deepEqual(messages, [{ op: "heartbeat" }]);
+});
@@ -0,0 +1,118 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { EventEmitter } from "events";
+import { createStreamManager } from "../src/service/streamManager.js";
+import { waitFor } from "./helpers/betfairEnv.js";
+
+/**
+ * Worker stand-in: records what it was sent and answers addMarket with "connected"
+ */
+function createFakeWorkers({ connect = true } = {}) {
+  const workers = [];
+
+  function spawnWorker(workerData) {
+    const worker = new EventEmitter();
+    worker.workerData = workerData;
+    worker.sent = [];
+    worker.terminated = false;
+    worker.postMessage = (message) => {
+      worker.sent.push(message);
+      if (message.type === "addMarket" && connect) {
+        setImmediate(() => worker.emit("message", { type: "connected", channelId: message.channelId, marketId: message.marketId }));
+      }
+    };
+    worker.terminate = () => {
+      worker.terminated = true;
+      setImmediate(() => worker.emit("exit", 1));
+    };
+    workers.push(worker);
+    return worker;
+  }
+
+  return { workers, spawnWorker };
+}
+
+function open(manager, key, marketId, sessionToken = "session") {
+  return manager.openMarket({ key, appKey: "app", sessionToken, market: { marketId, mode: "paper" } });
+}
+
+test("markets of one key share a worker and each channel gets its own messages", async () => {
+  const { workers, spawnWorker } = createFakeWorkers();
+  const manager = createStreamManager({ spawnWorker });
+
+  const first = await open(manager, "managed", "1.1");
+  const second = await open(manager, "managed", "1.2", "renewed");
+  const other = await open(manager, "user-2", "1.1");
+
+  assert.equal(workers.length, 2);
+  assert.equal(workers[0].workerData.label, "Connection managed");
+  assert.deepEqual(workers[0].sent.map((m) => m.type), ["addMarket", "updateSession", "addMarket"]);
+  assert.deepEqual(manager.getConnections().map((c) => [c.key, c.marketIds]), [
+    ["managed", ["1.1", "1.2"]],
+    ["user-2", ["1.1"]],
+  ]);
+
+  const received = [];
+  first.on("message", (msg) => received.push(["first", msg]));
+  second.on("message", (msg) => received.push(["second", msg]));
+  other.on("message", (msg) => received.push(["other", msg]));
+  workers[0].emit("message", { type: "priceUpdate", channelId: second.id, marketId: "1.2", selectionId: 7 });
+  assert.deepEqual(received, [["second", { type: "priceUpdate", marketId: "1.2", selectionId: 7 }]]);
+
+  first.postMessage({ type: "snapshot", requestId: 1 });
+  assert.deepEqual(workers[0].sent.at(-1), { type: "snapshot", requestId: 1, channelId: first.id, marketId: "1.1" });
+});
+
+test("the connection closes with its last channel", async () => {
+  const { workers, spawnWorker } = createFakeWorkers();
+  const manager = createStreamManager({ spawnWorker });
+  const first = await open(manager, "managed", "1.1");
+  const second = await open(manager, "managed", "1.2");
+
+  let exitCode = null;
+  first.on("exit", (code) => (exitCode = code));
+  await first.terminate();
+  assert.deepEqual(workers[0].sent.at(-1), { type: "stop", channelId: first.id, marketId: "1.1" });
+  assert.equal(workers[0].terminated, false);
+  assert.deepEqual(manager.getConnections()[0].marketIds, ["1.2"]);
+  await waitFor(() => exitCode === 0);
+
+  // The worker dropping a channel (market closed) counts too
+  workers[0].emit("message", { type: "closed", channelId: second.id, marketId: "1.2" });
+  assert.equal(workers[0].terminated, true);
+  assert.deepEqual(manager.getConnections(), []);
+
+  // The next market starts a new connection
+  await open(manager, "managed", "1.3");
+  assert.equal(workers.length, 2);
+});
+
+test("a worker that dies takes its channels with it", async () => {
+  const { workers, spawnWorker } = createFakeWorkers();
+  const manager = createStreamManager({ spawnWorker });
+  const channel = await open(manager, "managed", "1.1");
+
+  const errors = [];
+  let exitCode = null;
+  channel.on("error", (err) => errors.push(err.message));
+  channel.on("exit", (code) => (exitCode = code));
+  workers[0].emit("error", new Error("boom"));
+  workers[0].emit("exit", 1);
+
+  assert.deepEqual(errors, ["boom"]);
+  await waitFor(() => exitCode === 1);
+  assert.deepEqual(manager.getConnections(), []);
+});
+
+test("opening fails on a stream error or timeout and does not leave the channel behind", async () => {
+  const { workers, spawnWorker } = createFakeWorkers({ connect: false });
+  const manager = createStreamManager({ spawnWorker, startTimeoutMs: 20 });
+
+  const failing = open(manager, "managed", "1.1");
+  workers[0].emit("message", { type: "error", channelId: workers[0].sent[0].channelId, error: "ECONNREFUSED" });
+  await assert.rejects(failing, /ECONNREFUSED/);
+  assert.equal(workers[0].terminated, true);
+
+  await assert.rejects(open(manager, "managed", "1.1"), /Stream connection timeout/);
+  assert.deepEqual(manager.getConnections(), []);
+});
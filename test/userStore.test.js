@@ -0,0 +1,80 @@
+import { test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import { createUserStore, USER_ROLES, UserInputError } from "../src/service/userStore.js";
+import { getStoragePath } from "../src/utils/storage.js";
+import { useTempStorage } from "./helpers/betfairEnv.js";
+
+let removeStorage;
+let store;
+let clock;
+
+beforeEach(() => {
+  removeStorage = useTempStorage();
+  clock = Date.parse("2026-05-01T12:00:00Z");
+  store = createUserStore({ now: () => clock });
+});
+
+afterEach(() => removeStorage());
+
+test("users register as plain users, one admin at most, and passwords are only stored hashed", async () => {
+  const user = await store.createUser("bob", "battery staple");
+  assert.equal(store.hasAdmin(), false);
+  const admin = await store.createUser("alice", "correct horse", { role: USER_ROLES.ADMIN });
+
+  assert.equal(admin.role, USER_ROLES.ADMIN);
+  assert.equal(user.role, USER_ROLES.USER);
+  assert.equal(admin.password, undefined);
+  assert.equal(store.hasAdmin(), true);
+  await assert.rejects(store.createUser("carol", "correct horse", { role: USER_ROLES.ADMIN }), /already exists/);
+
+  const saved = fs.readFileSync(getStoragePath("users.json"), "utf8");
+  assert.doesNotMatch(saved, /correct horse/);
+});
+
+test("registration rejects bad usernames, short passwords and taken names", async () => {
+  await store.createUser("alice", "correct horse");
+
+  await assert.rejects(store.createUser("a", "correct horse"), UserInputError);
+  await assert.rejects(store.createUser("alice smith", "correct horse"), UserInputError);
+  await assert.rejects(store.createUser("bob", "short"), UserInputError);
+  await assert.rejects(store.createUser("ALICE", "correct horse"), /taken/);
+});
+
+test("verifyPassword accepts only the right password", async () => {
+  const alice = await store.createUser("alice", "correct horse");
+
+  assert.equal((await store.verifyPassword("alice", "correct horse")).id, alice.id);
+  assert.equal(await store.verifyPassword("alice", "wrong horse"), null);
+  assert.equal(await store.verifyPassword("nobody", "correct horse"), null);
+});
+
+test("login sessions resolve to their user until they expire or are deleted", async () => {
+  const alice = await store.createUser("alice", "correct horse");
+  const { sessionId } = store.createSession(alice.id, { ttlMs: 60000 });
+
+  assert.equal(store.getSessionUser(sessionId).username, "alice");
+  assert.equal(store.getSessionUser("made-up"), null);
+  // Only a hash of the id is written
+  assert.doesNotMatch(fs.readFileSync(getStoragePath("auth-sessions.json"), "utf8"), new RegExp(sessionId));
+
+  clock += 60000;
+  assert.equal(store.getSessionUser(sessionId), null);
+
+  const second = store.createSession(alice.id);
+  assert.equal(store.deleteSession(second.sessionId), true);
+  assert.equal(store.getSessionUser(second.sessionId), null);
+});
+
+test("each user's Betfair session is stored separately", async () => {
+  const alice = await store.createUser("alice", "correct horse");
+  const bob = await store.createUser("bob", "battery staple");
+
+  store.setBetfairSession(alice.id, "alice-token");
+  assert.equal(store.getBetfairSession(alice.id), "alice-token");
+  assert.equal(store.getBetfairSession(bob.id), null);
+  assert.equal(store.getUser(alice.id).betfairSession, undefined);
+
+  store.setBetfairSession(alice.id, null);
+  assert.equal(store.getBetfairSession(alice.id), null);
+});
@@ -0,0 +1,121 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { ADMIN, PASSWORD, SETUP_TOKEN, startApp } from "./helpers/betfairEnv.js";
+import { MARKET_ID, SELECTION_ID } from "./helpers/streamMessages.js";
+
+/**
+ * App accounts: cookie login, per-user Betfair sessions and bots only their owner (or the admin) controls
+ */
+
+let harness;
+let request;
+
+before(async () => {
+  harness = await startApp();
+  request = harness.request;
+});
+
+after(async () => {
+  await request("POST", "/bot/stop", { user: ADMIN, body: { marketId: MARKET_ID } });
+  await harness.close();
+});
+
+async function post(path, body, headers = {}) {
+  const response = await fetch(`${harness.baseUrl}${path}`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", ...headers },
+    body: JSON.stringify(body),
+  });
+  return { status: response.status, cookie: response.headers.get("set-cookie"), body: await response.json() };
+}
+
+test("routes need a logged-in user", async () => {
+  const { status, body } = await request("GET", "/bot/status", { user: null });
+  assert.equal(status, 401);
+  assert.match(body.error, /Not logged in/);
+  assert.equal((await request("GET", "/health", { user: null })).status, 200);
+});
+
+test("register, log in, /auth/me and log out with an httpOnly cookie", async () => {
+  assert.equal((await post("/auth/register", { username: "x", password: PASSWORD })).status, 400);
+  assert.equal((await post("/auth/register", { username: ADMIN, password: PASSWORD })).status, 400);
+
+  assert.equal((await post("/auth/login", { username: "carol", password: PASSWORD })).status, 401);
+  const registered = await post("/auth/register", { username: "carol", password: PASSWORD });
+  assert.equal(registered.status, 201);
+  assert.equal(registered.body.user.role, "user");
+
+  const wrong = await post("/auth/login", { username: "carol", password: "not the password" });
+  assert.equal(wrong.status, 401);
+
+  const login = await post("/auth/login", { username: "carol", password: PASSWORD });
+  assert.equal(login.status, 200);
+  assert.match(login.cookie, /^sid=/);
+  assert.match(login.cookie, /HttpOnly/);
+  const cookie = login.cookie.split(";")[0];
+
+  const me = await request("GET", "/auth/me", { user: null, headers: { Cookie: cookie } });
+  assert.equal(me.body.user.username, "carol");
+  assert.equal(me.body.user.password, undefined);
+  assert.equal(me.body.betfairSession, false);
+
+  assert.equal((await post("/auth/logout", {}, { Cookie: cookie })).status, 200);
+  assert.equal((await request("GET", "/auth/me", { user: null, headers: { Cookie: cookie } })).status, 401);
+});
+
+test("sign-ups are closed by default and the setup token only creates the first admin", async (t) => {
+  t.after(() => {
+    process.env.AUTH_SIGNUP = "true";
+  });
+  delete process.env.AUTH_SIGNUP;
+  const closed = await post("/auth/register", { username: "dave", password: PASSWORD });
+  assert.equal(closed.status, 403);
+  assert.match(closed.body.error, /Sign-ups are closed/);
+
+  assert.equal((await post("/auth/register", { username: "dave", password: PASSWORD, setupToken: "guess" })).status, 403);
+  const second = await post("/auth/register", { username: "dave", password: PASSWORD, setupToken: SETUP_TOKEN });
+  assert.equal(second.status, 403);
+  assert.match(second.body.error, /admin account already exists/);
+});
+
+test("app-wide controls are for the admin only", async () => {
+  assert.equal((await request("POST", "/bot/stop-all", { body: {} })).status, 403);
+  assert.equal((await request("POST", "/risk/limits", { body: { maxStakePerBet: 1 } })).status, 403);
+  assert.equal((await request("POST", "/risk/kill-switch", { body: { active: true } })).status, 403);
+  assert.equal((await request("POST", "/login/cert")).status, 403);
+});
+
+test("another user cannot see, change or stop a user's bot", async (t) => {
+  t.mock.method(console, "log", () => {});
+  const started = await request("POST", "/bot/start", { body: { marketId: MARKET_ID, mode: "paper", params: { upThreshold: 4 } } });
+  assert.equal(started.status, 200);
+
+  const other = { user: "mallory" };
+  assert.deepEqual((await request("GET", "/bot/status", other)).body.activeMarkets, []);
+  assert.equal((await request("GET", `/bot/status?marketId=${MARKET_ID}`, other)).body.running, false);
+  assert.equal((await request("GET", `/bot/orders?marketId=${MARKET_ID}`, other)).status, 404);
+  assert.equal((await request("POST", "/bot/selection", { ...other, body: { marketId: MARKET_ID, selectionId: SELECTION_ID, enabled: false } })).status, 404);
+  assert.equal((await request("POST", "/bot/stop", { ...other, body: { marketId: MARKET_ID } })).status, 404);
+
+  const audit = await request("GET", `/bot/audit?marketId=${MARKET_ID}`, other);
+  assert.equal(audit.body.bot, null);
+  assert.deepEqual(audit.body.events, []);
+
+  const paper = await request("POST", "/place-order", {
+    ...other,
+    body: { marketId: MARKET_ID, mode: "paper", instructions: [{ selectionId: SELECTION_ID, side: "BACK", size: 1, limitOrder: { price: 44.5 } }] },
+  });
+  assert.equal(paper.status, 409);
+
+  const taken = await request("POST", "/bot/start", { ...other, body: { marketId: MARKET_ID, mode: "paper" } });
+  assert.equal(taken.status, 409);
+  assert.match(taken.body.error, /Another user's bot/);
+
+  // Still running for its owner, and the admin sees it too
+  const mine = await request("GET", `/bot/status?marketId=${MARKET_ID}`);
+  assert.equal(mine.body.running, true);
+  assert.equal((await request("GET", "/bot/status", { user: ADMIN })).body.count, 1);
+  assert.equal((await request("GET", `/bot/audit?marketId=${MARKET_ID}`)).body.events[0].event, "started");
+
+  assert.equal((await request("POST", "/bot/stop", { body: { marketId: MARKET_ID } })).status, 200);
+});
@@ -0,0 +1,116 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { ADMIN, startApp, waitFor } from "./helpers/betfairEnv.js";
+import { MARKET_ID, SELECTION_ID } from "./helpers/streamMessages.js";
+
+/**
+ * /markets/watch: streams without a strategy, shared by everyone watching the market,
+ * on the same stream connection as the account's bots
+ */
+
+const QUIET_MARKET_ID = "1.900000002";
+
+let harness;
+let request;
+
+before(async () => {
+  process.env.WATCH_MAX_MARKETS = "2";
+  harness = await startApp();
+  request = harness.request;
+});
+
+after(async () => {
+  await request("POST", "/bot/stop", { body: { marketId: MARKET_ID } });
+  await request("DELETE", "/markets/watch", { user: ADMIN, body: { marketIds: [MARKET_ID, QUIET_MARKET_ID] } });
+  await request("DELETE", "/markets/watch");
+  await request("DELETE", "/markets/watch", { user: "watcher" });
+  delete process.env.WATCH_MAX_MARKETS;
+  await harness.close();
+});
+
+test("POST /markets/watch validates its input", async () => {
+  assert.equal((await request("POST", "/markets/watch", { body: {} })).status, 400);
+  assert.equal((await request("POST", "/markets/watch", { body: { marketIds: [""] } })).status, 400);
+  assert.equal((await request("POST", "/markets/watch", { body: { marketIds: [MARKET_ID] }, session: null })).status, 401);
+
+  const tooMany = await request("POST", "/markets/watch", { body: { marketIds: [MARKET_ID, QUIET_MARKET_ID, "1.900000003"] } });
+  assert.equal(tooMany.status, 409);
+  assert.match(tooMany.body.error, /At most 2 markets/);
+});
+
+test("watched markets stream prices and snapshots without a strategy or bets", async (t) => {
+  t.mock.method(console, "log", () => {});
+  const ordersBefore = harness.stub.orders.length;
+
+  const watched = await request("POST", "/markets/watch", { body: { marketIds: [MARKET_ID, QUIET_MARKET_ID] } });
+  assert.equal(watched.status, 200);
+  assert.equal(watched.body.count, 2);
+  assert.deepEqual(watched.body.markets.map((m) => [m.marketId, m.watching, m.started]), [
+    [MARKET_ID, true, true],
+    [QUIET_MARKET_ID, true, true],
+  ]);
+
+  const snapshot = await waitFor(async () => {
+    const { body } = await request("GET", `/markets/${MARKET_ID}/snapshot`);
+    return body.runners?.some((r) => r.selectionId === SELECTION_ID && r.bestBack) ? body : null;
+  });
+  assert.equal(snapshot.mode, "watch");
+  assert.equal(snapshot.botId, null);
+  assert.equal(snapshot.strategy, null);
+
+  // Nothing is bet and no bot runs
+  assert.equal(harness.stub.orders.length, ordersBefore);
+  assert.equal((await request("GET", `/bot/status?marketId=${MARKET_ID}`)).body.running, false);
+
+  // Other users neither see nor stop someone else's watch
+  assert.equal((await request("GET", "/markets/watch", { user: "watcher" })).body.count, 0);
+  assert.equal((await request("GET", `/markets/${MARKET_ID}/snapshot`, { user: "watcher" })).status, 404);
+  const notWatching = await request("DELETE", "/markets/watch", { user: "watcher", body: { marketIds: [MARKET_ID] } });
+  assert.equal(notWatching.body.markets[0].error, "Not watching this market");
+  assert.equal((await request("GET", "/markets/watch", { user: ADMIN })).body.count, 2);
+});
+
+test("a second watcher shares the stream and it stops when the last one leaves", async () => {
+  const joined = await request("POST", "/markets/watch", { user: "watcher", body: { marketId: MARKET_ID } });
+  assert.equal(joined.status, 200);
+  assert.equal(joined.body.markets[0].started, false);
+  assert.equal(joined.body.markets[0].watchers, 2);
+
+  // The first watcher leaves - the stream carries on for the second
+  const left = await request("DELETE", `/markets/watch?marketIds=${MARKET_ID}`);
+  assert.deepEqual(left.body.markets, [{ marketId: MARKET_ID, watching: false, stopped: false }]);
+  const list = await request("GET", "/markets/watch", { user: "watcher" });
+  assert.deepEqual(list.body.markets.map((m) => [m.marketId, m.watchers]), [[MARKET_ID, 1]]);
+  assert.equal((await request("GET", `/markets/${MARKET_ID}/snapshot`, { user: "watcher" })).status, 200);
+
+  const stopped = await request("DELETE", "/markets/watch", { user: "watcher" });
+  assert.deepEqual(stopped.body.markets, [{ marketId: MARKET_ID, watching: false, stopped: true }]);
+
+  // Without marketIds the caller's remaining watches go
+  const rest = await request("DELETE", "/markets/watch");
+  assert.deepEqual(rest.body.markets.map((m) => m.marketId), [QUIET_MARKET_ID]);
+  assert.equal((await request("GET", "/markets/watch", { user: ADMIN })).body.count, 0);
+});
+
+test("an account's bots and watches share one stream connection, resubscribed as they come and go", async (t) => {
+  t.mock.method(console, "log", () => {});
+  const started = await request("POST", "/bot/start", { body: { marketId: MARKET_ID, mode: "paper", params: { upThreshold: 4 } } });
+  assert.equal(started.status, 200);
+  assert.equal((await request("POST", "/markets/watch", { body: { marketId: QUIET_MARKET_ID } })).status, 200);
+
+  await waitFor(() => harness.stub.getStreamSubscriptions()[0]?.length === 2);
+  assert.deepEqual(harness.stub.getStreamSubscriptions(), [[MARKET_ID, QUIET_MARKET_ID]]);
+  const { connections } = (await request("GET", "/bot/status", { user: ADMIN })).body;
+  assert.deepEqual(connections.map((c) => c.marketIds), [[MARKET_ID, QUIET_MARKET_ID]]);
+  // Only the admin sees the connections
+  assert.equal((await request("GET", "/bot/status")).body.connections, undefined);
+
+  await request("POST", "/bot/stop", { body: { marketId: MARKET_ID } });
+  await waitFor(() => harness.stub.getStreamSubscriptions()[0]?.length === 1);
+  assert.deepEqual(harness.stub.getStreamSubscriptions(), [[QUIET_MARKET_ID]]);
+
+  // The last market closes the connection
+  await request("DELETE", "/markets/watch");
+  await waitFor(() => harness.stub.getStreamSubscriptions().length === 0);
+  assert.deepEqual((await request("GET", "/bot/status", { user: ADMIN })).body.connections, []);
+});